@@ -0,0 +1,323 @@
+// Dataset build: rebuilds the site's JSON data from the raw files in datasets/.
+// Trend math comes from js/powerlaw.js — the same module the browser loads —
+// so trend_sp / multiple_sp / deviation_sp always match the site.
+//
+//   node datasets/build.js           validate inputs, then rebuild every output
+//   node datasets/build.js --check   exit 1 if any output is out of date
+// Hard validation errors (validate.js) abort the build before anything is written.
+//
+// Inputs                            Outputs
+//   btc_historical_full.csv  ┐        btc_historical_combined.csv
+//   btc_bitstamp_daily.csv   ┴──────► btc_historical.json
+//   Prices.csv (weekly closes) ─────► ../weekly_history.json
+//   highlight_events.json ──┐
+//   detected cycles ────────┴──────► ../historical_highlights.json
+//                                     ../nl/data/historical_highlights_nl.json
+//   detected cycles ────────────────► ../cycle_catalogue.json
+// Cycles are detected on the rebuilt daily series by js/cycle-stats.js,
+// again the module the site loads.
+const fs = require('fs');
+const path = require('path');
+const PowerLaw = require('../js/powerlaw.js');
+const CycleStats = require('../js/cycle-stats.js');
+const { readSource } = require('./sources.js');
+const Validate = require('./validate.js');
+
+const DATASETS = __dirname;
+const SITE = path.join(__dirname, '..');
+
+// GitHub history up to and including this date, Bitstamp after
+const SPLICE_DATE = '2024-08-11';
+// The *_sp columns use the site's default model
+const MODEL = PowerLaw.DEFAULT_MODEL;
+// A detected extreme takes over an editorial event of the same kind
+// within this many days
+const HIGHLIGHT_MATCH_DAYS = 45;
+
+function round(x, decimals) {
+  const f = Math.pow(10, decimals);
+  return Math.round(x * f) / f;
+}
+
+function utcDate(dateStr) {
+  return new Date(dateStr + 'T00:00:00Z');
+}
+
+// ── Normalization ──────────────────────────────────────────────
+
+// Sorted ascending, one entry per date (first row wins), positive prices only
+function normalize(rows) {
+  const byDate = new Map();
+  for (const row of rows) {
+    if (!(row.price > 0) || !/^\d{4}-\d{2}-\d{2}$/.test(row.date)) continue;
+    if (!byDate.has(row.date)) byDate.set(row.date, row);
+  }
+  return [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+// ── Builders ───────────────────────────────────────────────────
+
+// [{date, price, open?, high?, low?, volume?}] — price is the daily close.
+// OHLCV is present wherever Bitstamp has a bar (from 2014-11-28).
+function buildDaily() {
+  const github = normalize(readSource('github')).filter(d => d.date <= SPLICE_DATE);
+  const bars = normalize(readSource('bitstamp'));
+  const barByDate = new Map(bars.map(b => [b.date, b]));
+  return github
+    .concat(bars.filter(d => d.date > SPLICE_DATE))
+    .map(d => withBar(d, barByDate.get(d.date)));
+}
+
+// Attach Bitstamp's open/high/low/volume to a day. Before the splice the
+// close comes from GitHub, so high/low are widened to contain it.
+function withBar(day, bar) {
+  if (!bar) return { date: day.date, price: day.price };
+  return {
+    date: day.date,
+    price: day.price,
+    open: bar.open,
+    high: Math.max(bar.high, day.price),
+    low: Math.min(bar.low, day.price),
+    volume: round(bar.volume, 4)
+  };
+}
+
+function buildWeekly() {
+  return normalize(readSource('weekly'))
+    .map(w => {
+      const trend = PowerLaw.trendPrice(MODEL, utcDate(w.date));
+      return {
+        date: w.date,
+        close: round(w.price, 2),
+        trend_sp: round(trend, 2),
+        multiple_sp: round(w.price / trend, 3),
+        log_dev_sp: round(Math.log10(w.price / trend), 3)
+      };
+    })
+    .reverse();                     // newest first, as weekly-table.js expects
+}
+
+// Cycle tops and bottoms of the daily k series (CycleStats.detectCycles)
+function buildCycles(daily = buildDaily()) {
+  const analysis = CycleStats.buildAnalysis(daily, MODEL);
+  const detection = CycleStats.detectCycles(analysis);
+  detection.closes = new Map(daily.map(d => [d.date, d.price]));
+  detection.sigma = analysis.sigma;
+  detection.through = daily[daily.length - 1].date;
+  return detection;
+}
+
+function cyclePointJson(point) {
+  return {
+    date: point.date,
+    k: round(point.k, 3),
+    multiple: round(point.multiple, 3),
+    price: round(point.price, 2),
+    age: round(point.age, 3)
+  };
+}
+
+function buildCycleCatalogue(cycles = buildCycles()) {
+  const calibration = CycleStats.cycleCalibration(cycles);
+  return {
+    model: MODEL,
+    sigma: cycles.sigma,
+    through: cycles.through,
+    options: cycles.options,
+    cycles: cycles.cycles.map(c => ({
+      peak: cyclePointJson(c.peak),
+      trough: cyclePointJson(c.trough),
+      drawdown: round(c.drawdown, 4),
+      peak_to_trough_days: c.peakToTroughDays,
+      peak_to_trend_days: c.peakToTrendDays,
+      recovery_days: c.recoveryDays,
+      recovered_date: c.recoveredDate,
+      confirmed: c.confirmed
+    })),
+    // Starting values for PowerLaw.fitCyclical
+    calibration: calibration && Object.fromEntries(Object.entries(calibration).map(([key, x]) => [key, round(x, 4)]))
+  };
+}
+
+const MONTHS = {
+  en: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+  nl: ['jan', 'feb', 'mrt', 'apr', 'mei', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'dec']
+};
+
+function monthYear(dateStr, lang) {
+  return `${MONTHS[lang][Number(dateStr.slice(5, 7)) - 1]} ${dateStr.slice(0, 4)}`;
+}
+
+function usd(x, lang) {
+  const digits = x >= 100 ? 0 : 2;
+  return '$' + x.toLocaleString(lang === 'nl' ? 'nl-NL' : 'en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function fixed(x, decimals, lang) {
+  const s = x.toFixed(decimals);
+  return lang === 'nl' ? s.replace('.', ',') : s;
+}
+
+// Generated text for a detected extreme with no editorial event
+function cycleText(cycle, role, lang) {
+  const nl = lang === 'nl';
+  const year = cycle[role].date.slice(0, 4);
+  const drawdown = Math.round(cycle.drawdown * 100);
+  if (role === 'peak') {
+    const trough = cycle.trough;
+    return {
+      event: nl ? `${year} Cycluspiek (gedetecteerd)` : `${year} Cycle Peak (detected)`,
+      reversion_outcome: cycle.confirmed
+        ? (nl
+          ? `Daalde ${drawdown}% naar ${usd(trough.price, lang)} tegen ${monthYear(trough.date, lang)} (${fixed(trough.multiple, 2, lang)}× trend).`
+          : `Fell ${drawdown}% to ${usd(trough.price, lang)} by ${monthYear(trough.date, lang)} (${fixed(trough.multiple, 2, lang)}× trend).`)
+        : (nl
+          ? `Tot nu toe ${drawdown}% gedaald, laagste slot ${usd(trough.price, lang)} in ${monthYear(trough.date, lang)}.`
+          : `Down ${drawdown}% so far, lowest close ${usd(trough.price, lang)} in ${monthYear(trough.date, lang)}.`),
+      notes: nl
+        ? `Automatisch gedetecteerde piek: ${fixed(cycle.peak.k, 2, lang)}σ boven trend.`
+        : `Detected cycle top: ${fixed(cycle.peak.k, 2, lang)}σ above trend.`
+    };
+  }
+  return {
+    event: nl ? `${year} Cyclusbodem (gedetecteerd)` : `${year} Cycle Bottom (detected)`,
+    reversion_outcome: cycle.recoveredDate
+      ? (nl
+        ? `Terug op trend na ${cycle.recoveryDays} dagen (${monthYear(cycle.recoveredDate, lang)}).`
+        : `Back at trend after ${cycle.recoveryDays} days (${monthYear(cycle.recoveredDate, lang)}).`)
+      : (nl ? 'Nog niet terug op trend.' : 'Not yet back at trend.'),
+    notes: nl
+      ? `Automatisch gedetecteerde bodem: ${fixed(-cycle.trough.k, 2, lang)}σ onder trend, ${drawdown}% onder de vorige top.`
+      : `Detected cycle low: ${fixed(-cycle.trough.k, 2, lang)}σ below trend, ${drawdown}% below the previous peak.`
+  };
+}
+
+// Events above trend can only match peaks, events below only troughs
+function aboveTrend(event) {
+  return event.close > PowerLaw.trendPrice(MODEL, utcDate(event.date));
+}
+
+function dayDistance(a, b) {
+  return Math.abs(utcDate(a) - utcDate(b)) / 86400000;
+}
+
+// Editorial events from highlight_events.json, merged with the detected
+// cycle extremes: an event within HIGHLIGHT_MATCH_DAYS of a detected
+// extreme on the same side of trend is tagged with it (cycle: 'peak' | 'trough'),
+// unmatched extremes get generated text. Troughs of an unfinished cycle
+// are left out until confirmed. Trend and deviation come from the model.
+function buildHighlights(lang, cycles = buildCycles()) {
+  const events = JSON.parse(fs.readFileSync(path.join(DATASETS, 'highlight_events.json'), 'utf8'))
+    .map(e => Object.assign({ cycle: null }, e));
+  for (const cycle of cycles.cycles) {
+    for (const role of ['peak', 'trough']) {
+      if (role === 'trough' && !cycle.confirmed) continue;
+      const date = cycle[role].date;
+      const match = events
+        .filter(e => e.cycle === null && aboveTrend(e) === (role === 'peak') &&
+          dayDistance(e.date, date) <= HIGHLIGHT_MATCH_DAYS)
+        .sort((a, b) => dayDistance(a.date, date) - dayDistance(b.date, date))[0];
+      if (match) {
+        match.cycle = role;
+        continue;
+      }
+      const text = cycleText(cycle, role, 'en');
+      events.push({
+        date,
+        close: round(cycles.closes.get(date), 2),
+        cycle: role,
+        en: text,
+        nl: cycleText(cycle, role, 'nl')
+      });
+    }
+  }
+  events.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  return events.map(e => {
+    const trend = PowerLaw.trendPrice(MODEL, utcDate(e.date));
+    const row = {
+      date: e.date,
+      event: e[lang].event,
+      close: e.close,
+      trend_sp: round(trend, 2),
+      deviation_sp: round(e.close / trend, 2),
+      reversion_outcome: e[lang].reversion_outcome,
+      notes: e[lang].notes
+    };
+    if (e.cycle) row.cycle = e.cycle;
+    return row;
+  });
+}
+
+// ── Serialization ──────────────────────────────────────────────
+
+// One record per line keeps diffs readable when new days are appended
+function dailyJson(daily) {
+  return '[\n' + daily.map(d => JSON.stringify(d)).join(',\n') + '\n]\n';
+}
+
+const CSV_COLUMNS = ['date', 'price', 'open', 'high', 'low', 'volume'];
+
+function dailyCsv(daily) {
+  const rows = daily.map(d => CSV_COLUMNS.map(c => (d[c] === undefined ? '' : d[c])).join(','));
+  return CSV_COLUMNS.join(',') + '\n' + rows.join('\n') + '\n';
+}
+
+function prettyJson(value) {
+  return JSON.stringify(value, null, 2) + '\n';
+}
+
+function outputs() {
+  const daily = buildDaily();
+  const cycles = buildCycles(daily);
+  return [
+    { file: path.join(DATASETS, 'btc_historical_combined.csv'), content: dailyCsv(daily), count: daily.length },
+    { file: path.join(DATASETS, 'btc_historical.json'), content: dailyJson(daily), count: daily.length },
+    { file: path.join(SITE, 'weekly_history.json'), content: prettyJson(buildWeekly()) },
+    { file: path.join(SITE, 'historical_highlights.json'), content: prettyJson(buildHighlights('en', cycles)) },
+    { file: path.join(SITE, 'nl', 'data', 'historical_highlights_nl.json'), content: prettyJson(buildHighlights('nl', cycles)) },
+    { file: path.join(SITE, 'cycle_catalogue.json'), content: prettyJson(buildCycleCatalogue(cycles)) }
+  ];
+}
+
+// ── CLI ────────────────────────────────────────────────────────
+
+function main(argv) {
+  const check = argv.includes('--check');
+  let stale = 0;
+
+  const report = Validate.run();
+  Validate.printSummary(report);
+  if (!report.ok) {
+    console.error('\nInput validation failed — fix the errors above (node datasets/validate.js --json for details)');
+    process.exit(1);
+  }
+  console.log('');
+
+  for (const out of outputs()) {
+    const rel = path.relative(SITE, out.file);
+    const current = fs.existsSync(out.file) ? fs.readFileSync(out.file, 'utf8') : null;
+    if (current === out.content) {
+      console.log(`  up to date  ${rel}`);
+      continue;
+    }
+    if (check) {
+      console.log(`  OUT OF DATE ${rel}`);
+      stale++;
+    } else {
+      fs.writeFileSync(out.file, out.content);
+      console.log(`  wrote       ${rel}`);
+    }
+  }
+
+  if (stale > 0) {
+    console.error(`\n${stale} output(s) out of date — run: node datasets/build.js`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { buildDaily, buildWeekly, buildCycles, buildCycleCatalogue, buildHighlights, SPLICE_DATE, MODEL };
@@ -0,0 +1,67 @@
+// Raw readers for the price files in datasets/. Rows are returned as-is
+// (unsorted, duplicates kept, line numbers attached) so validate.js can
+// point at the offending line; build.js normalizes them.
+const fs = require('fs');
+const path = require('path');
+
+const SOURCES = {
+  // GitHub history: "Date,Price", oldest first
+  github: {
+    file: 'btc_historical_full.csv',
+    cadence: 'daily',
+    headerLines: 1,
+    parse(parts) {
+      return { date: parts[0], price: parseFloat(parts[1]) };
+    }
+  },
+
+  // CryptoDataDownload export, newest first:
+  // "unix,date,symbol,open,high,low,close,Volume BTC,Volume USD"
+  bitstamp: {
+    file: 'btc_bitstamp_daily.csv',
+    cadence: 'daily',
+    headerLines: 2,                 // URL line + header
+    parse(parts) {
+      const [date, time] = (parts[1] || '').split(' ');
+      return {
+        date,
+        time: time || null,
+        unix: parseInt(parts[0], 10),
+        open: parseFloat(parts[3]),
+        high: parseFloat(parts[4]),
+        low: parseFloat(parts[5]),
+        price: parseFloat(parts[6]),  // close
+        volume: parseFloat(parts[7])  // BTC
+      };
+    }
+  },
+
+  // User-supplied weekly closes: "Week_Ending_Date,BTC_Close_USD", may carry # comments
+  weekly: {
+    file: 'Prices.csv',
+    cadence: 'weekly',
+    headerLines: 1,
+    parse(parts) {
+      return { date: parts[0], price: parseFloat(parts[1]) };
+    }
+  }
+};
+
+// [{ line, date, price, ... }] — price is the close; bitstamp rows also carry
+// open/high/low/volume. Blank and comment-only lines skipped
+function readSource(id) {
+  const source = SOURCES[id];
+  if (!source) throw new Error(`Unknown source: ${id}`);
+
+  const lines = fs.readFileSync(path.join(__dirname, source.file), 'utf8').split(/\r?\n/);
+  const rows = [];
+  for (let i = source.headerLines; i < lines.length; i++) {
+    const clean = lines[i].split('#')[0].trim();
+    if (!clean) continue;
+    const parts = clean.split(',').map(p => p.trim());
+    rows.push(Object.assign({ line: i + 1 }, source.parse(parts)));
+  }
+  return rows;
+}
+
+module.exports = { SOURCES, readSource };
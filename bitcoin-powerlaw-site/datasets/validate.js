@@ -0,0 +1,290 @@
+// Data quality checks for the raw price files (see sources.js).
+// Hard errors fail the build; warnings are reported but allowed.
+//
+//   node datasets/validate.js          human-readable summary, exit 1 on errors
+//   node datasets/validate.js --json   machine-readable report on stdout
+//
+// Errors:   malformed/impossible dates, non-positive prices, conflicting
+//           duplicate dates, timestamps that aren't UTC midnight,
+//           inconsistent OHLC bars (open/close outside low–high)
+// Warnings: missing days/weeks, identical duplicates, unsorted files,
+//           non-Sunday weekly dates, large jumps, GitHub vs Bitstamp
+//           disagreement and a day-shifted alignment between them
+const { SOURCES, readSource } = require('./sources.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const THRESHOLDS = {
+  maxDailyJump: 0.3,              // |ln(p_t / p_t-1)|, ≈ +35% / −26% in a day
+  maxWeeklyJump: 0.5,             // same for week-over-week closes
+  maxSourceDisagreement: 0.1,     // |ln(github / bitstamp)| on the same date
+  offsetImprovement: 0.8          // shifted alignment must cut the median gap by 20%
+};
+
+// ── Helpers ────────────────────────────────────────────────────
+
+function isValidDate(dateStr) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || '')) return false;
+  const d = new Date(dateStr + 'T00:00:00Z');
+  return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === dateStr;
+}
+
+function dayMs(dateStr) {
+  return Date.parse(dateStr + 'T00:00:00Z');
+}
+
+function shiftDate(dateStr, days) {
+  return new Date(dayMs(dateStr) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const v = values.slice().sort((a, b) => a - b);
+  const mid = v.length >> 1;
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+function quantile(values, q) {
+  if (values.length === 0) return null;
+  const v = values.slice().sort((a, b) => a - b);
+  return v[Math.min(v.length - 1, Math.floor(q * v.length))];
+}
+
+function round(x, decimals) {
+  if (x === null) return null;
+  const f = Math.pow(10, decimals);
+  return Math.round(x * f) / f;
+}
+
+// ── Per-Source Checks ──────────────────────────────────────────
+
+function checkSource(id, rows, issues, thresholds) {
+  const source = SOURCES[id];
+  const add = (severity, check, row, message) => issues.push({
+    severity, check, source: id, line: row ? row.line : null, date: row ? row.date : null, message
+  });
+
+  // Row-level: format, timezone, price
+  const valid = [];
+  for (const row of rows) {
+    if (!isValidDate(row.date)) {
+      add('error', 'date-format', row, `Unparseable date "${row.date}"`);
+      continue;
+    }
+    if (row.time !== undefined && row.time !== null && row.time !== '00:00:00') {
+      add('error', 'timezone', row, `Bar starts at ${row.time}, expected 00:00:00 UTC`);
+    }
+    if (row.unix !== undefined && row.unix * 1000 !== dayMs(row.date)) {
+      const offsetHours = isFinite(row.unix) ? (row.unix * 1000 - dayMs(row.date)) / 3600000 : NaN;
+      add('error', 'timezone', row, `Unix time is ${offsetHours}h off UTC midnight of ${row.date}`);
+    }
+    if (!(isFinite(row.price) && row.price > 0)) {
+      add('error', 'price', row, `Non-positive or missing price "${row.price}"`);
+      continue;
+    }
+    if (row.high !== undefined) {
+      if (![row.open, row.high, row.low].every(v => isFinite(v) && v > 0)) {
+        add('error', 'ohlc', row, `Non-positive or missing open/high/low (${row.open}/${row.high}/${row.low})`);
+      } else if (row.low > Math.min(row.open, row.price) || row.high < Math.max(row.open, row.price)) {
+        add('error', 'ohlc', row, `Open/close outside low–high (O ${row.open} H ${row.high} L ${row.low} C ${row.price})`);
+      }
+      if (!(row.volume >= 0)) add('error', 'ohlc', row, `Negative or missing volume "${row.volume}"`);
+    }
+    valid.push(row);
+  }
+
+  // File order: one consistent direction expected
+  let asc = 0;
+  let desc = 0;
+  for (let i = 1; i < valid.length; i++) {
+    if (valid[i].date > valid[i - 1].date) asc++;
+    else if (valid[i].date < valid[i - 1].date) desc++;
+  }
+  if (asc > 0 && desc > 0) {
+    add('warning', 'order', null, `Rows are not sorted (${asc} ascending / ${desc} descending steps)`);
+  }
+
+  // Duplicates
+  const byDate = new Map();
+  for (const row of valid) {
+    const first = byDate.get(row.date);
+    if (!first) {
+      byDate.set(row.date, row);
+    } else if (first.price !== row.price) {
+      add('error', 'duplicate', row, `Date repeats line ${first.line} with a different price (${first.price} vs ${row.price})`);
+    } else {
+      add('warning', 'duplicate', row, `Date repeats line ${first.line}`);
+    }
+  }
+
+  const series = [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : 1));
+  const stepDays = source.cadence === 'weekly' ? 7 : 1;
+  const maxJump = source.cadence === 'weekly' ? thresholds.maxWeeklyJump : thresholds.maxDailyJump;
+
+  for (let i = 0; i < series.length; i++) {
+    const row = series[i];
+    if (source.cadence === 'weekly' && new Date(dayMs(row.date)).getUTCDay() !== 0) {
+      add('warning', 'weekday', row, 'Weekly close is not on a Sunday');
+    }
+    if (i === 0) continue;
+
+    const prev = series[i - 1];
+    const gap = Math.round((dayMs(row.date) - dayMs(prev.date)) / DAY_MS);
+    if (gap > stepDays) {
+      const missing = Math.round(gap / stepDays) - 1;
+      add('warning', 'missing', row, `${missing} ${stepDays === 7 ? 'week' : 'day'}(s) missing after ${prev.date}`);
+    }
+
+    const move = Math.log(row.price / prev.price);
+    if (Math.abs(move) > maxJump) {
+      add('warning', 'jump', row, `${move > 0 ? '+' : ''}${((Math.exp(move) - 1) * 100).toFixed(0)}% vs ${prev.date} (${prev.price} → ${row.price})`);
+    }
+  }
+
+  return {
+    file: source.file,
+    cadence: source.cadence,
+    rows: rows.length,
+    first: series.length ? series[0].date : null,
+    last: series.length ? series[series.length - 1].date : null,
+    series
+  };
+}
+
+// ── Cross-Source Checks ────────────────────────────────────────
+
+// Compare GitHub and Bitstamp where both have a close. Also tries ±1 day
+// alignments: if a shift fits much better, one series is off by a day
+// (typically a timezone/close-time convention difference).
+function checkOverlap(a, b, issues, thresholds) {
+  const bMap = new Map(b.series.map(r => [r.date, r]));
+
+  function diffs(shift) {
+    const out = [];
+    for (const row of a.series) {
+      const other = bMap.get(shiftDate(row.date, shift));
+      if (other) out.push({ row, other, diff: Math.log(row.price / other.price) });
+    }
+    return out;
+  }
+
+  const aligned = diffs(0);
+  if (aligned.length === 0) return null;
+
+  for (const d of aligned) {
+    if (Math.abs(d.diff) > thresholds.maxSourceDisagreement) {
+      issues.push({
+        severity: 'warning',
+        check: 'source-disagreement',
+        source: 'github/bitstamp',
+        line: d.row.line,
+        date: d.row.date,
+        message: `GitHub ${d.row.price} vs Bitstamp ${d.other.price} (${(d.diff * 100).toFixed(0)}% log gap)`
+      });
+    }
+  }
+
+  const shiftMedians = {};
+  for (const shift of [-1, 0, 1]) {
+    shiftMedians[shift] = median(diffs(shift).map(d => Math.abs(d.diff)));
+  }
+  let bestShift = 0;
+  for (const shift of [-1, 1]) {
+    if (shiftMedians[shift] !== null && shiftMedians[shift] < shiftMedians[bestShift] * thresholds.offsetImprovement) {
+      bestShift = shift;
+    }
+  }
+  if (bestShift !== 0) {
+    issues.push({
+      severity: 'warning',
+      check: 'date-offset',
+      source: 'github/bitstamp',
+      line: null,
+      date: null,
+      message: `GitHub dates match Bitstamp better shifted ${bestShift > 0 ? '+' : ''}${bestShift} day (median gap ${round(shiftMedians[bestShift], 4)} vs ${round(shiftMedians[0], 4)})`
+    });
+  }
+
+  const abs = aligned.map(d => Math.abs(d.diff));
+  return {
+    from: aligned[0].row.date,
+    to: aligned[aligned.length - 1].row.date,
+    days: aligned.length,
+    medianAbsLogDiff: round(median(abs), 4),
+    p95AbsLogDiff: round(quantile(abs, 0.95), 4),
+    maxAbsLogDiff: round(Math.max(...abs), 4),
+    disagreements: abs.filter(x => x > thresholds.maxSourceDisagreement).length,
+    shiftMedians: { '-1': round(shiftMedians[-1], 4), '0': round(shiftMedians[0], 4), '1': round(shiftMedians[1], 4) },
+    bestShift
+  };
+}
+
+// ── Report ─────────────────────────────────────────────────────
+
+function run(options = {}) {
+  const thresholds = Object.assign({}, THRESHOLDS, options.thresholds);
+  const issues = [];
+  const sources = {};
+
+  for (const id of Object.keys(SOURCES)) {
+    const rows = options.rows && options.rows[id] ? options.rows[id] : readSource(id);
+    sources[id] = checkSource(id, rows, issues, thresholds);
+  }
+  const overlap = checkOverlap(sources.github, sources.bitstamp, issues, thresholds);
+
+  const errors = issues.filter(i => i.severity === 'error');
+  const summaries = {};
+  for (const id of Object.keys(sources)) {
+    const { series, ...summary } = sources[id];
+    summaries[id] = summary;
+  }
+
+  return {
+    ok: errors.length === 0,
+    errorCount: errors.length,
+    warningCount: issues.length - errors.length,
+    thresholds,
+    sources: summaries,
+    overlap,
+    issues
+  };
+}
+
+// Counts per check, plus the first few examples of each
+function printSummary(report, examples = 3) {
+  console.log(`Input validation: ${report.errorCount} error(s), ${report.warningCount} warning(s)`);
+  for (const [id, s] of Object.entries(report.sources)) {
+    console.log(`  ${id.padEnd(9)} ${s.file}: ${s.rows} rows, ${s.first} → ${s.last}`);
+  }
+  if (report.overlap) {
+    const o = report.overlap;
+    console.log(`  overlap   ${o.from} → ${o.to}: ${o.days} days, median |Δln| ${o.medianAbsLogDiff}, ${o.disagreements} beyond ${report.thresholds.maxSourceDisagreement}`);
+  }
+
+  const groups = new Map();
+  for (const issue of report.issues) {
+    const key = `${issue.severity} ${issue.check} (${issue.source})`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(issue);
+  }
+  for (const [key, list] of groups) {
+    console.log(`  ${key}: ${list.length}`);
+    for (const issue of list.slice(0, examples)) {
+      const where = issue.line ? `line ${issue.line}` : '';
+      console.log(`      ${[issue.date, where].filter(Boolean).join(', ')}${issue.date || where ? ': ' : ''}${issue.message}`);
+    }
+    if (list.length > examples) console.log(`      … ${list.length - examples} more`);
+  }
+}
+
+if (require.main === module) {
+  const report = run();
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printSummary(report);
+  }
+  process.exit(report.ok ? 0 : 1);
+}
+
+module.exports = { THRESHOLDS, run, printSummary };
@@ -0,0 +1,95 @@
+// Bitcoin Power Law Observatory - About Page Logic
+// Runs the walk-forward validation (validation.js) and fills the
+// "Does the Model Forecast?" tables.
+
+(function () {
+  'use strict';
+
+  function setText(id, txt) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = txt;
+  }
+
+  function pct(x) {
+    return x === null ? '--' : (x * 100).toFixed(0) + '%';
+  }
+
+  function horizonLabel(years) {
+    if (years < 1) return Math.round(years * 12) + ' months';
+    return years + (years === 1 ? ' year' : ' years');
+  }
+
+  function signed(x, digits) {
+    return (x >= 0 ? '+' : '') + x.toFixed(digits);
+  }
+
+  function renderHorizons(result) {
+    const tbody = document.getElementById('val-horizon-table');
+    if (!tbody) return;
+    tbody.innerHTML = result.horizons.map(h => `
+      <tr>
+        <td>${horizonLabel(h.horizon)}</td>
+        <td>${h.count}</td>
+        <td>${h.count ? signed(h.bias, 3) : '--'}</td>
+        <td>${h.count ? h.mae.toFixed(3) : '--'}</td>
+        <td>${pct(h.hitRate1)}</td>
+        <td>${pct(h.hitRate2)}</td>
+      </tr>
+    `).join('');
+  }
+
+  function renderBands(result) {
+    const tbody = document.getElementById('val-band-table');
+    if (!tbody) return;
+    tbody.innerHTML = result.bands.map(b => `
+      <tr>
+        <td>${b.label}</td>
+        <td>${(b.observed * 100).toFixed(1)}%</td>
+        <td>${(b.expected * 100).toFixed(1)}%</td>
+      </tr>
+    `).join('');
+  }
+
+  // chartSigma: the same run with the fixed σ the site's charts draw
+  function renderCalibration(fitted, chartSigma) {
+    const tbody = document.getElementById('val-calibration-table');
+    if (!tbody) return;
+    tbody.innerHTML = fitted.calibration.map((c, i) => `
+      <tr>
+        <td>${pct(c.nominal)} (&plusmn;${c.z.toFixed(2)}&sigma;)</td>
+        <td>${pct(c.empirical)}</td>
+        <td>${pct(chartSigma.calibration[i].empirical)}</td>
+      </tr>
+    `).join('');
+  }
+
+  async function init() {
+    try {
+      const data = await PriceData.load();
+
+      const canonicalSigma = PowerLaw.modelSigma(PowerLaw.selectedModel());
+      const fitted = Validation.run(data);
+      const chartSigma = Validation.run(data, { sigma: canonicalSigma });
+
+      setText('val-cutoffs', fitted.overall.cutoffCount.toString());
+      setText('val-cutoff-range', `${fitted.cutoffs[0].cutoff} to ${fitted.cutoffs[fitted.cutoffs.length - 1].cutoff}`);
+      setText('val-coverage1', pct(fitted.overall.coverage1));
+      setText('val-coverage2', pct(fitted.overall.coverage2));
+      setText('val-canonical-sigma', canonicalSigma.toString());
+
+      renderHorizons(fitted);
+      renderBands(fitted);
+      renderCalibration(fitted, chartSigma);
+    } catch (error) {
+      console.error('Validation failed:', error);
+      const tbody = document.getElementById('val-horizon-table');
+      if (tbody) tbody.innerHTML = '<tr><td colspan="6" style="color: var(--red);">Failed to run validation.</td></tr>';
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -16,19 +16,22 @@
     revenueGrowthPct:   0.05,
     timeHorizonYears:   10,
 
-    model:              'santostasi',
-    sigma:              PL.MODELS['santostasi'].sigma,
+    get model()         { return PL.selectedModel(); },
+    get sigma()         { return PL.modelSigma(PL.selectedModel()); },
     scenarioMode:       'cyclical',
-    initialK:           null
+    initialK:           null,
+    seed:               PL.DEFAULT_SEED,
+    currency:           'USD'   // amounts and prices (see Retirement.DEFAULTS)
   };
 
   // ── Main simulation ──────────────────────────────────────
 
-  function simulateTreasury(params, livePriceUSD) {
+  // livePrice: current BTC price in params.currency (optional)
+  function simulateTreasury(params, livePrice) {
     const {
       annualRevenue, netMarginPct, allocationStrategy, allocationPct,
       initialTreasury, revenueGrowthPct, timeHorizonYears,
-      model, sigma, scenarioMode, initialK
+      model, sigma, scenarioMode, initialK, seed, currency
     } = params;
 
     const totalMonths = timeHorizonYears * 12;
@@ -43,9 +46,9 @@
     for (let i = 0; i <= totalMonths; i++) {
       const simDate   = new Date(startYear, startMonth + i, 15);
       const yearIndex = i / 12;
-      const effectiveK = R.resolveScenarioK(scenarioMode, yearIndex, initialK);
-      const btcPrice   = R.scenarioPrice(model, simDate, sigma, effectiveK);
-      const trendPrice = PL.trendPrice(model, simDate);
+      const effectiveK = R.resolveScenarioK(scenarioMode, yearIndex, initialK, seed, sigma);
+      const btcPrice   = R.scenarioPrice(model, simDate, sigma, effectiveK, currency);
+      const trendPrice = R.trendPrice(model, simDate, currency);
 
       // Revenue grows annually (step-wise per year)
       const yearsElapsed = Math.floor(i / 12);
@@ -70,7 +73,7 @@
 
       } else if (allocationStrategy === 'initial_plus_monthly') {
         if (i === 0 && initialTreasury > 0) {
-          const initialPrice = livePriceUSD || btcPrice;
+          const initialPrice = livePrice || btcPrice;
           fiatAllocated += initialTreasury;
           btcBought     += initialTreasury / initialPrice;
         }
@@ -240,11 +243,11 @@
 
   // ── Scenario comparison ───────────────────────────────────
 
-  function compareScenarios(params, livePriceUSD) {
+  function compareScenarios(params, livePrice) {
     const modes = PL.SCENARIO_MODES;
     return modes.map(s => {
       const p = Object.assign({}, params, { scenarioMode: s.id });
-      const result     = simulateTreasury(p, livePriceUSD);
+      const result     = simulateTreasury(p, livePrice);
       const summary    = treasurySummary(result);
       const margin     = calculateMarginImpact(result);
       const resilience = calculateResilienceBuffer(result);
@@ -259,6 +262,19 @@
     });
   }
 
+  // ── Monte Carlo ────────────────────────────────────────────
+  // Percentile fans over random price paths (see monte-carlo.js).
+  // options: sims, seed, scenario ('stochastic' | 'bootstrap')
+  function monteCarlo(params, livePrice, options = {}) {
+    return window.MonteCarlo.run(p => simulateTreasury(p, livePrice), params, Object.assign({
+      series: {
+        treasuryValue: r => r.months.map(m => m.treasuryValueUSD),
+        costBasis:     r => r.months.map(m => (m.cumulativeBTC > 0 ? m.cumulativeAllocatedUSD / m.cumulativeBTC : 0)),
+        treasuryROI:   r => r.months.map(m => m.treasuryROI)
+      }
+    }, options));
+  }
+
   // ── Export ─────────────────────────────────────────────────
 
   window.BalanceSheet = {
@@ -268,6 +284,7 @@
     calculateMarginImpact,
     calculateRDbudget,
     calculateResilienceBuffer,
-    compareScenarios
+    compareScenarios,
+    monteCarlo
   };
 })();
@@ -0,0 +1,418 @@
+// ── Currency Support ─────────────────────────────────────────────
+// Runs the USD power law natively in other currencies.
+// Historical FX is stored locally (datasets/fx_rates.json, annual averages)
+// and interpolated in log space between mid-year points. Past the last
+// observation (or a live spot anchor from PriceFeed) the rate follows
+// relative purchasing power parity: it drifts by the inflation gap between
+// the currency and USD, so long projections don't freeze today's rate.
+//
+// Two ways to get a trend in currency X (Currency.setMethod):
+//   'fx'  (default) USD model trend × FX rate at that date
+//   'fit' power law refitted on the price history converted to X
+//         (needs Currency.prepare(historicalData); falls back to 'fx')
+//
+// Calculators pass params.currency through Retirement.trendPrice /
+// scenarioPrice, which delegate here for anything but USD.
+//
+// Each currency's inflation assumption also sets the calculators' default
+// spending growth: a page's default is restated with adjustGrowth when
+// the currency changes, unless the user edited it.
+//
+// If fx_rates.json fails to load, a currency with a live spot runs on that
+// spot alone; one without falls back to USD (Currency.usable) with a notice.
+// Depends on: window.PowerLaw
+(function () {
+  'use strict';
+
+  const PL = window.PowerLaw;
+
+  const METHOD_KEY = 'currency.method';
+  const INFLATION_KEY = 'currency.inflation';
+  const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+  // inflation: long-run CPI assumption, drives the FX projection and the
+  // calculators' default spending growth (adjustGrowth)
+  const CURRENCIES = {
+    USD: { name: 'US Dollar',        symbol: '$',     decimals: 2, inflation: 0.025 },
+    EUR: { name: 'Euro',             symbol: '€',     decimals: 2, inflation: 0.02 },
+    GBP: { name: 'British Pound',    symbol: '£',     decimals: 2, inflation: 0.025 },
+    CHF: { name: 'Swiss Franc',      symbol: 'CHF ',  decimals: 2, inflation: 0.01 },
+    JPY: { name: 'Japanese Yen',     symbol: '¥',     decimals: 0, inflation: 0.01 },
+    CAD: { name: 'Canadian Dollar',  symbol: 'C$',    decimals: 2, inflation: 0.02 }
+  };
+
+  const scriptSrc = typeof document !== 'undefined' && document.currentScript && document.currentScript.src;
+  const RATES_URL = scriptSrc
+    ? new URL('../datasets/fx_rates.json', scriptSrc).href
+    : '../datasets/fx_rates.json';
+
+  let series = null;            // { EUR: [{ t, log }], ... } ascending
+  let table = null;             // raw fx_rates.json
+  const spot = {};              // { EUR: { t, log } } live anchors
+  let loadPromise = null;
+  let history = null;           // USD [{date, price}] for 'fit'
+  let fits = {};                // 'EUR:days' → PL.fitPowerLaw result
+  const converted = new Map();  // code → converted history
+
+  // ── Storage ───────────────────────────────────────────────────
+  function storageGet(key) {
+    try { return localStorage.getItem(key); } catch (e) { return null; }
+  }
+
+  function storageSet(key, value) {
+    try { localStorage.setItem(key, value); } catch (e) { /* ignore */ }
+  }
+
+  function storedInflation() {
+    try {
+      return JSON.parse(storageGet(INFLATION_KEY) || '{}') || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  let method = storageGet(METHOD_KEY) === 'fit' ? 'fit' : 'fx';
+  let inflationOverrides = storedInflation();
+
+  // ── Registry ──────────────────────────────────────────────────
+  function codes() {
+    return Object.keys(CURRENCIES);
+  }
+
+  function info(code) {
+    const c = CURRENCIES[code];
+    if (!c) throw new Error(`Unknown currency: ${code}`);
+    return c;
+  }
+
+  function symbol(code) {
+    return info(code).symbol;
+  }
+
+  function inflation(code) {
+    info(code);
+    return inflationOverrides[code] != null ? inflationOverrides[code] : CURRENCIES[code].inflation;
+  }
+
+  // Override a currency's inflation assumption (null restores the default)
+  function setInflation(code, rate) {
+    info(code);
+    if (rate === null) {
+      delete inflationOverrides[code];
+    } else {
+      if (!isFinite(rate) || rate <= -1) throw new Error(`Invalid inflation rate for ${code}`);
+      inflationOverrides[code] = rate;
+    }
+    storageSet(INFLATION_KEY, JSON.stringify(inflationOverrides));
+  }
+
+  // A nominal growth rate set in `from` restated for `to`: the same real
+  // growth on top of `to`'s inflation. Calculators move their default
+  // spending growth with this when the currency changes.
+  function adjustGrowth(rate, from, to) {
+    return (1 + rate) * (1 + inflation(to)) / (1 + inflation(from)) - 1;
+  }
+
+  function getMethod() {
+    return method;
+  }
+
+  function setMethod(id) {
+    if (id !== 'fx' && id !== 'fit') throw new Error(`Unknown currency method: ${id}`);
+    method = id;
+    storageSet(METHOD_KEY, id);
+  }
+
+  // ── FX Data ───────────────────────────────────────────────────
+  function midYear(year) {
+    return Date.UTC(year, 6, 1);
+  }
+
+  // fx_rates.json: { rates: [{ year, EUR, GBP, ... }] } — units per USD
+  function setRates(json) {
+    const next = {};
+    for (const code of codes()) {
+      if (code === 'USD') continue;
+      next[code] = json.rates
+        .filter(r => r[code] > 0)
+        .map(r => ({ t: midYear(r.year), log: Math.log(r[code]) }))
+        .sort((a, b) => a.t - b.t);
+    }
+    table = json;
+    series = next;
+    converted.clear();
+    fits = {};
+  }
+
+  function load() {
+    if (series) return Promise.resolve(table);
+    if (!loadPromise) {
+      loadPromise = fetch(RATES_URL)
+        .then(r => {
+          if (!r.ok) throw new Error(`HTTP ${r.status} loading ${RATES_URL}`);
+          return r.json();
+        })
+        .then(json => {
+          setRates(json);
+          return table;
+        })
+        .catch(e => {
+          loadPromise = null;
+          throw e;
+        });
+    }
+    return loadPromise;
+  }
+
+  function isLoaded() {
+    return series !== null;
+  }
+
+  // Anchor a currency at a live rate (units per USD). Projections then
+  // drift from here instead of from the last annual average.
+  function setSpot(code, perUSD, date = new Date()) {
+    info(code);
+    if (code === 'USD' || !(perUSD > 0)) return;
+    spot[code] = { t: date.getTime(), log: Math.log(perUSD) };
+    converted.delete(code);
+    fits = {};
+  }
+
+  // PriceFeed quotes carry EUR; other currencies keep the annual anchor
+  function setSpotFromQuote(quote) {
+    if (quote && quote.usd && quote.eur) setSpot('EUR', quote.eur / quote.usd, quote.time || new Date());
+  }
+
+  // ── Rates ─────────────────────────────────────────────────────
+  function points(code) {
+    const anchor = spot[code];
+    if (!series) {
+      if (anchor) return [anchor];
+      throw new Error('FX rates not loaded — call Currency.load() first');
+    }
+    const base = series[code];
+    if (!base || base.length === 0) {
+      if (anchor) return [anchor];
+      throw new Error(`No FX history for ${code}`);
+    }
+    if (!anchor || anchor.t <= base[base.length - 1].t) return base;
+    return base.concat([anchor]);
+  }
+
+  // Units of `code` per 1 USD at `date`: log-linear between observations,
+  // flat before the first, relative PPP after the last
+  function rate(code, date = new Date()) {
+    if (code === 'USD') return 1;
+    info(code);
+    const pts = points(code);
+    const t = date instanceof Date ? date.getTime() : new Date(date).getTime();
+
+    if (t <= pts[0].t) return Math.exp(pts[0].log);
+    const last = pts[pts.length - 1];
+    if (t >= last.t) {
+      const years = (t - last.t) / YEAR_MS;
+      const drift = Math.log((1 + inflation(code)) / (1 + inflation('USD')));
+      return Math.exp(last.log + drift * years);
+    }
+    let i = 1;
+    while (pts[i].t < t) i++;
+    const a = pts[i - 1];
+    const b = pts[i];
+    const w = (t - a.t) / (b.t - a.t);
+    return Math.exp(a.log + w * (b.log - a.log));
+  }
+
+  // True when `code` can be priced: USD, loaded history or a live spot
+  function available(code) {
+    if (code === 'USD') return true;
+    info(code);
+    return !!spot[code] || !!(series && series[code] && series[code].length > 0);
+  }
+
+  function fromUSD(amount, code, date) {
+    return amount * rate(code, date);
+  }
+
+  function toUSD(amount, code, date) {
+    return amount / rate(code, date);
+  }
+
+  // [{date, price, open?, high?, low?, volume?}] priced in `code`.
+  // Volume stays in BTC. USD returns the input unchanged.
+  function convertSeries(data, code) {
+    if (code === 'USD') return data;
+    const cached = converted.get(code);
+    if (cached && cached.source === data) return cached.data;
+
+    const out = data.map(point => {
+      const r = rate(code, new Date(point.date));
+      const p = { date: point.date, price: point.price * r };
+      if (point.open !== undefined) {
+        p.open = point.open * r;
+        p.high = point.high * r;
+        p.low = point.low * r;
+        p.volume = point.volume;
+      }
+      return p;
+    });
+    converted.set(code, { source: data, data: out });
+    return out;
+  }
+
+  // ── Power Law in Currency ─────────────────────────────────────
+  // USD history used by the 'fit' method
+  function prepare(historicalData) {
+    if (history === historicalData) return;
+    history = historicalData;
+    converted.clear();
+    fits = {};
+  }
+
+  // Power law fitted to the history in `code` on the model's time basis
+  function fitFor(model, code) {
+    if (!history || !isLoaded()) return null;
+    const useYears = PL.MODELS[model].useYears;
+    const key = `${code}:${useYears ? 'years' : 'days'}`;
+    if (!fits[key]) fits[key] = PL.fitPowerLaw(convertSeries(history, code), { useYears });
+    return fits[key];
+  }
+
+  function trendPrice(model, date = new Date(), code = 'USD') {
+    if (code === 'USD') return PL.trendPrice(model, date);
+    if (method === 'fit') {
+      const fit = fitFor(model, code);
+      if (fit) {
+        const t = PL.MODELS[model].useYears ? PL.yearsSinceGenesis(date) : PL.daysSinceGenesis(date);
+        return Math.pow(10, fit.logA) * Math.pow(t, fit.beta);
+      }
+    }
+    return PL.trendPrice(model, date) * rate(code, date);
+  }
+
+  function scenarioPrice(model, date, sigma, sigmaK, code = 'USD') {
+    return trendPrice(model, date, code) * Math.pow(10, sigmaK * sigma);
+  }
+
+  // livePrice is in `code`
+  function currentSigmaK(model, sigma, livePrice, code = 'USD', date) {
+    const trend = trendPrice(model, date || new Date(), code);
+    if (!trend || trend <= 0 || !livePrice || livePrice <= 0) return 0;
+    return (Math.log10(livePrice) - Math.log10(trend)) / sigma;
+  }
+
+  // Residual σ of the history in `code` against the currency trend.
+  // Identical to USD under 'fx'; differs under 'fit'.
+  function calculateSigma(historicalData, model, code = 'USD') {
+    if (code === 'USD' || method === 'fx') return PL.calculateSigma(historicalData, model);
+    const data = convertSeries(historicalData, code);
+    const residuals = [];
+    for (const point of data) {
+      const trend = trendPrice(model, new Date(point.date), code);
+      if (trend > 0 && point.price > 0) residuals.push(Math.log10(point.price / trend));
+    }
+    const mean = residuals.reduce((a, b) => a + b, 0) / residuals.length;
+    const variance = residuals.reduce((s, r) => s + (r - mean) ** 2, 0) / residuals.length;
+    return { sigma: Math.sqrt(variance), mean, count: residuals.length };
+  }
+
+  // ── Worker State ──────────────────────────────────────────────
+  // Everything another copy of this module (a WorkerPool worker) needs
+  // to price exactly like this one. table and history are shared
+  // references, so callers can tell when they change.
+  function getState() {
+    return {
+      table,
+      history,
+      spot: Object.assign({}, spot),
+      method,
+      inflation: Object.assign({}, inflationOverrides)
+    };
+  }
+
+  // Install a getState() snapshot without touching localStorage
+  function setState(state) {
+    if (state.table && state.table !== table) setRates(state.table);
+    prepare(state.history || null);
+    for (const code of Object.keys(spot)) delete spot[code];
+    Object.assign(spot, state.spot);
+    method = state.method === 'fit' ? 'fit' : 'fx';
+    inflationOverrides = Object.assign({}, state.inflation);
+    converted.clear();
+    fits = {};
+  }
+
+  // ── Fallback ──────────────────────────────────────────────────
+  const NOTICE = {
+    en: code => `${code} exchange rates could not be loaded — amounts are shown in USD.`,
+    nl: code => `Wisselkoersen voor ${code} konden niet worden geladen — bedragen staan in USD.`
+  };
+
+  // Currency a calculator can run in: `code`, or USD while `code` has no
+  // rates. A notice next to `anchor` (the currency select) says so; it
+  // stays up while the calculator runs in USD.
+  function usable(code, anchor) {
+    const ok = available(code);
+    if (typeof document === 'undefined' || !anchor || !anchor.parentNode) return ok ? code : 'USD';
+    let note = anchor.parentNode.querySelector('.fx-notice');
+    if (ok) {
+      if (note && code !== 'USD') note.remove();
+      return code;
+    }
+    if (!note) {
+      note = document.createElement('div');
+      note.className = 'fx-notice';
+      anchor.parentNode.appendChild(note);
+    }
+    const lang = (document.documentElement.lang || 'en').slice(0, 2);
+    note.textContent = (NOTICE[lang] || NOTICE.en)(code);
+    return 'USD';
+  }
+
+  // ── Display ───────────────────────────────────────────────────
+  // Compact amount: "€1.25M", "¥12,400,000", "CHF 950"
+  function format(amount, code = 'USD', locale = 'en-US') {
+    const c = info(code);
+    const sign = amount < 0 ? '-' : '';
+    const v = Math.abs(amount);
+    if (v >= 1e9) return sign + c.symbol + (v / 1e9).toFixed(2) + 'B';
+    if (v >= 1e6) return sign + c.symbol + (v / 1e6).toFixed(2) + 'M';
+    if (v >= 1e3 || c.decimals === 0) return sign + c.symbol + Math.round(v).toLocaleString(locale);
+    return sign + c.symbol + v.toFixed(c.decimals);
+  }
+
+  const api = {
+    CURRENCIES,
+    RATES_URL,
+    codes,
+    info,
+    symbol,
+    inflation,
+    setInflation,
+    adjustGrowth,
+    getMethod,
+    setMethod,
+    load,
+    isLoaded,
+    setRates,
+    setSpot,
+    setSpotFromQuote,
+    rate,
+    available,
+    usable,
+    fromUSD,
+    toUSD,
+    convertSeries,
+    prepare,
+    fitFor,
+    trendPrice,
+    scenarioPrice,
+    currentSigmaK,
+    calculateSigma,
+    getState,
+    setState,
+    format,
+    meta: () => (table ? { source: table.source, frequency: table.frequency, provisional: table.provisional } : null)
+  };
+
+  window.Currency = api;
+})();
@@ -2,11 +2,12 @@
 // Empirical analysis of Bitcoin's cyclical behavior relative to the power law trend
 // All residuals and k-values use log10, matching powerlaw.js's calculateSigma
 // Depends on: window.PowerLaw (from powerlaw.js)
+// Also loads under Node (datasets/build.js builds the cycle catalogue)
 
 (function() {
   'use strict';
 
-  var PL = window.PowerLaw;
+  var PL = globalThis.PowerLaw;
 
   // ── Internal Helpers ──────────────────────────────────────
 
@@ -58,8 +59,9 @@
     };
   }
 
-  // Build a histogram from values array
-  function buildHistogram(values, numBins, minVal, maxVal) {
+  // Build a histogram from values array (optional weights: counts stay
+  // raw, probabilities are weight shares)
+  function buildHistogram(values, numBins, minVal, maxVal, weights) {
     var binWidth = (maxVal - minVal) / numBins;
     var bins = [];
     for (var i = 0; i < numBins; i++) {
@@ -72,19 +74,23 @@
     }
 
     var inRange = 0;
+    var mass = [];
+    for (var m = 0; m < numBins; m++) mass.push(0);
     for (var j = 0; j < values.length; j++) {
       var v = values[j];
       if (v >= minVal && v < maxVal) {
         var idx = Math.min(Math.floor((v - minVal) / binWidth), numBins - 1);
+        var w = weights ? weights[j] : 1;
         bins[idx].count++;
-        inRange++;
+        mass[idx] += w;
+        inRange += w;
       }
     }
 
     // Normalize to probabilities
     if (inRange > 0) {
       for (var b = 0; b < bins.length; b++) {
-        bins[b].probability = bins[b].count / inRange;
+        bins[b].probability = mass[b] / inRange;
       }
     }
 
@@ -150,68 +156,44 @@
     return transitions;
   }
 
-  // Filter transition pairs by starting k-value within tolerance
-  function filterByKBucket(transitions, horizon, centerK, tolerance) {
-    var t = transitions[horizon];
-    if (!t) return [];
-
-    var results = [];
-    var lo = centerK - tolerance;
-    var hi = centerK + tolerance;
-
-    for (var i = 0; i < t.startK.length; i++) {
-      if (t.startK[i] >= lo && t.startK[i] <= hi) {
-        results.push(t.endK[i]);
-      }
-    }
+  // ── Compute band-time statistics ──────────────────────────
 
-    return results;
+  var BAND_DEFS = [
+    { band: 'deep_bear', label: 'Below -2\u03c3', min: -Infinity, max: -2 },
+    { band: 'bear',      label: '-2\u03c3 to -1\u03c3', min: -2, max: -1 },
+    { band: 'below',     label: '-1\u03c3 to 0',   min: -1, max: 0 },
+    { band: 'above',     label: '0 to +1\u03c3',   min: 0,  max: 1 },
+    { band: 'bull',      label: '+1\u03c3 to +2\u03c3', min: 1, max: 2 },
+    { band: 'euphoria',  label: 'Above +2\u03c3',  min: 2, max: Infinity }
+  ];
+
+  function bandIndexForK(k) {
+    if (k < -2) return 0;
+    if (k < -1) return 1;
+    if (k < 0) return 2;
+    if (k < 1) return 3;
+    if (k < 2) return 4;
+    return 5;
   }
 
-
-  // ── Compute band-time statistics ──────────────────────────
-
-  function computeBandDays(kValues) {
-    var bands = [
-      { band: 'deep_bear', label: 'Below -2\u03c3', min: -Infinity, max: -2, count: 0 },
-      { band: 'bear',      label: '-2\u03c3 to -1\u03c3', min: -2, max: -1, count: 0 },
-      { band: 'below',     label: '-1\u03c3 to 0',   min: -1, max: 0, count: 0 },
-      { band: 'above',     label: '0 to +1\u03c3',   min: 0,  max: 1, count: 0 },
-      { band: 'bull',      label: '+1\u03c3 to +2\u03c3', min: 1, max: 2, count: 0 },
-      { band: 'euphoria',  label: 'Above +2\u03c3',  min: 2, max: Infinity, count: 0 }
-    ];
+  // Close-based time in band: count/days/pct/daysPerYear.
+  // With intraday { highK, lowK } (parallel to kValues) each band also gets
+  // touchDays/touchPct: days whose low–high range reached into the band.
+  // A day can touch several bands, so touch percentages don't sum to 100.
+  function computeBandDays(kValues, intraday) {
+    var bands = BAND_DEFS.map(function(def) {
+      return { band: def.band, label: def.label, min: def.min, max: def.max, count: 0, touchDays: 0 };
+    });
 
     var n = kValues.length;
     for (var i = 0; i < n; i++) {
-      var k = kValues[i];
-      for (var b = 0; b < bands.length; b++) {
-        if (k >= bands[b].min && k < bands[b].max) {
-          bands[b].count++;
-          break;
-        }
-      }
-      // Edge case: k exactly at +Infinity boundary (euphoria captures k >= 2)
-      if (k >= 2) bands[5].count++;
-    }
-
-    // Fix double-count: the loop already catches k >= 2 in the euphoria band
-    // because Infinity > k, so the inner loop finds it. Remove the extra increment.
-    // Actually, let's fix the logic: the inner loop checks k < max, so k=2 would
-    // NOT match euphoria (2 < Infinity is true, so it DOES match). The extra
-    // increment after the loop would double-count. Let me remove it.
+      bands[bandIndexForK(kValues[i])].count++;
 
-    // Recalculate correctly: remove the post-loop euphoria fix
-    // Reset and recount properly
-    for (var b2 = 0; b2 < bands.length; b2++) bands[b2].count = 0;
-
-    for (var i2 = 0; i2 < n; i2++) {
-      var k2 = kValues[i2];
-      if (k2 < -2) { bands[0].count++; }
-      else if (k2 < -1) { bands[1].count++; }
-      else if (k2 < 0) { bands[2].count++; }
-      else if (k2 < 1) { bands[3].count++; }
-      else if (k2 < 2) { bands[4].count++; }
-      else { bands[5].count++; }
+      var hiK = intraday ? intraday.highK[i] : kValues[i];
+      var loK = intraday ? intraday.lowK[i] : kValues[i];
+      for (var b = bandIndexForK(loK); b <= bandIndexForK(hiK); b++) {
+        bands[b].touchDays++;
+      }
     }
 
     // Compute percentages and days per year
@@ -219,11 +201,39 @@
       bands[b3].days = bands[b3].count;
       bands[b3].pct = n > 0 ? (bands[b3].count / n) * 100 : 0;
       bands[b3].daysPerYear = n > 0 ? (bands[b3].count / n) * 365.25 : 0;
+      bands[b3].touchPct = n > 0 ? (bands[b3].touchDays / n) * 100 : 0;
     }
 
     return bands;
   }
 
+  // Highest / lowest price-to-trend multiplier, on closes and on intraday
+  // highs/lows (close-only days fall back to the close)
+  function multiplierExtremes(historicalData, model) {
+    var result = {
+      close: { max: { value: 0, date: null }, min: { value: Infinity, date: null } },
+      intraday: { max: { value: 0, date: null }, min: { value: Infinity, date: null } },
+      intradayFrom: null
+    };
+
+    for (var i = 0; i < historicalData.length; i++) {
+      var point = historicalData[i];
+      if (!(point.price > 0)) continue;
+      var trend = PL.trendPrice(model, new Date(point.date));
+      var closeMult = point.price / trend;
+      var highMult = PL.pointHigh(point) / trend;
+      var lowMult = PL.pointLow(point) / trend;
+
+      if (closeMult > result.close.max.value) result.close.max = { value: closeMult, date: point.date };
+      if (closeMult < result.close.min.value) result.close.min = { value: closeMult, date: point.date };
+      if (highMult > result.intraday.max.value) result.intraday.max = { value: highMult, date: point.date };
+      if (lowMult < result.intraday.min.value) result.intraday.min = { value: lowMult, date: point.date };
+      if (!result.intradayFrom && PL.hasOHLC(point)) result.intradayFrom = point.date;
+    }
+
+    return result;
+  }
+
 
   // ── Core Analysis Builder ─────────────────────────────────
 
@@ -234,9 +244,13 @@
     var sigmaResult = PL.calculateSigma(historicalData, model);
     var mean = sigmaResult.mean;
 
-    // Compute k-values for each day
+    // Compute k-values for each day (close, plus intraday high/low where
+    // the data has OHLC bars; close-only days reuse the close)
     var kValues = [];
+    var highK = [];
+    var lowK = [];
     var dates = [];
+    var intradayDays = 0;
 
     for (var i = 0; i < historicalData.length; i++) {
       var point = historicalData[i];
@@ -244,10 +258,14 @@
       var trend = PL.trendPrice(model, date);
 
       if (trend > 0 && point.price > 0) {
-        var residual = Math.log10(point.price) - Math.log10(trend);
+        var logTrend = Math.log10(trend);
+        var residual = Math.log10(point.price) - logTrend;
         var k = residual / sigma;
         kValues.push(k);
+        highK.push((Math.log10(PL.pointHigh(point)) - logTrend) / sigma);
+        lowK.push((Math.log10(PL.pointLow(point)) - logTrend) / sigma);
         dates.push(point.date);
+        if (PL.hasOHLC(point)) intradayDays++;
       }
     }
 
@@ -261,19 +279,24 @@
     var horizons = [30, 90, 180, 365];
     var transitions = buildTransitions(kValues, horizons);
 
-    // Compute band-time statistics
-    var bandDays = computeBandDays(kValues);
+    // Compute band-time statistics (closes + intraday touches)
+    var bandDays = computeBandDays(kValues, { highK: highK, lowK: lowK });
 
     return {
       kValues: kValues,
+      highK: highK,
+      lowK: lowK,
+      intradayDays: intradayDays,
       dates: dates,
+      model: model,
       sigma: sigma,
       mean: mean,
       count: kValues.length,
       sortedK: sortedK,
       phases: phases,
       transitions: transitions,
-      bandDays: bandDays
+      bandDays: bandDays,
+      extremes: multiplierExtremes(historicalData, model)
     };
   }
 
@@ -413,81 +436,784 @@
   // ── Future Projection (Req #5) ────────────────────────────
 
   // Given current k, what does k look like after horizonDays?
-  // Uses historical transition pairs filtered by starting k
-  function futureKDistribution(analysis, currentK, horizonDays) {
-    var tolerance = 0.3;
-
-    // Find the closest available horizon
-    var availableHorizons = [30, 90, 180, 365];
-    var bestHorizon = availableHorizons[0];
-    var bestDiff = Math.abs(horizonDays - bestHorizon);
-
-    for (var h = 1; h < availableHorizons.length; h++) {
-      var diff = Math.abs(horizonDays - availableHorizons[h]);
-      if (diff < bestDiff) {
-        bestDiff = diff;
-        bestHorizon = availableHorizons[h];
+  // Every day in history is a start; its k `horizonDays` later is the
+  // outcome. Starts are weighted by a Gaussian kernel on how close their k
+  // was to currentK (bandwidth in σ), so any horizon works and there are
+  // no bucket edges.
+  //
+  // Overlapping windows: starts a few days apart share almost all of their
+  // future path, so they are not independent draws. Starts are grouped
+  // into blocks of blockDays (at least the horizon); intervals and the
+  // effective sample size treat each block as one observation:
+  //   effectiveSampleSize  (Σ block weight)² / Σ block weight²
+  //   naiveSampleSize      the same over single days (Kish) — overconfident
+  //   ci.mean              cluster-robust standard error of the weighted mean
+  //   ci.p10 ... ci.p90    Woodruff intervals with the same block variance
+  // Both variances get the G/(G − 1) small-sample factor for G blocks;
+  // with a single block there is nothing to compare and ci is null.
+  var FUTURE_K_DEFAULTS = {
+    bandwidth: 0.2,         // kernel sd, sigma-k
+    minBlockDays: 90,       // block length floor for short horizons
+    confidence: 0.9,
+    maxGapDays: 3           // outcome may land this far past the horizon (data gaps)
+  };
+  var FUTURE_K_PERCENTILES = [10, 25, 50, 75, 90];
+
+  // Value at cumulative weight share q; points sorted by value, each at
+  // the midpoint of its own weight
+  function weightedQuantile(sorted, totalWeight, q) {
+    var n = sorted.length;
+    var cum = 0;
+    var prevPos = null;
+    for (var i = 0; i < n; i++) {
+      var pos = (cum + sorted[i].w / 2) / totalWeight;
+      if (pos >= q) {
+        if (prevPos === null) return sorted[i].v;
+        var frac = (q - prevPos) / (pos - prevPos);
+        return sorted[i - 1].v + frac * (sorted[i].v - sorted[i - 1].v);
+      }
+      cum += sorted[i].w;
+      prevPos = pos;
+    }
+    return sorted[n - 1].v;
+  }
+
+  function emptyFutureK(horizonDays, opts) {
+    var percentiles = {};
+    FUTURE_K_PERCENTILES.forEach(function(p) { percentiles['p' + p] = 0; });
+    return {
+      percentiles: percentiles,
+      mean: 0,
+      sd: 0,
+      ci: null,
+      sampleSize: 0,
+      effectiveSampleSize: 0,
+      naiveSampleSize: 0,
+      blocks: 0,
+      histogram: [],
+      horizonDays: horizonDays,
+      bandwidth: opts.bandwidth,
+      blockDays: Math.max(horizonDays, opts.minBlockDays),
+      confidence: opts.confidence
+    };
+  }
+
+  // options: bandwidth, minBlockDays, confidence (FUTURE_K_DEFAULTS).
+  // Returns { percentiles, mean, sd, ci (null below two blocks),
+  //   sampleSize (pairs with weight),
+  //   effectiveSampleSize, naiveSampleSize, blocks, histogram,
+  //   horizonDays, bandwidth, blockDays, confidence }
+  function futureKDistribution(analysis, currentK, horizonDays, options) {
+    var opts = {};
+    for (var key in FUTURE_K_DEFAULTS) {
+      opts[key] = options && options[key] != null ? options[key] : FUTURE_K_DEFAULTS[key];
+    }
+    horizonDays = Math.max(1, Math.round(horizonDays));
+    var blockDays = Math.max(horizonDays, opts.minBlockDays);
+    var kValues = analysis.kValues;
+    var days = analysis.dates.map(dayNumber);
+    var n = kValues.length;
+    var cutoff = 4 * opts.bandwidth;
+
+    // Weighted (start, outcome) pairs, grouped into blocks by start date
+    var pairs = [];
+    var j = 0;
+    for (var i = 0; i < n; i++) {
+      var target = days[i] + horizonDays;
+      if (target > days[n - 1]) break;
+      var dist = kValues[i] - currentK;
+      if (Math.abs(dist) > cutoff) continue;
+      if (j < i) j = i;
+      while (j < n - 1 && days[j] < target) j++;
+      if (days[j] < target || days[j] - target > opts.maxGapDays) continue;
+      var z = dist / opts.bandwidth;
+      pairs.push({
+        v: kValues[j],
+        w: Math.exp(-0.5 * z * z),
+        block: Math.floor((days[i] - days[0]) / blockDays)
+      });
+    }
+    if (pairs.length === 0) return emptyFutureK(horizonDays, opts);
+
+    var W = 0, W2 = 0, mean = 0;
+    for (var p = 0; p < pairs.length; p++) {
+      W += pairs[p].w;
+      W2 += pairs[p].w * pairs[p].w;
+      mean += pairs[p].w * pairs[p].v;
+    }
+    mean /= W;
+    var variance = 0;
+    for (var q = 0; q < pairs.length; q++) variance += pairs[q].w * Math.pow(pairs[q].v - mean, 2);
+
+    // Per-block weight and weighted deviation from the mean
+    var blockList = [];
+    var blockOf = {};
+    pairs.forEach(function(pair) {
+      var b = blockOf[pair.block];
+      if (!b) {
+        b = blockOf[pair.block] = { w: 0, dev: 0, pairs: [] };
+        blockList.push(b);
       }
+      b.w += pair.w;
+      b.dev += pair.w * (pair.v - mean);
+      b.pairs.push(pair);
+    });
+    var B2 = 0, meanVar = 0;
+    blockList.forEach(function(b) {
+      B2 += b.w * b.w;
+      meanVar += b.dev * b.dev;
+    });
+    var G = blockList.length;
+    var correction = G > 1 ? G / (G - 1) : 0;
+    var zCrit = PL.normalQuantile(1 - (1 - opts.confidence) / 2);
+    var meanSe = Math.sqrt(correction * meanVar) / W;
+
+    var sorted = pairs.slice().sort(function(a, b) { return a.v - b.v; });
+    var percentiles = {};
+    var ci = G > 1 ? { mean: [mean - zCrit * meanSe, mean + zCrit * meanSe] } : null;
+    FUTURE_K_PERCENTILES.forEach(function(pct) {
+      var level = pct / 100;
+      var x = weightedQuantile(sorted, W, level);
+      percentiles['p' + pct] = x;
+      if (!ci) return;
+      // Var of the weighted share at or below x, blocks as clusters
+      var shareVar = 0;
+      blockList.forEach(function(b) {
+        var dev = 0;
+        for (var m = 0; m < b.pairs.length; m++) dev += b.pairs[m].w * ((b.pairs[m].v <= x ? 1 : 0) - level);
+        shareVar += dev * dev;
+      });
+      var se = Math.sqrt(correction * shareVar) / W;
+      ci['p' + pct] = [
+        weightedQuantile(sorted, W, Math.max(0, level - zCrit * se)),
+        weightedQuantile(sorted, W, Math.min(1, level + zCrit * se))
+      ];
+    });
+
+    return {
+      percentiles: percentiles,
+      mean: mean,
+      sd: Math.sqrt(variance / W),
+      ci: ci,
+      sampleSize: pairs.length,
+      effectiveSampleSize: W * W / B2,
+      naiveSampleSize: W * W / W2,
+      blocks: G,
+      histogram: buildHistogram(pairs.map(function(pair) { return pair.v; }), 20, -3, 3,
+        pairs.map(function(pair) { return pair.w; })),
+      horizonDays: horizonDays,
+      bandwidth: opts.bandwidth,
+      blockDays: blockDays,
+      confidence: opts.confidence
+    };
+  }
+
+  // Convenience: projection at several horizons, keyed 't<days>'
+  // (options.horizons, default 30, 90, 180 and 365 days; other options
+  // go to futureKDistribution)
+  function futureKProjection(analysis, currentK, options) {
+    var horizons = (options && options.horizons) || [30, 90, 180, 365];
+    var out = {};
+    for (var h = 0; h < horizons.length; h++) {
+      out['t' + horizons[h]] = futureKDistribution(analysis, currentK, horizons[h], options);
     }
+    return out;
+  }
+
 
-    // Get matching end-k values
-    var endKValues = filterByKBucket(analysis.transitions, bestHorizon, currentK, tolerance);
+  // ── First Passage ─────────────────────────────────────────
+  // How long until k (or price) first reaches a target from currentK,
+  // measured on history's own paths. Every day is a start, weighted by a
+  // Gaussian kernel on how close its k was to currentK (as in
+  // futureKDistribution). Each path is laid over the trend from `start`
+  // on, so a price target is judged against today's trend, not the one
+  // at the historical start. Closes only, like the scenario paths.
+  //
+  // A path that runs out of data first is censored, not dropped (see
+  // PowerLaw.firstPassageSummary). Paths from nearby starts share most of
+  // their future, so effectiveSampleSize counts blocks of blockDays.
+  var HITTING_TIME_DEFAULTS = {
+    bandwidth: 0.2,         // kernel sd, sigma-k
+    years: 10,              // follow each path at most this long
+    blockDays: 365
+  };
+
+  // target: { price } or { k }, or an array of them (→ array of
+  // results). options: bandwidth, years, blockDays,
+  // start (default now), within, direction ('above' | 'below', default
+  // from currentK vs the target today).
+  // Returns PowerLaw.firstPassageSummary() plus { direction, targetK
+  //   (today), effectiveSampleSize, blocks, bandwidth, blockDays }
+  function hittingTimes(analysis, currentK, target, options) {
+    if (Array.isArray(target)) {
+      return target.map(function(t) { return hittingTimes(analysis, currentK, t, options); });
+    }
+    var opts = {};
+    for (var key in HITTING_TIME_DEFAULTS) {
+      opts[key] = options && options[key] != null ? options[key] : HITTING_TIME_DEFAULTS[key];
+    }
+    var start = (options && options.start) || new Date();
+    var kValues = analysis.kValues;
+    var days = analysis.dates.map(dayNumber);
+    var n = kValues.length;
+    var maxDays = Math.round(opts.years * 365.25);
+    var cutoff = 4 * opts.bandwidth;
 
-    if (endKValues.length === 0) {
-      // Widen tolerance if no matches
-      endKValues = filterByKBucket(analysis.transitions, bestHorizon, currentK, 0.5);
+    // Target sigma-k for each day from start
+    var targetK = new Array(maxDays + 1);
+    for (var d = 0; d <= maxDays; d++) {
+      targetK[d] = PL.targetSigmaK(target, analysis.model, analysis.sigma, new Date(start.getTime() + d * 86400000));
+    }
+    var direction = (options && options.direction) || (currentK <= targetK[0] ? 'above' : 'below');
+    var above = direction === 'above';
+
+    var samples = [];
+    var blockWeight = {};
+    for (var i = 0; i < n - 1; i++) {
+      var dist = kValues[i] - currentK;
+      if (Math.abs(dist) > cutoff) continue;
+      var z = dist / opts.bandwidth;
+      var w = Math.exp(-0.5 * z * z);
+      var hitDays = null;
+      for (var j = i + 1; j < n; j++) {
+        var elapsed = days[j] - days[i];
+        if (elapsed > maxDays) break;
+        if (above ? kValues[j] >= targetK[elapsed] : kValues[j] <= targetK[elapsed]) {
+          hitDays = elapsed;
+          break;
+        }
+      }
+      samples.push(hitDays !== null
+        ? { t: hitDays / 365.25, hit: true, w: w }
+        : { t: Math.min(maxDays, days[n - 1] - days[i]) / 365.25, hit: false, w: w });
+      var block = Math.floor((days[i] - days[0]) / opts.blockDays);
+      blockWeight[block] = (blockWeight[block] || 0) + w;
     }
 
-    if (endKValues.length === 0) {
-      return {
-        percentiles: { p10: 0, p25: 0, p50: 0, p75: 0, p90: 0 },
-        mean: 0,
-        sampleSize: 0,
-        histogram: []
-      };
+    var W = 0, B2 = 0, blocks = 0;
+    for (var b in blockWeight) {
+      W += blockWeight[b];
+      B2 += blockWeight[b] * blockWeight[b];
+      blocks++;
     }
+    var result = PL.firstPassageSummary(samples, options || {});
+    result.direction = direction;
+    result.targetK = targetK[0];
+    result.effectiveSampleSize = B2 > 0 ? W * W / B2 : 0;
+    result.blocks = blocks;
+    result.bandwidth = opts.bandwidth;
+    result.blockDays = opts.blockDays;
+    return result;
+  }
 
-    var stats = descriptiveStats(endKValues);
 
-    // Compute percentiles
-    var sorted = endKValues.slice().sort(function(a, b) { return a - b; });
-    var n = sorted.length;
+  // ── Cycle Detection ───────────────────────────────────────
+  // Finds cycle tops and bottoms in the daily k series.
+  //   Peak:   the highest k within ±minSeparationDays, standing at least
+  //           minProminence (in σ) above the deeper of the two valleys
+  //           that separate it from higher ground (topographic prominence),
+  //           with a full minSeparationDays of data after it
+  //   Trough: the lowest k between two consecutive peaks, and after the
+  //           last one (confirmed once minSeparationDays have passed)
+  // Each cycle is a peak and the trough that follows it.
+
+  var CYCLE_DETECTION_DEFAULTS = {
+    minSeparationDays: 365,
+    minProminence: 1.0
+  };
+
+  function dayNumber(dateStr) {
+    return Math.round(Date.parse(dateStr + 'T00:00:00Z') / 86400000);
+  }
+
+  function peakProminence(kValues, i) {
+    var leftMin = kValues[i];
+    for (var l = i - 1; l >= 0 && kValues[l] <= kValues[i]; l--) {
+      if (kValues[l] < leftMin) leftMin = kValues[l];
+    }
+    var rightMin = kValues[i];
+    for (var r = i + 1; r < kValues.length && kValues[r] <= kValues[i]; r++) {
+      if (kValues[r] < rightMin) rightMin = kValues[r];
+    }
+    // A side that never meets higher ground doesn't limit the prominence
+    var leftOpen = l < 0;
+    var rightOpen = r >= kValues.length;
+    var base = leftOpen && rightOpen ? Math.min(leftMin, rightMin)
+      : leftOpen ? rightMin
+      : rightOpen ? leftMin
+      : Math.max(leftMin, rightMin);
+    return kValues[i] - base;
+  }
+
+  // One extreme: date, k, multiple of trend, close, Bitcoin age
+  function cyclePoint(analysis, i) {
+    var date = analysis.dates[i];
+    var multiple = Math.pow(10, analysis.kValues[i] * analysis.sigma);
+    return {
+      index: i,
+      date: date,
+      k: analysis.kValues[i],
+      multiple: multiple,
+      price: PL.trendPrice(analysis.model, new Date(date)) * multiple,
+      age: PL.yearsSinceGenesis(new Date(date))
+    };
+  }
 
-    function pctVal(p) {
-      var idx = (p / 100) * (n - 1);
-      var lo = Math.floor(idx);
-      var hi = Math.ceil(idx);
-      if (lo === hi) return sorted[lo];
-      var frac = idx - lo;
-      return sorted[lo] + frac * (sorted[hi] - sorted[lo]);
-    }
-
-    var percentiles = {
-      p10: pctVal(10),
-      p25: pctVal(25),
-      p50: pctVal(50),
-      p75: pctVal(75),
-      p90: pctVal(90)
+  // Days from index `from` until k first reaches 0 (direction +1: from
+  // below, −1: from above); null if it hasn't yet
+  function daysToTrend(analysis, from, direction) {
+    for (var j = from + 1; j < analysis.kValues.length; j++) {
+      if (direction * analysis.kValues[j] >= 0) {
+        return { days: dayNumber(analysis.dates[j]) - dayNumber(analysis.dates[from]), date: analysis.dates[j] };
+      }
+    }
+    return null;
+  }
+
+  // analysis from buildAnalysis(). options: minSeparationDays, minProminence
+  // Returns { peaks, troughs, cycles, options }. cycles[i]:
+  //   { peak, trough, drawdown (fraction of the peak price lost),
+  //     peakToTroughDays, peakToTrendDays, recoveryDays (trough → back at
+  //     trend, null if not yet), recoveredDate, confirmed }
+  function detectCycles(analysis, options) {
+    var opts = {};
+    for (var key in CYCLE_DETECTION_DEFAULTS) {
+      opts[key] = options && options[key] != null ? options[key] : CYCLE_DETECTION_DEFAULTS[key];
+    }
+    var kValues = analysis.kValues;
+    var n = kValues.length;
+    var days = analysis.dates.map(dayNumber);
+
+    // Peaks: window maxima (earliest wins ties), then prominence
+    var peaks = [];
+    var lo = 0;
+    var hi = 0;
+    var lastDay = days[n - 1];
+    for (var i = 0; i < n && lastDay - days[i] >= opts.minSeparationDays; i++) {
+      while (days[i] - days[lo] > opts.minSeparationDays) lo++;
+      while (hi + 1 < n && days[hi + 1] - days[i] <= opts.minSeparationDays) hi++;
+      var isMax = true;
+      for (var j = lo; j <= hi && isMax; j++) {
+        if (kValues[j] > kValues[i] || (kValues[j] === kValues[i] && j < i)) isMax = false;
+      }
+      if (isMax && peakProminence(kValues, i) >= opts.minProminence) peaks.push(i);
+    }
+
+    // Troughs: lowest k after each peak, up to the next peak (or the end)
+    var cycles = [];
+    var troughs = [];
+    for (var p = 0; p < peaks.length; p++) {
+      var end = p + 1 < peaks.length ? peaks[p + 1] : n;
+      var t = peaks[p];
+      for (var m = peaks[p] + 1; m < end; m++) {
+        if (kValues[m] < kValues[t]) t = m;
+      }
+      if (t === peaks[p]) continue;
+      troughs.push(t);
+
+      var peak = cyclePoint(analysis, peaks[p]);
+      var trough = cyclePoint(analysis, t);
+      var fall = daysToTrend(analysis, peaks[p], -1);
+      var recovery = daysToTrend(analysis, t, 1);
+      cycles.push({
+        peak: peak,
+        trough: trough,
+        drawdown: 1 - trough.price / peak.price,
+        peakToTroughDays: days[t] - days[peaks[p]],
+        peakToTrendDays: fall ? fall.days : null,
+        recoveryDays: recovery ? recovery.days : null,
+        recoveredDate: recovery ? recovery.date : null,
+        // The last trough can still be undercut
+        confirmed: end < n || lastDay - days[t] > opts.minSeparationDays
+      });
+    }
+
+    return {
+      peaks: peaks.map(function(idx) { return cyclePoint(analysis, idx); }),
+      troughs: troughs.map(function(idx) { return cyclePoint(analysis, idx); }),
+      cycles: cycles,
+      options: opts
     };
+  }
+
 
-    // Build histogram of end-k distribution
-    var histogram = buildHistogram(endKValues, 20, -3, 3);
+  // ── Cycle Calibration ─────────────────────────────────────
+  // Starting values for PowerLaw.fitCyclical from detectCycles() output,
+  // using confirmed cycles only:
+  //   lambda, firstTrough: log(trough age) regressed on cycle number
+  //   alpha, peakK0:       log(peak k) regressed on log(peak age)
+  //   troughDepth:         mean trough k
+  // Returns null with fewer than two confirmed cycles.
+
+  // Least-squares line y = intercept + slope × x
+  function fitLine(xs, ys) {
+    var n = xs.length;
+    var mx = 0;
+    var my = 0;
+    for (var i = 0; i < n; i++) {
+      mx += xs[i] / n;
+      my += ys[i] / n;
+    }
+    var sxy = 0;
+    var sxx = 0;
+    for (var j = 0; j < n; j++) {
+      sxy += (xs[j] - mx) * (ys[j] - my);
+      sxx += (xs[j] - mx) * (xs[j] - mx);
+    }
+    var slope = sxx > 0 ? sxy / sxx : 0;
+    return { slope: slope, intercept: my - slope * mx };
+  }
 
+  function cycleCalibration(detection) {
+    var cycles = detection.cycles.filter(function(c) { return c.confirmed; });
+    if (cycles.length < 2) return null;
+
+    var troughs = fitLine(
+      cycles.map(function(c, i) { return i; }),
+      cycles.map(function(c) { return Math.log(c.trough.age); })
+    );
+    var peaks = cycles.filter(function(c) { return c.peak.k > 0; });
+    var envelope = peaks.length >= 2
+      ? fitLine(
+          peaks.map(function(c) { return Math.log(c.peak.age); }),
+          peaks.map(function(c) { return Math.log(c.peak.k); })
+        )
+      : null;
+    var troughDepth = 0;
+    for (var i = 0; i < cycles.length; i++) troughDepth += cycles[i].trough.k / cycles.length;
+
+    var defaults = PL.CYCLICAL_DEFAULTS;
     return {
-      percentiles: percentiles,
-      mean: stats.mean,
-      sampleSize: n,
-      histogram: histogram
+      lambda: Math.exp(troughs.slope) > 1 ? Math.exp(troughs.slope) : defaults.lambda,
+      firstTrough: Math.exp(troughs.intercept),
+      alpha: envelope ? -envelope.slope : defaults.alpha,
+      peakK0: envelope ? Math.exp(envelope.intercept) : defaults.peakK0,
+      troughDepth: troughDepth
     };
   }
 
-  // Convenience: projection at all standard horizons
-  function futureKProjection(analysis, currentK) {
+
+  // ── Regime Model ──────────────────────────────────────────
+  // Four market regimes as a hidden Markov model on weekly samples of
+  //   k   (distance from trend) and
+  //   Δk  (change in k over the last changeWeeks)
+  // with an independent Gaussian for each per regime. A threshold rule
+  // gives the starting labels:
+  //   euphoria      k ≥ euphoriaK
+  //   bear          Δk < 0 (below euphoria)
+  //   accumulation  k < 0,  Δk ≥ 0
+  //   bull          k ≥ 0,  Δk ≥ 0
+  // method 'hmm' refines them with Baum-Welch; method 'threshold' keeps
+  // the rule's labels and only counts transitions. Each regime also gets
+  // an AR(1) for k, k' = a + b × k + vol × ε, by posterior-weighted least
+  // squares — PowerLaw's 'regime' scenario simulates from it.
+
+  var REGIMES = ['accumulation', 'bull', 'euphoria', 'bear'];
+  var REGIME_DEFAULTS = {
+    method: 'hmm',
+    from: '2011-01-01',
+    stepDays: 7,
+    changeWeeks: 4,
+    euphoriaK: 1.5,
+    maxIter: 200,
+    tolerance: 1e-6
+  };
+  var MIN_REGIME_SD = 0.05;
+
+  function thresholdRegime(k, change, euphoriaK) {
+    if (k >= euphoriaK) return 2;
+    if (change < 0) return 3;
+    return k < 0 ? 0 : 1;
+  }
+
+  // Weekly samples { date, k, change } from a buildAnalysis() result
+  function regimeSamples(analysis, opts) {
+    var picked = [];
+    var next = -Infinity;
+    for (var i = 0; i < analysis.dates.length; i++) {
+      var day = dayNumber(analysis.dates[i]);
+      if (analysis.dates[i] < opts.from || day < next) continue;
+      picked.push({ date: analysis.dates[i], k: analysis.kValues[i] });
+      next = day + opts.stepDays;
+    }
+    var samples = [];
+    for (var j = opts.changeWeeks; j < picked.length; j++) {
+      samples.push({ date: picked[j].date, k: picked[j].k, change: picked[j].k - picked[j - opts.changeWeeks].k });
+    }
+    return samples;
+  }
+
+  function normalPdf(x, mean, sd) {
+    var z = (x - mean) / sd;
+    return Math.exp(-0.5 * z * z) / (sd * Math.sqrt(2 * Math.PI));
+  }
+
+  // Emission parameters and AR(1) dynamics from weights[t][s]
+  function regimeParams(samples, weights) {
+    var S = REGIMES.length;
+    var states = [];
+    for (var s = 0; s < S; s++) {
+      var w = 0, mk = 0, mc = 0;
+      for (var t = 0; t < samples.length; t++) {
+        w += weights[t][s];
+        mk += weights[t][s] * samples[t].k;
+        mc += weights[t][s] * samples[t].change;
+      }
+      w = Math.max(w, 1e-9);
+      mk /= w;
+      mc /= w;
+      var vk = 0, vc = 0;
+      for (var u = 0; u < samples.length; u++) {
+        vk += weights[u][s] * Math.pow(samples[u].k - mk, 2);
+        vc += weights[u][s] * Math.pow(samples[u].change - mc, 2);
+      }
+
+      // k(t) on k(t−1), weighted by the regime at t
+      var sw = 0, sx = 0, sy = 0, sxx = 0, sxy = 0;
+      for (var v = 1; v < samples.length; v++) {
+        var wt = weights[v][s];
+        var x = samples[v - 1].k;
+        var y = samples[v].k;
+        sw += wt; sx += wt * x; sy += wt * y; sxx += wt * x * x; sxy += wt * x * y;
+      }
+      var denom = sw * sxx - sx * sx;
+      var b = denom > 1e-12 ? (sw * sxy - sx * sy) / denom : 1;
+      var a = sw > 0 ? (sy - b * sx) / sw : 0;
+      var sse = 0;
+      for (var r = 1; r < samples.length; r++) {
+        sse += weights[r][s] * Math.pow(samples[r].k - a - b * samples[r - 1].k, 2);
+      }
+
+      states.push({
+        id: REGIMES[s],
+        weight: w,
+        meanK: mk,
+        sdK: Math.max(Math.sqrt(vk / w), MIN_REGIME_SD),
+        meanChange: mc,
+        sdChange: Math.max(Math.sqrt(vc / w), MIN_REGIME_SD),
+        a: a,
+        b: b,
+        vol: Math.sqrt(sse / Math.max(sw, 1e-9))
+      });
+    }
+    return states;
+  }
+
+  function emissionRows(samples, states) {
+    return samples.map(function(p) {
+      return states.map(function(st) {
+        return Math.max(normalPdf(p.k, st.meanK, st.sdK) * normalPdf(p.change, st.meanChange, st.sdChange), 1e-300);
+      });
+    });
+  }
+
+  // Scaled forward-backward: { gamma, xi (summed over t), logLikelihood, filtered }
+  function forwardBackward(emissions, transition, initial) {
+    var T = emissions.length;
+    var S = initial.length;
+    var alpha = [];
+    var scale = [];
+    var logLikelihood = 0;
+    for (var t = 0; t < T; t++) {
+      var row = new Array(S);
+      var total = 0;
+      for (var s = 0; s < S; s++) {
+        var prior = 0;
+        if (t === 0) {
+          prior = initial[s];
+        } else {
+          for (var q = 0; q < S; q++) prior += alpha[t - 1][q] * transition[q][s];
+        }
+        row[s] = prior * emissions[t][s];
+        total += row[s];
+      }
+      for (var s2 = 0; s2 < S; s2++) row[s2] /= total;
+      alpha.push(row);
+      scale.push(total);
+      logLikelihood += Math.log(total);
+    }
+
+    var beta = new Array(T);
+    beta[T - 1] = initial.map(function() { return 1; });
+    for (var t2 = T - 2; t2 >= 0; t2--) {
+      beta[t2] = new Array(S);
+      for (var i = 0; i < S; i++) {
+        var sum = 0;
+        for (var j = 0; j < S; j++) sum += transition[i][j] * emissions[t2 + 1][j] * beta[t2 + 1][j];
+        beta[t2][i] = sum / scale[t2 + 1];
+      }
+    }
+
+    var gamma = [];
+    var xi = initial.map(function() { return initial.map(function() { return 0; }); });
+    for (var t3 = 0; t3 < T; t3++) {
+      var g = new Array(S);
+      var norm = 0;
+      for (var s3 = 0; s3 < S; s3++) {
+        g[s3] = alpha[t3][s3] * beta[t3][s3];
+        norm += g[s3];
+      }
+      for (var s4 = 0; s4 < S; s4++) g[s4] /= norm;
+      gamma.push(g);
+      if (t3 === 0) continue;
+      for (var a = 0; a < S; a++) {
+        for (var b = 0; b < S; b++) {
+          xi[a][b] += alpha[t3 - 1][a] * transition[a][b] * emissions[t3][b] * beta[t3][b] / scale[t3];
+        }
+      }
+    }
+    return { gamma: gamma, xi: xi, logLikelihood: logLikelihood, filtered: alpha[T - 1] };
+  }
+
+  // Most likely regime sequence
+  function viterbi(emissions, transition, initial) {
+    var T = emissions.length;
+    var S = initial.length;
+    var logTrans = transition.map(function(row) { return row.map(function(p) { return Math.log(Math.max(p, 1e-300)); }); });
+    var score = initial.map(function(p, s) { return Math.log(Math.max(p, 1e-300)) + Math.log(emissions[0][s]); });
+    var back = [];
+    for (var t = 1; t < T; t++) {
+      var next = new Array(S);
+      var from = new Array(S);
+      for (var s = 0; s < S; s++) {
+        var best = -Infinity;
+        for (var q = 0; q < S; q++) {
+          var cand = score[q] + logTrans[q][s];
+          if (cand > best) { best = cand; from[s] = q; }
+        }
+        next[s] = best + Math.log(emissions[t][s]);
+      }
+      back.push(from);
+      score = next;
+    }
+    var path = new Array(T);
+    path[T - 1] = score.indexOf(Math.max.apply(null, score));
+    for (var t2 = T - 1; t2 > 0; t2--) path[t2 - 1] = back[t2 - 1][path[t2]];
+    return path;
+  }
+
+  // Rows of counts → row-stochastic matrix (empty rows stay put)
+  function normalizeRows(counts) {
+    return counts.map(function(row, i) {
+      var total = row.reduce(function(sum, x) { return sum + x; }, 0);
+      return row.map(function(x, j) { return total > 0 ? x / total : (i === j ? 1 : 0); });
+    });
+  }
+
+  // EM can swap what the states mean; put them back in REGIMES order:
+  // euphoria = highest k, bear = most negative Δk of the rest,
+  // accumulation = lowest k of the last two
+  function regimeOrder(states) {
+    var left = [0, 1, 2, 3];
+    function take(pick) {
+      var best = left.reduce(function(b, s) { return pick(states[s], states[b]) ? s : b; });
+      left.splice(left.indexOf(best), 1);
+      return best;
+    }
+    var euphoria = take(function(x, y) { return x.meanK > y.meanK; });
+    var bear = take(function(x, y) { return x.meanChange < y.meanChange; });
+    var accumulation = take(function(x, y) { return x.meanK < y.meanK; });
+    return [accumulation, left[0], euphoria, bear];
+  }
+
+  // analysis: { dates, kValues } (buildAnalysis() or rescaled). Returns
+  //   { method, regimes, stepDays, transition (per step, rows = from),
+  //     states: [{ id, meanK, sdK, meanChange, sdChange, share,
+  //                expectedDays, a, b, vol }],
+  //     dates, kValues, path (regime index per sample), probabilities,
+  //     current: { date, regime, probabilities, since, daysIn,
+  //                expectedRemainingDays },
+  //     logLikelihood, iterations, converged, count }
+  function fitRegimes(analysis, options) {
+    var opts = {};
+    for (var key in REGIME_DEFAULTS) {
+      opts[key] = options && options[key] != null ? options[key] : REGIME_DEFAULTS[key];
+    }
+    var samples = regimeSamples(analysis, opts);
+    var T = samples.length;
+    var S = REGIMES.length;
+    if (T < 104) throw new Error('Not enough history to fit the regime model');
+
+    var labels = samples.map(function(p) { return thresholdRegime(p.k, p.change, opts.euphoriaK); });
+    var weights = labels.map(function(s) { return REGIMES.map(function(_, i) { return i === s ? 1 : 0; }); });
+    var counts = REGIMES.map(function() { return REGIMES.map(function() { return 0; }); });
+    for (var t = 1; t < T; t++) counts[labels[t - 1]][labels[t]]++;
+    var transition = normalizeRows(counts);
+    var initial = weights[0].slice();
+    var states = regimeParams(samples, weights);
+    var iterations = 0;
+    var converged = opts.method === 'threshold';
+    var logLikelihood = null;
+    var filtered = weights[T - 1];
+    var path = labels;
+
+    if (opts.method === 'hmm') {
+      // Keep every start state reachable
+      initial = initial.map(function(p) { return (p + 0.01) / (1 + 0.01 * S); });
+      var previous = -Infinity;
+      while (iterations < opts.maxIter && !converged) {
+        iterations++;
+        var fb = forwardBackward(emissionRows(samples, states), transition, initial);
+        weights = fb.gamma;
+        transition = normalizeRows(fb.xi);
+        initial = fb.gamma[0].slice();
+        states = regimeParams(samples, weights);
+        converged = Math.abs(fb.logLikelihood - previous) < opts.tolerance * Math.abs(fb.logLikelihood);
+        previous = fb.logLikelihood;
+      }
+      var order = regimeOrder(states);
+      states = order.map(function(s) { return states[s]; });
+      transition = order.map(function(i) { return order.map(function(j) { return transition[i][j]; }); });
+      initial = order.map(function(s) { return initial[s]; });
+      var emissions = emissionRows(samples, states);
+      var final = forwardBackward(emissions, transition, initial);
+      weights = final.gamma;
+      logLikelihood = final.logLikelihood;
+      filtered = final.filtered;
+      path = viterbi(emissions, transition, initial);
+    }
+
+    states.forEach(function(st, s) {
+      st.id = REGIMES[s];
+      st.share = st.weight / T;
+      st.expectedDays = opts.stepDays / Math.max(1 - transition[s][s], 1e-9);
+      delete st.weight;
+    });
+
+    // Run length of today's regime along the path; remaining time is
+    // geometric in each regime (p/(1 − p) more steps), mixed over today's
+    // probabilities
+    var current = path[T - 1];
+    var run = 1;
+    while (run < T && path[T - 1 - run] === current) run++;
+    var remaining = 0;
+    for (var s = 0; s < S; s++) {
+      var stay = transition[s][s];
+      remaining += filtered[s] * opts.stepDays * stay / Math.max(1 - stay, 1e-9);
+    }
+
     return {
-      t30:  futureKDistribution(analysis, currentK, 30),
-      t90:  futureKDistribution(analysis, currentK, 90),
-      t180: futureKDistribution(analysis, currentK, 180),
-      t365: futureKDistribution(analysis, currentK, 365)
+      method: opts.method,
+      regimes: REGIMES.slice(),
+      stepDays: opts.stepDays,
+      transition: transition,
+      states: states,
+      dates: samples.map(function(p) { return p.date; }),
+      kValues: samples.map(function(p) { return p.k; }),
+      path: path,
+      probabilities: weights,
+      current: {
+        date: samples[T - 1].date,
+        regime: REGIMES[current],
+        probabilities: filtered.slice(),
+        since: samples[T - run].date,
+        daysIn: dayNumber(samples[T - 1].date) - dayNumber(samples[T - run].date) + opts.stepDays,
+        expectedRemainingDays: remaining
+      },
+      logLikelihood: logLikelihood,
+      iterations: iterations,
+      converged: converged,
+      count: T
     };
   }
 
@@ -505,18 +1231,31 @@
 
   // ── Export ────────────────────────────────────────────────
 
-  window.CycleStats = {
+  globalThis.CycleStats = {
     buildAnalysis: buildAnalysis,
     percentileForK: percentileForK,
     kForPercentile: kForPercentile,
     timeInBands: timeInBands,
+    computeBandDays: computeBandDays,
+    multiplierExtremes: multiplierExtremes,
     probReachLevel: probReachLevel,
     priceLevelProbabilities: priceLevelProbabilities,
     phaseDurations: phaseDurations,
     meanReversionTime: meanReversionTime,
     futureKDistribution: futureKDistribution,
     futureKProjection: futureKProjection,
+    FUTURE_K_DEFAULTS: FUTURE_K_DEFAULTS,
+    HITTING_TIME_DEFAULTS: HITTING_TIME_DEFAULTS,
+    hittingTimes: hittingTimes,
+    CYCLE_DETECTION_DEFAULTS: CYCLE_DETECTION_DEFAULTS,
+    detectCycles: detectCycles,
+    cycleCalibration: cycleCalibration,
+    REGIMES: REGIMES,
+    REGIME_DEFAULTS: REGIME_DEFAULTS,
+    fitRegimes: fitRegimes,
     currentK: currentK
   };
 
 })();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = globalThis.CycleStats;
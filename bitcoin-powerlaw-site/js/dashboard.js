@@ -2,7 +2,8 @@
 
 let historicalData = [];
 let sigmaCache = {};
-let currentModel = 'santostasi';
+let currentModel = PowerLaw.selectedModel();
+let lastQuote = null;
 let sparklineChart = null;
 let chartRangeDays = 180;
 
@@ -16,17 +17,18 @@ const elements = {
   valuationBadge: document.getElementById('valuation-badge'),
   daysCount: document.getElementById('days-count'),
   sigmaValue: document.getElementById('sigma-value'),
-  dataPoints: document.getElementById('data-points')
+  dataPoints: document.getElementById('data-points'),
+  dataAsOf: document.getElementById('data-asof')
 };
 
 // Initialize
 async function init() {
   await loadHistoricalData();
-  await fillRecentPriceGap();
   calculateSigmas();
   await fetchLivePrice();
   initSparklineChart();
   setupRangeToggle();
+  setupModelToggle();
 
   // Update price every 60 seconds
   setInterval(fetchLivePrice, 60000);
@@ -35,9 +37,9 @@ async function init() {
 // Load historical data
 async function loadHistoricalData() {
   try {
-    const response = await fetch('datasets/btc_historical.json');
-    historicalData = await response.json();
+    historicalData = await PriceData.load();
     elements.dataPoints.textContent = historicalData.length.toLocaleString();
+    elements.dataAsOf.textContent = PriceData.describe();
   } catch (error) {
     console.error('Failed to load historical data:', error);
   }
@@ -45,32 +47,27 @@ async function loadHistoricalData() {
 
 // Calculate sigma for the model
 function calculateSigmas() {
-  sigmaCache.santostasi = PowerLaw.calculateSigma(historicalData, 'santostasi');
+  sigmaCache[currentModel] = PowerLaw.calculateSigma(historicalData, currentModel);
 }
 
-// Fetch live price from CoinGecko
+// Fetch live price via PriceFeed (falls back to the last close)
 async function fetchLivePrice() {
   try {
-    const response = await fetch(
-      'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd&include_24hr_change=true'
-    );
-    const data = await response.json();
-    const price = data.bitcoin.usd;
-    const change24h = data.bitcoin.usd_24h_change;
-
-    updateDashboard(price, change24h);
+    const quote = await PriceFeed.fetchQuote();
+    updateDashboard(quote.usd, quote.change24h, quote.source !== 'historical');
   } catch (error) {
     console.error('Failed to fetch live price:', error);
     // Fallback to latest historical price
     if (historicalData.length > 0) {
       const latest = historicalData[historicalData.length - 1];
-      updateDashboard(latest.price, null);
+      updateDashboard(latest.price, null, false);
     }
   }
 }
 
 // Update dashboard with price data
-function updateDashboard(price, change24h) {
+function updateDashboard(price, change24h, live) {
+  lastQuote = { price, change24h, live };
   const now = new Date();
   const model = currentModel;
   const trend = PowerLaw.trendPrice(model, now);
@@ -87,7 +84,8 @@ function updateDashboard(price, change24h) {
     elements.priceChange.textContent = `${changePrefix}${change24h.toFixed(2)}% (24h)`;
     elements.priceChange.className = 'card-sub ' + (change24h >= 0 ? 'green' : 'red');
   } else {
-    elements.priceChange.textContent = 'Live price unavailable';
+    // Some sources (Kraken, Coinbase) don't report a 24h change
+    elements.priceChange.textContent = live ? '24h change unavailable' : 'Live price unavailable';
     elements.priceChange.className = 'card-sub';
   }
 
@@ -109,7 +107,16 @@ function updateDashboard(price, change24h) {
   }
 }
 
-// Model toggle removed — single model (Santostasi)
+// Re-render when the shared model toggle changes
+function setupModelToggle() {
+  PowerLaw.onModelChange(e => {
+    if (e.type !== 'selected') return;
+    currentModel = e.model;
+    calculateSigmas();
+    updateSparklineData();
+    if (lastQuote) updateDashboard(lastQuote.price, lastQuote.change24h, lastQuote.live);
+  });
+}
 
 // Setup chart range toggle buttons
 function setupRangeToggle() {
@@ -284,54 +291,6 @@ function updateSparklineData() {
   sparklineChart.update();
 }
 
-// Fetch recent daily prices from CoinGecko to fill the gap between
-// the static btc_historical.json and today
-async function fillRecentPriceGap() {
-  if (historicalData.length === 0) return;
-
-  const lastDate = new Date(historicalData[historicalData.length - 1].date);
-  const now = new Date();
-  const gapDays = Math.floor((now - lastDate) / (1000 * 60 * 60 * 24));
-
-  if (gapDays <= 1) return; // no gap to fill
-
-  try {
-    // CoinGecko market_chart: fetch enough days to cover the gap + buffer
-    const fetchDays = Math.min(gapDays + 2, 90);
-    const response = await fetch(
-      `https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=${fetchDays}&interval=daily`
-    );
-    const data = await response.json();
-
-    if (!data.prices || data.prices.length === 0) return;
-
-    // Append only dates after our last historical entry
-    const lastTimestamp = lastDate.getTime();
-    let added = 0;
-
-    for (const [timestamp, price] of data.prices) {
-      if (timestamp > lastTimestamp + 12 * 60 * 60 * 1000) { // at least 12h after last entry
-        const date = new Date(timestamp);
-        const dateStr = date.toISOString().split('T')[0];
-
-        // Avoid duplicate dates
-        const alreadyExists = historicalData.some(d => d.date === dateStr);
-        if (!alreadyExists) {
-          historicalData.push({ date: dateStr, price: price });
-          added++;
-        }
-      }
-    }
-
-    if (added > 0) {
-      console.log(`Filled ${added} days of price data from CoinGecko`);
-      elements.dataPoints.textContent = historicalData.length.toLocaleString();
-    }
-  } catch (error) {
-    console.warn('Could not fill price gap from CoinGecko:', error);
-  }
-}
-
 // Update sparkline with current live price as the final data point
 function updateSparkline(price, trend, mult, sigma) {
   if (!sparklineChart) return;
@@ -1,5 +1,5 @@
 // ── Home Equity Bitcoin Calculator — UI Handler ────────────────────
-// Mirrors dca-ui.js / retirement-ui.js IIFE pattern.
+// Mirrors savings-ui.js / retirement-v2-ui.js IIFE pattern.
 // Depends on: window.PowerLaw, window.Retirement, window.Equity
 (function () {
   'use strict';
@@ -8,7 +8,7 @@
   const R  = window.Retirement;
   const E  = window.Equity;
 
-  let currentModel    = 'santostasi';
+  let currentModel    = PL.selectedModel();
   let valueChart      = null;
   let historicalData  = [];
   let calculatedSigma = 0.3;
@@ -18,18 +18,27 @@
   const STORAGE_KEY = 'btcEquity_settings';
 
   // ── Currency Support ──────────────────────────────────────────
+  // Simulations run natively in `currency` (params.currency): amounts from
+  // the engine are already in it, only the live USD quote is converted
   let currency = 'USD';
-  let eurRate  = null;
 
-  function getCurrencySymbol() { return currency === 'EUR' ? '\u20AC' : '$'; }
-  function getRate()           { return currency === 'EUR' && eurRate ? eurRate : 1; }
-  function toDisplay(usd)      { return usd * getRate(); }
-  function toUSD(displayAmt)   { return displayAmt / getRate(); }
+  function getCurrencySymbol() { return Currency.symbol(currency); }
+  function localLivePrice()    { return livePrice ? Currency.fromUSD(livePrice, currency) : null; }
+
+  // USD (with a notice) while the selected currency has no FX rates;
+  // true when it switched
+  function checkCurrency() {
+    const sel = document.getElementById('eq-currency');
+    if (!sel || Currency.usable(sel.value, sel) === sel.value) return false;
+    sel.value = 'USD';
+    sel.dispatchEvent(new Event('change'));
+    return true;
+  }
 
-  function fmtCurrency(usd) {
-    const val = Math.abs(toDisplay(usd));
+  function fmtCurrency(amount) {
+    const val = Math.abs(amount);
     const sym = getCurrencySymbol();
-    const sign = usd < 0 ? '-' : '';
+    const sign = amount < 0 ? '-' : '';
     if (val >= 1e9) return sign + sym + (val / 1e9).toFixed(2) + 'B';
     if (val >= 1e6) return sign + sym + (val / 1e6).toFixed(2) + 'M';
     if (val >= 1e3) return sign + sym + Math.round(val).toLocaleString('en-US');
@@ -41,15 +50,11 @@
 
   async function fetchLiveData() {
     try {
-      const res  = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd,eur');
-      const data = await res.json();
-      if (data.bitcoin) {
-        if (data.bitcoin.usd) livePrice = data.bitcoin.usd;
-        if (data.bitcoin.usd && data.bitcoin.eur) eurRate = data.bitcoin.eur / data.bitcoin.usd;
-      }
+      const quote = await PriceFeed.fetchQuote();
+      livePrice = quote.usd;
+      Currency.setSpotFromQuote(quote);
     } catch (e) {
       console.warn('Live data fetch failed, using fallback', e);
-      eurRate = 0.92;
     }
     updateLivePrice();
   }
@@ -64,7 +69,7 @@
     const el = $('eq-live-price');
     if (!el) return;
     if (livePrice) {
-      el.textContent = fmtCurrency(livePrice);
+      el.textContent = fmtCurrency(localLivePrice());
     } else if (!el.querySelector('.price-loading')) {
       el.textContent = 'Unavailable';
     }
@@ -83,7 +88,7 @@
     const tLTV  = $('eq-total-ltv');
     const warn  = $('eq-ltv-warning');
 
-    if (eqEl)  eqEl.textContent  = fmtCurrency(toUSD(metrics.homeEquity));
+    if (eqEl)  eqEl.textContent  = fmtCurrency(metrics.homeEquity);
     if (eLTV)  eLTV.textContent  = fmtPct(metrics.existingLTV);
     if (tLTV)  tLTV.textContent  = fmtPct(metrics.totalLTV);
 
@@ -108,11 +113,11 @@
     }
     const scenarioMode = $('eq-scenario').value;
     let initialK = null;
-    if (livePrice && (scenarioMode === 'cyclical' || scenarioMode === 'cyclical_bear')) {
-      initialK = R.currentSigmaK(currentModel, calculatedSigma, livePrice);
+    if (livePrice && PL.scenarioUsesInitialK(scenarioMode)) {
+      initialK = R.currentSigmaK(currentModel, calculatedSigma, localLivePrice(), currency);
     }
-    const k = R.resolveScenarioK(scenarioMode, yrsAhead, initialK);
-    const price = R.scenarioPrice(currentModel, futureDate, calculatedSigma, k);
+    const k = R.resolveScenarioK(scenarioMode, yrsAhead, initialK, PL.DEFAULT_SEED, calculatedSigma);
+    const price = R.scenarioPrice(currentModel, futureDate, calculatedSigma, k, currency);
     el.textContent = fmtCurrency(price);
   }
 
@@ -122,7 +127,12 @@
     cyclical_bear: 'Same cyclical pattern but spending 60% of the time below trend \u2014 a pessimistic but plausible path.',
     smooth_trend: 'Price follows the power law trend exactly with no volatility \u2014 an idealised baseline.',
     smooth_bear: 'Price stays flat at 1 standard deviation below the trend for the entire period \u2014 a persistent bear market.',
-    smooth_deep_bear: 'Price stays flat at 2 standard deviations below trend \u2014 an extreme, prolonged downturn.'
+    smooth_deep_bear: 'Price stays flat at 2 standard deviations below trend \u2014 an extreme, prolonged downturn.',
+    stochastic: 'A random path that keeps reverting to the trend, with speed and volatility fitted to price history \u2014 one reproducible draw, not a forecast.',
+    bootstrap: 'Stitches together real 1\u20134 year stretches of Bitcoin history, each starting where the last one ended \u2014 actual crashes and bubbles, in a shuffled order.',
+    regime: 'Switches between accumulation, bull, euphoria and bear regimes with the odds and durations fitted to price history, starting from today\u2019s most likely regime.',
+    replay_2018: 'Replays history from the December 2017 top: an 80% fall through 2018 and the slow recovery after it.',
+    replay_2022: 'Replays history from the November 2021 top: the 2022 bear market and the rebound that followed.'
   };
 
   function updateScenarioDescription() {
@@ -175,18 +185,18 @@
     const buyNow       = $('eq-buy-timing').value === 'now';
 
     let initialK = null;
-    if (livePrice && (scenarioMode === 'cyclical' || scenarioMode === 'cyclical_bear')) {
-      initialK = R.currentSigmaK(currentModel, calculatedSigma, livePrice);
+    if (livePrice && PL.scenarioUsesInitialK(scenarioMode)) {
+      initialK = R.currentSigmaK(currentModel, calculatedSigma, localLivePrice(), currency);
     }
 
     return {
-      loanAmount:        toUSD(parseFloat($('eq-loan-amount').value) || 100000),
+      loanAmount:        parseFloat($('eq-loan-amount').value) || 100000,
       loanDurationYears: parseInt($('eq-duration').value) || 15,
       loanInterestRate:  parseFloat($('eq-interest-rate').value) / 100,
       interestOnly:      $('eq-interest-only').checked,
 
-      homeValue:         toUSD(parseFloat($('eq-home-value').value) || 400000),
-      mortgageBalance:   toUSD(parseFloat($('eq-mortgage-balance').value) || 200000),
+      homeValue:         parseFloat($('eq-home-value').value) || 400000,
+      mortgageBalance:   parseFloat($('eq-mortgage-balance').value) || 200000,
       mortgageRate:      parseFloat($('eq-mortgage-rate').value) / 100,
 
       buyNow,
@@ -196,7 +206,8 @@
       model:             currentModel,
       sigma:             calculatedSigma,
       scenarioMode,
-      initialK
+      initialK,
+      currency
     };
   }
 
@@ -208,22 +219,43 @@
     setupSliders();
     setupToggles();
     setupButtons();
+    setupMonteCarloControls();
     setupInputListeners();
+    setupModelListener();
     updateEquityDisplay();
     scheduleCalculation();
   }
 
   async function loadHistoricalData() {
     try {
-      const response = await fetch('../datasets/btc_historical.json');
-      historicalData = await response.json();
+      historicalData = await PriceData.load();
       const sigmaData = PL.calculateSigma(historicalData, currentModel);
       calculatedSigma = sigmaData.sigma;
+      R.calibrateScenarios(historicalData, currentModel, calculatedSigma);
     } catch (e) {
       console.warn('Failed to load historical data:', e);
     }
+    try {
+      await Currency.load();
+      Currency.prepare(historicalData);
+    } catch (e) {
+      console.warn('Failed to load FX rates:', e);
+    }
+  }
+  // Follow the shared header model selector
+  function setupModelListener() {
+    PL.onModelChange(e => {
+      if (e.type !== 'selected') return;
+      currentModel = e.model;
+      if (historicalData.length) {
+        calculatedSigma = PL.calculateSigma(historicalData, currentModel).sigma;
+        R.calibrateScenarios(historicalData, currentModel, calculatedSigma);
+      }
+      scheduleCalculation();
+    });
   }
 
+
   // ── Setup Functions ───────────────────────────────────────────
   function setupSliders() {
     // Interest rate slider
@@ -249,8 +281,9 @@
     const currSel = $('eq-currency');
     if (currSel) {
       currSel.addEventListener('change', () => {
+        if (checkCurrency()) return;
         currency = currSel.value;
-        const sym = currency === 'EUR' ? '\u20AC' : '$';
+        const sym = getCurrencySymbol().trim();
         ['eq-currency-label', 'eq-currency-label2', 'eq-currency-label3'].forEach(id => {
           const el = $(id);
           if (el) el.textContent = sym;
@@ -386,7 +419,7 @@
       // Currency state
       if (inp['eq-currency']) {
         currency = inp['eq-currency'];
-        const sym = currency === 'EUR' ? '\u20AC' : '$';
+        const sym = getCurrencySymbol().trim();
         ['eq-currency-label', 'eq-currency-label2', 'eq-currency-label3'].forEach(id => {
           const el = $(id);
           if (el) el.textContent = sym;
@@ -437,9 +470,10 @@
 
   // ── Main Calculation ──────────────────────────────────────────
   function runCalculation() {
+    checkCurrency();
     saveSettings();
     const params = getParams();
-    const result  = E.simulateEquityLoan(params, livePrice);
+    const result  = E.simulateEquityLoan(params, localLivePrice());
     const summary = E.simulationSummary(result);
 
     renderStatusBanner(summary);
@@ -450,6 +484,7 @@
 
     show('eq-results-section');
     show('eq-chart-section');
+    runMonteCarlo(params);
     show('eq-table-section');
     show('eq-insight-section');
     hide('eq-comparison-section');
@@ -458,13 +493,122 @@
     $('eq-results-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
   }
 
+  // ── Monte Carlo Range ─────────────────────────────────────────
+  // Re-runs the plan over random price paths (monte-carlo.js). Metric pills
+  // only re-render; path pills re-run.
+  let mcChart    = null;
+  let mcResult   = null;
+  let mcMetric   = 'btcValue';
+  let mcScenario = 'stochastic';
+  const MC_SIMS  = 1000;        // worker runs; the main-thread fallback uses MonteCarlo.DEFAULT_SIMS
+
+  const MC_METRICS = {
+    btcValue: { format: fmtCurrency, axis: compactAxis },
+    loanLTV:  { format: v => (v * 100).toFixed(0) + '%', axis: v => (v * 100).toFixed(0) + '%' }
+  };
+
+  // Runs in a worker; a newer run (input change, path pill) cancels this one
+  function runMonteCarlo(params) {
+    const sims = WorkerPool.isSupported() ? MC_SIMS : MonteCarlo.DEFAULT_SIMS;
+    WorkerPool.run('Equity.monteCarlo', [params, localLivePrice(), { scenario: mcScenario, sims }], {
+      key: 'eq-mc',
+      onProgress: (done, total) => {
+        $('eq-mc-note').textContent = 'Running ' + done + ' / ' + total + ' paths\u2026';
+      }
+    }).then(result => {
+      mcResult = result;
+      renderMonteCarlo();
+      show('eq-mc-section');
+    }).catch(e => {
+      if (WorkerPool.isCancelled(e)) return;
+      console.warn('Monte Carlo failed:', e);
+      hide('eq-mc-section');
+    });
+  }
+
+  function renderMonteCarlo() {
+    if (!mcResult) return;
+    const metric = MC_METRICS[mcMetric];
+    const ctx = $('eq-mc-chart');
+    if (mcChart) mcChart.destroy();
+
+    mcChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        datasets: MonteCarlo.fanDatasets(mcResult.fans[mcMetric], mcResult.dates, {
+          color: '247, 147, 26',
+          labels: { outer: '5th\u201395th percentile', inner: '25th\u201375th percentile', median: 'Median' }
+        })
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { intersect: false, mode: 'index' },
+        plugins: {
+          legend: { position: 'top', labels: { usePointStyle: true, padding: 16, filter: MonteCarlo.legendFilter } },
+          tooltip: {
+            itemSort: (a, b) => b.parsed.y - a.parsed.y,
+            callbacks: {
+              title: items => new Date(items[0].parsed.x).toLocaleDateString('en-US', { year: 'numeric', month: 'short' }),
+              label: item => item.dataset.mcPercentile.toUpperCase() + ': ' + metric.format(item.parsed.y)
+            }
+          }
+        },
+        scales: {
+          x: {
+            type: 'time',
+            time: { unit: 'year', displayFormats: { year: 'yyyy' } },
+            grid: { display: false },
+            ticks: { maxTicksLimit: 15 }
+          },
+          y: {
+            beginAtZero: true,
+            ticks: { callback: metric.axis },
+            grid: { color: 'rgba(0,0,0,0.05)' }
+          }
+        }
+      }
+    });
+
+    const final = mcResult.final[mcMetric];
+    $('eq-mc-stats').innerHTML = MonteCarlo.PERCENTILES.map(p =>
+      '<div class="stat-item"><div class="stat-label">' + (p === 50 ? 'Median' : 'P' + p) + '</div>' +
+      '<div class="stat-value">' + metric.format(final['p' + p]) + '</div></div>'
+    ).join('');
+    $('eq-mc-note').textContent = 'End of horizon across ' + mcResult.sims + ' ' + ({ bootstrap: 'historical bootstrap', regime: 'regime-switching' }[mcResult.scenario] || 'mean-reverting') + ' paths (seed ' + mcResult.seed + ').';
+  }
+
+  function compactAxis(v) {
+    const sym = getCurrencySymbol();
+    if (Math.abs(v) >= 1e6) return sym + (v / 1e6).toFixed(1) + 'M';
+    if (Math.abs(v) >= 1e3) return sym + (v / 1e3).toFixed(0) + 'K';
+    return sym + v;
+  }
+
+  function setupMonteCarloControls() {
+    document.querySelectorAll('#eq-mc-section [data-mc-metric]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        mcMetric = btn.dataset.mcMetric;
+        document.querySelectorAll('#eq-mc-section [data-mc-metric]').forEach(b => b.classList.toggle('active', b === btn));
+        renderMonteCarlo();
+      });
+    });
+    document.querySelectorAll('#eq-mc-section [data-mc-scenario]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        mcScenario = btn.dataset.mcScenario;
+        document.querySelectorAll('#eq-mc-section [data-mc-scenario]').forEach(b => b.classList.toggle('active', b === btn));
+        runMonteCarlo(getParams());
+      });
+    });
+  }
+
   // ── Comparison Mode ───────────────────────────────────────────
   function runComparison() {
     saveSettings();
     const params = getParams();
 
     // Also run single calculation for the main view
-    const result  = E.simulateEquityLoan(params, livePrice);
+    const result  = E.simulateEquityLoan(params, localLivePrice());
     const summary = E.simulationSummary(result);
 
     renderStatusBanner(summary);
@@ -472,11 +616,12 @@
     renderValueChart(result);
     renderYearlyTable(result);
 
-    const scenarios = E.compareScenarios(params, livePrice);
+    const scenarios = E.compareScenarios(params, localLivePrice());
     renderComparisonTable(scenarios);
 
     show('eq-results-section');
     show('eq-chart-section');
+    runMonteCarlo(params);
     show('eq-table-section');
     show('eq-comparison-section');
     show('eq-insight-section');
@@ -593,8 +738,6 @@
     const ctx = $('eq-value-chart');
     if (valueChart) valueChart.destroy();
 
-    const r = getRate();
-
     // Sample every N months for performance
     const months = result.months;
     const step = months.length > 360 ? 3 : 1;
@@ -607,7 +750,7 @@
         datasets: [
           {
             label: 'Bitcoin Value (' + currency + ')',
-            data: sampled.map(m => m.btcValueUSD * r),
+            data: sampled.map(m => m.btcValueUSD),
             borderColor: '#00C853',
             backgroundColor: 'rgba(0, 200, 83, 0.08)',
             fill: true,
@@ -617,7 +760,7 @@
           },
           {
             label: 'Cumulative Cost (' + currency + ')',
-            data: sampled.map(m => m.cumulativePayments * r),
+            data: sampled.map(m => m.cumulativePayments),
             borderColor: '#F7931A',
             backgroundColor: 'rgba(247, 147, 26, 0.08)',
             fill: true,
@@ -627,7 +770,7 @@
           },
           {
             label: 'Loan Balance (' + currency + ')',
-            data: sampled.map(m => m.remainingLoanBalance * r),
+            data: sampled.map(m => m.remainingLoanBalance),
             borderColor: '#9E9E9E',
             borderWidth: 1.5,
             borderDash: [5, 5],
@@ -21,10 +21,12 @@
     futureBuyYear:      null,
     futureBuyMonth:     null,
 
-    model:              'santostasi',
-    sigma:              PL.MODELS['santostasi'].sigma,
+    get model()         { return PL.selectedModel(); },
+    get sigma()         { return PL.modelSigma(PL.selectedModel()); },
     scenarioMode:       'cyclical',
-    initialK:           null
+    initialK:           null,
+    seed:               PL.DEFAULT_SEED,
+    currency:           'USD'   // amounts and prices (see Retirement.DEFAULTS)
   };
 
   // ── Equity & LTV helpers ─────────────────────────────────
@@ -53,12 +55,13 @@
 
   // ── Main simulation ──────────────────────────────────────
 
-  function simulateEquityLoan(params, livePriceUSD) {
+  // livePrice: current BTC price in params.currency (optional)
+  function simulateEquityLoan(params, livePrice) {
     const {
       loanAmount, loanDurationYears, loanInterestRate, interestOnly,
       homeValue, mortgageBalance,
       buyNow, futureBuyYear, futureBuyMonth,
-      model, sigma, scenarioMode, initialK
+      model, sigma, scenarioMode, initialK, seed, currency
     } = params;
 
     const totalMonths = loanDurationYears * 12;
@@ -69,17 +72,17 @@
     const now = new Date();
     let purchasePrice, purchaseDate;
 
-    if (buyNow && livePriceUSD) {
-      purchasePrice = livePriceUSD;
+    if (buyNow && livePrice) {
+      purchasePrice = livePrice;
       purchaseDate  = now;
     } else if (futureBuyYear && futureBuyMonth) {
       purchaseDate  = new Date(futureBuyYear, futureBuyMonth - 1, 15);
       const yrsAhead = (purchaseDate - now) / (365.25 * 24 * 3600 * 1000);
-      const futureK  = R.resolveScenarioK(scenarioMode, yrsAhead, initialK);
-      purchasePrice  = R.scenarioPrice(model, purchaseDate, sigma, futureK);
+      const futureK  = R.resolveScenarioK(scenarioMode, yrsAhead, initialK, seed, sigma);
+      purchasePrice  = R.scenarioPrice(model, purchaseDate, sigma, futureK, currency);
     } else {
       // fallback: use trend price today
-      purchasePrice = PL.trendPrice(model, now);
+      purchasePrice = R.trendPrice(model, now, currency);
       purchaseDate  = now;
     }
 
@@ -95,9 +98,9 @@
     for (let i = 0; i <= totalMonths; i++) {
       const simDate   = new Date(now.getFullYear(), now.getMonth() + i, 15);
       const yearIndex = i / 12;
-      const effectiveK = R.resolveScenarioK(scenarioMode, yearIndex, initialK);
-      const btcPrice   = R.scenarioPrice(model, simDate, sigma, effectiveK);
-      const trendPrice = PL.trendPrice(model, simDate);
+      const effectiveK = R.resolveScenarioK(scenarioMode, yearIndex, initialK, seed, sigma);
+      const btcPrice   = R.scenarioPrice(model, simDate, sigma, effectiveK, currency);
+      const trendPrice = R.trendPrice(model, simDate, currency);
 
       // Loan mechanics (skip month 0 — purchase month, no payment yet)
       let interestThisMonth  = 0;
@@ -202,11 +205,11 @@
 
   // ── Scenario comparison ──────────────────────────────────
 
-  function compareScenarios(params, livePriceUSD) {
+  function compareScenarios(params, livePrice) {
     const modes = PL.SCENARIO_MODES;
     return modes.map(s => {
       const p = Object.assign({}, params, { scenarioMode: s.id });
-      const result  = simulateEquityLoan(p, livePriceUSD);
+      const result  = simulateEquityLoan(p, livePrice);
       const summary = simulationSummary(result);
       return {
         scenarioMode: s.id,
@@ -217,6 +220,20 @@
     });
   }
 
+  // ── Monte Carlo ──────────────────────────────────────────
+  // Percentile fans over random price paths (see monte-carlo.js).
+  // loanLTV: outstanding loan / BTC value — how well the stack covers the loan
+  // options: sims, seed, scenario ('stochastic' | 'bootstrap')
+  function monteCarlo(params, livePrice, options = {}) {
+    return window.MonteCarlo.run(p => simulateEquityLoan(p, livePrice), params, Object.assign({
+      series: {
+        btcValue:    r => r.months.map(m => m.btcValueUSD),
+        netPosition: r => r.months.map(m => m.netPosition),
+        loanLTV:     r => r.months.map(m => (m.btcValueUSD > 0 ? m.remainingLoanBalance / m.btcValueUSD : 0))
+      }
+    }, options));
+  }
+
   // ── Export ────────────────────────────────────────────────
 
   window.Equity = {
@@ -225,6 +242,7 @@
     monthlyPayment,
     simulateEquityLoan,
     simulationSummary,
-    compareScenarios
+    compareScenarios,
+    monteCarlo
   };
 })();
@@ -0,0 +1,172 @@
+// Bitcoin Power Law Observatory — Fit Stability Module
+// Refits beta/logA over expanding and rolling windows to show how the
+// power law would have looked at earlier dates and how stable it is.
+// Operates on the same [{date, price}] array history.js loads.
+// Depends on: window.PowerLaw (from powerlaw.js)
+
+(function() {
+  'use strict';
+
+  var PL = window.PowerLaw;
+
+  var DEFAULTS = {
+    method: 'ols',
+    quantile: 0.5,
+    hacLags: 365,          // daily residuals are autocorrelated (~1 year memory)
+    confidence: 0.95,
+    startYear: 2013,       // first expanding-window cutoff (year-end)
+    windowYears: 8,        // rolling window length (one full cycle is too noisy)
+    stepMonths: 6          // rolling window step
+  };
+
+  // ── Internal Helpers ──────────────────────────────────────
+
+  function isoDate(d) {
+    return d.toISOString().split('T')[0];
+  }
+
+  function addMonths(date, months) {
+    var d = new Date(date.getTime());
+    d.setUTCMonth(d.getUTCMonth() + months);
+    return d;
+  }
+
+  function resolveOptions(options) {
+    var opts = Object.assign({}, DEFAULTS, options || {});
+    if (opts.model) {
+      var params = PL.MODELS[opts.model];
+      if (!params) throw new Error('Unknown model: ' + opts.model);
+      opts.useYears = params.useYears;
+    }
+    opts.useYears = !!opts.useYears;
+    return opts;
+  }
+
+  // Trend price implied by a fit at a given date
+  function fitTrendPrice(fit, date) {
+    var t = fit.useYears ? PL.yearsSinceGenesis(date) : PL.daysSinceGenesis(date);
+    return Math.pow(10, fit.logA) * Math.pow(t, fit.beta);
+  }
+
+  // Fit one window and decorate it with the implied trend at `asOf` and today
+  function fitWindow(data, from, to, opts, today) {
+    var fit = PL.fitPowerLaw(data, {
+      useYears: opts.useYears,
+      from: from,
+      to: to,
+      method: opts.method,
+      quantile: opts.quantile,
+      hacLags: opts.hacLags,
+      confidence: opts.confidence
+    });
+    var asOf = new Date(to + 'T00:00:00Z');
+    var todayInterval = PL.fitTrendInterval(fit, today);
+    return {
+      from: from,
+      asOf: to,
+      beta: fit.beta,
+      logA: fit.logA,
+      sigma: fit.sigma,
+      rSquared: fit.rSquared,
+      count: fit.count,
+      se: fit.se,
+      ci: fit.ci,
+      trendAtAsOf: fitTrendPrice(fit, asOf),
+      trendToday: todayInterval.trend,
+      trendTodayCI: [todayInterval.lower, todayInterval.upper]
+    };
+  }
+
+
+  // ── Expanding Windows ─────────────────────────────────────
+  // Data from the first observation through each year-end since startYear,
+  // plus a final fit through the last data point.
+  function expanding(data, options) {
+    var opts = resolveOptions(options);
+    if (!data || data.length === 0) return [];
+
+    var today = opts.today || new Date();
+    var first = data[0].date;
+    var last = data[data.length - 1].date;
+    var lastYear = parseInt(last.substring(0, 4), 10);
+    var results = [];
+
+    for (var year = opts.startYear; year < lastYear; year++) {
+      results.push(fitWindow(data, first, year + '-12-31', opts, today));
+    }
+    results.push(fitWindow(data, first, last, opts, today));
+    return results;
+  }
+
+
+  // ── Rolling Windows ───────────────────────────────────────
+  // Fixed-length windows (windowYears) stepped every stepMonths,
+  // ending at the last data point.
+  function rolling(data, options) {
+    var opts = resolveOptions(options);
+    if (!data || data.length === 0) return [];
+
+    var today = opts.today || new Date();
+    var firstDate = new Date(data[0].date + 'T00:00:00Z');
+    var lastDate = new Date(data[data.length - 1].date + 'T00:00:00Z');
+    var windowMonths = Math.round(opts.windowYears * 12);
+    var results = [];
+
+    // Walk backwards from the last date so the final window is current
+    var ends = [];
+    for (var end = lastDate; addMonths(end, -windowMonths) >= firstDate; end = addMonths(end, -opts.stepMonths)) {
+      ends.push(end);
+    }
+    ends.reverse();
+
+    for (var i = 0; i < ends.length; i++) {
+      var from = isoDate(addMonths(ends[i], -windowMonths));
+      results.push(fitWindow(data, from, isoDate(ends[i]), opts, today));
+    }
+    return results;
+  }
+
+
+  // ── Summary ───────────────────────────────────────────────
+  // How far the implied trend price for today has moved across a series,
+  // and the spread of beta estimates
+  function summarize(series) {
+    if (!series || series.length === 0) return null;
+
+    var first = series[0];
+    var latest = series[series.length - 1];
+    var betas = series.map(function(s) { return s.beta; });
+    var minBeta = Math.min.apply(null, betas);
+    var maxBeta = Math.max.apply(null, betas);
+
+    return {
+      first: first,
+      latest: latest,
+      betaRange: [minBeta, maxBeta],
+      trendTodayChange: latest.trendToday / first.trendToday - 1,
+      // Windows whose beta interval excludes the latest estimate
+      inconsistent: series.filter(function(s) {
+        return latest.beta < s.ci.beta[0] || latest.beta > s.ci.beta[1];
+      }).map(function(s) { return s.asOf; })
+    };
+  }
+
+  // The fit someone would have had on a given date (expanding window)
+  function fitAsOf(data, asOf, options) {
+    var opts = resolveOptions(options);
+    return fitWindow(data, data[0].date, asOf, opts, opts.today || new Date());
+  }
+
+
+  // ── Export ────────────────────────────────────────────────
+
+  window.FitStability = {
+    DEFAULTS: DEFAULTS,
+    expanding: expanding,
+    rolling: rolling,
+    summarize: summarize,
+    fitAsOf: fitAsOf,
+    fitTrendPrice: fitTrendPrice
+  };
+
+})();
@@ -2,11 +2,16 @@
 
 let historicalData = [];
 let sigmaCache = {};
-let currentModel = 'santostasi';
+let currentModel = PowerLaw.selectedModel();
 let projectionChart = null;
 let projectionYears = 20;
 let showCycleOverlay = false;
+let overlayScenario = 'cyclical';
+let cycleConstants = 'published';   // 'published' (Perrenod) | 'fitted'
+let cycleFit = null;
 let livePrice = null;
+let hittingSource = 'history';     // 'history' | a random scenario id
+let kAnalysis = null;              // CycleStats analysis for currentModel
 
 // Key dates and milestones
 const PROJECTION_DATES = [
@@ -32,80 +37,33 @@ const MILESTONE_PRICES = [
 // Initialize
 async function init() {
   await loadHistoricalData();
-  await fillRecentPriceGap();
   calculateSigmas();
   populateTimeline();
   populateProjectionTable();
   populateMilestoneTable();
   initProjectionChart();
   setupControls();
+  populateHittingTable();
   fetchLivePrice();
 }
 
 // Load historical data
 async function loadHistoricalData() {
   try {
-    const response = await fetch('../datasets/btc_historical.json');
-    historicalData = await response.json();
+    historicalData = await PriceData.load();
   } catch (error) {
     console.error('Failed to load historical data:', error);
   }
 }
 
-// Fetch recent daily prices from CoinGecko to fill the gap between
-// the static btc_historical.json and today
-async function fillRecentPriceGap() {
-  if (historicalData.length === 0) return;
-
-  const lastDate = new Date(historicalData[historicalData.length - 1].date);
-  const now = new Date();
-  const gapDays = Math.floor((now - lastDate) / (1000 * 60 * 60 * 24));
-
-  if (gapDays <= 1) return;
-
-  try {
-    const fetchDays = Math.min(gapDays + 2, 90);
-    const response = await fetch(
-      `https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=${fetchDays}&interval=daily`
-    );
-    const data = await response.json();
-
-    if (!data.prices || data.prices.length === 0) return;
-
-    const lastTimestamp = lastDate.getTime();
-    let added = 0;
-
-    for (const [timestamp, price] of data.prices) {
-      if (timestamp > lastTimestamp + 12 * 60 * 60 * 1000) {
-        const date = new Date(timestamp);
-        const dateStr = date.toISOString().split('T')[0];
-
-        const alreadyExists = historicalData.some(d => d.date === dateStr);
-        if (!alreadyExists) {
-          historicalData.push({ date: dateStr, price: price });
-          added++;
-        }
-      }
-    }
-
-    if (added > 0) {
-      console.log(`Future page: filled ${added} days of price data from CoinGecko`);
-    }
-  } catch (error) {
-    console.warn('Could not fill price gap from CoinGecko:', error);
-  }
-}
-
 // Fetch live BTC price for initialK calculation and rebuild chart
 async function fetchLivePrice() {
   try {
-    const res = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd');
-    const data = await res.json();
-    if (data.bitcoin && data.bitcoin.usd) {
-      livePrice = data.bitcoin.usd;
-      // Rebuild chart so cyclical overlay uses the correct starting position
-      if (projectionChart) rebuildChart();
-    }
+    const quote = await PriceFeed.fetchQuote();
+    livePrice = quote.usd;
+    // Rebuild chart so cyclical overlay uses the correct starting position
+    if (projectionChart) rebuildChart();
+    populateHittingTable();
   } catch (e) {
     console.warn('Live price fetch failed:', e);
   }
@@ -113,7 +71,65 @@ async function fetchLivePrice() {
 
 // Calculate sigma for the model
 function calculateSigmas() {
-  sigmaCache.santostasi = PowerLaw.calculateSigma(historicalData, 'santostasi');
+  sigmaCache[currentModel] = PowerLaw.calculateSigma(historicalData, currentModel);
+  kAnalysis = null;
+  // Fit the data-driven scenarios (stochastic, bootstrap, replays) for the overlay
+  if (historicalData.length) {
+    window.Retirement.calibrateScenarios(historicalData, currentModel, PowerLaw.MODELS[currentModel].sigma);
+  }
+  fitCycle();
+}
+
+// Fit the cycle parameters to this model's history; the 'fitted'
+// constants drive every cyclical path on the page
+function fitCycle() {
+  cycleFit = null;
+  if (historicalData.length) {
+    try {
+      // The detected cycle catalogue gives the fit an extra starting point
+      const cycles = CycleStats.detectCycles(CycleStats.buildAnalysis(historicalData, currentModel));
+      cycleFit = PowerLaw.fitCyclical(historicalData, currentModel, {
+        sigma: PowerLaw.MODELS[currentModel].sigma,
+        start: CycleStats.cycleCalibration(cycles)
+      });
+    } catch (e) {
+      console.warn('Cycle fit failed:', e.message);
+    }
+  }
+  applyCycleConstants();
+}
+
+function applyCycleConstants() {
+  if (!cycleFit) cycleConstants = 'published';
+  PowerLaw.setCyclicalParams(cycleConstants === 'fitted' ? cycleFit.params : null);
+  document.querySelectorAll('[data-cycle-constants]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.cycleConstants === cycleConstants);
+    if (btn.dataset.cycleConstants === 'fitted') btn.disabled = !cycleFit;
+  });
+  renderCycleFit();
+}
+
+// Calendar year of the next trough after today for a parameter set
+function nextTroughYear(params) {
+  const age = PowerLaw.yearsSinceGenesis(new Date());
+  let trough = params.firstTrough;
+  while (trough <= age) trough *= params.lambda;
+  return new Date(PowerLaw.GENESIS.getTime() + trough * 365.25 * 86400000).getFullYear();
+}
+
+function renderCycleFit() {
+  const el = document.getElementById('cycle-fit-summary');
+  if (!el) return;
+  if (!cycleFit) {
+    el.textContent = `Published constants (Perrenod): λ = ${PowerLaw.PERRENOD_CYCLE.lambda}, α = ${PowerLaw.PERRENOD_CYCLE.alpha}.`;
+    return;
+  }
+  const f = cycleFit;
+  const pm = key => `${f.params[key].toFixed(2)} ± ${f.se[key].toFixed(2)}`;
+  el.textContent = `Fit to weekly closes ${f.from.slice(0, 4)}–${f.to.slice(0, 4)}: ` +
+    `λ ${pm('lambda')}, first trough at age ${pm('firstTrough')} yrs, α ${pm('alpha')}, trough ${pm('troughDepth')}σ. ` +
+    `R² ${f.rSquared.toFixed(2)} vs ${f.published.rSquared.toFixed(2)} for the published constants. ` +
+    `Next trough ≈ ${nextTroughYear(f.params)} (published: ${nextTroughYear(PowerLaw.CYCLICAL_DEFAULTS)}).`;
 }
 
 // Populate milestone timeline
@@ -171,7 +187,7 @@ function populateProjectionTable() {
   });
 
   for (const row of filteredRows) {
-    const trendPrice = PowerLaw.trendPrice('santostasi', row.date);
+    const trendPrice = PowerLaw.trendPrice(currentModel, row.date);
 
     const tr = document.createElement('tr');
     tr.innerHTML = `
@@ -204,7 +220,7 @@ function populateMilestoneTable() {
     let cells = `<td><strong>${PowerLaw.formatPrice(price)}</strong></td>`;
 
     for (const k of bands) {
-      const date = milestoneDateForBand(price, 'santostasi', k);
+      const date = milestoneDateForBand(price, currentModel, k);
       const now = new Date();
       const isPast = date < now;
       const style = isPast ? ' style="color: var(--gray); font-style: italic;"' : '';
@@ -217,6 +233,83 @@ function populateMilestoneTable() {
   }
 }
 
+// ── Time to Reach ─────────────────────────────────────────────
+// For each milestone: how long from today's price until price first
+// touches it, from history's own paths or runs of a random scenario
+
+function formatYears(t) {
+  return t < 1 ? `${Math.round(t * 12)} mo` : `${t.toFixed(1)} yrs`;
+}
+
+// A time, or "> horizon" when that share was never reached
+function formatHitTime(t, result) {
+  return t != null ? formatYears(t) : `&gt; ${formatYears(result.horizonYears)}`;
+}
+
+function formatHitProbability(p, result) {
+  const pct = x => `${Math.round(x * 100)}%`;
+  // null: past the horizon history could follow, so a lower bound
+  return p != null ? pct(p) : `&ge; ${pct(result.reachedByHorizon)}`;
+}
+
+// Random custom scenarios join the built-in choices
+function fillHittingSources() {
+  const select = document.getElementById('hitting-source');
+  if (!select) return;
+  select.querySelectorAll('option[data-custom]').forEach(o => o.remove());
+  for (const mode of PowerLaw.scenarioModes()) {
+    if (!mode.custom || !PowerLaw.scenarioIsRandom(mode.id)) continue;
+    const option = document.createElement('option');
+    option.value = mode.id;
+    option.textContent = mode.label;
+    option.dataset.custom = '';
+    select.appendChild(option);
+  }
+  if (![...select.options].some(o => o.value === hittingSource)) hittingSource = 'history';
+  select.value = hittingSource;
+}
+
+function populateHittingTable() {
+  const tbody = document.getElementById('hitting-table');
+  const note = document.getElementById('hitting-note');
+  if (!tbody || historicalData.length === 0) return;
+
+  const sigma = PowerLaw.MODELS[currentModel].sigma;  // canonical σ
+  const price = livePrice || historicalData[historicalData.length - 1].price;
+  const start = new Date();
+  const k = PowerLaw.currentSigmaK(currentModel, sigma, price, start);
+  const targets = MILESTONE_PRICES.map(p => ({ price: p }));
+
+  let results;
+  if (hittingSource === 'history') {
+    if (!kAnalysis) kAnalysis = CycleStats.buildAnalysis(historicalData, currentModel);
+    results = CycleStats.hittingTimes(kAnalysis, k, targets, { start });
+  } else {
+    results = PowerLaw.scenarioHittingTimes(hittingSource, targets, { model: currentModel, sigma, initialK: k, start });
+  }
+
+  tbody.innerHTML = '';
+  results.forEach((r, i) => {
+    const tr = document.createElement('tr');
+    const down = r.direction === 'below' ? ' <span title="Below today\'s price: time to fall to it">&darr;</span>' : '';
+    tr.innerHTML = `<td><strong>${PowerLaw.formatPrice(MILESTONE_PRICES[i])}</strong>${down}</td>` +
+      `<td>${formatHitTime(r.median, r)}</td>` +
+      `<td>${formatHitTime(r.p25, r)} &ndash; ${formatHitTime(r.p75, r)}</td>` +
+      [1, 2, 5, 10].map(n => `<td>${formatHitProbability(r.within[n], r)}</td>`).join('');
+    tbody.appendChild(tr);
+  });
+
+  if (note) {
+    const from = `From ${PowerLaw.formatPrice(price)} (${k >= 0 ? '+' : ''}${k.toFixed(2)}σ).`;
+    const r = results[0];
+    const label = document.getElementById('hitting-source').selectedOptions[0].textContent;
+    note.textContent = hittingSource === 'history'
+      ? `${from} ${r.sampleSize.toLocaleString()} similar days, worth about ${r.effectiveSampleSize.toFixed(0)} independent years (${r.blocks} yearly blocks) — overlapping paths share most of their future. ` +
+        'Where recent starts run out of data, "≥" marks the share reached so far.'
+      : `${from} ${r.sims} ${label} paths (seed ${r.seed}), followed weekly for 10 years.`;
+  }
+}
+
 // Initialize projection chart
 function initProjectionChart() {
   const ctx = document.getElementById('projection-chart').getContext('2d');
@@ -348,10 +441,8 @@ function prepareProjectionData(model, sigma, years) {
     // Cyclical path: only for future months
     if (R && i >= 0) {
       const yearIndex = i / 12;
-      const effectiveK = R.cyclicalSigmaK(yearIndex, {
-        bearBias: 0,
-        initialK: initialK
-      });
+      const effectiveK = R.resolveScenarioK(overlayScenario, yearIndex,
+        PowerLaw.scenarioUsesInitialK(overlayScenario) ? initialK : null, PowerLaw.DEFAULT_SEED, sigma);
       const cyclicalPrice = R.scenarioPrice(model, date, sigma, effectiveK);
       cyclicalData.push({ x: timestamp, y: cyclicalPrice });
 
@@ -477,6 +568,14 @@ function prepareProjectionData(model, sigma, years) {
 
 // Setup controls
 function setupControls() {
+  // Shared model toggle
+  PowerLaw.onModelChange(e => {
+    if (e.type !== 'selected') return;
+    currentModel = e.model;
+    calculateSigmas();
+    updateAll();
+  });
+
   // Date slider
   const slider = document.getElementById('date-slider');
   slider.addEventListener('input', updateSliderDisplay);
@@ -492,6 +591,18 @@ function setupControls() {
     });
   });
 
+  // Cycle constants: published or fitted
+  document.querySelectorAll('[data-cycle-constants]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      cycleConstants = btn.dataset.cycleConstants;
+      applyCycleConstants();
+      showCycleOverlay = true;
+      const toggle = document.getElementById('cycle-overlay-toggle');
+      if (toggle) toggle.checked = true;
+      rebuildChart();
+    });
+  });
+
   // Cycle overlay toggle
   const cycleToggle = document.getElementById('cycle-overlay-toggle');
   if (cycleToggle) {
@@ -500,6 +611,34 @@ function setupControls() {
       rebuildChart();
     });
   }
+
+  // Scenario drawn by the overlay; picking one turns the overlay on
+  const cycleScenario = document.getElementById('cycle-scenario');
+  if (cycleScenario) {
+    overlayScenario = cycleScenario.value;
+    cycleScenario.addEventListener('change', () => {
+      overlayScenario = cycleScenario.value;
+      showCycleOverlay = true;
+      if (cycleToggle) cycleToggle.checked = true;
+      rebuildChart();
+    });
+  }
+  // Paths behind the time-to-reach table
+  const hittingSelect = document.getElementById('hitting-source');
+  if (hittingSelect) {
+    fillHittingSources();
+    hittingSelect.addEventListener('change', () => {
+      hittingSource = hittingSelect.value;
+      populateHittingTable();
+    });
+  }
+
+  // An edited custom scenario keeps its id, so redraw on any change
+  PowerLaw.onScenarioChange(() => {
+    if (showCycleOverlay) rebuildChart();
+    fillHittingSources();
+    if (hittingSource !== 'history') populateHittingTable();
+  });
 }
 
 // Rebuild chart with current settings
@@ -537,6 +676,7 @@ function updateAll() {
   populateTimeline();
   populateProjectionTable();
   populateMilestoneTable();
+  populateHittingTable();
   updateSliderDisplay();
   rebuildChart();
 }
@@ -8,7 +8,7 @@ let historicalData = [];
 let computedSigma = 0.2;
 let computedR2 = 0;
 let livePrice = null;
-const MODEL = 'santostasi';
+const MODEL = PowerLaw.selectedModel();  // follows the site-wide model toggle
 
 // Quarter-Kelly for institutional positioning
 const KELLY_FRACTION = 0.25;
@@ -37,7 +37,6 @@ let currentLens = 'loglog';
 async function init() {
   try {
     await loadHistoricalData();
-    await fillRecentPriceGap();
     computeModelStats();
     await fetchLivePrice();
 
@@ -55,48 +54,15 @@ async function init() {
 }
 
 
-// ── Data Loading (matches history.js pattern) ──────────────────
+// ── Data Loading (shared PriceData loader, gap-filled + cached) ─
 async function loadHistoricalData() {
-  const response = await fetch('../datasets/btc_historical.json');
-  historicalData = await response.json();
-}
-
-async function fillRecentPriceGap() {
-  if (historicalData.length === 0) return;
-  const lastDate = new Date(historicalData[historicalData.length - 1].date);
-  const now = new Date();
-  const gapDays = Math.floor((now - lastDate) / (1000 * 60 * 60 * 24));
-  if (gapDays <= 1) return;
-
-  try {
-    const fetchDays = Math.min(gapDays + 2, 90);
-    const resp = await fetch(
-      'https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=' + fetchDays + '&interval=daily'
-    );
-    const data = await resp.json();
-    if (!data.prices || data.prices.length === 0) return;
-
-    const lastTimestamp = lastDate.getTime();
-    for (const [timestamp, price] of data.prices) {
-      if (timestamp > lastTimestamp + 12 * 60 * 60 * 1000) {
-        const dateStr = new Date(timestamp).toISOString().split('T')[0];
-        if (!historicalData.some(function(d) { return d.date === dateStr; })) {
-          historicalData.push({ date: dateStr, price: price });
-        }
-      }
-    }
-  } catch (err) {
-    console.warn('Could not fill price gap:', err);
-  }
+  historicalData = await PriceData.load();
 }
 
 async function fetchLivePrice() {
   try {
-    const resp = await fetch(
-      'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd&include_24hr_change=true'
-    );
-    const data = await resp.json();
-    livePrice = data.bitcoin.usd;
+    const quote = await PriceFeed.fetchQuote();
+    livePrice = quote.usd;
     updateLiveElements();
   } catch (err) {
     console.warn('Could not fetch live price:', err);
@@ -138,25 +104,6 @@ function formatUSD(n) {
   return '$' + n.toFixed(4);
 }
 
-// Seeded PRNG for reproducible backtest (Mulberry32)
-function mulberry32(seed) {
-  return function() {
-    seed |= 0;
-    seed = seed + 0x6D2B79F5 | 0;
-    var t = Math.imul(seed ^ seed >>> 15, 1 | seed);
-    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
-    return ((t ^ t >>> 14) >>> 0) / 4294967296;
-  };
-}
-
-// Box-Muller transform for normally-distributed random numbers
-function gaussianRandom(rng) {
-  var u1, u2;
-  do { u1 = rng(); } while (u1 === 0);
-  u2 = rng();
-  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-}
-
 function findClosestPrice(data, targetDate) {
   var targetStr = targetDate.toISOString().split('T')[0];
 
@@ -555,7 +502,7 @@ function simulatePortfolio(allocationFn) {
   var tradQuarterlyMean = Math.pow(1 + BACKTEST.tradAnnualReturn, 0.25) - 1;
   var tradQuarterlyVol = BACKTEST.tradAnnualVol / 2; // annualized → quarterly: σ/√4
   var rebalanceDates = generateQuarterlyDates(BACKTEST.startDate, BACKTEST.endDate);
-  var rng = mulberry32(BACKTEST.seed); // same seed → same traditional returns for both portfolios
+  var rng = PowerLaw.mulberry32(BACKTEST.seed); // same seed → same traditional returns for both portfolios
 
   var totalValue = startCapital;
   var btcHoldings = 0;
@@ -577,7 +524,7 @@ function simulatePortfolio(allocationFn) {
     }
 
     // Grow traditional portion with realistic quarterly volatility
-    var tradReturn = tradQuarterlyMean + tradQuarterlyVol * gaussianRandom(rng);
+    var tradReturn = tradQuarterlyMean + tradQuarterlyVol * PowerLaw.gaussianRandom(rng);
     tradHoldings *= (1 + tradReturn);
 
     // Current portfolio value
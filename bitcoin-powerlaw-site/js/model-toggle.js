@@ -0,0 +1,67 @@
+// ── Shared Model Toggle ──────────────────────────────────────────
+// Renders one button per registered power law model and drives
+// PowerLaw.setSelectedModel(). Page scripts subscribe through
+// PowerLaw.onModelChange() and re-render themselves.
+// Mounts into every [data-model-toggle] element, or after the page hero.
+// Depends on: window.PowerLaw
+(function () {
+  'use strict';
+
+  const PL = window.PowerLaw;
+  const containers = [];
+
+  function formula(params) {
+    const t = params.useYears ? 'years' : 'days';
+    return `10^(${params.logA}) × ${t}^${params.beta}`;
+  }
+
+  function render(container) {
+    const selected = PL.selectedModel();
+    container.innerHTML = '';
+
+    for (const id of PL.modelIds()) {
+      const params = PL.MODELS[id];
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'toggle-btn' + (id === selected ? ' active' : '');
+      btn.dataset.model = id;
+      btn.textContent = params.name;
+      btn.title = formula(params);
+      btn.setAttribute('aria-pressed', id === selected ? 'true' : 'false');
+      btn.addEventListener('click', () => PL.setSelectedModel(id));
+      container.appendChild(btn);
+    }
+  }
+
+  function mount(container) {
+    if (!container || containers.includes(container)) return;
+    container.classList.add('model-toggle');
+    container.setAttribute('role', 'group');
+    container.setAttribute('aria-label', document.documentElement.lang === 'nl' ? 'Model' : 'Power law model');
+    containers.push(container);
+    render(container);
+  }
+
+  function autoMount() {
+    const explicit = document.querySelectorAll('[data-model-toggle]');
+    if (explicit.length) {
+      explicit.forEach(mount);
+      return;
+    }
+    const hero = document.querySelector('main .hero');
+    if (!hero) return;
+    const container = document.createElement('div');
+    hero.insertAdjacentElement('afterend', container);
+    mount(container);
+  }
+
+  PL.onModelChange(() => containers.forEach(render));
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', autoMount);
+  } else {
+    autoMount();
+  }
+
+  window.ModelToggle = { mount };
+})();
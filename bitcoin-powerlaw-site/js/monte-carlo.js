@@ -0,0 +1,142 @@
+// ── Monte Carlo Runner ───────────────────────────────────────────
+// Runs any calculator engine many times over random price paths and
+// returns percentile fans per time step.
+//
+// Each run is the engine's normal simulation with params.scenarioMode set
+// to a random scenario ('stochastic' OU paths, 'bootstrap' history
+// blocks or 'regime' Markov-switching paths) and params.seed = seed + run index, so a whole fan is
+// reproducible from one seed.
+//
+//   MonteCarlo.run(DCA.simulateDCA, params, {
+//     series: { value: r => r.months.map(m => m.portfolioValueUSD) }
+//   })
+//   → { fans: { value: { p5: [], p25: [], p50: [], p75: [], p95: [] } },
+//       final: { value: { p5, ..., p95 } }, dates, sims, seed, scenario }
+//
+// Engines expose presets (DCA.monteCarlo, Equity.monteCarlo,
+// BalanceSheet.monteCarlo); fanDatasets() turns a fan into Chart.js
+// datasets for the pages. Pages run them through WorkerPool
+// ('DCA.monteCarlo', ...) so thousands of runs don't block the UI.
+// Depends on: window.PowerLaw
+(function () {
+  'use strict';
+
+  const PL = window.PowerLaw;
+
+  const DEFAULT_SIMS = 200;
+  const PERCENTILES = [5, 25, 50, 75, 95];
+  const SCENARIOS = ['stochastic', 'bootstrap', 'regime'];
+
+  // ── Percentiles ───────────────────────────────────────────────
+  // Linear interpolation between order statistics (sorted ascending)
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const idx = (p / 100) * (sorted.length - 1);
+    const lo = Math.floor(idx);
+    const hi = Math.ceil(idx);
+    if (lo === hi) return sorted[lo];
+    return sorted[lo] + (idx - lo) * (sorted[hi] - sorted[lo]);
+  }
+
+  function percentileSet(values) {
+    const sorted = values.filter(v => isFinite(v)).sort((a, b) => a - b);
+    const out = {};
+    for (const p of PERCENTILES) out['p' + p] = percentile(sorted, p);
+    return out;
+  }
+
+  // runs: [[v0, v1, ...], ...] one array per simulation → per-step fan
+  function fanFromRuns(runs) {
+    const steps = Math.max(...runs.map(r => r.length));
+    const fan = {};
+    for (const p of PERCENTILES) fan['p' + p] = new Array(steps);
+    const column = new Array(runs.length);
+    for (let t = 0; t < steps; t++) {
+      for (let s = 0; s < runs.length; s++) column[s] = runs[s][t];
+      const set = percentileSet(column);
+      for (const p of PERCENTILES) fan['p' + p][t] = set['p' + p];
+    }
+    return fan;
+  }
+
+  // ── Runner ────────────────────────────────────────────────────
+  // simulate(params) → engine result. options:
+  //   series:   { name: result => number[] } (required)
+  //   dates:    result => Date[] for the x axis (default result.months[].date)
+  //   sims:     number of runs (default 200)
+  //   seed:     first seed (default params.seed, then PowerLaw.DEFAULT_SEED)
+  //   scenario: 'stochastic' | 'bootstrap' | 'regime'
+  //   onProgress: (done, total) called after every run
+  function run(simulate, params, options = {}) {
+    const {
+      series,
+      dates = r => (r.months || []).map(m => m.date),
+      sims = DEFAULT_SIMS,
+      scenario = 'stochastic',
+      onProgress = null
+    } = options;
+    if (!series || Object.keys(series).length === 0) throw new Error('MonteCarlo.run needs at least one series');
+    if (!SCENARIOS.includes(scenario)) throw new Error(`Unknown Monte Carlo scenario: ${scenario}`);
+    const seed = options.seed != null ? options.seed : (params.seed != null ? params.seed : PL.DEFAULT_SEED);
+
+    const names = Object.keys(series);
+    const runs = {};
+    for (const name of names) runs[name] = [];
+    let axis = null;
+
+    for (let s = 0; s < sims; s++) {
+      const result = simulate(Object.assign({}, params, { scenarioMode: scenario, seed: seed + s }));
+      if (!axis) axis = dates(result);
+      for (const name of names) runs[name].push(series[name](result));
+      if (onProgress) onProgress(s + 1, sims);
+    }
+
+    const fans = {};
+    const final = {};
+    for (const name of names) {
+      fans[name] = fanFromRuns(runs[name]);
+      final[name] = percentileSet(runs[name].map(r => r[r.length - 1]));
+    }
+    return { fans, final, dates: axis, sims, seed, scenario };
+  }
+
+  // ── Chart Helpers ─────────────────────────────────────────────
+  // Chart.js datasets for one fan: 5–95 and 25–75 bands plus the median.
+  // labels: { outer, inner, median } legend text
+  function fanDatasets(fan, dates, options = {}) {
+    const {
+      color = '247, 147, 26',           // "r, g, b"
+      labels = { outer: '5th–95th percentile', inner: '25th–75th percentile', median: 'Median' }
+    } = options;
+    const points = key => fan[key].map((y, i) => ({ x: dates[i], y }));
+    // mcPercentile tags each line for tooltips ("P5", "P50", ...)
+    const line = (key, extra) => Object.assign(
+      { data: points(key), mcPercentile: key, pointRadius: 0, borderWidth: 0, tension: 0.2, fill: false },
+      extra
+    );
+    return [
+      line('p5',  { label: labels.outer, mcBand: 'lower' }),
+      line('p95', { label: labels.outer, fill: '-1', backgroundColor: `rgba(${color}, 0.12)` }),
+      line('p25', { label: labels.inner, mcBand: 'lower' }),
+      line('p75', { label: labels.inner, fill: '-1', backgroundColor: `rgba(${color}, 0.25)` }),
+      line('p50', { label: labels.median, borderWidth: 2, borderColor: `rgb(${color})`, backgroundColor: `rgb(${color})` })
+    ];
+  }
+
+  // Legend filter that hides the lower edge of each band
+  function legendFilter(item, data) {
+    return !data.datasets[item.datasetIndex].mcBand;
+  }
+
+  window.MonteCarlo = {
+    DEFAULT_SIMS,
+    PERCENTILES,
+    SCENARIOS,
+    percentile,
+    percentileSet,
+    fanFromRuns,
+    run,
+    fanDatasets,
+    legendFilter
+  };
+})();
@@ -0,0 +1,200 @@
+// Bitcoin Power Law Observatory — Multi-Asset Portfolio
+// Non-BTC buckets (stocks, bonds, cash, …) held next to the BTC stack in
+// the retirement engines. The engines own the BTC side (stack, loans, tax
+// lots); a portfolio owns the buckets and decides, each year,
+//   spend(cash, multiple, btcCapacity)  which buckets pay, and how much falls to BTC
+//   rebalance(yearIndex, btcValue, cap) the BTC trade that restores the target weights
+//   grow()                              one year of bucket returns
+//
+// params.portfolio: { assets, order, btcAboveTrend, targets, rebalanceEvery, glide }
+//   assets         [{ id, balance, return, volatility, label }] in the calculation
+//                  currency; return/volatility default from ASSET_DEFAULTS[id]
+//   order          spending order of bucket ids and 'btc' (DEFAULT_ORDER)
+//   btcAboveTrend  BTC is only sold while price/trend >= this multiple; below it
+//                  BTC moves to the back of the order (null = always in order)
+//   targets        { btc, <id>: weight } to rebalance to; none = never rebalance
+//   rebalanceEvery years between rebalances (1)
+//   glide          { to: { btc, <id>: weight }, years } targets drift linearly
+//                  from `targets` to `to` over `years`
+// Returns are annual and nominal. Random scenarios (PowerLaw.scenarioIsRandom)
+// draw them lognormally around `return` from the run's seed; the others use
+// `return` every year.
+(function() {
+  'use strict';
+
+  const PL = window.PowerLaw;
+
+  const ASSET_DEFAULTS = {
+    stocks: { label: 'Stocks', return: 0.07, volatility: 0.16 },
+    bonds: { label: 'Bonds', return: 0.04, volatility: 0.06 },
+    cash: { label: 'Cash', return: 0.02, volatility: 0.005 }
+  };
+
+  const DEFAULT_ORDER = ['cash', 'bonds', 'stocks', 'btc'];
+
+  // Small stable hash so each bucket gets its own random stream per seed
+  function idHash(id) {
+    let h = 0;
+    for (let i = 0; i < id.length; i++) h = Math.imul(h ^ id.charCodeAt(i), 0x9E3779B1);
+    return h >>> 0;
+  }
+
+  // True when the spec holds anything besides BTC
+  function hasAssets(spec) {
+    return !!spec && Array.isArray(spec.assets) && spec.assets.some(a => a.balance > 0);
+  }
+
+  // Weights normalized over BTC and the buckets present (missing = 0)
+  function normalizeWeights(weights, ids) {
+    const w = { btc: Math.max(0, weights.btc || 0) };
+    ids.forEach(id => { w[id] = Math.max(0, weights[id] || 0); });
+    const sum = Object.keys(w).reduce((s, id) => s + w[id], 0);
+    if (!(sum > 0)) return null;
+    Object.keys(w).forEach(id => { w[id] /= sum; });
+    return w;
+  }
+
+
+  // ── Portfolio ───────────────────────────────────────────────
+  // run: { scenarioMode, seed } of the simulation, for the return draws.
+  // null when the spec has no non-BTC assets.
+  function createPortfolio(spec, run = {}) {
+    if (!hasAssets(spec)) return null;
+
+    const buckets = spec.assets.map(a => {
+      const defaults = ASSET_DEFAULTS[a.id] || {};
+      return {
+        id: a.id,
+        label: a.label || defaults.label || a.id,
+        balance: Math.max(0, a.balance || 0),
+        return: a.return != null ? a.return : (defaults.return || 0),
+        volatility: a.volatility != null ? a.volatility : (defaults.volatility || 0)
+      };
+    });
+    const ids = buckets.map(b => b.id);
+    const byId = {};
+    buckets.forEach(b => { byId[b.id] = b; });
+
+    const order = (spec.order || DEFAULT_ORDER).filter(id => id === 'btc' || byId[id]);
+    ids.forEach(id => { if (!order.includes(id)) order.push(id); });
+    if (!order.includes('btc')) order.push('btc');
+
+    const btcAboveTrend = spec.btcAboveTrend === undefined ? 1.0 : spec.btcAboveTrend;
+    const targets = spec.targets ? normalizeWeights(spec.targets, ids) : null;
+    const glideTo = targets && spec.glide && spec.glide.to ? normalizeWeights(spec.glide.to, ids) : null;
+    const glideYears = spec.glide && spec.glide.years > 0 ? spec.glide.years : 0;
+    const rebalanceEvery = spec.rebalanceEvery > 0 ? Math.round(spec.rebalanceEvery) : 1;
+
+    const random = !!run.scenarioMode && PL.scenarioIsRandom(run.scenarioMode);
+    const seed = run.seed != null ? run.seed : PL.DEFAULT_SEED;
+    const rngs = {};
+    buckets.forEach(b => { rngs[b.id] = PL.mulberry32((seed ^ idHash(b.id)) >>> 0); });
+
+    function balances() {
+      const out = {};
+      buckets.forEach(b => { out[b.id] = b.balance; });
+      return out;
+    }
+
+    function total() {
+      return buckets.reduce((sum, b) => sum + b.balance, 0);
+    }
+
+    // Whether BTC may be sold at this price/trend multiple before the buckets run dry
+    function sellsBTC(multiple) {
+      return btcAboveTrend == null || multiple >= btcAboveTrend;
+    }
+
+    // Pay `cash` in spending order. btcCapacity is the most BTC can raise
+    // this year; BTC sits last below btcAboveTrend. The engine raises
+    // { btc } from BTC; { unmet } is what nothing could cover (it falls to
+    // BTC or loans as well). Buckets are drawn down immediately.
+    function spend(cash, multiple, btcCapacity) {
+      const taken = {};
+      let remaining = Math.max(0, cash);
+      let btc = 0;
+      const sequence = sellsBTC(multiple) ? order : order.filter(id => id !== 'btc').concat('btc');
+
+      for (const id of sequence) {
+        if (remaining <= 0) break;
+        if (id === 'btc') {
+          const amount = Math.min(remaining, Math.max(0, btcCapacity));
+          btc += amount;
+          remaining -= amount;
+          continue;
+        }
+        const bucket = byId[id];
+        const amount = Math.min(remaining, bucket.balance);
+        bucket.balance -= amount;
+        taken[id] = amount;
+        remaining -= amount;
+      }
+      return { buckets: taken, btc, unmet: remaining };
+    }
+
+    // Target weights in year yearIndex, null without targets
+    function targetWeights(yearIndex) {
+      if (!targets) return null;
+      if (!glideTo || !glideYears) return Object.assign({}, targets);
+      const f = Math.min(1, Math.max(0, yearIndex / glideYears));
+      const w = {};
+      Object.keys(targets).forEach(id => { w[id] = targets[id] + (glideTo[id] - targets[id]) * f; });
+      return w;
+    }
+
+    // Set the buckets to the target weights of yearIndex (when a rebalance
+    // is due) and return the BTC value to buy (+) or sell (−) to match.
+    // The engine makes that trade; tax on a sale comes on top of it, and
+    // a sale never raises more than btcCapacity (the buckets get less;
+    // engines pass 0 while sellsBTC is false, so only the buckets re-mix).
+    function rebalance(yearIndex, btcValue, btcCapacity = btcValue) {
+      const w = targetWeights(yearIndex);
+      if (!w || yearIndex % rebalanceEvery !== 0) return 0;
+      const before = total();
+      const value = btcValue + before;
+      if (!(value > 0)) return 0;
+      const trade = w.btc * value - btcValue;
+      const proceeds = trade < 0 ? Math.min(-trade, Math.max(0, btcCapacity)) : -trade;
+      const scale = w.btc < 1 ? (before + proceeds) / ((1 - w.btc) * value) : 0;
+      buckets.forEach(b => { b.balance = w[b.id] * value * scale; });
+      return -proceeds;
+    }
+
+    // One year of returns; lognormal draws with mean `return` on random runs
+    function grow() {
+      buckets.forEach(b => {
+        let r = b.return;
+        if (random && b.volatility > 0) {
+          const z = PL.gaussianRandom(rngs[b.id]);
+          r = Math.exp(Math.log(1 + b.return) - b.volatility * b.volatility / 2 + b.volatility * z) - 1;
+        }
+        b.balance *= 1 + r;
+      });
+    }
+
+    return {
+      ids,
+      order,
+      labels: () => {
+        const out = {};
+        buckets.forEach(b => { out[b.id] = b.label; });
+        return out;
+      },
+      balances,
+      total,
+      sellsBTC,
+      spend,
+      targetWeights,
+      rebalance,
+      grow
+    };
+  }
+
+  window.Portfolio = {
+    ASSET_DEFAULTS,
+    DEFAULT_ORDER,
+    hasAssets,
+    normalizeWeights,
+    createPortfolio
+  };
+})();
@@ -3,13 +3,33 @@
 const GENESIS = new Date('2009-01-03T00:00:00Z');
 
 // Model parameters
+// Built-in models. Custom models are added at runtime via registerModel()
+// and persisted in localStorage; built-ins cannot be removed.
+const DEFAULT_MODEL = 'santostasi';
 const MODELS = {
   santostasi: {
     name: 'Santostasi',
     beta: 5.688,
     logA: -16.493,
     sigma: 0.2,
-    useYears: false
+    useYears: false,
+    builtIn: true
+  },
+  krueger: {
+    name: 'Krueger/Sigman',
+    beta: 5.616314045,
+    logA: -1.847796462,
+    sigma: 0.2,
+    useYears: true,
+    builtIn: true
+  },
+  perrenod: {
+    name: 'Perrenod',
+    beta: 5.8,
+    logA: -17,
+    sigma: 0.2,
+    useYears: false,
+    builtIn: true
   }
 };
 
@@ -20,6 +40,128 @@ function modelSigma(model) {
   return params.sigma;
 }
 
+// ── Model Registry ────────────────────────────────────────────
+const CUSTOM_MODELS_KEY = 'powerlaw.customModels';
+const SELECTED_MODEL_KEY = 'powerlaw.selectedModel';
+const CUSTOM_SCENARIOS_KEY = 'powerlaw.customScenarios';
+
+let selectedModelId = DEFAULT_MODEL;
+const modelListeners = [];
+
+// localStorage may be missing (Node, workers) or blocked (privacy mode)
+function storageGet(key) {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage.getItem(key) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function storageSet(key, value) {
+  try {
+    if (typeof localStorage !== 'undefined') localStorage.setItem(key, value);
+  } catch (e) { /* storage unavailable — keep in memory only */ }
+}
+
+function persistCustomModels() {
+  const custom = {};
+  for (const id of Object.keys(MODELS)) {
+    if (!MODELS[id].builtIn) custom[id] = MODELS[id];
+  }
+  storageSet(CUSTOM_MODELS_KEY, JSON.stringify(custom));
+}
+
+function notifyModelListeners(event) {
+  for (const fn of modelListeners.slice()) {
+    try { fn(event); } catch (e) { console.error('Model listener failed:', e); }
+  }
+}
+
+// Add or replace a custom model: { name, beta, logA, sigma, useYears }
+function registerModel(id, params, options = {}) {
+  const { persist = true } = options;
+  if (!id || typeof id !== 'string') throw new Error('Model id must be a non-empty string');
+  if (MODELS[id] && MODELS[id].builtIn) throw new Error(`Cannot overwrite built-in model: ${id}`);
+
+  const beta = Number(params.beta);
+  const logA = Number(params.logA);
+  const sigma = params.sigma != null ? Number(params.sigma) : MODELS[DEFAULT_MODEL].sigma;
+  if (!isFinite(beta) || beta <= 0) throw new Error(`Invalid beta for model ${id}`);
+  if (!isFinite(logA)) throw new Error(`Invalid logA for model ${id}`);
+  if (!isFinite(sigma) || sigma <= 0) throw new Error(`Invalid sigma for model ${id}`);
+
+  MODELS[id] = {
+    name: params.name || id,
+    beta,
+    logA,
+    sigma,
+    useYears: !!params.useYears,
+    builtIn: false
+  };
+  if (persist) persistCustomModels();
+  notifyModelListeners({ type: 'registered', model: id });
+  return MODELS[id];
+}
+
+function removeModel(id) {
+  const params = MODELS[id];
+  if (!params) return false;
+  if (params.builtIn) throw new Error(`Cannot remove built-in model: ${id}`);
+
+  delete MODELS[id];
+  persistCustomModels();
+  notifyModelListeners({ type: 'removed', model: id });
+  if (selectedModelId === id) setSelectedModel(DEFAULT_MODEL);
+  return true;
+}
+
+function modelIds() {
+  return Object.keys(MODELS);
+}
+
+function selectedModel() {
+  return selectedModelId;
+}
+
+function setSelectedModel(id) {
+  if (!MODELS[id]) throw new Error(`Unknown model: ${id}`);
+  if (id === selectedModelId) return;
+  selectedModelId = id;
+  storageSet(SELECTED_MODEL_KEY, id);
+  notifyModelListeners({ type: 'selected', model: id });
+}
+
+// Subscribe to registry changes. Listener receives { type, model } where
+// type is 'selected', 'registered' or 'removed'. Returns an unsubscribe fn.
+function onModelChange(fn) {
+  modelListeners.push(fn);
+  return () => {
+    const i = modelListeners.indexOf(fn);
+    if (i >= 0) modelListeners.splice(i, 1);
+  };
+}
+
+// Restore custom models and the last selection from localStorage
+function loadStoredModels() {
+  const raw = storageGet(CUSTOM_MODELS_KEY);
+  if (raw) {
+    try {
+      const custom = JSON.parse(raw);
+      for (const id of Object.keys(custom)) {
+        try {
+          registerModel(id, custom[id], { persist: false });
+        } catch (e) {
+          console.warn(`Skipping stored model ${id}:`, e.message);
+        }
+      }
+    } catch (e) {
+      console.warn('Ignoring corrupt custom model storage');
+    }
+  }
+  const stored = storageGet(SELECTED_MODEL_KEY);
+  if (stored && MODELS[stored]) selectedModelId = stored;
+}
+
 // Calculate days since genesis
 function daysSinceGenesis(date = new Date()) {
   const d = date instanceof Date ? date : new Date(date);
@@ -36,10 +178,15 @@ function trendPrice(model, date = new Date()) {
   const params = MODELS[model];
   if (!params) throw new Error(`Unknown model: ${model}`);
 
-  const t = params.useYears ? yearsSinceGenesis(date) : daysSinceGenesis(date);
+  const t = modelTime(params, date);
   return Math.pow(10, params.logA) * Math.pow(t, params.beta);
 }
 
+// Time variable of a model: years or days since genesis
+function modelTime(params, date) {
+  return params.useYears ? yearsSinceGenesis(date) : daysSinceGenesis(date);
+}
+
 // Calculate multiplier (current price / trend price)
 function multiplier(currentPrice, model, date = new Date()) {
   const trend = trendPrice(model, date);
@@ -128,24 +275,108 @@ function milestoneDateForPrice(targetPrice, model) {
   return milestoneDate;
 }
 
+// ── OHLC Bars ─────────────────────────────────────────────────
+// Daily points are {date, price} with optional open/high/low/volume
+// (datasets/btc_historical.json has bars from late 2014). `price` is always
+// the close; these helpers fall back to it for close-only points.
+function pointOpen(point) {
+  return point.open > 0 ? point.open : point.price;
+}
+
+function pointHigh(point) {
+  return point.high > 0 ? point.high : point.price;
+}
+
+function pointLow(point) {
+  return point.low > 0 ? point.low : point.price;
+}
+
+function hasOHLC(point) {
+  return point.high > 0 && point.low > 0;
+}
+
+// Group daily points into 'day' | 'week' (Monday start) | 'month' candles.
+// Each candle: {date (period start), open, high, low, close, volume, days}
+function aggregateCandles(data, period = 'day') {
+  const candles = [];
+  let current = null;
+
+  for (const point of data) {
+    const d = new Date(point.date + 'T00:00:00Z');
+    let key;
+    if (period === 'month') {
+      key = point.date.substring(0, 7) + '-01';
+    } else if (period === 'week') {
+      const monday = new Date(d.getTime() - ((d.getUTCDay() + 6) % 7) * 86400000);
+      key = monday.toISOString().split('T')[0];
+    } else {
+      key = point.date;
+    }
+
+    if (!current || current.date !== key) {
+      current = {
+        date: key,
+        open: pointOpen(point),
+        high: pointHigh(point),
+        low: pointLow(point),
+        close: point.price,
+        volume: point.volume || 0,
+        days: 1
+      };
+      candles.push(current);
+    } else {
+      current.high = Math.max(current.high, pointHigh(point));
+      current.low = Math.min(current.low, pointLow(point));
+      current.close = point.price;
+      current.volume += point.volume || 0;
+      current.days++;
+    }
+  }
+  return candles;
+}
+
 // ── Scenario Definitions ──────────────────────────────────────
 // Central registry of all price scenarios used across calculators.
 // id: programmatic key, label: display name, k: static sigma-k (null = dynamic/cyclical)
+// User-defined scenarios live in a separate registry (registerScenario);
+// scenarioModes() lists both.
 const SCENARIO_MODES = [
   { id: 'smooth_trend',     label: 'Smooth Trend',              k: 0 },
   { id: 'smooth_bear',      label: 'Bear (flat \u22121\u03c3)', k: -1 },
   { id: 'smooth_deep_bear', label: 'Deep Bear (flat \u22122\u03c3)', k: -2 },
   { id: 'cyclical',         label: 'Cyclical (\u00b11\u03c3)',  k: null },
-  { id: 'cyclical_bear',    label: 'Bear Bias Cycles',          k: null }
+  { id: 'cyclical_bear',    label: 'Bear Bias Cycles',          k: null },
+  { id: 'stochastic',       label: 'Stochastic (mean-reverting)', k: null },
+  { id: 'bootstrap',        label: 'Historical Bootstrap',      k: null },
+  { id: 'regime',           label: 'Regime Switching',          k: null },
+  { id: 'replay_2018',      label: 'Replay 2018 Crash',         k: null },
+  { id: 'replay_2022',      label: 'Replay 2022 Crash',         k: null }
 ];
 
 function scenarioLabel(mode) {
   const found = SCENARIO_MODES.find(s => s.id === mode);
-  return found ? found.label : mode;
+  if (found) return found.label;
+  return customScenarios[mode] ? customScenarios[mode].name : mode;
 }
 
+// Built-in scenarios followed by the user's ({ custom: true })
 function scenarioModes() {
-  return SCENARIO_MODES;
+  return SCENARIO_MODES.concat(Object.keys(customScenarios).map(id => ({
+    id,
+    label: customScenarios[id].name,
+    k: null,
+    custom: true
+  })));
+}
+
+// Scenarios that start from the live price (pass initialK): the
+// dynamic built-ins, and custom scenarios built on one of them
+const INITIAL_K_SCENARIOS = ['cyclical', 'cyclical_bear', 'stochastic', 'bootstrap', 'regime'];
+
+function scenarioUsesInitialK(mode) {
+  if (INITIAL_K_SCENARIOS.includes(mode)) return true;
+  const custom = customScenarios[mode];
+  return !!custom && custom.base !== 'path' && INITIAL_K_SCENARIOS.includes(custom.base);
 }
 
 // ── Scenario Pricing ──────────────────────────────────────────
@@ -168,60 +399,84 @@ function currentSigmaK(model, sigma, livePrice, date) {
 // discrete scale invariance: cycles lengthen geometrically (λ ≈ 2.0)
 // with power-law amplitude decay for peaks and stable trough depth.
 //
-// Based on empirical data from Stephen Perrenod's analysis:
-//   Trough ages: 1.730, 3.398, 6.713, 13.977 yrs (λ_trough = 2.007)
-//   Peak ages:   2.77, 4.33, 8.75 yrs (λ_peak = 2.07)
+// Based on empirical data from Stephen Perrenod's analysis (PERRENOD_CYCLE):
 //   Trough depth: stable at ~-1σ (log residual ≈ -0.39)
 //   Peak height:  decays as age^(-0.83)
+// fitCyclical() re-estimates the parameters from the k history;
+// setCyclicalParams() installs a fit for the cyclical scenarios.
 //
 // Returns sigmaK (number of σ above/below trend) for a given year offset.
-function cyclicalSigmaK(yearsFromStart, options = {}) {
-  const {
-    lambda = 2.007,       // geometric cycle scaling factor (Perrenod trough ratio)
-    alpha = 0.83,         // peak amplitude power-law decay exponent
-    troughDepth = -1.0,   // trough floor in sigma units (constant across cycles)
-    peakK0 = 2.0,         // initial peak height at early Bitcoin age (~2σ)
-    bearBias = 0,         // shift wave down (>0 = pessimistic bias)
-    amplitude = 1.0,      // overall scaling multiplier
-    initialK = null,      // starting sigmaK from live price (null = use model phase)
-    genesisAge = null      // Bitcoin age in years at t=0 (null = derive from now)
-  } = options;
+const PERRENOD_CYCLE = {
+  troughAges: [1.730, 3.398, 6.713, 13.977],   // years since genesis, λ_trough = 2.007
+  peakAges: [2.77, 4.33, 8.75],                // λ_peak = 2.07
+  lambda: 2.007,
+  alpha: 0.83
+};
+const CYCLICAL_DEFAULTS = {
+  lambda: PERRENOD_CYCLE.lambda,          // geometric cycle scaling factor (Perrenod trough ratio)
+  firstTrough: PERRENOD_CYCLE.troughAges[0], // age of the first trough — sets the phase
+  alpha: PERRENOD_CYCLE.alpha,            // peak amplitude power-law decay exponent
+  troughDepth: -1.0,    // trough floor in sigma units (constant across cycles)
+  peakK0: 2.0,          // initial peak height at early Bitcoin age (~2σ)
+  bearBias: 0,          // shift wave down (>0 = pessimistic bias)
+  amplitude: 1.0        // overall scaling multiplier
+};
+// bearBias of the built-in 'cyclical_bear' scenario (~60% of time below trend)
+const CYCLICAL_BEAR_BIAS = 0.309;
 
-  // Compute absolute Bitcoin age
-  const baseAge = genesisAge !== null ? genesisAge : yearsSinceGenesis(new Date());
-  const age = baseAge + yearsFromStart;
-
-  // Guard: very early ages (before first trough) — return trough depth
-  if (age < 1.0) return amplitude * troughDepth - bearBias;
+// Parameters the cyclical scenarios use when a caller doesn't override them
+let cyclicalParams = Object.assign({}, CYCLICAL_DEFAULTS);
 
+// Log-periodic wave at a Bitcoin age ≥ 1, before amplitude, bias and
+// clamp. p: { lambda, firstTrough, alpha, peakK0, troughDepth }
+function cycleWave(age, p) {
   // Log-periodic phase: φ(age) = 2π × log(age) / log(λ)
   // This produces a sine wave that is uniform in log-time,
   // meaning equal-looking oscillations on a log-scale time axis.
   // Calibrated so troughs at empirical ages land near sin = -1.
   //
-  // Phase calibration: first trough at age 1.730 should be sin ≈ -1
-  // → φ(1.730) = -π/2 + 2πn → phaseShift = -π/2 - 2π×log(1.730)/log(λ)
-  const T0_trough = 1.730; // first empirical trough age
-  const logLambda = Math.log(lambda);
-  const phaseShift = -Math.PI / 2 - (2 * Math.PI * Math.log(T0_trough) / logLambda);
+  // Phase calibration: first trough (age 1.730 for Perrenod) should be sin ≈ -1
+  // → φ(firstTrough) = -π/2 + 2πn → phaseShift = -π/2 - 2π×log(firstTrough)/log(λ)
+  const logLambda = Math.log(p.lambda);
+  const phaseShift = -Math.PI / 2 - (2 * Math.PI * Math.log(p.firstTrough) / logLambda);
 
   const phase = 2 * Math.PI * Math.log(age) / logLambda + phaseShift;
-  let sineVal = Math.sin(phase);
+  const sineVal = Math.sin(phase);
 
   // Asymmetric amplitude envelope:
   // Troughs: constant depth (troughDepth, typically -1σ)
   // Peaks: decay as age^(-alpha), scaled by peakK0
   // When sine > 0 (above trend): scale by decaying peak envelope
   // When sine < 0 (below trend): scale by constant trough depth
-  let sigmaK;
   if (sineVal >= 0) {
     // Peak side: amplitude decays with age
-    const peakAmplitude = peakK0 * Math.pow(age, -alpha);
-    sigmaK = amplitude * peakAmplitude * sineVal;
-  } else {
-    // Trough side: constant depth
-    sigmaK = amplitude * Math.abs(troughDepth) * sineVal;
+    return p.peakK0 * Math.pow(age, -p.alpha) * sineVal;
   }
+  // Trough side: constant depth
+  return Math.abs(p.troughDepth) * sineVal;
+}
+
+function cyclicalSigmaK(yearsFromStart, options = {}) {
+  const {
+    lambda = cyclicalParams.lambda,
+    firstTrough = cyclicalParams.firstTrough,
+    alpha = cyclicalParams.alpha,
+    troughDepth = cyclicalParams.troughDepth,
+    peakK0 = cyclicalParams.peakK0,
+    bearBias = cyclicalParams.bearBias,
+    amplitude = cyclicalParams.amplitude,
+    initialK = null,      // starting sigmaK from live price (null = use model phase)
+    genesisAge = null      // Bitcoin age in years at t=0 (null = derive from now)
+  } = options;
+
+  // Compute absolute Bitcoin age
+  const baseAge = genesisAge !== null ? genesisAge : yearsSinceGenesis(new Date());
+  const age = baseAge + yearsFromStart;
+
+  // Guard: very early ages (before first trough) — return trough depth
+  if (age < 1.0) return amplitude * troughDepth - bearBias;
+
+  let sigmaK = amplitude * cycleWave(age, { lambda, firstTrough, alpha, peakK0, troughDepth });
 
   // Apply bear bias (shifts entire wave down)
   sigmaK -= bearBias;
@@ -238,8 +493,288 @@ function cyclicalSigmaK(yearsFromStart, options = {}) {
   return Math.max(-2, Math.min(2, sigmaK));
 }
 
-// Resolve the effective sigmaK for a given year based on scenario mode
-function resolveScenarioK(scenarioMode, yearIndex, initialK) {
+// ── Cyclical Fit ──────────────────────────────────────────────
+// Nonlinear least squares fit of cyclicalSigmaK to the historical k
+// series (weekly closes, k = log residual / σ), by Levenberg-Marquardt
+// from the best few starts of a λ × phase grid. Fitted: λ, the first
+// trough age (phase), α, peakK0 and troughDepth; bearBias and amplitude
+// stay at 0 and 1.
+//
+// peakK0 is the envelope at age 1, far outside the data, so it is nearly
+// collinear with α. The search uses the envelope at CYCLE_FIT_REF_AGE
+// instead and converts back (delta method for its standard error).
+//
+// Weekly residuals are strongly autocorrelated, so standard errors are
+// Newey-West (Bartlett kernel, hacLags weeks) like fitPowerLaw's:
+// Cov = (JᵀJ)⁻¹ S (JᵀJ)⁻¹ with S the long-run variance of Jᵢ·eᵢ.
+const CYCLICAL_FIT_PARAMS = ['lambda', 'firstTrough', 'alpha', 'peakK0', 'troughDepth'];
+const CYCLE_FIT_REF_AGE = 6;
+const CYCLE_FIT_BOUNDS = [       // search vector: λ, first trough, α, peak at ref age, trough depth
+  [1.3, 4],
+  [0.5, 5],
+  [0, 3],
+  [0.05, 4],
+  [-3, -0.05]
+];
+
+function cycleFitParams(v) {
+  return {
+    lambda: v[0],
+    firstTrough: v[1],
+    alpha: v[2],
+    peakK0: v[3] * Math.pow(CYCLE_FIT_REF_AGE, v[2]),
+    troughDepth: v[4]
+  };
+}
+
+// Model k at each sample age, as cyclicalSigmaK (clamped, no bias)
+function cycleFitCurve(v, samples) {
+  const p = cycleFitParams(v);
+  return samples.map(s => (s.age < 1 ? p.troughDepth : Math.max(-2, Math.min(2, cycleWave(s.age, p)))));
+}
+
+function cycleFitSse(v, samples) {
+  const curve = cycleFitCurve(v, samples);
+  let sse = 0;
+  for (let i = 0; i < samples.length; i++) sse += (samples[i].k - curve[i]) ** 2;
+  return sse;
+}
+
+// Forward-difference Jacobian of the curve at v (rows: samples)
+function cycleFitJacobian(v, samples, curve) {
+  const J = samples.map(() => new Array(v.length));
+  for (let i = 0; i < v.length; i++) {
+    const h = 1e-6 * Math.max(1, Math.abs(v[i]));
+    const stepped = v.slice();
+    stepped[i] += h;
+    const moved = cycleFitCurve(stepped, samples);
+    for (let r = 0; r < samples.length; r++) J[r][i] = (moved[r] - curve[r]) / h;
+  }
+  return J;
+}
+
+// Gaussian elimination with partial pivoting; null if singular
+function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => row.concat(b[i]));
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[pivot][c])) pivot = r;
+    if (Math.abs(M[pivot][c]) < 1e-14) return null;
+    [M[c], M[pivot]] = [M[pivot], M[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  const x = new Array(n);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = M[r][n];
+    for (let k = r + 1; k < n; k++) sum -= M[r][k] * x[k];
+    x[r] = sum / M[r][r];
+  }
+  return x;
+}
+
+// Σ rowᵀ·row over the rows of X
+function crossProduct(X) {
+  const p = X[0].length;
+  const A = Array.from({ length: p }, () => new Array(p).fill(0));
+  for (const row of X) {
+    for (let i = 0; i < p; i++) for (let j = 0; j < p; j++) A[i][j] += row[i] * row[j];
+  }
+  return A;
+}
+
+function levenbergMarquardt(start, samples, maxIter = 100) {
+  const clamp = v => v.map((x, i) => Math.max(CYCLE_FIT_BOUNDS[i][0], Math.min(CYCLE_FIT_BOUNDS[i][1], x)));
+  let v = clamp(start);
+  let curve = cycleFitCurve(v, samples);
+  let sse = cycleFitSse(v, samples);
+  let damping = 1e-3;
+  let iterations = 0;
+  let converged = false;
+  while (iterations < maxIter && !converged) {
+    iterations++;
+    const J = cycleFitJacobian(v, samples, curve);
+    const A = crossProduct(J);
+    const g = new Array(v.length).fill(0);
+    J.forEach((row, r) => row.forEach((d, i) => { g[i] += d * (samples[r].k - curve[r]); }));
+
+    let improved = false;
+    while (damping < 1e10) {
+      const damped = A.map((row, i) => row.map((x, j) => (i === j ? x * (1 + damping) + 1e-12 : x)));
+      const step = solveLinear(damped, g);
+      const next = step && clamp(v.map((x, i) => x + step[i]));
+      const nextSse = next ? cycleFitSse(next, samples) : Infinity;
+      if (nextSse < sse) {
+        converged = sse - nextSse < 1e-8 * sse;
+        v = next;
+        curve = cycleFitCurve(v, samples);
+        sse = nextSse;
+        damping = Math.max(damping / 10, 1e-12);
+        improved = true;
+        break;
+      }
+      damping *= 10;
+    }
+    if (!improved) converged = true;
+  }
+  return { v, sse, iterations, converged };
+}
+
+// historicalData: [{date, price}] (USD). Returns
+//   { params, se, ci, rSquared, rmse, published: { rSquared, rmse },
+//     troughAges, count, ... }
+// params can go straight into setCyclicalParams().
+// options.sigma: residual σ used for k (default: calculateSigma on the data)
+// options.from / options.to / options.stepDays: sampling, as fitResidualOU
+// options.hacLags: Newey-West lags in samples (default 52 ≈ one year)
+// options.confidence: for ci (default 0.95)
+// options.start: extra starting parameters for the search, e.g.
+//   CycleStats.cycleCalibration() from the detected cycle catalogue
+function fitCyclical(historicalData, model, options = {}) {
+  const { from = '2011-01-01', to = null, stepDays = 7, hacLags = 52, confidence = 0.95 } = options;
+  const sigma = options.sigma || calculateSigma(historicalData, model).sigma;
+
+  const samples = [];
+  let nextTime = -Infinity;
+  for (const point of historicalData) {
+    if (point.date < from || (to && point.date > to) || !(point.price > 0)) continue;
+    const date = new Date(point.date);
+    if (date.getTime() < nextTime) continue;
+    samples.push({ date: point.date, age: yearsSinceGenesis(date), k: Math.log10(point.price / trendPrice(model, date)) / sigma });
+    nextTime = date.getTime() + stepDays * 86400000;
+  }
+  const n = samples.length;
+  const p = CYCLICAL_FIT_PARAMS.length;
+  if (n < 100) throw new Error('Not enough history to fit the cycle');
+
+  // Coarse grid over λ and phase with the published shape, then LM from
+  // the best starts
+  const publishedPeak = CYCLICAL_DEFAULTS.peakK0 * Math.pow(CYCLE_FIT_REF_AGE, -CYCLICAL_DEFAULTS.alpha);
+  const starts = [];
+  for (const lambda of [1.7, 1.85, 2.0, 2.15, 2.3, 2.5, 2.8]) {
+    for (let j = 0; j < 6; j++) {
+      const v = [lambda, Math.pow(lambda, j / 6), CYCLICAL_DEFAULTS.alpha, publishedPeak, CYCLICAL_DEFAULTS.troughDepth];
+      starts.push({ v, sse: cycleFitSse(v, samples) });
+    }
+  }
+  starts.sort((a, b) => a.sse - b.sse);
+  const candidates = starts.slice(0, 3);
+  if (options.start) {
+    const start = Object.assign({}, CYCLICAL_DEFAULTS, options.start);
+    candidates.push({ v: [start.lambda, start.firstTrough, start.alpha,
+      start.peakK0 * Math.pow(CYCLE_FIT_REF_AGE, -start.alpha), start.troughDepth] });
+  }
+  let best = null;
+  for (const start of candidates) {
+    const run = levenbergMarquardt(start.v, samples);
+    if (!best || run.sse < best.sse) best = run;
+  }
+
+  // The wave repeats when the first trough moves by a factor λ:
+  // report the trough in [1, λ) years
+  const v = best.v.slice();
+  while (v[1] >= v[0]) v[1] /= v[0];
+  while (v[1] < 1) v[1] *= v[0];
+  const params = cycleFitParams(v);
+
+  // Goodness of fit, against the published constants on the same samples
+  const curve = cycleFitCurve(v, samples);
+  const errors = samples.map((s, i) => s.k - curve[i]);
+  const meanK = samples.reduce((sum, s) => sum + s.k, 0) / n;
+  const sst = samples.reduce((sum, s) => sum + (s.k - meanK) ** 2, 0);
+  const sse = errors.reduce((sum, e) => sum + e * e, 0);
+  const publishedSse = cycleFitSse([CYCLICAL_DEFAULTS.lambda, CYCLICAL_DEFAULTS.firstTrough, CYCLICAL_DEFAULTS.alpha,
+    publishedPeak, CYCLICAL_DEFAULTS.troughDepth], samples);
+
+  // Sandwich covariance of the search vector, Newey-West meat
+  const J = cycleFitJacobian(v, samples, curve);
+  const A = crossProduct(J);
+  const u = J.map((row, r) => row.map(d => d * errors[r]));
+  const S = crossProduct(u);
+  const lags = Math.min(hacLags, n - 1);
+  for (let l = 1; l <= lags; l++) {
+    const w = 1 - l / (lags + 1);
+    for (let r = l; r < n; r++) {
+      for (let i = 0; i < p; i++) {
+        for (let j = 0; j < p; j++) S[i][j] += w * (u[r][i] * u[r - l][j] + u[r - l][i] * u[r][j]);
+      }
+    }
+  }
+  // A⁻¹ column by column (A is symmetric, so columns are rows)
+  const inverse = [];
+  for (let c = 0; c < p; c++) inverse.push(solveLinear(A, A.map((row, i) => (i === c ? 1 : 0))));
+  // Gradient of each reported parameter w.r.t. the search vector:
+  // identity, except peakK0 = peakRef × refAge^α
+  const grads = CYCLICAL_FIT_PARAMS.map((key, i) => CYCLICAL_FIT_PARAMS.map((_, j) => (i === j ? 1 : 0)));
+  const refPow = Math.pow(CYCLE_FIT_REF_AGE, v[2]);
+  grads[3] = [0, 0, v[3] * refPow * Math.log(CYCLE_FIT_REF_AGE), refPow, 0];
+
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const se = {};
+  const ci = {};
+  CYCLICAL_FIT_PARAMS.forEach((key, i) => {
+    let variance = NaN;
+    if (inverse.every(Boolean)) {
+      // gᵀ A⁻¹ S A⁻¹ g
+      const ag = inverse.map(row => row.reduce((sum, x, j) => sum + x * grads[i][j], 0));
+      variance = 0;
+      for (let a = 0; a < p; a++) for (let b = 0; b < p; b++) variance += ag[a] * S[a][b] * ag[b];
+    }
+    se[key] = Math.sqrt(Math.max(variance, 0));
+    ci[key] = [params[key] - z * se[key], params[key] + z * se[key]];
+  });
+
+  const troughAges = [];
+  for (let age = params.firstTrough; troughAges.length < 6; age *= params.lambda) troughAges.push(age);
+
+  return {
+    params,
+    se,
+    ci,
+    confidence,
+    hacLags: lags,
+    rSquared: sst > 0 ? 1 - sse / sst : 0,
+    rmse: Math.sqrt(sse / n),
+    published: {
+      rSquared: sst > 0 ? 1 - publishedSse / sst : 0,
+      rmse: Math.sqrt(publishedSse / n)
+    },
+    troughAges,
+    count: n,
+    dof: n - p,
+    converged: best.converged,
+    iterations: best.iterations,
+    sigma,
+    from: samples[0].date,
+    to: samples[n - 1].date
+  };
+}
+
+function getCyclicalParams() {
+  return Object.assign({}, cyclicalParams);
+}
+
+// Install cycle parameters for the cyclical scenarios (null = published
+// constants). Accepts fitCyclical().params; unknown keys are ignored.
+function setCyclicalParams(params) {
+  const next = Object.assign({}, CYCLICAL_DEFAULTS);
+  for (const key of Object.keys(CYCLICAL_DEFAULTS)) {
+    if (params && params[key] != null) next[key] = params[key];
+  }
+  if (!(next.lambda > 1) || !(next.firstTrough > 0) || !CYCLICAL_FIT_PARAMS.every(key => isFinite(next[key]))) {
+    throw new Error('Cycle parameters need lambda > 1, firstTrough > 0 and finite values');
+  }
+  cyclicalParams = next;
+}
+
+// Resolve the effective sigmaK for a given year based on scenario mode.
+// seed only affects the random scenarios (same seed + initialK → same path).
+// sigma converts the % shocks of custom scenarios into sigma-k (default:
+// the selected model's σ); built-in scenarios ignore it.
+function resolveScenarioK(scenarioMode, yearIndex, initialK, seed, sigma) {
   switch (scenarioMode) {
     case 'smooth_trend':      return 0;
     case 'smooth_bear':       return -1;
@@ -247,13 +782,818 @@ function resolveScenarioK(scenarioMode, yearIndex, initialK) {
     case 'cyclical':
       return cyclicalSigmaK(yearIndex, { bearBias: 0, initialK: initialK != null ? initialK : null });
     case 'cyclical_bear':
-      return cyclicalSigmaK(yearIndex, { bearBias: 0.309, initialK: initialK != null ? initialK : null });
+      return cyclicalSigmaK(yearIndex, { bearBias: CYCLICAL_BEAR_BIAS, initialK: initialK != null ? initialK : null });
+    case 'stochastic':
+      return stochasticSigmaK(yearIndex, { initialK: initialK != null ? initialK : null, seed });
+    case 'bootstrap':
+      return bootstrapSigmaK(yearIndex, { initialK: initialK != null ? initialK : null, seed });
+    case 'regime':
+      return regimeSigmaK(yearIndex, { initialK: initialK != null ? initialK : null, seed });
+    case 'replay_2018':
+    case 'replay_2022':
+      return bootstrapSigmaK(yearIndex, { replay: REPLAY_EPISODES[scenarioMode].from, seed });
     default:
+      if (customScenarios[scenarioMode]) {
+        return customScenarioK(customScenarios[scenarioMode], yearIndex, initialK, seed, sigma);
+      }
       return 0;
   }
 }
 
 
+// ── Custom Scenarios ──────────────────────────────────────────
+// User-defined scenarios, persisted in localStorage like custom models.
+// A spec is a base path plus optional one-off shocks:
+//   {
+//     name: 'Crash in 2028',
+//     base: 'path' | any built-in scenario id,
+//     path: [{ year: 0, k: 0.5 }, { year: 4, k: -1 }, ...]   // base 'path' only
+//     cyclical: { lambda, firstTrough, alpha, peakK0, troughDepth, bearBias, amplitude }
+//                                      // overrides for 'cyclical' / 'cyclical_bear'
+//     shocks: [{ year: 3, change: -0.6, recoveryYears: 2 }]
+//   }
+// Years count from today. A 'path' is interpolated linearly and held flat
+// past its ends; it ignores initialK. A shock moves the price by `change`
+// (−0.6 = −60%) at `year`, then fades linearly in log price over
+// recoveryYears (null = never recovers). Ids are 'custom:<slug of name>'.
+const CUSTOM_SCENARIO_PREFIX = 'custom:';
+const SCENARIO_K_LIMIT = 5;
+const customScenarios = {};
+const scenarioListeners = [];
+
+function scenarioId(name) {
+  const slug = String(name).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  if (!slug) throw new Error('Scenario name must contain letters or digits');
+  return CUSTOM_SCENARIO_PREFIX + slug;
+}
+
+function finiteNumber(value, what) {
+  const n = Number(value);
+  if (value === null || value === '' || !isFinite(n)) throw new Error(`${what} must be a number`);
+  return n;
+}
+
+// Validated copy of a spec; throws with a readable message
+function normalizeScenario(spec) {
+  const name = String(spec.name || '').trim();
+  if (!name) throw new Error('Scenario needs a name');
+  const base = spec.base || 'path';
+  if (base !== 'path' && !SCENARIO_MODES.some(s => s.id === base)) {
+    throw new Error(`Unknown base scenario: ${base}`);
+  }
+  const out = { name, base, shocks: [] };
+
+  if (base === 'path') {
+    const points = (spec.path || []).map(p => ({
+      year: finiteNumber(p.year, 'Path year'),
+      k: finiteNumber(p.k, 'Path k')
+    }));
+    if (points.length === 0) throw new Error('A k-path needs at least one point');
+    for (const p of points) {
+      if (p.year < 0) throw new Error('Path years start at 0 (today)');
+      if (Math.abs(p.k) > SCENARIO_K_LIMIT) throw new Error(`Path k must stay within ±${SCENARIO_K_LIMIT}σ`);
+    }
+    points.sort((a, b) => a.year - b.year);
+    out.path = points.filter((p, i) => i === 0 || p.year !== points[i - 1].year);
+  }
+
+  if ((base === 'cyclical' || base === 'cyclical_bear') && spec.cyclical) {
+    out.cyclical = {};
+    for (const key of Object.keys(CYCLICAL_DEFAULTS)) {
+      if (spec.cyclical[key] == null || spec.cyclical[key] === '') continue;
+      out.cyclical[key] = finiteNumber(spec.cyclical[key], `Cyclical ${key}`);
+    }
+    if (out.cyclical.lambda !== undefined && !(out.cyclical.lambda > 1)) {
+      throw new Error('Cyclical lambda must be greater than 1');
+    }
+    if (out.cyclical.firstTrough !== undefined && !(out.cyclical.firstTrough > 0)) {
+      throw new Error('Cyclical firstTrough must be a positive age');
+    }
+  }
+
+  for (const shock of spec.shocks || []) {
+    const year = finiteNumber(shock.year, 'Shock year');
+    const change = finiteNumber(shock.change, 'Shock change');
+    const recovery = shock.recoveryYears == null || shock.recoveryYears === '' ? null : finiteNumber(shock.recoveryYears, 'Shock recovery');
+    if (year < 0) throw new Error('Shock years start at 0 (today)');
+    if (!(change > -1)) throw new Error('A shock cannot take the price to zero or below');
+    if (recovery !== null && !(recovery > 0)) throw new Error('Shock recovery must be longer than 0 years (leave empty for a permanent shock)');
+    out.shocks.push({ year, change, recoveryYears: recovery });
+  }
+  out.shocks.sort((a, b) => a.year - b.year);
+  return out;
+}
+
+function persistCustomScenarios() {
+  storageSet(CUSTOM_SCENARIOS_KEY, JSON.stringify(customScenarios));
+}
+
+function notifyScenarioListeners(event) {
+  for (const fn of scenarioListeners.slice()) {
+    try { fn(event); } catch (e) { console.error('Scenario listener failed:', e); }
+  }
+}
+
+// Add or replace a custom scenario; returns its id
+function registerScenario(spec, options = {}) {
+  const { persist = true } = options;
+  const scenario = normalizeScenario(spec);
+  const id = scenarioId(scenario.name);
+  customScenarios[id] = scenario;
+  if (persist) persistCustomScenarios();
+  notifyScenarioListeners({ type: 'registered', scenario: id });
+  return id;
+}
+
+function removeScenario(id, options = {}) {
+  const { persist = true } = options;
+  if (!customScenarios[id]) return false;
+  delete customScenarios[id];
+  if (persist) persistCustomScenarios();
+  notifyScenarioListeners({ type: 'removed', scenario: id });
+  return true;
+}
+
+// { id: spec } copy of the custom registry
+function customScenarioSpecs() {
+  return JSON.parse(JSON.stringify(customScenarios));
+}
+
+// Subscribe to custom scenario changes: { type: 'registered' | 'removed',
+// scenario }. Returns an unsubscribe fn.
+function onScenarioChange(fn) {
+  scenarioListeners.push(fn);
+  return () => {
+    const i = scenarioListeners.indexOf(fn);
+    if (i >= 0) scenarioListeners.splice(i, 1);
+  };
+}
+
+function loadStoredScenarios() {
+  const raw = storageGet(CUSTOM_SCENARIOS_KEY);
+  if (!raw) return;
+  try {
+    const stored = JSON.parse(raw);
+    for (const id of Object.keys(stored)) {
+      try {
+        customScenarios[scenarioId(stored[id].name)] = normalizeScenario(stored[id]);
+      } catch (e) {
+        console.warn(`Skipping stored scenario ${id}:`, e.message);
+      }
+    }
+  } catch (e) {
+    console.warn('Ignoring corrupt custom scenario storage');
+  }
+}
+
+function pathK(path, year) {
+  if (year <= path[0].year) return path[0].k;
+  const last = path[path.length - 1];
+  if (year >= last.year) return last.k;
+  let i = 1;
+  while (path[i].year < year) i++;
+  const a = path[i - 1];
+  const b = path[i];
+  return a.k + (b.k - a.k) * (year - a.year) / (b.year - a.year);
+}
+
+// Sigma-k offset of all shocks at `year`
+function shockK(shocks, year, sigma) {
+  let k = 0;
+  for (const shock of shocks) {
+    if (year < shock.year) continue;
+    const full = Math.log10(1 + shock.change) / sigma;
+    if (shock.recoveryYears === null) {
+      k += full;
+    } else {
+      const remaining = 1 - (year - shock.year) / shock.recoveryYears;
+      if (remaining > 0) k += full * remaining;
+    }
+  }
+  return k;
+}
+
+// k of a (normalized) custom scenario spec — also used by the builder preview
+function customScenarioK(spec, yearIndex, initialK, seed, sigma) {
+  let k;
+  if (spec.base === 'path') {
+    k = pathK(spec.path, yearIndex);
+  } else if (spec.base === 'cyclical' || spec.base === 'cyclical_bear') {
+    k = cyclicalSigmaK(yearIndex, Object.assign(
+      { bearBias: spec.base === 'cyclical_bear' ? CYCLICAL_BEAR_BIAS : 0 },
+      spec.cyclical,
+      { initialK: initialK != null ? initialK : null }
+    ));
+  } else {
+    k = resolveScenarioK(spec.base, yearIndex, initialK, seed);
+  }
+  if (spec.shocks.length === 0) return k;
+  return k + shockK(spec.shocks, yearIndex, sigma || modelSigma(selectedModel()));
+}
+
+
+// ── Seeded RNG ────────────────────────────────────────────────
+// Mulberry32: fast 32-bit PRNG, same seed → same sequence
+function mulberry32(seed) {
+  return function() {
+    seed |= 0;
+    seed = seed + 0x6D2B79F5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+// Box-Muller transform: standard normal draw from a uniform rng
+function gaussianRandom(rng = Math.random) {
+  let u1;
+  do { u1 = rng(); } while (u1 === 0);
+  const u2 = rng();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+
+// ── Stochastic Residual Model (Ornstein-Uhlenbeck) ────────────
+// Treats the deviation from trend, in sigma-k units, as a mean-reverting
+// process:  dk = θ(μ − k) dt + vol dW
+// Fitted as an AR(1) on weekly residuals, k(t+Δ) = a + φ k(t) + ε, then
+// mapped to continuous time: θ = −ln φ / Δ, μ = a / (1 − φ),
+// vol = sd(ε) × √(2θ / (1 − φ²)).
+//
+// Defaults: santostasi, weekly closes 2011-01 → 2026-01, k = residual / σ.
+// Pages with loaded history refit with setResidualProcess(fitResidualOU(...)).
+const DEFAULT_SEED = 42;
+const RESIDUAL_OU_DEFAULTS = {
+  theta: 0.96,          // reversion speed per year (half-life ≈ 0.7 yr)
+  mu: 0.05,             // long-run mean, sigma-k
+  vol: 1.34,            // diffusion, sigma-k per √year (stationary sd ≈ 0.96)
+  clamp: 3              // |k| cap — beyond anything seen since 2011
+};
+const PATH_STEPS_PER_YEAR = 12;
+
+let residualProcess = Object.assign({}, RESIDUAL_OU_DEFAULTS);
+let residualPaths = new Map();       // 'seed|initialK' → cached monthly path
+
+function yearsBetween(a, b) {
+  return (new Date(b).getTime() - new Date(a).getTime()) / (365.25 * 86400000);
+}
+
+// historicalData: [{date, price}] (USD). Returns the OU parameters in
+// sigma-k units plus fit diagnostics.
+// options.sigma: residual σ used for k (default: calculateSigma on the data)
+// options.from / options.to: ISO date range, options.stepDays: sampling step
+function fitResidualOU(historicalData, model, options = {}) {
+  const { from = '2011-01-01', to = null, stepDays = 7 } = options;
+  const sigma = options.sigma || calculateSigma(historicalData, model).sigma;
+
+  const samples = [];
+  let nextTime = -Infinity;
+  for (const point of historicalData) {
+    if (point.date < from || (to && point.date > to) || !(point.price > 0)) continue;
+    const date = new Date(point.date);
+    if (date.getTime() < nextTime) continue;
+    samples.push({ date: point.date, k: Math.log10(point.price / trendPrice(model, date)) / sigma });
+    nextTime = date.getTime() + stepDays * 86400000;
+  }
+  if (samples.length < 30) throw new Error('Not enough history to fit the residual process');
+
+  // OLS of k(t+1) on k(t)
+  const n = samples.length - 1;
+  let sx = 0, sy = 0, sxx = 0, sxy = 0;
+  for (let i = 0; i < n; i++) {
+    const x = samples[i].k;
+    const y = samples[i + 1].k;
+    sx += x; sy += y; sxx += x * x; sxy += x * y;
+  }
+  const phi = (n * sxy - sx * sy) / (n * sxx - sx * sx);
+  const a = (sy - phi * sx) / n;
+  if (!(phi > 0 && phi < 1)) throw new Error(`Residuals are not mean-reverting (φ = ${phi.toFixed(4)})`);
+
+  let sse = 0;
+  for (let i = 0; i < n; i++) {
+    const e = samples[i + 1].k - a - phi * samples[i].k;
+    sse += e * e;
+  }
+  const residualSd = Math.sqrt(sse / (n - 2));
+  const dt = yearsBetween(samples[0].date, samples[n].date) / n;
+  const theta = -Math.log(phi) / dt;
+  const vol = residualSd * Math.sqrt(2 * theta / (1 - phi * phi));
+
+  return {
+    theta,
+    mu: a / (1 - phi),
+    vol,
+    clamp: RESIDUAL_OU_DEFAULTS.clamp,
+    phi,
+    halfLifeYears: Math.LN2 / theta,
+    stationarySd: vol / Math.sqrt(2 * theta),
+    sigma,
+    samples: samples.length,
+    from: samples[0].date,
+    to: samples[n].date
+  };
+}
+
+function getResidualProcess() {
+  return Object.assign({}, residualProcess);
+}
+
+// Install fitted parameters for the 'stochastic' scenario (null = defaults)
+function setResidualProcess(params) {
+  const next = Object.assign({}, RESIDUAL_OU_DEFAULTS, params || {});
+  if (!(next.theta > 0) || !(next.vol >= 0) || !isFinite(next.mu)) {
+    throw new Error('Residual process needs theta > 0, vol >= 0 and a finite mu');
+  }
+  residualProcess = next;
+  residualPaths = new Map();
+}
+
+// Simulate k on a fixed grid with the exact OU transition:
+// k' = μ + (k − μ)e^(−θΔ) + vol √((1 − e^(−2θΔ)) / 2θ) · Z
+// Returns years × stepsPerYear + 1 values, starting at initialK (or μ).
+function simulateResidualPath(options = {}) {
+  const {
+    years = 30,
+    stepsPerYear = PATH_STEPS_PER_YEAR,
+    initialK = null,
+    seed = DEFAULT_SEED,
+    rng = mulberry32(seed),
+    process = residualProcess
+  } = options;
+  const { theta, mu, vol, clamp } = process;
+  const dt = 1 / stepsPerYear;
+  const decay = Math.exp(-theta * dt);
+  const shock = vol * Math.sqrt((1 - decay * decay) / (2 * theta));
+
+  const steps = Math.ceil(years * stepsPerYear);
+  const path = new Array(steps + 1);
+  path[0] = initialK !== null ? initialK : mu;
+  for (let i = 1; i <= steps; i++) {
+    const k = mu + (path[i - 1] - mu) * decay + shock * gaussianRandom(rng);
+    path[i] = Math.max(-clamp, Math.min(clamp, k));
+  }
+  return path;
+}
+
+// sigmaK at a (fractional) year offset along the seeded path. Paths are
+// cached and extended on demand, so every calculator that asks for the
+// same seed and starting point sees the same draw.
+function stochasticSigmaK(yearsFromStart, options = {}) {
+  const { initialK = null, seed = DEFAULT_SEED } = options;
+  const key = `${seed == null ? DEFAULT_SEED : seed}|${initialK}`;
+  const pos = Math.max(0, yearsFromStart) * PATH_STEPS_PER_YEAR;
+  let path = residualPaths.get(key);
+  if (!path || path.length < pos + 2) {
+    const years = Math.max(100, Math.ceil(yearsFromStart * 2));
+    path = simulateResidualPath({ years, initialK, seed: seed == null ? DEFAULT_SEED : seed });
+    if (residualPaths.size > 64) residualPaths.clear();
+    residualPaths.set(key, path);
+  }
+  const i = Math.floor(pos);
+  const w = pos - i;
+  return path[i] * (1 - w) + path[i + 1] * w;
+}
+
+
+// ── Historical Residual Scenarios (Block Bootstrap) ───────────
+// Builds k paths from the actual daily k history (CycleStats.buildAnalysis
+// kValues) instead of a formula, so crashes and bubbles keep their real
+// shape and speed.
+//   'bootstrap'   chains random 1–4 year blocks of history. Each block
+//                 starts on a day whose k is close to where the previous
+//                 block ended (the first one near initialK), so joins
+//                 don't jump.
+//   'replay_*'    replays history day by day from a cycle top, then
+//                 continues with bootstrapped blocks once the data runs out.
+// Needs setResidualHistory(); until then both fall back to 'stochastic'.
+const BOOTSTRAP_DEFAULTS = {
+  minBlockYears: 1,
+  maxBlockYears: 4,
+  matchTolerance: 0.25,   // |k − target| for a block start, sigma-k
+  minCandidates: 20,      // widen the tolerance until this many starts match
+  from: '2011-01-01'      // skip the thin 2010 market
+};
+const REPLAY_EPISODES = {
+  replay_2018: { from: '2017-12-16', label: 'Dec 2017 top → 2018 bear' },
+  replay_2022: { from: '2021-11-09', label: 'Nov 2021 top → 2022 bear' }
+};
+const DAYS_PER_YEAR = 365.25;
+
+let residualHistory = null;          // { dates, kValues } daily, ascending
+let bootstrapPaths = new Map();      // 'seed|initialK|replay' → daily path
+let bootstrapFallbackWarned = false;
+
+// history: { dates: ['YYYY-MM-DD', ...], kValues: [...] } — parallel daily
+// arrays with k in the same σ units the calculators price with
+function setResidualHistory(history) {
+  if (history && history.kValues.length !== history.dates.length) {
+    throw new Error('Residual history needs parallel dates and kValues');
+  }
+  residualHistory = history ? { dates: history.dates.slice(), kValues: history.kValues.slice() } : null;
+  bootstrapPaths = new Map();
+}
+
+// The installed history (shared, treat as read-only) or null
+function getResidualHistory() {
+  return residualHistory;
+}
+
+function hasResidualHistory() {
+  return residualHistory !== null && residualHistory.kValues.length > 0;
+}
+
+function dateIndex(dates, date) {
+  let lo = 0, hi = dates.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (dates[mid] < date) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+// Daily k path of `years` length. options: initialK, seed, replay (ISO
+// start date), plus any BOOTSTRAP_DEFAULTS override.
+// Returns { path, blocks: [{ from, to }] } — blocks lists the historical
+// stretches used, oldest first.
+function simulateBootstrapPath(options = {}) {
+  if (!hasResidualHistory()) throw new Error('No residual history — call setResidualHistory() first');
+  const opts = Object.assign({}, BOOTSTRAP_DEFAULTS, options);
+  const { years = 30, initialK = null, seed = DEFAULT_SEED, replay = null } = opts;
+  const rng = opts.rng || mulberry32(seed);
+  const { dates, kValues } = residualHistory;
+  const first = dateIndex(dates, opts.from);
+  const minBlock = Math.round(opts.minBlockYears * DAYS_PER_YEAR);
+  const maxBlock = Math.round(opts.maxBlockYears * DAYS_PER_YEAR);
+  const lastStart = kValues.length - 1 - minBlock;
+  if (lastStart <= first) throw new Error('Residual history is shorter than one block');
+
+  // Random block start whose k is within tolerance of target
+  function pickStart(target) {
+    if (target === null) return first + Math.floor(rng() * (lastStart - first + 1));
+    let tol = opts.matchTolerance;
+    let candidates = [];
+    while (candidates.length < opts.minCandidates && tol < 10) {
+      candidates = [];
+      for (let i = first; i <= lastStart; i++) {
+        if (Math.abs(kValues[i] - target) <= tol) candidates.push(i);
+      }
+      tol *= 2;
+    }
+    if (candidates.length === 0) return first + Math.floor(rng() * (lastStart - first + 1));
+    return candidates[Math.floor(rng() * candidates.length)];
+  }
+
+  const days = Math.ceil(years * DAYS_PER_YEAR);
+  const path = [];
+  const blocks = [];
+
+  if (replay) {
+    const start = dateIndex(dates, replay);
+    if (start >= kValues.length) throw new Error(`Replay start ${replay} is after the residual history`);
+    for (let i = start; i < kValues.length && path.length <= days; i++) path.push(kValues[i]);
+    blocks.push({ from: dates[start], to: dates[start + path.length - 1] });
+  } else {
+    const start = pickStart(initialK);
+    path.push(initialK !== null ? initialK : kValues[start]);
+    // The first block continues from its matched start day
+    const len = minBlock + Math.floor(rng() * (maxBlock - minBlock + 1));
+    const end = Math.min(kValues.length - 1, start + len);
+    for (let i = start + 1; i <= end; i++) path.push(kValues[i]);
+    blocks.push({ from: dates[start], to: dates[end] });
+  }
+
+  while (path.length <= days) {
+    const start = pickStart(path[path.length - 1]);
+    const len = minBlock + Math.floor(rng() * (maxBlock - minBlock + 1));
+    const end = Math.min(kValues.length - 1, start + len);
+    for (let i = start + 1; i <= end; i++) path.push(kValues[i]);
+    blocks.push({ from: dates[start], to: dates[end] });
+  }
+  path.length = days + 1;
+  return { path, blocks };
+}
+
+// sigmaK at a (fractional) year offset along a cached bootstrap or replay
+// path; same seed + start → same path across calculators
+function bootstrapSigmaK(yearsFromStart, options = {}) {
+  const { initialK = null, replay = null } = options;
+  const seed = options.seed == null ? DEFAULT_SEED : options.seed;
+  if (!hasResidualHistory()) {
+    if (!bootstrapFallbackWarned) {
+      console.warn('Bootstrap scenario: no residual history loaded, using the stochastic model');
+      bootstrapFallbackWarned = true;
+    }
+    return stochasticSigmaK(yearsFromStart, { initialK, seed });
+  }
+
+  const key = `${seed}|${replay ? '' : initialK}|${replay || ''}`;
+  const pos = Math.max(0, yearsFromStart) * DAYS_PER_YEAR;
+  let path = bootstrapPaths.get(key);
+  if (!path || path.length < pos + 2) {
+    // Daily paths are long; start at 30 years and regrow (same prefix) if needed
+    const years = Math.max(30, Math.ceil(yearsFromStart * 2));
+    path = simulateBootstrapPath({ years, initialK, seed, replay }).path;
+    if (bootstrapPaths.size > 64) bootstrapPaths.clear();
+    bootstrapPaths.set(key, path);
+  }
+  const i = Math.floor(pos);
+  const w = pos - i;
+  return path[i] * (1 - w) + path[i + 1] * w;
+}
+
+
+// ── Regime-Switching Scenario ─────────────────────────────────
+// Markov chain over market regimes (CycleStats.fitRegimes: accumulation,
+// bull, euphoria, bear), each with its own AR(1) for k:
+//   regime' ~ transition[regime],   k' = a + b × k + vol × Z
+// one step per stepDays (weekly). The first regime is drawn from
+// `initial` — today's regime probabilities after a fit, the chain's
+// long-run mix when null. k starts at initialK, or at that regime's level.
+//
+// Defaults: hidden Markov fit on santostasi, weekly closes 2011-01 → 2026-01.
+// Pages with loaded history refit with setRegimeModel(CycleStats.fitRegimes(...)).
+const REGIME_MODEL_DEFAULTS = {
+  regimes: ['accumulation', 'bull', 'euphoria', 'bear'],
+  stepDays: 7,
+  transition: [
+    [0.9732, 0.0041, 0,      0.0226],
+    [0,      0.9162, 0.0328, 0.0511],
+    [0,      0.0366, 0.9634, 0     ],
+    [0.0284, 0.0438, 0,      0.9278]
+  ],
+  dynamics: [
+    { a: -0.239, b: 0.838, vol: 0.153 },
+    { a: 0.159,  b: 0.692, vol: 0.217 },
+    { a: 0.296,  b: 0.878, vol: 0.431 },
+    { a: -0.166, b: 0.716, vol: 0.202 }
+  ],
+  initial: null,
+  clamp: RESIDUAL_OU_DEFAULTS.clamp
+};
+
+let regimeModel = null;
+let regimePaths = new Map();          // 'seed|initialK' → { path, regimes } per step
+
+// Long-run share of time in each regime (power iteration)
+function stationaryDistribution(transition) {
+  let p = transition.map(() => 1 / transition.length);
+  for (let iter = 0; iter < 1000; iter++) {
+    const next = p.map((_, j) => p.reduce((sum, x, i) => sum + x * transition[i][j], 0));
+    const change = next.reduce((sum, x, j) => sum + Math.abs(x - p[j]), 0);
+    p = next;
+    if (change < 1e-12) break;
+  }
+  return p;
+}
+
+function getRegimeModel() {
+  return JSON.parse(JSON.stringify(regimeModel));
+}
+
+// Install a regime model for the 'regime' scenario (null = defaults).
+// Accepts CycleStats.fitRegimes() output (states → dynamics, current
+// probabilities → initial) or the compact form getRegimeModel() returns.
+function setRegimeModel(model) {
+  const source = model || REGIME_MODEL_DEFAULTS;
+  const dynamics = source.dynamics || (source.states || []).map(s => ({ a: s.a, b: s.b, vol: s.vol }));
+  const initial = source.initial !== undefined ? source.initial : (source.current ? source.current.probabilities : null);
+  const n = dynamics.length;
+  const transition = (source.transition || []).map(row => {
+    const total = row.reduce((sum, x) => sum + x, 0);
+    return row.map(x => x / total);
+  });
+  if (n === 0 || transition.length !== n || transition.some(row => row.length !== n || !row.every(x => x >= 0 && isFinite(x))) ||
+      !dynamics.every(d => isFinite(d.a) && isFinite(d.b) && d.vol >= 0) ||
+      (initial && (initial.length !== n || !initial.every(x => x >= 0)))) {
+    throw new Error('Regime model needs a square transition matrix and one { a, b, vol } per regime');
+  }
+  regimeModel = {
+    regimes: (source.regimes || REGIME_MODEL_DEFAULTS.regimes).slice(0, n),
+    stepDays: source.stepDays || REGIME_MODEL_DEFAULTS.stepDays,
+    transition,
+    dynamics: dynamics.map(d => ({ a: d.a, b: d.b, vol: d.vol })),
+    initial: initial ? initial.slice() : null,
+    clamp: source.clamp != null ? source.clamp : REGIME_MODEL_DEFAULTS.clamp
+  };
+  regimePaths = new Map();
+}
+
+setRegimeModel(null);
+
+function drawIndex(probabilities, rng) {
+  const total = probabilities.reduce((sum, p) => sum + p, 0);
+  let u = rng() * total;
+  for (let i = 0; i < probabilities.length - 1; i++) {
+    u -= probabilities[i];
+    if (u < 0) return i;
+  }
+  return probabilities.length - 1;
+}
+
+// Returns { path: k per step, regimes: regime index per step } over
+// `years`, starting at initialK (or the first regime's long-run level)
+function simulateRegimePath(options = {}) {
+  const {
+    years = 30,
+    initialK = null,
+    seed = DEFAULT_SEED,
+    rng = mulberry32(seed),
+    model = regimeModel
+  } = options;
+  const { transition, dynamics, clamp } = model;
+  const steps = Math.ceil(years * DAYS_PER_YEAR / model.stepDays);
+  const path = new Array(steps + 1);
+  const regimes = new Array(steps + 1);
+
+  regimes[0] = drawIndex(model.initial || stationaryDistribution(transition), rng);
+  const first = dynamics[regimes[0]];
+  path[0] = initialK !== null ? initialK : first.a / (1 - Math.min(first.b, 0.999));
+  for (let i = 1; i <= steps; i++) {
+    const regime = drawIndex(transition[regimes[i - 1]], rng);
+    const { a, b, vol } = dynamics[regime];
+    regimes[i] = regime;
+    path[i] = Math.max(-clamp, Math.min(clamp, a + b * path[i - 1] + vol * gaussianRandom(rng)));
+  }
+  return { path, regimes };
+}
+
+// sigmaK at a (fractional) year offset along the seeded regime path;
+// cached like the stochastic paths
+function regimeSigmaK(yearsFromStart, options = {}) {
+  const { initialK = null } = options;
+  const seed = options.seed == null ? DEFAULT_SEED : options.seed;
+  const key = `${seed}|${initialK}`;
+  const stepsPerYear = DAYS_PER_YEAR / regimeModel.stepDays;
+  const pos = Math.max(0, yearsFromStart) * stepsPerYear;
+  let path = regimePaths.get(key);
+  if (!path || path.length < pos + 2) {
+    // Start at 30 years and regrow (same prefix) if needed
+    const years = Math.max(30, Math.ceil(yearsFromStart * 2));
+    path = simulateRegimePath({ years, initialK, seed }).path;
+    if (regimePaths.size > 64) regimePaths.clear();
+    regimePaths.set(key, path);
+  }
+  const i = Math.floor(pos);
+  const w = pos - i;
+  return path[i] * (1 - w) + path[i + 1] * w;
+}
+
+
+// ── First Passage (Time to Reach a Target) ────────────────────
+// How long until price first reaches a target from here, as a
+// distribution instead of the single date milestoneDateForPrice gives.
+// A target is { price } (USD; its sigma-k falls as the trend rises) or
+// { k } (a fixed distance from trend). It is reached 'above' when k
+// climbs to the target and 'below' when it falls to it; the direction
+// follows from where the path starts.
+//
+// scenarioHittingTimes runs a scenario many times (random ones with
+// seed, seed + 1, ...); CycleStats.hittingTimes does the same with
+// history's own k paths. Both summarize with firstPassageSummary.
+const FIRST_PASSAGE_DEFAULTS = {
+  years: 10,              // follow each path this long
+  sims: 300,              // runs of a random scenario
+  stepsPerYear: 52,
+  within: [1, 2, 5, 10]   // report P(reached within N years)
+};
+const RANDOM_SCENARIOS = ['stochastic', 'bootstrap', 'regime', 'replay_2018', 'replay_2022'];
+
+// Scenarios whose path depends on the seed, custom ones by their base
+function scenarioIsRandom(mode) {
+  if (RANDOM_SCENARIOS.includes(mode)) return true;
+  const custom = customScenarios[mode];
+  return !!custom && custom.base !== 'path' && RANDOM_SCENARIOS.includes(custom.base);
+}
+
+// Sigma-k of a target on `date`
+function targetSigmaK(target, model, sigma, date) {
+  if (target.k != null) return target.k;
+  return (Math.log10(target.price) - Math.log10(trendPrice(model, date))) / sigma;
+}
+
+// samples: [{ t (years), hit (false = censored at t), w (weight, default 1) }].
+// Weighted Kaplan–Meier: a path that stops before reaching the target
+// (end of data or of the run) counts as "not yet" up to its last day
+// and drops out after, so short histories don't bias the times down.
+// Returns { p25, median, p75 (years, null if that share is never
+//   reached), within: { N: P(reached within N years), null past the
+//   followed horizon }, curve: [{ t, p }] cumulative, reachedByHorizon
+//   (P reached within horizonYears), reachedShare (raw share of samples
+//   that got there), sampleSize, horizonYears }
+function firstPassageSummary(samples, options = {}) {
+  const within = options.within || FIRST_PASSAGE_DEFAULTS.within;
+  const sorted = samples.slice().sort((a, b) => a.t - b.t || (b.hit ? 1 : 0) - (a.hit ? 1 : 0));
+  let atRisk = 0, total = 0, reached = 0;
+  for (const s of sorted) {
+    const w = s.w != null ? s.w : 1;
+    atRisk += w;
+    total += w;
+    if (s.hit) reached += w;
+  }
+  const curve = [{ t: 0, p: 0 }];
+  let survival = 1;
+  let horizonYears = 0;
+  for (let i = 0; i < sorted.length;) {
+    const t = sorted[i].t;
+    let hits = 0, leaving = 0;
+    for (; i < sorted.length && sorted[i].t === t; i++) {
+      const w = sorted[i].w != null ? sorted[i].w : 1;
+      if (sorted[i].hit) hits += w;
+      leaving += w;
+    }
+    if (hits > 0 && atRisk > 0) {
+      survival *= 1 - hits / atRisk;
+      curve.push({ t, p: 1 - survival });
+    }
+    atRisk -= leaving;
+    horizonYears = t;
+  }
+
+  const quantile = q => {
+    const point = curve.find(c => c.p >= q - 1e-12);
+    return point ? point.t : null;
+  };
+  const cumulativeAt = t => {
+    let p = 0;
+    for (const c of curve) {
+      if (c.t > t) break;
+      p = c.p;
+    }
+    return p;
+  };
+  const withinOut = {};
+  for (const years of within) withinOut[years] = years <= horizonYears + 1e-9 || survival < 1e-9 ? cumulativeAt(years) : null;
+
+  return {
+    p25: quantile(0.25),
+    median: quantile(0.5),
+    p75: quantile(0.75),
+    within: withinOut,
+    curve,
+    reachedByHorizon: curve[curve.length - 1].p,
+    reachedShare: total > 0 ? reached / total : 0,
+    sampleSize: sorted.length,
+    horizonYears
+  };
+}
+
+// Time to reach `target` under a scenario, from `start` (default now).
+// target may be an array: the runs are simulated once and each target
+// gets its own result.
+// options: model, sigma (default the model's), initialK (today's k —
+// random and cyclical scenarios start there, and it sets the direction),
+// seed, sims (random scenarios only; the others run once), years,
+// stepsPerYear, within, direction ('above' | 'below', default initialK
+// vs the target today, else the start of the first run).
+// Returns firstPassageSummary() plus { direction, targetK (today),
+//   scenario, sims, seed }
+function scenarioHittingTimes(scenarioMode, target, options = {}) {
+  const opts = Object.assign({}, FIRST_PASSAGE_DEFAULTS, options);
+  const model = opts.model || selectedModel();
+  const sigma = opts.sigma || modelSigma(model);
+  const start = opts.start || new Date();
+  const seed = opts.seed != null ? opts.seed : DEFAULT_SEED;
+  const initialK = scenarioUsesInitialK(scenarioMode) && opts.initialK != null ? opts.initialK : null;
+  const sims = scenarioIsRandom(scenarioMode) ? opts.sims : 1;
+  const steps = Math.ceil(opts.years * opts.stepsPerYear);
+
+  const runs = [];
+  for (let run = 0; run < sims; run++) {
+    const path = new Array(steps + 1);
+    for (let s = 0; s <= steps; s++) {
+      path[s] = resolveScenarioK(scenarioMode, s / opts.stepsPerYear, initialK, seed + run, sigma);
+    }
+    runs.push(path);
+  }
+
+  const one = t => {
+    const targetK = new Array(steps + 1);
+    for (let s = 0; s <= steps; s++) {
+      const date = new Date(start.getTime() + s / opts.stepsPerYear * DAYS_PER_YEAR * 86400000);
+      targetK[s] = targetSigmaK(t, model, sigma, date);
+    }
+    const from = opts.initialK != null ? opts.initialK : runs[0][0];
+    const direction = opts.direction || (from <= targetK[0] ? 'above' : 'below');
+    const samples = runs.map(path => {
+      for (let s = 0; s <= steps; s++) {
+        if (direction === 'above' ? path[s] >= targetK[s] : path[s] <= targetK[s]) {
+          return { t: s / opts.stepsPerYear, hit: true };
+        }
+      }
+      return { t: steps / opts.stepsPerYear, hit: false };
+    });
+    return Object.assign(firstPassageSummary(samples, opts), {
+      direction,
+      targetK: targetK[0],
+      scenario: scenarioMode,
+      sims,
+      seed
+    });
+  };
+  return Array.isArray(target) ? target.map(one) : one(target);
+}
+
 // ── Kelly Criterion (Thorp continuous-investment formula) ─────
 // f* = μ / σ²  (full Kelly)
 // We use quarter-Kelly for institutional risk management.
@@ -280,8 +1620,7 @@ const KELLY_DEFAULTS = {
 // At current BTC age, estimates the expected half-cycle (trough→peak or peak→trough)
 // using empirical trough ages scaled by λ = 2.007.
 function kellyReversionHorizon(date = new Date()) {
-  const lambda = 2.007;
-  const troughAges = [1.730, 3.398, 6.713, 13.977]; // Perrenod empirical trough ages
+  const { lambda, troughAges } = PERRENOD_CYCLE;
   const age = yearsSinceGenesis(date);
 
   // Find which cycle we're in (between which troughs)
@@ -318,7 +1657,7 @@ function kellyReversionHorizon(date = new Date()) {
 //
 // Returns: { fraction, mu, variance, trendGrowth, reversionReturn, horizon }
 // fraction = f* = μ / σ²  (can be >1 or negative)
-function kellyAllocation(mult, model = 'santostasi', date = new Date(), options = {}) {
+function kellyAllocation(mult, model = selectedModelId, date = new Date(), options = {}) {
   const {
     riskFreeRate = KELLY_DEFAULTS.riskFreeRate,
     btcAnnualSigma = KELLY_DEFAULTS.btcAnnualSigma
@@ -424,11 +1763,10 @@ function rSquaredLogLog(historicalData, model) {
   const logPredicted = [];
 
   for (const point of historicalData) {
-    const date = new Date(point.date);
-    const days = daysSinceGenesis(date);
-    if (days > 0 && point.price > 0) {
+    const t = modelTime(params, new Date(point.date));
+    if (t > 0 && point.price > 0) {
       logPrices.push(Math.log10(point.price));
-      logPredicted.push(params.logA + params.beta * Math.log10(days));
+      logPredicted.push(params.logA + params.beta * Math.log10(t));
     }
   }
 
@@ -442,11 +1780,333 @@ function rSquaredLogLog(historicalData, model) {
   return 1 - ssRes / ssTot;
 }
 
+// ── Model Fitting & Comparison ────────────────────────────────
+// Regression of log10(price) = logA + β × log10(t) over a date window.
+//   ols      — ordinary least squares (mean trend)
+//   lad      — least absolute deviation (median trend, robust to bubbles)
+//   quantile — quantile regression at `quantile` (e.g. 0.05 support, 0.95 resistance)
+// LAD/quantile are solved by iteratively reweighted least squares.
+//
+// Standard errors assume independent residuals unless `hacLags` > 0
+// (Newey-West sandwich for the joint (logA, β) covariance, for every
+// method; quantile fits use the score τ − 1[r<0] scaled by the sparsity,
+// so se, ci and covLogABeta all come from it). Daily residuals are strongly
+// autocorrelated, so iid errors are optimistic — use hacLags ≈ 365 for
+// honest intervals. The result's `interval` says which one was used
+// ('iid' | 'hac'); only intervals of the same kind are comparable.
+
+// Inverse standard normal CDF (Acklam's rational approximation, |ε| < 1.2e-9)
+function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+           ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) return -normalQuantile(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+         (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Standard normal PDF
+function normalDensity(z) {
+  return Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+}
+
+// Empirical quantile of a sorted array (linear interpolation)
+function sortedQuantile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const pos = Math.max(0, Math.min(1, p)) * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Collect (log10 t, log10 price) pairs inside the window
+function fitSamples(historicalData, useYears, from, to) {
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+  const params = { useYears };
+  const xs = [];
+  const ys = [];
+
+  for (const point of historicalData) {
+    const date = new Date(point.date);
+    const ms = date.getTime();
+    if (ms < fromTime || ms > toTime) continue;
+    const t = modelTime(params, date);
+    if (t > 0 && point.price > 0) {
+      xs.push(Math.log10(t));
+      ys.push(Math.log10(point.price));
+    }
+  }
+  return { xs, ys };
+}
+
+// Weighted least squares for y = a + b·x. Returns null if degenerate.
+function weightedLine(xs, ys, ws) {
+  let sw = 0, sx = 0, sy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sw += ws[i];
+    sx += ws[i] * xs[i];
+    sy += ws[i] * ys[i];
+  }
+  if (sw <= 0) return null;
+  const mx = sx / sw;
+  const my = sy / sw;
+  let sxx = 0, sxy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    sxx += ws[i] * (xs[i] - mx) ** 2;
+    sxy += ws[i] * (xs[i] - mx) * (ys[i] - my);
+  }
+  if (sxx === 0) return null;
+  const b = sxy / sxx;
+  return { a: my - b * mx, b };
+}
+
+// Newey-West long-run covariance of two score series, Bartlett kernel:
+// Σ u_i·v_i + Σ_l w_l Σ_i (u_i·v_{i−l} + v_i·u_{i−l}), w_l = 1 − l/(L+1)
+function neweyWestCovariance(u, v, lags) {
+  const n = u.length;
+  let lrc = 0;
+  for (let i = 0; i < n; i++) lrc += u[i] * v[i];
+  const maxLag = Math.min(lags, n - 1);
+  for (let l = 1; l <= maxLag; l++) {
+    let cov = 0;
+    for (let i = l; i < n; i++) cov += u[i] * v[i - l] + v[i] * u[i - l];
+    lrc += (1 - l / (maxLag + 1)) * cov;
+  }
+  return lrc;
+}
+
+// Check loss: Σ ρ_τ(r), ρ_τ(r) = r·(τ − 1[r<0])
+function quantileLoss(residuals, tau) {
+  let loss = 0;
+  for (const r of residuals) loss += r * (tau - (r < 0 ? 1 : 0));
+  return loss;
+}
+
+// Quantile regression line via IRLS, started from the OLS solution
+function quantileLine(xs, ys, tau, start) {
+  const n = xs.length;
+  const eps = 1e-6;
+  const ws = new Array(n);
+  let fit = start;
+  let bestLoss = Infinity;
+  let best = start;
+
+  for (let iter = 0; iter < 200; iter++) {
+    const residuals = xs.map((x, i) => ys[i] - fit.a - fit.b * x);
+    const loss = quantileLoss(residuals, tau);
+    if (loss < bestLoss - 1e-12) {
+      bestLoss = loss;
+      best = fit;
+    } else if (iter > 0) {
+      break;
+    }
+    for (let i = 0; i < n; i++) {
+      const r = residuals[i];
+      ws[i] = (r >= 0 ? tau : 1 - tau) / Math.max(Math.abs(r), eps);
+    }
+    const next = weightedLine(xs, ys, ws);
+    if (!next) break;
+    fit = next;
+  }
+  return best;
+}
+
+function fitPowerLaw(historicalData, options = {}) {
+  const {
+    useYears = false,
+    from = null,
+    to = null,
+    method = 'ols',
+    quantile = 0.5,
+    confidence = 0.95,
+    hacLags = 0
+  } = options;
+
+  if (!['ols', 'lad', 'quantile'].includes(method)) {
+    throw new Error(`Unknown fit method: ${method}`);
+  }
+  const tau = method === 'lad' ? 0.5 : method === 'quantile' ? quantile : null;
+  if (tau !== null && !(tau > 0 && tau < 1)) throw new Error('Quantile must be between 0 and 1');
+
+  const { xs, ys } = fitSamples(historicalData, useYears, from, to);
+  const n = xs.length;
+  if (n < 3) throw new Error('Not enough data points to fit a power law');
+
+  const ols = weightedLine(xs, ys, new Array(n).fill(1));
+  if (!ols) throw new Error('Degenerate time range for power law fit');
+  const line = tau === null ? ols : quantileLine(xs, ys, tau, ols);
+
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxx += (xs[i] - meanX) ** 2;
+    syy += (ys[i] - meanY) ** 2;
+  }
+
+  const residuals = xs.map((x, i) => ys[i] - line.a - line.b * x);
+  const residualMean = residuals.reduce((a, b) => a + b, 0) / n;
+  const ssRes = residuals.reduce((s, r) => s + r * r, 0);
+  const sigma = Math.sqrt(residuals.reduce((s, r) => s + (r - residualMean) ** 2, 0) / n);
+
+  // iid standard errors are scale × the OLS formulas; psi is the
+  // per-sample score the Newey-West sandwich uses instead
+  let scale, psi;
+  let pseudoR1 = null;
+  if (tau === null) {
+    scale = Math.sqrt(ssRes / (n - 2));
+    psi = residuals;
+  } else {
+    // Sparsity s(τ) = 1/f(F⁻¹(τ)) via Hall-Sheather bandwidth difference quotient
+    const z = normalQuantile(1 - (1 - confidence) / 2);
+    const qz = normalQuantile(tau);
+    let h = Math.pow(n, -1 / 3) * Math.pow(z, 2 / 3) *
+      Math.pow(1.5 * normalDensity(qz) ** 2 / (2 * qz * qz + 1), 1 / 3);
+    h = Math.min(h, tau - 1e-4, 1 - tau - 1e-4);
+    const sorted = residuals.slice().sort((a, b) => a - b);
+    const sparsity = (sortedQuantile(sorted, tau + h) - sortedQuantile(sorted, tau - h)) / (2 * h);
+    scale = Math.sqrt(tau * (1 - tau)) * sparsity;
+    psi = residuals.map(r => sparsity * (tau - (r < 0 ? 1 : 0)));
+
+    // Koenker-Machado goodness of fit against the intercept-only quantile
+    const sortedY = ys.slice().sort((a, b) => a - b);
+    const qy = sortedQuantile(sortedY, tau);
+    const nullLoss = quantileLoss(ys.map(y => y - qy), tau);
+    pseudoR1 = nullLoss > 0 ? 1 - quantileLoss(residuals, tau) / nullLoss : 0;
+  }
+
+  // Covariance of (logA, β). With x centred the line is α + β(x − x̄),
+  // X'X = diag(n, Sxx) and logA = α − x̄β. iid: Var(α) = scale²/n,
+  // Var(β) = scale²/Sxx, Cov(α, β) = 0. Newey-West: the sandwich
+  // (X'X)⁻¹ S (X'X)⁻¹ with S the long-run covariance of (ψ, (x − x̄)ψ).
+  let varAlpha, varBeta, covAlphaBeta;
+  if (hacLags > 0) {
+    const xPsi = psi.map((p, i) => (xs[i] - meanX) * p);
+    varAlpha = Math.max(neweyWestCovariance(psi, psi, hacLags), 0) / (n * n);
+    varBeta = Math.max(neweyWestCovariance(xPsi, xPsi, hacLags), 0) / (sxx * sxx);
+    covAlphaBeta = neweyWestCovariance(psi, xPsi, hacLags) / (n * sxx);
+  } else {
+    varAlpha = scale * scale / n;
+    varBeta = scale * scale / sxx;
+    covAlphaBeta = 0;
+  }
+  const seBeta = Math.sqrt(varBeta);
+  const seLogA = Math.sqrt(Math.max(varAlpha + meanX * meanX * varBeta - 2 * meanX * covAlphaBeta, 0));
+  const covLogABeta = covAlphaBeta - meanX * varBeta;
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+
+  return {
+    method,
+    quantile: tau,
+    beta: line.b,
+    logA: line.a,
+    sigma,
+    residualMean,
+    rSquared: syy > 0 ? 1 - ssRes / syy : 0,
+    pseudoR1,
+    count: n,
+    useYears,
+    from,
+    to,
+    confidence,
+    interval: hacLags > 0 ? 'hac' : 'iid',
+    hacLags: hacLags > 0 ? hacLags : 0,
+    se: { beta: seBeta, logA: seLogA },
+    // Cov(logA, β) — needed for intervals on the trend line itself
+    covLogABeta,
+    ci: {
+      beta: [line.b - z * seBeta, line.b + z * seBeta],
+      logA: [line.a - z * seLogA, line.a + z * seLogA]
+    }
+  };
+}
+
+// Confidence interval of the fitted trend price at a date:
+// Var(log10 trend) = Var(logA) + x²·Var(β) + 2x·Cov(logA, β), x = log10(t)
+function fitTrendInterval(fit, date = new Date()) {
+  const t = modelTime({ useYears: fit.useYears }, date);
+  const x = Math.log10(t);
+  const logTrend = fit.logA + fit.beta * x;
+  const variance = fit.se.logA ** 2 + x * x * fit.se.beta ** 2 + 2 * x * fit.covLogABeta;
+  const z = normalQuantile(1 - (1 - fit.confidence) / 2);
+  const half = z * Math.sqrt(Math.max(variance, 0));
+  return {
+    trend: Math.pow(10, logTrend),
+    lower: Math.pow(10, logTrend - half),
+    upper: Math.pow(10, logTrend + half)
+  };
+}
+
+// Refit a registered model's functional form on the data and report
+// whether its canonical constants fall inside the confidence intervals
+function checkModelFit(historicalData, model, options = {}) {
+  const params = MODELS[model];
+  if (!params) throw new Error(`Unknown model: ${model}`);
+  const fit = fitPowerLaw(historicalData, Object.assign({}, options, { useYears: params.useYears }));
+  return {
+    model,
+    fit,
+    betaInside: params.beta >= fit.ci.beta[0] && params.beta <= fit.ci.beta[1],
+    logAInside: params.logA >= fit.ci.logA[0] && params.logA <= fit.ci.logA[1],
+    betaDiff: fit.beta - params.beta,
+    logADiff: fit.logA - params.logA
+  };
+}
+
+// Side-by-side fit statistics for registered models on the same data
+function compareModels(historicalData, ids = modelIds(), date = new Date()) {
+  return ids.filter(id => MODELS[id]).map(id => {
+    const params = MODELS[id];
+    const residuals = calculateSigma(historicalData, id);
+    return {
+      id,
+      name: params.name,
+      beta: params.beta,
+      logA: params.logA,
+      useYears: params.useYears,
+      sigma: params.sigma,
+      residualSigma: residuals.sigma,
+      residualMean: residuals.mean,
+      rSquared: rSquaredLogLog(historicalData, id),
+      trendToday: trendPrice(id, date)
+    };
+  });
+}
+
+loadStoredModels();
+loadStoredScenarios();
 
 // ── Export ─────────────────────────────────────────────────────
-window.PowerLaw = {
+// Browser global (window), plus CommonJS for the Node dataset build
+globalThis.PowerLaw = {
   GENESIS,
   MODELS,
+  DEFAULT_MODEL,
+  // Model registry
+  registerModel,
+  removeModel,
+  modelIds,
+  selectedModel,
+  setSelectedModel,
+  onModelChange,
+  fitPowerLaw,
+  checkModelFit,
+  fitTrendInterval,
+  compareModels,
+  normalQuantile,
   daysSinceGenesis,
   yearsSinceGenesis,
   trendPrice,
@@ -459,14 +2119,65 @@ window.PowerLaw = {
   formatMultiplier,
   formatDate,
   milestoneDateForPrice,
+  // OHLC bars
+  pointOpen,
+  pointHigh,
+  pointLow,
+  hasOHLC,
+  aggregateCandles,
   // Scenario engine (centralized)
   SCENARIO_MODES,
   scenarioLabel,
   scenarioModes,
   scenarioPrice,
   currentSigmaK,
+  PERRENOD_CYCLE,
+  CYCLICAL_DEFAULTS,
+  CYCLICAL_BEAR_BIAS,
   cyclicalSigmaK,
+  fitCyclical,
+  getCyclicalParams,
+  setCyclicalParams,
   resolveScenarioK,
+  scenarioUsesInitialK,
+  // Custom scenarios
+  registerScenario,
+  removeScenario,
+  customScenarioSpecs,
+  onScenarioChange,
+  normalizeScenario,
+  customScenarioK,
+  // Stochastic residual model
+  DEFAULT_SEED,
+  RESIDUAL_OU_DEFAULTS,
+  mulberry32,
+  gaussianRandom,
+  fitResidualOU,
+  getResidualProcess,
+  setResidualProcess,
+  simulateResidualPath,
+  stochasticSigmaK,
+  // Historical residual scenarios
+  BOOTSTRAP_DEFAULTS,
+  REPLAY_EPISODES,
+  setResidualHistory,
+  getResidualHistory,
+  hasResidualHistory,
+  simulateBootstrapPath,
+  bootstrapSigmaK,
+  REGIME_MODEL_DEFAULTS,
+  getRegimeModel,
+  setRegimeModel,
+  stationaryDistribution,
+  simulateRegimePath,
+  regimeSigmaK,
+  // First passage
+  FIRST_PASSAGE_DEFAULTS,
+  RANDOM_SCENARIOS,
+  scenarioIsRandom,
+  targetSigmaK,
+  firstPassageSummary,
+  scenarioHittingTimes,
   // Kelly criterion & portfolio metrics
   KELLY_DEFAULTS,
   kellyReversionHorizon,
@@ -479,3 +2190,5 @@ window.PowerLaw = {
   annualizedVolatility,
   rSquaredLogLog
 };
+
+if (typeof module !== 'undefined' && module.exports) module.exports = globalThis.PowerLaw;
@@ -0,0 +1,188 @@
+// ── Shared Price Data Loader ─────────────────────────────────────
+// One loader for every page: fetches datasets/btc_historical.json,
+// fills the gap to today from CoinGecko once, and caches the merged
+// series in localStorage with a timestamp so page-to-page navigation
+// doesn't refetch. Exposes "data as of" / "days stale" metadata.
+// Depends on: nothing (load before page scripts)
+(function () {
+  'use strict';
+
+  const CACHE_KEY = 'priceData.merged';
+  const CACHE_TTL_MS = 6 * 60 * 60 * 1000;   // refetch after 6 hours
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const MAX_GAP_DAYS = 365;                    // CoinGecko public daily history limit
+
+  // Resolve the dataset relative to this script so index.html, pages/
+  // and nl/pages/ all hit the same file
+  const scriptSrc = document.currentScript && document.currentScript.src;
+  const DATASET_URL = scriptSrc
+    ? new URL('../datasets/btc_historical.json', scriptSrc).href
+    : '../datasets/btc_historical.json';
+
+  let loadPromise = null;
+  let meta = null;
+
+  // ── Cache ─────────────────────────────────────────────────────
+  function readCache() {
+    try {
+      const raw = localStorage.getItem(CACHE_KEY);
+      if (!raw) return null;
+      const cached = JSON.parse(raw);
+      if (!cached || !Array.isArray(cached.data) || !cached.savedAt) return null;
+      return cached;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeCache(entry) {
+    try {
+      localStorage.setItem(CACHE_KEY, JSON.stringify(entry));
+    } catch (e) {
+      console.warn('Price data cache unavailable:', e.message);
+    }
+  }
+
+  // ── Network ───────────────────────────────────────────────────
+  async function fetchBase() {
+    const response = await fetch(DATASET_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status} loading ${DATASET_URL}`);
+    return response.json();
+  }
+
+  // Append CoinGecko daily closes after the last date in `data` (mutates).
+  // Returns the number of days added.
+  async function fillRecentPriceGap(data) {
+    if (data.length === 0) return 0;
+
+    const lastDate = new Date(data[data.length - 1].date);
+    const gapDays = Math.floor((Date.now() - lastDate.getTime()) / DAY_MS);
+    if (gapDays <= 1) return 0;
+
+    const fetchDays = Math.min(gapDays + 2, MAX_GAP_DAYS);
+    const response = await fetch(
+      `https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=${fetchDays}&interval=daily`
+    );
+    const json = await response.json();
+    if (!json.prices || json.prices.length === 0) return 0;
+
+    const lastTimestamp = lastDate.getTime();
+    const seen = new Set(data.map(d => d.date));
+    let added = 0;
+
+    for (const [timestamp, price] of json.prices) {
+      if (timestamp <= lastTimestamp + 12 * 60 * 60 * 1000) continue; // at least 12h after last entry
+      const dateStr = new Date(timestamp).toISOString().split('T')[0];
+      if (seen.has(dateStr)) continue;
+      data.push({ date: dateStr, price: price });
+      seen.add(dateStr);
+      added++;
+    }
+    return added;
+  }
+
+  function daysSince(dateStr) {
+    return Math.max(0, Math.floor((Date.now() - new Date(dateStr).getTime()) / DAY_MS));
+  }
+
+  function buildMeta(data, extra) {
+    const asOf = data.length ? data[data.length - 1].date : null;
+    return Object.assign({ asOf, count: data.length }, extra);
+  }
+
+  async function loadFresh() {
+    const data = await fetchBase();
+    const baseAsOf = data.length ? data[data.length - 1].date : null;
+
+    let gapFilled = 0;
+    let gapError = null;
+    try {
+      gapFilled = await fillRecentPriceGap(data);
+      if (gapFilled > 0) console.log(`Filled ${gapFilled} days of price data from CoinGecko`);
+    } catch (e) {
+      gapError = e.message;
+      console.warn('Could not fill price gap from CoinGecko:', e);
+    }
+
+    const savedAt = Date.now();
+    // Only cache a complete series; a failed gap fill retries next load
+    if (!gapError) writeCache({ savedAt, baseAsOf, gapFilled, data });
+    meta = buildMeta(data, { source: 'network', savedAt, baseAsOf, gapFilled, gapError });
+    return data;
+  }
+
+  // ── Public API ────────────────────────────────────────────────
+
+  // Resolves to [{date, price}] sorted by date. Each call returns a fresh
+  // array so callers may push/splice without affecting other consumers.
+  // options.force: bypass the cache
+  function load(options = {}) {
+    if (!loadPromise || options.force) {
+      loadPromise = (async () => {
+        const cached = options.force ? null : readCache();
+        if (cached && Date.now() - cached.savedAt < CACHE_TTL_MS) {
+          meta = buildMeta(cached.data, {
+            source: 'cache',
+            savedAt: cached.savedAt,
+            baseAsOf: cached.baseAsOf,
+            gapFilled: cached.gapFilled,
+            gapError: null
+          });
+          return cached.data;
+        }
+        try {
+          return await loadFresh();
+        } catch (e) {
+          // Offline: an expired cache beats nothing
+          if (cached) {
+            console.warn('Using expired price cache:', e);
+            meta = buildMeta(cached.data, {
+              source: 'stale-cache',
+              savedAt: cached.savedAt,
+              baseAsOf: cached.baseAsOf,
+              gapFilled: cached.gapFilled,
+              gapError: e.message
+            });
+            return cached.data;
+          }
+          loadPromise = null;
+          throw e;
+        }
+      })();
+    }
+    return loadPromise.then(data => data.slice());
+  }
+
+  // { asOf, daysStale, count, source, savedAt, baseAsOf, gapFilled, gapError }
+  // null until load() resolves. daysStale is relative to now.
+  function getMeta() {
+    if (!meta) return null;
+    return Object.assign({}, meta, { daysStale: meta.asOf ? daysSince(meta.asOf) : null });
+  }
+
+  // Short human-readable status, e.g. "Data as of Jan 28, 2026 · 3 days old"
+  function describe(locale = 'en-US') {
+    const m = getMeta();
+    if (!m || !m.asOf) return '';
+    const nl = locale.startsWith('nl');
+    const date = new Date(m.asOf).toLocaleDateString(locale, { year: 'numeric', month: 'short', day: 'numeric' });
+    let age;
+    if (m.daysStale <= 1) age = nl ? 'actueel' : 'up to date';
+    else age = nl ? `${m.daysStale} dagen oud` : `${m.daysStale} days old`;
+    return `${nl ? 'Data t/m' : 'Data as of'} ${date} · ${age}`;
+  }
+
+  function clearCache() {
+    try { localStorage.removeItem(CACHE_KEY); } catch (e) { /* ignore */ }
+    loadPromise = null;
+  }
+
+  window.PriceData = {
+    DATASET_URL,
+    load,
+    getMeta,
+    describe,
+    clearCache,
+    fillRecentPriceGap
+  };
+})();
@@ -0,0 +1,297 @@
+// ── Live Price Feed ──────────────────────────────────────────────
+// One place for the live BTC quote. Adapters for CoinGecko, Kraken,
+// Bitstamp and Coinbase, a median-of-sources mode, and a local mock
+// (datasets/live_price_mock.json) for offline development.
+// Falls back through the other exchanges, then to the last historical
+// close from PriceData when every source fails.
+// Pick a source with PriceFeed.setSource(id) or ?priceSource=mock.
+// Elements marked [data-price-source] show the active source + quote time.
+// Depends on: window.PriceData (optional, for the last-close fallback)
+(function () {
+  'use strict';
+
+  const SOURCE_KEY = 'priceFeed.source';
+  const DEFAULT_SOURCE = 'coingecko';
+  const FALLBACK_ORDER = ['coingecko', 'kraken', 'coinbase', 'bitstamp'];
+  const REQUEST_TIMEOUT_MS = 8000;
+  const REUSE_MS = 15 * 1000;                  // share one quote across scripts on a page
+
+  const scriptSrc = document.currentScript && document.currentScript.src;
+  const MOCK_URL = scriptSrc
+    ? new URL('../datasets/live_price_mock.json', scriptSrc).href
+    : '../datasets/live_price_mock.json';
+
+  let mockQuote = null;
+  let inFlight = null;
+  let lastQuote = null;
+
+  // ── HTTP ──────────────────────────────────────────────────────
+  async function getJSON(url) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS) : null;
+    try {
+      const response = await fetch(url, controller ? { signal: controller.signal } : undefined);
+      if (!response.ok) throw new Error(`HTTP ${response.status} from ${url}`);
+      return await response.json();
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+
+  function num(v) {
+    const n = typeof v === 'string' ? parseFloat(v) : v;
+    return typeof n === 'number' && isFinite(n) && n > 0 ? n : null;
+  }
+
+  // ── Adapters ──────────────────────────────────────────────────
+  // Each fetch() resolves to { usd, eur, change24h, time } — eur and
+  // change24h may be null when the source doesn't provide them.
+  const PROVIDERS = {
+    coingecko: {
+      name: 'CoinGecko',
+      async fetch() {
+        const json = await getJSON(
+          'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd,eur' +
+          '&include_24hr_change=true&include_last_updated_at=true'
+        );
+        const b = json.bitcoin || {};
+        return {
+          usd: num(b.usd),
+          eur: num(b.eur),
+          change24h: typeof b.usd_24h_change === 'number' ? b.usd_24h_change : null,
+          time: b.last_updated_at ? new Date(b.last_updated_at * 1000) : new Date()
+        };
+      }
+    },
+
+    kraken: {
+      name: 'Kraken',
+      async fetch() {
+        const json = await getJSON('https://api.kraken.com/0/public/Ticker?pair=XBTUSD,XBTEUR');
+        if (json.error && json.error.length) throw new Error(json.error.join(', '));
+        const r = json.result || {};
+        const usd = r.XXBTZUSD || r.XBTUSD;
+        const eur = r.XXBTZEUR || r.XBTEUR;
+        // Kraken's "o" is today's UTC open, not a rolling 24h open — no change24h
+        return {
+          usd: num(usd && usd.c[0]),
+          eur: num(eur && eur.c[0]),
+          change24h: null,
+          time: new Date()
+        };
+      }
+    },
+
+    bitstamp: {
+      name: 'Bitstamp',
+      async fetch() {
+        const [usd, eur] = await Promise.all([
+          getJSON('https://www.bitstamp.net/api/v2/ticker/btcusd/'),
+          getJSON('https://www.bitstamp.net/api/v2/ticker/btceur/').catch(() => null)
+        ]);
+        const last = num(usd.last);
+        const open24 = num(usd.open_24);
+        let change24h = null;
+        if (usd.percent_change_24 != null) change24h = parseFloat(usd.percent_change_24);
+        else if (last && open24) change24h = (last / open24 - 1) * 100;
+        return {
+          usd: last,
+          eur: num(eur && eur.last),
+          change24h: change24h,
+          time: usd.timestamp ? new Date(parseInt(usd.timestamp, 10) * 1000) : new Date()
+        };
+      }
+    },
+
+    coinbase: {
+      name: 'Coinbase',
+      async fetch() {
+        const [usd, eur] = await Promise.all([
+          getJSON('https://api.exchange.coinbase.com/products/BTC-USD/ticker'),
+          getJSON('https://api.exchange.coinbase.com/products/BTC-EUR/ticker').catch(() => null)
+        ]);
+        return {
+          usd: num(usd.price),
+          eur: num(eur && eur.price),
+          change24h: null,
+          time: usd.time ? new Date(usd.time) : new Date()
+        };
+      }
+    },
+
+    // Local JSON for offline work; setMock() overrides the file
+    mock: {
+      name: 'Mock',
+      async fetch() {
+        const q = mockQuote || await getJSON(MOCK_URL);
+        return {
+          usd: num(q.usd),
+          eur: num(q.eur),
+          change24h: typeof q.change24h === 'number' ? q.change24h : null,
+          time: q.time ? new Date(q.time) : new Date()
+        };
+      }
+    }
+  };
+
+  // ── Source Selection ──────────────────────────────────────────
+  function storedSource() {
+    try {
+      const param = new URLSearchParams(window.location.search).get('priceSource');
+      if (param) return param;
+      return localStorage.getItem(SOURCE_KEY);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  let source = storedSource();
+  if (source !== 'median' && !PROVIDERS[source]) source = DEFAULT_SOURCE;
+
+  function getSource() {
+    return source;
+  }
+
+  function setSource(id) {
+    if (id !== 'median' && !PROVIDERS[id]) throw new Error(`Unknown price source: ${id}`);
+    source = id;
+    lastQuote = null;
+    try { localStorage.setItem(SOURCE_KEY, id); } catch (e) { /* ignore */ }
+  }
+
+  // Add or replace an adapter: { name, fetch: async () => ({usd, eur, change24h, time}) }
+  function registerProvider(id, adapter) {
+    if (!adapter || typeof adapter.fetch !== 'function') throw new Error('Provider needs a fetch() function');
+    PROVIDERS[id] = { name: adapter.name || id, fetch: adapter.fetch };
+  }
+
+  function setMock(quote) {
+    mockQuote = quote;
+    lastQuote = null;
+  }
+
+  // ── Quote Resolution ──────────────────────────────────────────
+  async function fetchFrom(id) {
+    const q = await PROVIDERS[id].fetch();
+    if (!q.usd) throw new Error(`${PROVIDERS[id].name} returned no USD price`);
+    return Object.assign(q, { source: id, sourceName: PROVIDERS[id].name, sources: [id] });
+  }
+
+  function median(values) {
+    const v = values.filter(x => x !== null && x !== undefined).sort((a, b) => a - b);
+    if (v.length === 0) return null;
+    const mid = v.length >> 1;
+    return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+  }
+
+  // Median of every exchange that answers; quote time is the oldest used
+  async function fetchMedian() {
+    const settled = await Promise.allSettled(FALLBACK_ORDER.map(fetchFrom));
+    const quotes = settled.filter(s => s.status === 'fulfilled').map(s => s.value);
+    if (quotes.length === 0) throw new Error('No price source responded');
+    return {
+      usd: median(quotes.map(q => q.usd)),
+      eur: median(quotes.map(q => q.eur)),
+      change24h: median(quotes.map(q => q.change24h)),
+      time: new Date(Math.min(...quotes.map(q => q.time.getTime()))),
+      source: 'median',
+      sourceName: 'Median',
+      sources: quotes.map(q => q.source)
+    };
+  }
+
+  // Selected source first, then the remaining exchanges in order
+  async function fetchWithFallback() {
+    if (source === 'median') return fetchMedian();
+    const order = [source].concat(FALLBACK_ORDER.filter(id => id !== source));
+    let lastError = null;
+    for (const id of order) {
+      try {
+        return await fetchFrom(id);
+      } catch (e) {
+        lastError = e;
+        console.warn(`Live price from ${PROVIDERS[id].name} failed:`, e);
+      }
+    }
+    throw lastError || new Error('No price source available');
+  }
+
+  async function lastClose() {
+    if (!window.PriceData) throw new Error('No live price and no historical data loaded');
+    const data = await PriceData.load();
+    const last = data[data.length - 1];
+    return {
+      usd: last.price,
+      eur: null,
+      change24h: null,
+      time: new Date(last.date + 'T00:00:00Z'),
+      source: 'historical',
+      sourceName: 'Last close',
+      sources: []
+    };
+  }
+
+  // Resolves to { usd, eur, change24h, time, source, sourceName, sources }.
+  // source === 'historical' means every live source failed.
+  // options.force: skip the short per-page reuse window
+  function fetchQuote(options = {}) {
+    if (!options.force && lastQuote && Date.now() - lastQuote.fetchedAt < REUSE_MS) {
+      return Promise.resolve(Object.assign({}, lastQuote));
+    }
+    if (!inFlight) {
+      inFlight = (async () => {
+        let quote;
+        try {
+          quote = await fetchWithFallback();
+        } catch (e) {
+          quote = await lastClose();
+        }
+        quote.fetchedAt = Date.now();
+        lastQuote = quote;
+        renderSourceLabels(quote);
+        return quote;
+      })().finally(() => { inFlight = null; });
+    }
+    return inFlight.then(q => Object.assign({}, q));
+  }
+
+  // ── Display ───────────────────────────────────────────────────
+  // e.g. "CoinGecko · 14:32" or "Median of 3 · 14:32"
+  function describe(quote, locale = 'en-US') {
+    if (!quote) return '';
+    const nl = locale.startsWith('nl');
+    if (quote.source === 'historical') {
+      const day = quote.time.toLocaleDateString(locale, { year: 'numeric', month: 'short', day: 'numeric' });
+      return `${nl ? 'Slotkoers' : 'Last close'} · ${day}`;
+    }
+    const name = quote.source === 'median'
+      ? `${nl ? 'Mediaan van' : 'Median of'} ${quote.sources.length}`
+      : quote.sourceName;
+    const sameDay = quote.time.toDateString() === new Date().toDateString();
+    const time = sameDay
+      ? quote.time.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' })
+      : quote.time.toLocaleString(locale, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    return `${name} · ${time}`;
+  }
+
+  function renderSourceLabels(quote) {
+    const locale = document.documentElement.lang === 'nl' ? 'nl-NL' : 'en-US';
+    const text = describe(quote, locale);
+    document.querySelectorAll('[data-price-source]').forEach(el => {
+      el.textContent = text;
+      el.title = quote.sources.length ? quote.sources.map(id => PROVIDERS[id].name).join(', ') : '';
+    });
+  }
+
+  window.PriceFeed = {
+    PROVIDERS,
+    MOCK_URL,
+    fetchQuote,
+    getSource,
+    setSource,
+    registerProvider,
+    setMock,
+    describe,
+    lastQuote: () => (lastQuote ? Object.assign({}, lastQuote) : null)
+  };
+})();
@@ -7,13 +7,12 @@
   var R = window.Retirement;
   var V2 = window.RetirementV2;
 
-  var currentModel = 'santostasi';
+  var currentModel = PL.selectedModel();
   var historicalData = [];
   var calculatedSigma = 0.2;
   var livePrice = null;
   var advancedVisible = false;
   var currency = 'USD';
-  var eurRate = null;
 
   var STORAGE_KEY = 'btcRetirement_v3_settings';
 
@@ -30,11 +29,39 @@
     return btc.toFixed(6);
   }
 
-  function getRate() { return currency === 'EUR' && eurRate ? eurRate : 1; }
-  function getCurrencySym() { return currency === 'EUR' ? '\u20AC' : '$'; }
+  // The simulation runs natively in the selected currency (params.currency),
+  // so amounts coming back from V2 need no conversion
+  function getCurrencySym() { return Currency.symbol(currency).trim(); }
+
+  // Live BTC price in the selected currency
+  function localLivePrice() { return livePrice ? Currency.fromUSD(livePrice, currency) : null; }
+
+  // USD (with a notice) while the selected currency has no FX rates;
+  // true when it switched
+  function checkCurrency() {
+    var sel = document.getElementById('ret-currency');
+    if (!sel || Currency.usable(sel.value, sel) === sel.value) return false;
+    sel.value = 'USD';
+    sel.dispatchEvent(new Event('change'));
+    return true;
+  }
+
+  // Default burn growth in a currency: the page's 6% is a USD figure,
+  // restated with that currency's inflation assumption
+  var DEFAULT_BURN_GROWTH = 0.06;
+
+  function defaultBurnGrowth(code) {
+    return Math.round(Currency.adjustGrowth(DEFAULT_BURN_GROWTH, 'USD', code) * 1000) / 10;
+  }
+
+  // Currency symbol in the burn label and every other money label
+  function updateCurrencySyms() {
+    var symEl = $('ret-currency-sym');
+    if (symEl) symEl.textContent = getCurrencySym();
+    document.querySelectorAll('.ret-money-sym').forEach(function(s) { s.textContent = getCurrencySym(); });
+  }
 
-  function fmtMoney(usdVal) {
-    var val = usdVal * getRate();
+  function fmtMoney(val) {
     var sym = getCurrencySym();
     if (val >= 1e9) return sym + (val / 1e9).toFixed(1) + 'B';
     if (val >= 1e6) return sym + (val / 1e6).toFixed(1) + 'M';
@@ -54,9 +81,9 @@
   // ── Segmentation Logic ────────────────────────────────────
   // Pure functions: derive user segment from calculator results
 
-  function btcGoalSegment(myStack, totalBTC) {
-    if (totalBTC <= 0) return { id: 5, label: 'You Can Retire', pct: 100 };
-    var pct = (myStack / totalBTC) * 100;
+  function btcGoalSegment(stack, requiredBTC) {
+    if (requiredBTC <= 0) return { id: 5, label: 'You Can Retire', pct: 100 };
+    var pct = (stack / requiredBTC) * 100;
     if (pct <= 0)   return { id: 1, label: 'Just Starting',  pct: 0 };
     if (pct < 50)   return { id: 2, label: 'Early Stage',    pct: pct };
     if (pct < 75)   return { id: 3, label: 'Halfway There',  pct: pct };
@@ -142,19 +169,19 @@
 
     // Lump sum: buy at today's price
     if (levers.lumpSum > 0) {
-      var todayPrice = livePrice || PL.trendPrice(params.model, new Date());
-      extraBTC += (levers.lumpSum / getRate()) / todayPrice;
+      var todayPrice = localLivePrice() || R.trendPrice(params.model, new Date(), params.currency);
+      extraBTC += levers.lumpSum / todayPrice;
     }
 
     // Monthly DCA: buy each month at projected price
     if (levers.extraMonthlyDCA > 0) {
-      var monthlyUSD = levers.extraMonthlyDCA / getRate();
+      var monthly = levers.extraMonthlyDCA;
       for (var m = 0; m < totalMonths; m++) {
         var date = new Date(currentYear, new Date().getMonth() + m, 15);
         var yearOffset = m / 12;
-        var effectiveK = R.resolveScenarioK(params.scenarioMode, yearOffset, params.initialK);
-        var price = R.scenarioPrice(params.model, date, params.sigma, effectiveK);
-        if (price > 0) extraBTC += monthlyUSD / price;
+        var effectiveK = R.resolveScenarioK(params.scenarioMode, yearOffset, params.initialK, params.seed, params.sigma);
+        var price = R.scenarioPrice(params.model, date, params.sigma, effectiveK, params.currency);
+        if (price > 0) extraBTC += monthly / price;
       }
     }
 
@@ -162,29 +189,169 @@
   }
 
 
+  // ── Tax Settings ───────────────────────────────────────────
+  // Tax spec for the engine (see tax.js); null without a jurisdiction.
+  // Box 3's exemption is in euros, so it follows the selected currency.
+  function getTaxSpec() {
+    var jurisdiction = $('ret-tax') ? $('ret-tax').value : 'none';
+    if (jurisdiction === 'none') return null;
+
+    var spec = { jurisdiction: jurisdiction, method: $('ret-tax-method').value };
+    var basis = parseFloat($('ret-cost-basis').value);
+    if (basis > 0) spec.costBasis = basis;
+    var bought = parseInt($('ret-bought-year').value);
+    if (bought > 2008) spec.acquired = new Date(bought, 6, 1);
+    // No euro rate at all (the USD fallback): the exemption is taken at par
+    if (jurisdiction === 'nl_box3' && currency !== 'EUR' && Currency.available('EUR')) {
+      var exemptionEUR = Tax.JURISDICTIONS.nl_box3.defaults.exemption;
+      spec.options = { exemption: Currency.fromUSD(Currency.toUSD(exemptionEUR, 'EUR'), currency) };
+    }
+    return spec;
+  }
+
+
+  // ── Other Assets ───────────────────────────────────────────
+  // Portfolio spec for the engine (see portfolio.js); null without other
+  // assets. Rebalancing targets today's mix, valuing BTC at the live price.
+  function getPortfolioSpec(myStack) {
+    var assets = [];
+    ['stocks', 'bonds', 'cash'].forEach(function(id) {
+      var balance = parseFloat($('ret-' + id).value) || 0;
+      if (balance > 0) assets.push({ id: id, balance: balance });
+    });
+    if (assets.length === 0) return null;
+
+    var spec = { assets: assets };
+    var order = $('ret-spend-order').value;
+    if (order === 'btc_first') spec.order = ['btc', 'cash', 'bonds', 'stocks'];
+    if (order === 'any_price') spec.btcAboveTrend = null;
+
+    var rebalance = $('ret-rebalance').value;
+    if (rebalance !== 'none') {
+      var btcValue = myStack * (localLivePrice() || R.trendPrice(currentModel, new Date(), currency));
+      var otherValue = assets.reduce(function(sum, a) { return sum + a.balance; }, 0);
+      spec.targets = { btc: btcValue };
+      assets.forEach(function(a) { spec.targets[a.id] = a.balance; });
+      if (rebalance === 'glide') {
+        // Half the BTC weight moves to the other buckets, pro rata
+        var to = { btc: btcValue / 2 };
+        assets.forEach(function(a) { to[a.id] = a.balance * (1 + btcValue / 2 / otherValue); });
+        spec.glide = { to: to, years: 10 };
+      }
+    }
+    return spec;
+  }
+
+
+  // ── Income ─────────────────────────────────────────────────
+  // Income streams for the engine (see RetirementV2 Income Schedule); null
+  // without any. Amounts are in today's money in the selected currency.
+  // With a partner each pension stops at its owner's death and a survivor
+  // pension follows the first death.
+  function getIncomeSpec(household) {
+    var streams = [];
+    var pensionAge = parseInt($('ret-pension-age').value) || 67;
+    var pension = parseFloat($('ret-pension').value) || 0;
+    if (pension > 0) {
+      streams.push({ kind: 'pension', amount: pension, startAge: pensionAge, person: household ? 'self' : undefined });
+    }
+    if (household) {
+      var partnerPension = parseFloat($('ret-partner-pension').value) || 0;
+      if (partnerPension > 0) {
+        streams.push({ kind: 'pension', amount: partnerPension, startAge: pensionAge, person: 'partner' });
+      }
+      var survivorPension = parseFloat($('ret-survivor-pension').value) || 0;
+      if (survivorPension > 0) streams.push({ kind: 'pension', amount: survivorPension, survivor: true });
+    }
+    var work = parseFloat($('ret-parttime').value) || 0;
+    if (work > 0) {
+      streams.push({ kind: 'salary', amount: work, years: parseInt($('ret-parttime-years').value) || 1 });
+    }
+    var rent = parseFloat($('ret-rent').value) || 0;
+    if (rent > 0) streams.push({ kind: 'rent', amount: rent });
+    var oneOff = parseFloat($('ret-oneoff').value) || 0;
+    var oneOffAge = parseInt($('ret-oneoff-age').value);
+    if (oneOff > 0 && oneOffAge > 0) streams.push({ kind: 'oneoff', amount: oneOff, age: oneOffAge });
+    return streams.length > 0 ? streams : null;
+  }
+
+
+  // ── Spending Rule ──────────────────────────────────────────
+  // Spending spec for the engine (see spending.js); null for fixed real
+  // spending without a one-off expense. The expense is in today's money.
+  function getSpendingSpec() {
+    var rule = $('ret-spend-rule').value;
+    var spec = {};
+    if (rule === 'guardrails') spec.policy = 'guardrails';
+    if (rule === 'guardrails_k') spec = { policy: 'guardrails', options: { key: 'k' } };
+    if (rule === 'phases') spec.policy = 'phases';
+    var expense = parseFloat($('ret-expense').value) || 0;
+    var expenseAge = parseInt($('ret-expense-age').value);
+    if (expense > 0 && expenseAge > 0) {
+      spec.oneOffs = [{ amount: expense, age: expenseAge, years: parseInt($('ret-expense-years').value) || 1 }];
+    }
+    return Spending.isDynamic(spec) ? spec : null;
+  }
+
+
+  // ── Household ──────────────────────────────────────────────
+  // Household spec for the engine; null without a partner's age
+  function getHouseholdSpec() {
+    var partnerAge = parseInt($('ret-partner-age').value);
+    if (!(partnerAge > 0)) return null;
+    var ratio = parseFloat($('ret-survivor-ratio').value);
+    return {
+      partner: { currentAge: partnerAge, lifeExpectancy: parseInt($('ret-partner-life').value) || 100 },
+      survivorSpending: (ratio >= 0 ? ratio : 70) / 100
+    };
+  }
+
+  // Inheritance to leave, in BTC or today's money; null without an amount
+  function getBequestSpec() {
+    var amount = parseFloat($('ret-bequest').value) || 0;
+    if (!(amount > 0)) return null;
+    return $('ret-bequest-unit').value === 'btc' ? { btc: amount } : { amount: amount };
+  }
+
+  // Last age the plan covers (for a household: until the second death)
+  function planEndAge(result, params) {
+    return params.retirementAge + result.annualData.length;
+  }
+
+
   // ── Gather Parameters ──────────────────────────────────────
   function getParams() {
     var scenarioMode = $('ret-scenario').value;
     var initialK = null;
-    if (livePrice && (scenarioMode === 'cyclical' || scenarioMode === 'cyclical_bear')) {
-      initialK = R.currentSigmaK(currentModel, calculatedSigma, livePrice);
+    if (livePrice && PL.scenarioUsesInitialK(scenarioMode)) {
+      initialK = R.currentSigmaK(currentModel, calculatedSigma, localLivePrice(), currency);
     }
 
     var currentAge = parseInt($('ret-age').value) || 40;
     var retireAge = parseInt($('ret-retire-age').value) || currentAge;
     if (retireAge < currentAge) retireAge = currentAge;
 
+    var myStack = parseFloat($('ret-stack').value) || 0;
+    var household = getHouseholdSpec();
+
     return {
       currentAge: currentAge,
       retirementAge: retireAge,
       lifeExpectancy: parseInt($('ret-life').value) || 100,
-      annualBurn: (parseFloat($('ret-burn').value) || 100000) / getRate(),
-      burnGrowth: (parseFloat($('ret-growth').value) || 6) / 100,
-      myStack: parseFloat($('ret-stack').value) || 0,
+      annualBurn: parseFloat($('ret-burn').value) || 100000,
+      burnGrowth: (parseFloat($('ret-growth').value) || defaultBurnGrowth(currency)) / 100,
+      myStack: myStack,
       model: currentModel,
       sigma: calculatedSigma,
       scenarioMode: scenarioMode,
-      initialK: initialK
+      initialK: initialK,
+      currency: currency,
+      tax: getTaxSpec(),
+      portfolio: getPortfolioSpec(myStack),
+      income: getIncomeSpec(household),
+      spending: getSpendingSpec(),
+      household: household,
+      bequest: getBequestSpec()
     };
   }
 
@@ -198,6 +365,7 @@
   }
 
   function runCalculation() {
+    checkCurrency();
     var params = getParams();
     if (params.retirementAge >= params.lifeExpectancy) return;
 
@@ -211,7 +379,7 @@
     if (!result) result = baseResult;
 
     // Segmentation (always from base, not adjusted)
-    var goalSeg = btcGoalSegment(params.myStack, baseResult.totalBTC);
+    var goalSeg = btcGoalSegment(baseResult.stackAtRetirement, baseResult.requiredBTC);
     var ageSeg = ageSegment(params.currentAge);
 
     renderVerdict(result, adjustedParams, goalSeg, ageSeg, baseResult);
@@ -239,7 +407,7 @@
     chart.textContent = '';
     axis.textContent = '';
 
-    title.textContent = 'BTC Needed Per 5-Year Period \u2014 Age ' + params.retirementAge + ' to ' + params.lifeExpectancy;
+    title.textContent = 'BTC Needed Per 5-Year Period \u2014 Age ' + params.retirementAge + ' to ' + planEndAge(result, params);
 
     var data = result.fiveYearData;
     var maxBtc = Math.max.apply(null, data.map(function(d) { return d.btcNeeded; }));
@@ -292,11 +460,12 @@
 
     var stormFiat = $('ret-storm-fiat');
     if (stormFiat) {
-      var stormPrice = livePrice || result.todayTrendPrice;
+      var stormPrice = localLivePrice() || result.todayTrendPrice;
       stormFiat.textContent = '\u2248 ' + fmtMoney(result.stormBTC * stormPrice) + ' today';
     }
 
-    var stormEndAge = result.stormEndAge || params.lifeExpectancy;
+    var endAge = planEndAge(result, params);
+    var stormEndAge = result.stormEndAge || endAge;
     $('ret-storm-detail').textContent = 'Ages ' + params.retirementAge + '\u2013' + stormEndAge + ' \u00b7 First ' + result.stormYears + ' years';
 
     // Forever box
@@ -307,43 +476,19 @@
 
     var foreverFiat = $('ret-forever-fiat');
     if (foreverFiat) {
-      var foreverPrice = livePrice || result.todayTrendPrice;
+      var foreverPrice = localLivePrice() || result.todayTrendPrice;
       foreverFiat.textContent = '\u2248 ' + fmtMoney(result.foreverBTC * foreverPrice) + ' today';
     }
 
-    var foreverYears = params.lifeExpectancy - stormEndAge;
+    var foreverYears = endAge - stormEndAge;
     if (result.stormEndAge) {
-      $('ret-forever-detail').textContent = 'Ages ' + stormEndAge + '\u2013' + params.lifeExpectancy + ' \u00b7 Next ' + foreverYears + ' years';
+      $('ret-forever-detail').textContent = 'Ages ' + stormEndAge + '\u2013' + endAge + ' \u00b7 Next ' + foreverYears + ' years';
     } else {
       $('ret-forever-detail').textContent = 'No forever threshold reached in this scenario';
     }
   }
 
 
-  // ── Find Maximum Safe Burn ──────────────────────────────────
-  // Binary search: highest annual burn where myStack >= totalBTC
-  function findMaxSafeBurn(params) {
-    var lo = 1000;
-    var hi = params.annualBurn;
-    if (hi <= lo) return lo;
-
-    for (var iter = 0; iter < 30; iter++) {
-      var mid = Math.round((lo + hi) / 2);
-      var testParams = {};
-      Object.keys(params).forEach(function(k) { testParams[k] = params[k]; });
-      testParams.annualBurn = mid;
-      var testResult = V2.computeLifetimeBTC(testParams);
-      if (testResult && testParams.myStack >= testResult.totalBTC) {
-        lo = mid;
-      } else {
-        hi = mid;
-      }
-      if (hi - lo <= 500) break;
-    }
-    return lo;
-  }
-
-
   // ── Verdict ───────────────────────────────────────────────
   function renderVerdict(result, params, goalSeg, ageSeg, baseResult) {
     var container = $('ret-verdict-text');
@@ -397,7 +542,7 @@
       stackLine.appendChild(document.createTextNode('You have '));
       stackLine.appendChild(el('span', fmtBTC(params.myStack) + ' BTC', 'ret-btc'));
       stackLine.appendChild(document.createTextNode(' \u2014 you need '));
-      stackLine.appendChild(el('span', fmtBTC(result.totalBTC) + ' BTC', 'ret-btc'));
+      stackLine.appendChild(el('span', fmtBTC(result.requiredBTC) + ' BTC', 'ret-btc'));
       container.appendChild(stackLine);
     }
 
@@ -455,6 +600,23 @@
       insightEl.textContent = windowPct + '% of all the Bitcoin you\u2019ll ever need gets spent in the first ' +
         windowYears + ' years. After that, the power law makes your annual cost a rounding error \u2014 ' +
         'your remaining ' + remainingYears + ' years cost only ' + fmtBTC(remainingBTC) + ' BTC total.';
+      if (result.totalTax > 0) {
+        insightEl.textContent += ' That includes ' + fmtMoney(result.totalTax) + ' of tax over your whole retirement.';
+      }
+      if (result.totalIncome > 0) {
+        insightEl.textContent += ' Your other income pays ' + fmtMoney(result.totalIncome) + ' of your spending along the way.';
+      }
+      if (params.spending) {
+        var fixedParams = {};
+        Object.keys(params).forEach(function(k) { fixedParams[k] = params[k]; });
+        fixedParams.spending = null;
+        var fixed = V2.computeLifetimeBTC(fixedParams);
+        insightEl.textContent += ' Fixed real spending would need ' + fmtBTC(fixed.requiredBTC) +
+          ' BTC instead of ' + fmtBTC(result.requiredBTC) + '.';
+      }
+      if (result.bequestBTC > 0) {
+        insightEl.textContent += ' On top of that, ' + fmtBTC(result.bequestBTC) + ' BTC is left for your heirs.';
+      }
     } else if (!result.stormEndAge) {
       insightEl.textContent = 'Under this price scenario, the forever threshold is never reached. ' +
         'Your burn rate grows faster than the power law appreciates. Consider reducing spending growth or trying a different scenario.';
@@ -484,7 +646,7 @@
     if (gapEl) {
       if (baseResult.surplus < 0) {
         var deficit = -baseResult.surplus;
-        var deficitFiat = deficit * (livePrice || baseResult.todayTrendPrice);
+        var deficitFiat = deficit * (localLivePrice() || baseResult.todayTrendPrice);
         gapEl.textContent = 'You need ' + fmtBTC(deficit) + ' more BTC (\u2248 ' + fmtMoney(deficitFiat) + ' today)';
       } else {
         gapEl.textContent = 'You already have enough BTC';
@@ -508,20 +670,27 @@
     var lever2Card = $('ret-lever2');
     if (detail2 && lever2Card) {
       if (baseResult.canRetireNow) {
+        WorkerPool.cancelKey('ret-safe-burn');
         lever2Card.classList.add('ret-lever-disabled');
         detail2.textContent = 'You can already retire at this spending level.';
       } else {
-        var maxBurn = findMaxSafeBurn(params);
-        var maxReductionPct = Math.round((1 - maxBurn / params.annualBurn) * 100);
-        if (maxReductionPct > 15 || maxReductionPct < 0) {
-          lever2Card.classList.add('ret-lever-disabled');
-          detail2.textContent = 'Reducing spending alone won\u2019t get you there.';
-        } else {
-          lever2Card.classList.remove('ret-lever-disabled');
-          var reducedBurn = params.annualBurn * (1 - leverState.spendingReduction / 100);
-          detail2.textContent = 'Reduce by ' + leverState.spendingReduction +
-            '% to ' + fmtMoney(reducedBurn) + '/year';
-        }
+        // The search runs in a worker; a newer calculation cancels it
+        WorkerPool.run('RetirementV2.findMaxSafeBurn', [params], { key: 'ret-safe-burn' })
+          .then(function(maxBurn) {
+            var maxReductionPct = Math.round((1 - maxBurn / params.annualBurn) * 100);
+            if (maxReductionPct > 15 || maxReductionPct < 0) {
+              lever2Card.classList.add('ret-lever-disabled');
+              detail2.textContent = 'Reducing spending alone won\u2019t get you there.';
+            } else {
+              lever2Card.classList.remove('ret-lever-disabled');
+              var reducedBurn = params.annualBurn * (1 - leverState.spendingReduction / 100);
+              detail2.textContent = 'Reduce by ' + leverState.spendingReduction +
+                '% to ' + fmtMoney(reducedBurn) + '/year';
+            }
+          })
+          .catch(function(e) {
+            if (!WorkerPool.isCancelled(e)) console.error('Safe burn search failed:', e);
+          });
       }
     }
 
@@ -554,8 +723,8 @@
         laterParams.retirementAge = sliderAge;
         var laterResult = V2.computeLifetimeBTC(laterParams);
         if (laterResult) {
-          detail3.textContent = 'At age ' + sliderAge + ': ' + fmtBTC(laterResult.totalBTC) +
-            ' BTC needed (vs ' + fmtBTC(baseResult.totalBTC) + ' now)';
+          detail3.textContent = 'At age ' + sliderAge + ': ' + fmtBTC(laterResult.requiredBTC) +
+            ' BTC needed (vs ' + fmtBTC(baseResult.requiredBTC) + ' now)';
         }
       } else {
         detail3.textContent = 'Slide to explore different retirement ages';
@@ -575,8 +744,8 @@
     }
 
     var currentYear = new Date().getFullYear();
-    var swr = V2.foreverSWR(currentYear);
-    var stackValue = params.myStack * (livePrice || result.todayTrendPrice);
+    var swr = V2.foreverSWR(currentYear, params.model);
+    var stackValue = params.myStack * (localLivePrice() || result.todayTrendPrice);
     var safeWithdrawal = stackValue * swr;
     var coveragePct = Math.min((safeWithdrawal / params.annualBurn) * 100, 100);
 
@@ -612,6 +781,11 @@
     if (!tbody) return;
     tbody.textContent = '';
 
+    var hasBuckets = result.bucketsAtEnd != null;
+    document.querySelectorAll('.ret-bucket-col').forEach(function(th) {
+      th.classList.toggle('hidden', !hasBuckets);
+    });
+
     var cumulative = 0;
     result.annualData.forEach(function(d) {
       cumulative += d.btcNeeded;
@@ -621,14 +795,26 @@
       var phaseText = d.isForever ? 'Forever' : 'Storm';
 
       var cells = [
-        { text: '' + d.age, bold: true },
+        { text: d.partnerAge != null
+            ? d.age + (d.survivor === 'partner' ? '\u2020' : '') + ' / ' + d.partnerAge + (d.survivor === 'self' ? '\u2020' : '')
+            : '' + d.age, bold: true },
         { text: '' + d.year },
         { text: fmtMoney(d.price) },
-        { text: fmtMoney(d.burn) },
+        { text: fmtMoney(d.burn) + (d.spendAction === 'cut' ? ' \u2193' : d.spendAction === 'raise' ? ' \u2191' : '') },
         { text: d.btcNeeded.toFixed(6) },
         { text: cumulative.toFixed(4) },
+        { text: fmtMoney(d.income) },
+        { text: fmtMoney(d.taxPaid) },
         { text: phaseText, className: phaseClass }
       ];
+      if (hasBuckets) {
+        var bucketCells = [{ text: fmtBTC(d.btcLeft) }];
+        ['stocks', 'bonds', 'cash'].forEach(function(id) {
+          var balance = d.buckets[id];
+          bucketCells.push({ text: balance != null ? fmtMoney(balance) : '\u2014' });
+        });
+        cells.splice.apply(cells, [cells.length - 1, 0].concat(bucketCells));
+      }
 
       cells.forEach(function(c) {
         var td = document.createElement('td');
@@ -652,48 +838,48 @@
   function renderScenarioComparison(params) {
     var tbody = $('ret-scenario-body');
     if (!tbody) return;
-    tbody.textContent = '';
-
-    var scenarios = PowerLaw.SCENARIO_MODES;
-
-    scenarios.forEach(function(s) {
-      var p = {};
-      Object.keys(params).forEach(function(k) { p[k] = params[k]; });
-      p.scenarioMode = s.id;
-      var result = V2.computeLifetimeBTC(p);
-      if (!result) return;
-
-      var tr = document.createElement('tr');
-
-      var td1 = document.createElement('td');
-      var strong = document.createElement('strong');
-      strong.textContent = s.label;
-      td1.appendChild(strong);
-      tr.appendChild(td1);
-
-      var td2 = document.createElement('td');
-      td2.textContent = fmtBTC(result.totalBTC) + ' BTC';
-      tr.appendChild(td2);
-
-      var td3 = document.createElement('td');
-      td3.textContent = fmtBTC(result.stormBTC) + ' BTC';
-      tr.appendChild(td3);
-
-      var td4 = document.createElement('td');
-      td4.textContent = result.stormEndAge ? result.stormYears + ' years' : 'Never';
-      tr.appendChild(td4);
 
-      var td5 = document.createElement('td');
-      td5.textContent = result.canRetireNow ? 'Yes' : 'No';
-      td5.style.color = result.canRetireNow ? 'var(--green)' : 'var(--red)';
-      td5.style.fontWeight = '600';
-      tr.appendChild(td5);
+    // Every scenario runs in a worker; a newer calculation cancels this one
+    WorkerPool.run('RetirementV2.compareLifetimeScenarios', [params], { key: 'ret-scenarios' })
+      .then(function(rows) {
+        tbody.textContent = '';
+        rows.forEach(function(row) {
+          var tr = document.createElement('tr');
 
-      tbody.appendChild(tr);
-    });
+          var td1 = document.createElement('td');
+          var strong = document.createElement('strong');
+          strong.textContent = row.scenario;
+          td1.appendChild(strong);
+          tr.appendChild(td1);
+
+          var td2 = document.createElement('td');
+          td2.textContent = fmtBTC(row.requiredBTC) + ' BTC';
+          tr.appendChild(td2);
+
+          var td3 = document.createElement('td');
+          td3.textContent = fmtBTC(row.stormBTC) + ' BTC';
+          tr.appendChild(td3);
+
+          var td4 = document.createElement('td');
+          td4.textContent = row.stormEndAge ? row.stormYears + ' years' : 'Never';
+          tr.appendChild(td4);
+
+          var td5 = document.createElement('td');
+          td5.textContent = row.canRetireNow ? 'Yes' : 'No';
+          td5.style.color = row.canRetireNow ? 'var(--green)' : 'var(--red)';
+          td5.style.fontWeight = '600';
+          tr.appendChild(td5);
+
+          tbody.appendChild(tr);
+        });
+      })
+      .catch(function(e) {
+        if (!WorkerPool.isCancelled(e)) console.error('Scenario comparison failed:', e);
+      });
   }
 
 
+
   // ── Input Extras Toggle ──────────────────────────────────
   function setupInputExtrasToggle() {
     var btn = $('ret-input-extra-btn');
@@ -749,7 +935,13 @@
       inputs: {}
     };
 
-    var inputIds = ['ret-age', 'ret-retire-age', 'ret-life', 'ret-burn', 'ret-growth', 'ret-stack', 'ret-scenario', 'ret-currency'];
+    var inputIds = ['ret-age', 'ret-retire-age', 'ret-life', 'ret-burn', 'ret-growth', 'ret-stack', 'ret-scenario', 'ret-currency',
+      'ret-tax', 'ret-tax-method', 'ret-cost-basis', 'ret-bought-year',
+      'ret-stocks', 'ret-bonds', 'ret-cash', 'ret-spend-order', 'ret-rebalance',
+      'ret-pension', 'ret-pension-age', 'ret-parttime', 'ret-parttime-years', 'ret-rent', 'ret-oneoff', 'ret-oneoff-age',
+      'ret-spend-rule', 'ret-expense', 'ret-expense-age', 'ret-expense-years',
+      'ret-partner-age', 'ret-partner-life', 'ret-survivor-ratio', 'ret-partner-pension', 'ret-survivor-pension',
+      'ret-bequest', 'ret-bequest-unit'];
     inputIds.forEach(function(id) {
       var elRef = $(id);
       if (elRef) data.inputs[id] = elRef.value;
@@ -774,8 +966,7 @@
       // Restore currency state
       if (data.inputs['ret-currency']) {
         currency = data.inputs['ret-currency'];
-        var symEl = $('ret-currency-sym');
-        if (symEl) symEl.textContent = getCurrencySym();
+        updateCurrencySyms();
       }
     } catch (e) { /* ignore */ }
   }
@@ -829,6 +1020,7 @@
     fetchLiveData();
     loadSettings();
     setupInputListeners();
+    setupModelListener();
     setupLeverListeners();
     setupInputExtrasToggle();
     setupAdvancedToggle();
@@ -837,32 +1029,51 @@
 
   async function loadHistoricalData() {
     try {
-      var response = await fetch('../datasets/btc_historical.json');
-      historicalData = await response.json();
+      historicalData = await PriceData.load();
       PL.calculateSigma(historicalData, currentModel); // validates data
       calculatedSigma = PL.MODELS[currentModel].sigma;
+      R.calibrateScenarios(historicalData, currentModel, calculatedSigma);
     } catch (e) {
       console.error('Failed to load historical data:', e);
     }
+    try {
+      await Currency.load();
+      Currency.prepare(historicalData);
+    } catch (e) {
+      console.error('Failed to load FX rates:', e);
+    }
   }
+  // Follow the shared header model selector
+  function setupModelListener() {
+    PL.onModelChange(function(e) {
+      if (e.type !== 'selected') return;
+      currentModel = e.model;
+      calculatedSigma = PL.MODELS[currentModel].sigma;
+      if (historicalData.length) R.calibrateScenarios(historicalData, currentModel, calculatedSigma);
+      scheduleCalculation();
+    });
+  }
+
 
   async function fetchLiveData() {
     try {
-      var res = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd,eur');
-      var data = await res.json();
-      if (data.bitcoin) {
-        if (data.bitcoin.usd) livePrice = data.bitcoin.usd;
-        if (data.bitcoin.usd && data.bitcoin.eur) eurRate = data.bitcoin.eur / data.bitcoin.usd;
-        runCalculation();
-      }
+      var quote = await PriceFeed.fetchQuote();
+      livePrice = quote.usd;
+      Currency.setSpotFromQuote(quote);
+      runCalculation();
     } catch (e) {
       console.warn('Live price fetch failed', e);
-      eurRate = 0.92;
     }
   }
 
   function setupInputListeners() {
-    var inputIds = ['ret-age', 'ret-retire-age', 'ret-life', 'ret-burn', 'ret-growth', 'ret-stack', 'ret-scenario', 'ret-currency'];
+    var inputIds = ['ret-age', 'ret-retire-age', 'ret-life', 'ret-burn', 'ret-growth', 'ret-stack', 'ret-scenario', 'ret-currency',
+      'ret-tax', 'ret-tax-method', 'ret-cost-basis', 'ret-bought-year',
+      'ret-stocks', 'ret-bonds', 'ret-cash', 'ret-spend-order', 'ret-rebalance',
+      'ret-pension', 'ret-pension-age', 'ret-parttime', 'ret-parttime-years', 'ret-rent', 'ret-oneoff', 'ret-oneoff-age',
+      'ret-spend-rule', 'ret-expense', 'ret-expense-age', 'ret-expense-years',
+      'ret-partner-age', 'ret-partner-life', 'ret-survivor-ratio', 'ret-partner-pension', 'ret-survivor-pension',
+      'ret-bequest', 'ret-bequest-unit'];
     inputIds.forEach(function(id) {
       var elRef = $(id);
       if (!elRef) return;
@@ -886,9 +1097,13 @@
 
     // Currency toggle
     $('ret-currency').addEventListener('change', function() {
+      if (checkCurrency()) return;
+      var growthEl = $('ret-growth');
+      if (parseFloat(growthEl.value) === defaultBurnGrowth(currency)) {
+        growthEl.value = defaultBurnGrowth($('ret-currency').value);
+      }
       currency = $('ret-currency').value;
-      var symEl = $('ret-currency-sym');
-      if (symEl) symEl.textContent = getCurrencySym();
+      updateCurrencySyms();
     });
   }
 
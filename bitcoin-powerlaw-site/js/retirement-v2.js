@@ -1,7 +1,8 @@
 // Bitcoin Retirement Calculator V2 — Navigation Fund / Forever Half Framework
 // Splits stack into Navigation Fund (active decumulation through storm) and Forever Half (power law growth)
 // Forever Half SWR derived from power law math: 25% × E[return] where E[return] = β / (t × ln10)
-// Depends on: window.PowerLaw (PL), window.Retirement (R)
+// Depends on: window.PowerLaw (PL), window.Retirement (R); window.Tax when params.tax
+// is set, window.Portfolio when params.portfolio is, window.Spending when params.spending is
 
 (function() {
   'use strict';
@@ -30,9 +31,10 @@
     // Time & Model
     retirementYear: 2030,
     maxProjectionYears: 50,       // max years to project forward
-    model: 'santostasi',
-    sigma: PL.MODELS['santostasi'].sigma,
+    get model() { return PL.selectedModel(); },
+    get sigma() { return PL.modelSigma(PL.selectedModel()); },
     scenarioMode: 'cyclical',
+    seed: PL.DEFAULT_SEED,        // RNG seed for the 'stochastic' scenario
 
     // Dynamic SWR thresholds (for Navigation Fund active drawdown)
     swrHighMultiple: 2.0,         // above: withdraw more
@@ -47,6 +49,32 @@
 
     // Monte Carlo power law support floor
     supportFloorMultiple: 0.45,   // price never drops below 0.45× trend (power law support)
+
+    // Calculation currency (see Retirement.DEFAULTS.currency)
+    currency: 'USD',
+
+    // Tax spec for computeLifetimeBTC (see Retirement.DEFAULTS.tax)
+    tax: null,
+
+    // Other assets for computeLifetimeBTC (see Retirement.DEFAULTS.portfolio)
+    portfolio: null,
+
+    // Income streams for computeLifetimeBTC (see Income Schedule below), e.g.
+    // [{ kind: 'pension', amount: 20000, startAge: 67 },
+    //  { kind: 'salary', amount: 30000, years: 5 },
+    //  { kind: 'oneoff', amount: 250000, age: 72, label: 'House sale' }]
+    income: null,
+
+    // Spending policy for computeLifetimeBTC (see Retirement.DEFAULTS.spending)
+    spending: null,
+
+    // Two-person household for computeLifetimeBTC, e.g.
+    // { partner: { currentAge: 38, lifeExpectancy: 95 }, survivorSpending: 0.7 }
+    household: null,
+
+    // Inheritance left at the end of computeLifetimeBTC: { btc } or { amount }
+    // (today's money, params.currency)
+    bequest: null
   };
 
 
@@ -57,11 +85,11 @@
   //   2030 (t≈21.5): SWR ≈ 2.87%
   //   2040 (t≈31.5): SWR ≈ 1.96%
   //   2050 (t≈41.5): SWR ≈ 1.49%
-  function foreverSWR(year) {
+  function foreverSWR(year, model) {
     var date = new Date(year, 6, 1); // mid-year
     var tYears = PL.yearsSinceGenesis(date);
     if (tYears <= 0) return 0.03; // safety guard
-    var beta = PL.MODELS['santostasi'].beta; // 5.688
+    var beta = PL.MODELS[model || PL.selectedModel()].beta; // e.g. 5.688 (Santostasi)
     var expectedReturn = beta / (tYears * Math.LN10);
     return 0.25 * expectedReturn;
   }
@@ -75,7 +103,7 @@
     const {
       totalBTC, bridgeSplitPct, annualBurnUSD, spendingGrowthRate,
       model, sigma, scenarioMode, retirementYear,
-      maxProjectionYears, initialK
+      maxProjectionYears, initialK, seed, currency
     } = params;
 
     const foreverBTC = totalBTC * (1 - bridgeSplitPct);
@@ -87,11 +115,11 @@
     for (let i = 0; i <= maxProjectionYears; i++) {
       const year = retirementYear + i;
       const date = new Date(year, 6, 1);
-      const effectiveK = R.resolveScenarioK(scenarioMode, i, initialK);
-      const price = R.scenarioPrice(model, date, sigma, effectiveK);
+      const effectiveK = R.resolveScenarioK(scenarioMode, i, initialK, seed, sigma);
+      const price = R.scenarioPrice(model, date, sigma, effectiveK, currency);
       const foreverValue = foreverBTC * price;
       const inflatedBurn = annualBurnUSD * Math.pow(1 + spendingGrowthRate, i);
-      const threshold = foreverSWR(year);
+      const threshold = foreverSWR(year, model);
       const ratio = inflatedBurn / foreverValue;
 
       if (ratio < threshold) {
@@ -156,7 +184,7 @@
     const {
       totalBTC, bridgeSplitPct, annualBurnUSD, spendingGrowthRate,
       model, sigma, scenarioMode, retirementYear,
-      maxProjectionYears, initialK, loanLTV, loanInterestRate
+      maxProjectionYears, initialK, seed, loanLTV, loanInterestRate, currency
     } = params;
 
     let bridgeBTC = totalBTC * bridgeSplitPct;
@@ -174,9 +202,9 @@
     for (let i = 0; i < simYears; i++) {
       const year = retirementYear + i;
       const date = new Date(year, 6, 1);
-      const effectiveK = R.resolveScenarioK(scenarioMode, i, initialK);
-      const price = R.scenarioPrice(model, date, sigma, effectiveK);
-      const trend = PL.trendPrice(model, date);
+      const effectiveK = R.resolveScenarioK(scenarioMode, i, initialK, seed, sigma);
+      const price = R.scenarioPrice(model, date, sigma, effectiveK, currency);
+      const trend = R.trendPrice(model, date, currency);
       const multiple = price / trend;
 
       const bridgeValue = bridgeBTC * price;
@@ -323,12 +351,12 @@
 
   // ── Forever Half Projection ────────────────────────────────
   // Simple projection showing forever half value vs annual burn
-  // Uses foreverSWR(year) for the inexhaustibility threshold
+  // Uses foreverSWR(year, model) for the inexhaustibility threshold
   function simulateForever(params) {
     const {
       totalBTC, bridgeSplitPct, annualBurnUSD, spendingGrowthRate,
       model, sigma, scenarioMode, retirementYear, maxProjectionYears,
-      initialK
+      initialK, seed, currency
     } = params;
 
     const foreverBTC = totalBTC * (1 - bridgeSplitPct);
@@ -338,11 +366,11 @@
     for (let i = 0; i <= maxProjectionYears; i++) {
       const year = retirementYear + i;
       const date = new Date(year, 6, 1);
-      const effectiveK = R.resolveScenarioK(scenarioMode, i, initialK);
-      const price = R.scenarioPrice(model, date, sigma, effectiveK);
+      const effectiveK = R.resolveScenarioK(scenarioMode, i, initialK, seed, sigma);
+      const price = R.scenarioPrice(model, date, sigma, effectiveK, currency);
       const foreverValue = foreverBTC * price;
       const inflatedBurn = annualBurnUSD * Math.pow(1 + spendingGrowthRate, i);
-      const threshold = foreverSWR(year);
+      const threshold = foreverSWR(year, model);
       const ratio = inflatedBurn / foreverValue;
       const safeWithdrawal = foreverValue * threshold;
 
@@ -373,7 +401,7 @@
   function simulateEndResult(params) {
     const {
       totalBTC, monthlyDCAUSD, additionalYears, incomeGrowthRate,
-      model, sigma, scenarioMode, initialK
+      model, sigma, scenarioMode, initialK, seed, currency
     } = params;
 
     const currentYear = new Date().getFullYear();
@@ -387,8 +415,8 @@
       for (let m = 0; m < 12; m++) {
         const date = new Date(year, m, 15);
         const yearFrac = i + m / 12;
-        const effectiveK = R.resolveScenarioK(scenarioMode, yearFrac, initialK);
-        const price = R.scenarioPrice(model, date, sigma, effectiveK);
+        const effectiveK = R.resolveScenarioK(scenarioMode, yearFrac, initialK, seed, sigma);
+        const price = R.scenarioPrice(model, date, sigma, effectiveK, currency);
 
         if (price > 0) {
           const btcBought = monthlyDCA / price;
@@ -397,8 +425,8 @@
       }
 
       const yearEndDate = new Date(year, 11, 31);
-      const yearEndK = R.resolveScenarioK(scenarioMode, i + 1, initialK);
-      const yearEndPrice = R.scenarioPrice(model, yearEndDate, sigma, yearEndK);
+      const yearEndK = R.resolveScenarioK(scenarioMode, i + 1, initialK, seed, sigma);
+      const yearEndPrice = R.scenarioPrice(model, yearEndDate, sigma, yearEndK, currency);
 
       accumResults.push({
         year,
@@ -527,14 +555,19 @@
 
   // ── Find Earliest Viable Retirement Year ────────────────────
   // Binary search: what's the earliest year where ANY split survives?
-  function findEarliestRetirement(baseParams) {
+  // onProgress(done, total) fires after each probe (total is an upper bound).
+  function findEarliestRetirement(baseParams, onProgress) {
     const currentYear = new Date().getFullYear();
     let lo = currentYear;
     let hi = currentYear + 30;
+    const totalProbes = 1 + Math.ceil(Math.log2(hi - lo + 1));
+    const progress = done => { if (onProgress) onProgress(Math.min(done, totalProbes), totalProbes); };
 
     // Check if even the latest year works
     const latestResult = findOptimalSplit({ ...baseParams, retirementYear: hi });
+    progress(1);
     if (!latestResult.bestSplit) {
+      progress(totalProbes);
       return { year: null, impossible: true };
     }
 
@@ -547,9 +580,11 @@
       } else {
         lo = mid + 1;
       }
+      progress(iter + 2);
       if (lo >= hi) break;
     }
 
+    progress(totalProbes);
     return { year: hi, impossible: false };
   }
 
@@ -703,8 +738,11 @@
   // Prices clamped at -2σ (power law absolute floor — never breached historically)
   // Includes BTC-backed loan logic: borrow below trend, sell+repay above trend
   // Returns percentile bands for navigation fund survival
-  function monteCarloSurvival(baseParams, numSims) {
+  // Seeded from baseParams.seed: same inputs → same bands
+  // onProgress(done, total) fires after each simulation
+  function monteCarloSurvival(baseParams, numSims, onProgress) {
     numSims = numSims || 200;
+    const rng = PL.mulberry32(baseParams.seed != null ? baseParams.seed : PL.DEFAULT_SEED);
     const years = baseParams.maxProjectionYears || 50;
     const results = [];
     const sigma = baseParams.sigma;
@@ -724,11 +762,11 @@
 
         const year = baseParams.retirementYear + i;
         const date = new Date(year, 6, 1);
-        const trend = PL.trendPrice(baseParams.model, date);
+        const trend = R.trendPrice(baseParams.model, date, baseParams.currency);
 
         // Random log-normal perturbation: log10(price) = log10(trend) + N(0, σ)
         // Floor at supportFloorMultiple × trend (power law support — never breached in BTC history)
-        var logNoise = gaussianRandom() * sigma;
+        var logNoise = PL.gaussianRandom(rng) * sigma;
         const rawPrice = trend * Math.pow(10, logNoise);
         const price = Math.max(rawPrice, trend * baseParams.supportFloorMultiple);
 
@@ -800,6 +838,7 @@
         yearlyBTC,
         survived: !ruinYear || ruinYear >= baseParams.retirementYear + years
       });
+      if (onProgress) onProgress(sim + 1, numSims);
     }
 
     // Compute survival probability and percentile bands
@@ -841,12 +880,101 @@
     };
   }
 
-  // Box-Muller transform for gaussian random numbers
-  function gaussianRandom() {
-    let u = 0, v = 0;
-    while (u === 0) u = Math.random();
-    while (v === 0) v = Math.random();
-    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+
+  // ── Income Schedule ────────────────────────────────────────
+  // params.income: [{ kind, amount, startAge, endAge, years, age, growth,
+  //                   person, survivor, label }]
+  //   kind      key of INCOME_KINDS
+  //   amount    per year in today's money (params.currency); one-offs: the sum
+  //   startAge  first age paid (default: the retirement age)
+  //   endAge    first age no longer paid, or years = paid that many years
+  //   age       the age a one-off arrives
+  //   growth    yearly indexation from today (default per kind)
+  //   person    'self' | 'partner': ages are that person's and payment stops
+  //             at their death; without it ages are self's, paid while
+  //             anyone lives
+  //   survivor  paid only once one partner of a household has died
+  const INCOME_KINDS = {
+    pension: { label: 'State pension', growth: 0.02, recurring: true },
+    salary: { label: 'Part-time work', growth: 0.02, recurring: true },
+    rent: { label: 'Rental income', growth: 0.02, recurring: true },
+    oneoff: { label: 'One-off inflow', growth: 0, recurring: false }
+  };
+
+  function incomeKind(stream) {
+    return INCOME_KINDS[stream.kind] || INCOME_KINDS.salary;
+  }
+
+  // Income at `age`, yearOffset years from today → { total, recurring }.
+  // recurring leaves out one-offs (they don't change what a year costs).
+  // people (households): { self: { age, alive }, partner: { age, alive } }
+  function incomeAt(streams, age, yearOffset, retirementAge, people = null) {
+    let total = 0, recurring = 0;
+    (streams || []).forEach(stream => {
+      if (!(stream.amount > 0)) return;
+      const kind = incomeKind(stream);
+      if (stream.person === 'partner' && !people) return;
+      const person = people && stream.person ? people[stream.person] : null;
+      if (person && !person.alive) return;
+      if (stream.survivor && !(people && people.self.alive !== people.partner.alive)) return;
+      const at = person ? person.age : age;
+      let paid;
+      if (kind.recurring) {
+        const start = stream.startAge != null ? stream.startAge : retirementAge + (at - age);
+        const end = stream.endAge != null ? stream.endAge
+          : stream.years > 0 ? start + stream.years : Infinity;
+        paid = at >= start && at < end;
+      } else {
+        paid = at === stream.age;
+      }
+      if (!paid) return;
+      const growth = stream.growth != null ? stream.growth : kind.growth;
+      const amount = stream.amount * Math.pow(1 + growth, yearOffset);
+      total += amount;
+      if (kind.recurring) recurring += amount;
+    });
+    return { total, recurring };
+  }
+
+  // One-off inflows arriving before targetAge, put into BTC mid-year on
+  // the scenario path, as tax lots like dcaLots'
+  function inflowLots(params, targetAge) {
+    const now = new Date();
+    const lots = [];
+    (params.income || []).forEach((stream, i) => {
+      if (incomeKind(stream).recurring || !(stream.amount > 0)) return;
+      if (!(stream.age >= params.currentAge && stream.age < targetAge)) return;
+      const yearOffset = stream.age - params.currentAge;
+      const date = new Date(now.getFullYear() + yearOffset, 6, 1);
+      const effectiveK = R.resolveScenarioK(params.scenarioMode, yearOffset, params.initialK, params.seed, params.sigma);
+      const price = R.scenarioPrice(params.model, date, params.sigma, effectiveK, params.currency);
+      if (!(price > 0)) return;
+      const growth = stream.growth != null ? stream.growth : incomeKind(stream).growth;
+      const amount = stream.amount * Math.pow(1 + growth, yearOffset);
+      lots.push({ id: `inflow-${i + 1}`, btc: amount / price, costBasis: price, acquired: date });
+    });
+    return lots;
+  }
+
+  // Bequest (params.bequest) in BTC at the final year's price; a fiat
+  // target counts the other buckets left first
+  function bequestBTC(bequest, price, inflation, bucketsLeft) {
+    if (!bequest) return 0;
+    if (bequest.btc > 0) return bequest.btc;
+    if (!(bequest.amount > 0) || !(price > 0)) return 0;
+    return Math.max(0, bequest.amount * inflation - bucketsLeft) / price;
+  }
+
+  // Most BTC the rows ever need at once: the peak of the running total, so
+  // inflows after a shortfall can't paper over it (= the sum while every
+  // row needs BTC)
+  function peakNeed(rows) {
+    let running = 0, peak = 0;
+    rows.forEach(d => {
+      running += d.btcNeeded;
+      if (running > peak) peak = running;
+    });
+    return peak;
   }
 
 
@@ -861,10 +989,41 @@
   //   - When price >= loanRepayAbove × trend: sell BTC for expenses + repay debt
   //   - Debt accrues loanRate interest annually
   //   - Any remaining debt at end of life is settled from BTC
+  //
+  // Optional tax (params.tax, see tax.js): myStack becomes lots priced
+  // today; each year's burn plus wealth tax is grossed up for tax on the
+  // lots sold. BTC needed beyond myStack carries no gain. Wealth tax
+  // counts from retirement on (paid from income before that).
+  //
+  // Optional other assets (params.portfolio, see portfolio.js): the buckets
+  // grow from today, pay each year's share in their spending order (never
+  // BTC while a loan is taken instead) and rebalance against the BTC left.
+  // Rebalancing trades count in btcNeeded (negative when BTC is bought).
+  //
+  // Optional income (params.income, see Income Schedule): each year only
+  // the shortfall after income is raised. A surplus repays loan debt, then
+  // buys BTC (negative btcNeeded). Storm/forever compares the burn net of
+  // recurring income. Recurring streams count from retirement on; one-offs
+  // before it join myStack as BTC bought when they arrive.
+  //
+  // Optional spending policy (params.spending, see spending.js): burn is
+  // the policy's spending plus one-offs (amounts in today's money, ages or
+  // years), fixedBurn the plain inflated burn. Guardrails value the BTC
+  // left net of debt plus the other buckets. Storm/forever ignores one-offs.
+  //
+  // Optional household (params.household): { partner: { currentAge,
+  // lifeExpectancy }, survivorSpending }. The years run until the second
+  // death (ages stay self's, partnerAge alongside); after the first one the
+  // burn is scaled by survivorSpending and `survivor` names who is left.
+  // Income streams can belong to a person or be survivor benefits.
+  //
+  // Optional bequest (params.bequest: { btc } or { amount } in today's
+  // money, inflated by burnGrowth): requiredBTC, surplus and the earliest
+  // retirement age keep it in the stack at the end (bequestBTC).
   function computeLifetimeBTC(params) {
     const {
       currentAge, lifeExpectancy, annualBurn, burnGrowth,
-      myStack, model, sigma, scenarioMode, initialK
+      myStack, model, sigma, scenarioMode, initialK, seed, currency
     } = params;
 
     // Loan parameters (optional — off by default)
@@ -876,58 +1035,165 @@
     const retirementAge = params.retirementAge || currentAge;
     const currentYear = new Date().getFullYear();
     const yearsUntilRetirement = retirementAge - currentAge;
-    const totalYears = lifeExpectancy - retirementAge;
+    const partner = params.household && params.household.partner ? params.household.partner : null;
+    const survivorSpending = partner && params.household.survivorSpending != null ? params.household.survivorSpending : 1;
+    const totalYears = Math.max(lifeExpectancy - retirementAge,
+      partner ? partner.lifeExpectancy - partner.currentAge - yearsUntilRetirement : 0);
     if (totalYears <= 0) return null;
 
     const annualData = [];
     let stormEndAge = null;
     let debt = 0; // outstanding loan balance (USD)
 
+    const inflows = inflowLots(params, retirementAge);
+    const stack = myStack + inflows.reduce((sum, lot) => sum + lot.btc, 0);
+
+    let ledger = null;
+    if (params.tax) {
+      const today = new Date();
+      const todayK = R.resolveScenarioK(scenarioMode, 0, initialK, seed, sigma);
+      const todayPrice = R.scenarioPrice(model, today, sigma, todayK, currency);
+      const tax = inflows.length > 0 ? { ...params.tax, lots: stackLots(params).concat(inflows) } : params.tax;
+      ledger = window.Tax.createLedger(tax, stack, todayPrice, today);
+    }
+    // BTC that leaves `cash` after tax; past the ledger's lots at no gain
+    const taxedSale = (cash, price, date) => {
+      const sale = ledger.sell(cash, price, date);
+      const extra = sale.short ? (cash - (sale.btc * price - sale.tax)) / price : 0;
+      return { btc: sale.btc + extra, tax: sale.tax };
+    };
+    // BTC for `cash` → { btc, tax }
+    const sellFor = (cash, price, date) => ledger ? taxedSale(cash, price, date) : { btc: cash / price, tax: 0 };
+
+    const portfolio = params.portfolio
+      ? window.Portfolio.createPortfolio(params.portfolio, { scenarioMode, seed })
+      : null;
+    if (portfolio) {
+      for (let y = 0; y < yearsUntilRetirement; y++) portfolio.grow();
+    }
+    const spender = params.spending ? window.Spending.createSpender(params.spending) : null;
+    let btcLeft = stack;   // stack not yet spent
+    // Cash left after tax from selling the BTC left
+    const capacity = (price, date) => {
+      if (!ledger) return btcLeft * price;
+      const all = ledger.quote(Infinity, price, date);
+      return all.btc * price - all.tax;
+    };
+
     for (let i = 0; i < totalYears; i++) {
       const age = retirementAge + i;
       // Year offset from today — prices advance into the future
       const yearOffset = yearsUntilRetirement + i;
       const year = currentYear + yearOffset;
       const date = new Date(year, 6, 1);
-      const effectiveK = R.resolveScenarioK(scenarioMode, yearOffset, initialK);
-      const price = R.scenarioPrice(model, date, sigma, effectiveK);
-      const trend = PL.trendPrice(model, date);
+      const effectiveK = R.resolveScenarioK(scenarioMode, yearOffset, initialK, seed, sigma);
+      const price = R.scenarioPrice(model, date, sigma, effectiveK, currency);
+      const trend = R.trendPrice(model, date, currency);
+      // Who is alive this year (households)
+      const partnerAge = partner ? partner.currentAge + yearOffset : null;
+      const people = partner ? {
+        self: { age, alive: age < lifeExpectancy },
+        partner: { age: partnerAge, alive: partnerAge < partner.lifeExpectancy }
+      } : null;
+      const survivor = people && people.self.alive !== people.partner.alive
+        ? (people.self.alive ? 'self' : 'partner') : null;
+
       // Burn inflates from today, not from retirement
-      const burn = annualBurn * Math.pow(1 + burnGrowth, yearOffset);
+      const inflation = Math.pow(1 + burnGrowth, yearOffset);
+      const fixedBurn = annualBurn * inflation * (survivor ? survivorSpending : 1);
 
       let btcNeeded;
       let loanAction = null;
+      const useLoans = loanEnabled && trend > 0;
+      const multiple = trend > 0 ? price / trend : Infinity;
+
+      // Accrue interest on existing debt
+      if (useLoans && debt > 0) debt *= (1 + loanRate);
+      const otherWealth = portfolio ? portfolio.total() : 0;
+      const spending = spender ? spender.year({
+        index: i, year, age, inflation, fixed: fixedBurn,
+        value: btcLeft * price - (useLoans ? debt : 0) + otherWealth, k: effectiveK
+      }) : null;
+      const burn = spending ? spending.spend : fixedBurn;
+      const wealthTax = ledger ? ledger.wealthTax(price, date, useLoans ? debt : 0, otherWealth) : 0;
+      let taxPaid = wealthTax;
+
+      // Income first; a surplus repays debt, the rest buys BTC below
+      const income = incomeAt(params.income, age, yearOffset, retirementAge, people);
+      let cash = burn + wealthTax - income.total;
+      let surplus = 0;
+      if (cash < 0) {
+        surplus = -cash;
+        cash = 0;
+        if (useLoans && debt > 0) {
+          const repaid = Math.min(debt, surplus);
+          debt -= repaid;
+          surplus -= repaid;
+        }
+      }
 
-      if (loanEnabled && trend > 0) {
-        const multiple = price / trend;
-
-        // Accrue interest on existing debt
-        if (debt > 0) debt *= (1 + loanRate);
+      // This year's cash from BTC (or a loan) after the other buckets pay
+      const borrowing = useLoans && multiple < loanBorrowBelow;
+      if (portfolio) {
+        const plan = portfolio.spend(cash, multiple, borrowing ? 0 : capacity(price, date));
+        cash = plan.btc + plan.unmet;
+      }
 
-        if (multiple < loanBorrowBelow) {
+      if (useLoans) {
+        if (borrowing) {
           // Below threshold: borrow fiat instead of selling BTC at a loss
-          debt += burn;
+          debt += cash;
           btcNeeded = 0;
           loanAction = 'borrow';
         } else if (multiple >= loanRepayAbove && debt > 0) {
           // Above threshold with debt: sell BTC for expenses + full debt repayment
-          btcNeeded = (burn + debt) / price;
+          const sale = sellFor(cash + debt, price, date);
+          btcNeeded = sale.btc;
+          taxPaid += sale.tax;
           debt = 0;
           loanAction = 'repay';
         } else {
           // Neutral zone or above trend with no debt: sell BTC normally
-          btcNeeded = burn / price;
+          const sale = sellFor(cash, price, date);
+          btcNeeded = sale.btc;
+          taxPaid += sale.tax;
           loanAction = debt > 0 ? 'hold' : null;
         }
       } else {
-        btcNeeded = burn / price;
+        const sale = sellFor(cash, price, date);
+        btcNeeded = sale.btc;
+        taxPaid += sale.tax;
+      }
+      if (surplus > 0) {
+        btcNeeded -= surplus / price;
+        if (ledger) ledger.buy(surplus / price, price, date);
+      }
+      btcLeft = Math.max(0, btcLeft - btcNeeded);
+
+      // Rebalance the buckets against the BTC left, then a year of returns
+      let btcRebalanced = 0;
+      if (portfolio) {
+        const sellable = portfolio.sellsBTC(multiple) ? capacity(price, date) : 0;
+        const trade = portfolio.rebalance(i, btcLeft * price, sellable);
+        if (trade < 0) {
+          const sale = sellFor(-trade, price, date);
+          btcRebalanced = sale.btc;
+          taxPaid += sale.tax;
+        } else if (trade > 0) {
+          btcRebalanced = -trade / price;
+          if (ledger) ledger.buy(trade / price, price, date);
+        }
+        btcNeeded += btcRebalanced;
+        btcLeft = Math.max(0, btcLeft - btcRebalanced);
+        portfolio.grow();
       }
 
       // Storm/forever classification: does the user's stack cover remaining needs
       // while keeping withdrawal below the forever SWR threshold?
-      const swr = foreverSWR(year);
-      const stackValue = myStack * price;
-      const ratio = burn / stackValue;
+      const swr = foreverSWR(year, model);
+      const stackValue = stack * price + otherWealth;
+      const budget = spending ? spending.budget : fixedBurn;
+      const ratio = Math.max(0, budget - income.recurring) / stackValue;
       const isForever = stackValue > 0 && ratio < swr;
 
       if (isForever && stormEndAge === null) {
@@ -935,17 +1201,27 @@
       }
 
       annualData.push({
-        year, age, burn, price, trend, btcNeeded,
+        year, age, partnerAge, survivor, burn, fixedBurn, price, trend, btcNeeded,
+        oneOffSpend: spending ? spending.oneOff : 0,
+        spendAction: spending ? spending.action : null,
         effectiveK, swr, ratio, isForever,
         debt: loanEnabled ? debt : 0,
-        loanAction
+        loanAction,
+        income: income.total,
+        taxPaid,
+        btcRebalanced,
+        btcLeft,
+        buckets: portfolio ? portfolio.balances() : null
       });
     }
 
     // Settle any remaining debt at end of life from BTC
     if (loanEnabled && debt > 0 && annualData.length > 0) {
       const last = annualData[annualData.length - 1];
-      last.btcNeeded += debt / last.price;
+      const sale = sellFor(debt, last.price, new Date(last.year, 6, 1));
+      last.btcNeeded += sale.btc;
+      last.taxPaid += sale.tax;
+      last.btcLeft = Math.max(0, last.btcLeft - sale.btc);
       last.loanAction = 'settle';
       last.debt = 0;
     }
@@ -956,7 +1232,7 @@
       const yearsIntoRetirement = stormEndAge - retirementAge;
       const snapped = Math.ceil(yearsIntoRetirement / 5) * 5;
       stormEndAge = retirementAge + snapped;
-      if (stormEndAge > lifeExpectancy) stormEndAge = lifeExpectancy;
+      if (stormEndAge > retirementAge + totalYears) stormEndAge = retirementAge + totalYears;
       // Re-classify annual data to match snapped boundary
       annualData.forEach(d => { d.isForever = d.age >= stormEndAge; });
     }
@@ -981,25 +1257,35 @@
     }
 
     const totalBTC = annualData.reduce((sum, d) => sum + d.btcNeeded, 0);
+    const totalTax = annualData.reduce((sum, d) => sum + d.taxPaid, 0);
+    const totalIncome = annualData.reduce((sum, d) => sum + d.income, 0);
+    const totalSpent = annualData.reduce((sum, d) => sum + d.burn, 0);
+    const totalFixedBurn = annualData.reduce((sum, d) => sum + d.fixedBurn, 0);
+    const last = annualData[annualData.length - 1];
+    const bequest = bequestBTC(params.bequest, last.price, Math.pow(1 + burnGrowth, yearsUntilRetirement + totalYears - 1),
+      portfolio ? portfolio.total() : 0);
+    // BTC the stack must hold from a row on: the running peak, and the
+    // whole need plus the bequest
+    const neededFrom = rows => Math.max(peakNeed(rows), rows.reduce((sum, d) => sum + d.btcNeeded, 0) + bequest);
+    const requiredBTC = neededFrom(annualData);
     const stormData = annualData.filter(d => !d.isForever);
     const foreverData = annualData.filter(d => d.isForever);
     const stormBTC = stormData.reduce((sum, d) => sum + d.btcNeeded, 0);
     const foreverBTC = foreverData.reduce((sum, d) => sum + d.btcNeeded, 0);
     const stormYears = stormEndAge !== null ? stormEndAge - retirementAge : totalYears;
 
-    // Find earliest retirement age: smallest age where stack >= totalBTC(from that age onward)
+    // Find earliest retirement age: smallest age where stack >= BTC needed from that age onward
     let earliestRetirementAge = null;
     for (let startIdx = 0; startIdx < totalYears; startIdx++) {
-      const remaining = annualData.slice(startIdx);
-      const neededFromHere = remaining.reduce((sum, d) => sum + d.btcNeeded, 0);
-      if (myStack >= neededFromHere) {
+      const neededFromHere = neededFrom(annualData.slice(startIdx));
+      if (stack >= neededFromHere) {
         earliestRetirementAge = retirementAge + startIdx;
         break;
       }
     }
 
     // USD value at today's trend price
-    const todayTrend = PL.trendPrice(model, new Date());
+    const todayTrend = R.trendPrice(model, new Date(), currency);
 
     return {
       annualData,
@@ -1012,12 +1298,139 @@
       earliestRetirementAge,
       todayTrendPrice: todayTrend,
       totalUSDAtTrend: totalBTC * todayTrend,
-      canRetireNow: myStack >= totalBTC,
-      surplus: myStack - totalBTC
+      totalTax,
+      totalIncome,
+      totalSpent,
+      totalFixedBurn,
+      bequestBTC: bequest,
+      requiredBTC,
+      bucketsAtEnd: portfolio ? portfolio.balances() : null,
+      stackAtRetirement: stack,
+      canRetireNow: stack >= requiredBTC,
+      surplus: stack - requiredBTC
     };
   }
 
 
+  // ── DCA Until Retirement ───────────────────────────────────
+  // BTC bought by monthlyDCA (params.currency) from today until targetAge,
+  // priced on the params scenario path, as one tax lot per calendar year:
+  // [{ id, btc, costBasis (average per BTC), acquired (mid-year) }]
+  function dcaLots(params, targetAge, monthlyDCA) {
+    if (!(monthlyDCA > 0)) return [];
+    const yearsToTarget = targetAge - params.currentAge;
+    if (yearsToTarget <= 0) return [];
+    const totalMonths = yearsToTarget * 12;
+    const now = new Date();
+
+    const lots = [];
+    let lot = null;
+    for (let m = 0; m < totalMonths; m++) {
+      const date = new Date(now.getFullYear(), now.getMonth() + m, 15);
+      const effectiveK = R.resolveScenarioK(params.scenarioMode, m / 12, params.initialK, params.seed, params.sigma);
+      const price = R.scenarioPrice(params.model, date, params.sigma, effectiveK, params.currency);
+      if (!(price > 0)) continue;
+      if (!lot || lot.year !== date.getFullYear()) {
+        lot = { year: date.getFullYear(), btc: 0, spent: 0 };
+        lots.push(lot);
+      }
+      lot.btc += monthlyDCA / price;
+      lot.spent += monthlyDCA;
+    }
+    return lots.map(l => ({
+      id: `dca-${l.year}`,
+      btc: l.btc,
+      costBasis: l.spent / l.btc,
+      acquired: new Date(l.year, 6, 1)
+    }));
+  }
+
+  function accumulatedDCABTC(params, targetAge, monthlyDCA) {
+    return dcaLots(params, targetAge, monthlyDCA).reduce((sum, lot) => sum + lot.btc, 0);
+  }
+
+  // params.tax's lots for myStack (one lot from costBasis/acquired without lots)
+  function stackLots(params) {
+    return params.tax.lots && params.tax.lots.length
+      ? params.tax.lots
+      : [{ btc: params.myStack, costBasis: params.tax.costBasis, acquired: params.tax.acquired }];
+  }
+
+  // ── Find Retirement Age ────────────────────────────────────
+  // Earliest age (currentAge … maxAge) at which myStack plus the DCA bought
+  // until then covers computeLifetimeBTC. options: monthlyDCA, maxAge,
+  // onProgress(done, total) after each candidate age. With params.tax the
+  // DCA joins the stack's lots at its own cost basis.
+  // Returns { retireAge, result, nowResult } — retireAge/result are null when
+  // no age works; nowResult is retiring today on the current stack.
+  function findRetirementAge(baseParams, options = {}) {
+    const { monthlyDCA = 0, maxAge = 80, onProgress = null } = options;
+    const currentAge = baseParams.currentAge;
+    const total = Math.max(1, maxAge - currentAge + 1);
+    const nowResult = computeLifetimeBTC({ ...baseParams, retirementAge: currentAge });
+
+    const lotsNow = baseParams.tax && stackLots(baseParams);
+
+    for (let age = currentAge; age <= maxAge; age++) {
+      const lots = dcaLots(baseParams, age, monthlyDCA);
+      const myStack = baseParams.myStack + lots.reduce((sum, lot) => sum + lot.btc, 0);
+      const tax = baseParams.tax && { ...baseParams.tax, lots: lotsNow.concat(lots) };
+      const result = computeLifetimeBTC({ ...baseParams, retirementAge: age, myStack, tax });
+      if (onProgress) onProgress(age - currentAge + 1, total);
+      if (result && result.canRetireNow) {
+        return { retireAge: age, result, nowResult };
+      }
+    }
+    return { retireAge: null, result: null, nowResult };
+  }
+
+  // ── Lifetime Safe Burn ─────────────────────────────────────
+  // Binary search: highest annual burn (1000 … params.annualBurn) at which
+  // the stack covers computeLifetimeBTC's requiredBTC. onProgress(done,
+  // total) after each step.
+  function findMaxSafeBurn(baseParams, onProgress = null) {
+    let lo = 1000;
+    let hi = baseParams.annualBurn;
+    if (hi <= lo) return lo;
+
+    const steps = 30;
+    for (let i = 0; i < steps && hi - lo > 500; i++) {
+      const mid = Math.round((lo + hi) / 2);
+      const result = computeLifetimeBTC({ ...baseParams, annualBurn: mid });
+      if (result && result.canRetireNow) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+      if (onProgress) onProgress(i + 1, steps);
+    }
+    return lo;
+  }
+
+  // ── Lifetime Scenario Comparison ───────────────────────────
+  // computeLifetimeBTC under every price scenario, the user's saved ones
+  // included, trimmed to the figures the comparison table shows
+  function compareLifetimeScenarios(baseParams, onProgress = null) {
+    const scenarios = PL.scenarioModes();
+    const rows = [];
+    scenarios.forEach((s, i) => {
+      const result = computeLifetimeBTC({ ...baseParams, scenarioMode: s.id });
+      if (onProgress) onProgress(i + 1, scenarios.length);
+      if (!result) return;
+      rows.push({
+        mode: s.id,
+        scenario: s.label,
+        requiredBTC: result.requiredBTC,
+        stormBTC: result.stormBTC,
+        stormEndAge: result.stormEndAge,
+        stormYears: result.stormYears,
+        canRetireNow: result.canRetireNow
+      });
+    });
+    return rows;
+  }
+
+
   // ── Export ───────────────────────────────────────────────────
   window.RetirementV2 = {
     DEFAULTS,
@@ -1036,7 +1449,15 @@
     compareScenarios,
     sideBySide,
     monteCarloSurvival,
-    computeLifetimeBTC
+    INCOME_KINDS,
+    incomeAt,
+    computeLifetimeBTC,
+    dcaLots,
+    accumulatedDCABTC,
+    inflowLots,
+    findRetirementAge,
+    findMaxSafeBurn,
+    compareLifetimeScenarios
   };
 
 })();
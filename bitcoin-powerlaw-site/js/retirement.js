@@ -14,15 +14,28 @@
     retirementYear: 2030,
     timeHorizonYears: 30,
     m2GrowthRate: 0.065,       // 6.5% annual M2 inflation
-    model: 'santostasi',
-    sigma: PL.MODELS['santostasi'].sigma,  // read from central config
+    get model() { return PL.selectedModel(); },          // shared model selector
+    get sigma() { return PL.modelSigma(PL.selectedModel()); },  // read from central config
     // Loan parameters
     useLoans: false,
     loanLTV: 0.40,             // 40% loan-to-value
     loanInterestRate: 0.08,    // 8% annual interest
     loanThreshold: 1.0,        // borrow when price/trend < this multiple
     // Scenarios
-    scenarioMode: 'cyclical',  // 'smooth_trend', 'smooth_bear', 'smooth_deep_bear', 'cyclical', 'cyclical_bear'
+    scenarioMode: 'cyclical',  // any PowerLaw.SCENARIO_MODES id
+    seed: PL.DEFAULT_SEED,     // RNG seed for 'stochastic' (same seed → same path)
+    // Calculation currency: prices and every amount (…USD fields included)
+    // are in this currency; non-USD needs window.Currency
+    currency: 'USD',
+    // Tax: null = sell at gross value; otherwise a Tax spec (tax.js),
+    // e.g. { jurisdiction: 'us', method: 'hifo', costBasis: 30000 }
+    tax: null,
+    // Other assets: null = 100% BTC; otherwise a Portfolio spec (portfolio.js),
+    // e.g. { assets: [{ id: 'bonds', balance: 200000 }], targets: { btc: 0.7, bonds: 0.3 } }
+    portfolio: null,
+    // Spending: null = fixed real spending; otherwise a Spending spec (spending.js),
+    // e.g. { policy: 'guardrails', options: { key: 'k' }, oneOffs: [{ year: 2035, amount: 40000 }] }
+    spending: null
   };
 
 
@@ -68,52 +81,178 @@
   // ── Scenario Engine (delegates to centralized PowerLaw) ─────
   // These wrappers preserve the window.Retirement API surface so
   // all existing callers (dca.js, equity.js, etc.) work unchanged.
-  function scenarioPrice(model, date, sigma, sigmaK) {
-    return PL.scenarioPrice(model, date, sigma, sigmaK);
+  // The optional currency argument prices natively via window.Currency.
+  function trendPrice(model, date, currency) {
+    if (!currency || currency === 'USD') return PL.trendPrice(model, date);
+    return window.Currency.trendPrice(model, date, currency);
+  }
+  function scenarioPrice(model, date, sigma, sigmaK, currency) {
+    if (!currency || currency === 'USD') return PL.scenarioPrice(model, date, sigma, sigmaK);
+    return window.Currency.scenarioPrice(model, date, sigma, sigmaK, currency);
   }
   function cyclicalSigmaK(yearsFromStart, options) {
     return PL.cyclicalSigmaK(yearsFromStart, options);
   }
-  function resolveScenarioK(scenarioMode, yearIndex, initialK) {
-    return PL.resolveScenarioK(scenarioMode, yearIndex, initialK);
+  function resolveScenarioK(scenarioMode, yearIndex, initialK, seed, sigma) {
+    return PL.resolveScenarioK(scenarioMode, yearIndex, initialK, seed, sigma);
   }
   function scenarioLabel(mode) {
     return PL.scenarioLabel(mode);
   }
+  // Calibrate the data-driven scenarios to the loaded history, with k
+  // measured against `sigma`: refit the 'stochastic' OU process (defaults
+  // on failure), hand the daily k series to 'bootstrap' / 'replay_*' and
+  // fit the 'regime' Markov model to it (needs window.CycleStats)
+  function calibrateScenarios(historicalData, model, sigma) {
+    try {
+      PL.setResidualProcess(PL.fitResidualOU(historicalData, model, { sigma }));
+    } catch (e) {
+      PL.setResidualProcess(null);
+      console.warn('Stochastic scenario: using default residual process:', e.message);
+    }
+    if (!window.CycleStats || !historicalData.length) return;
+    const analysis = window.CycleStats.buildAnalysis(historicalData, model);
+    const scale = analysis.sigma / sigma;
+    const history = {
+      dates: analysis.dates,
+      kValues: analysis.kValues.map(k => k * scale)
+    };
+    PL.setResidualHistory(history);
+    try {
+      PL.setRegimeModel(window.CycleStats.fitRegimes(history));
+    } catch (e) {
+      PL.setRegimeModel(null);
+      console.warn('Regime scenario: using default regime model:', e.message);
+    }
+  }
+
+  // ── Taxed Sales ─────────────────────────────────────────────
+  // params.tax (see tax.js) opens a lot ledger at the first simulated
+  // year's price; without it sales stay untaxed at gross value
+  function openLedger(params, btc, price, date) {
+    return params.tax ? window.Tax.createLedger(params.tax, btc, price, date) : null;
+  }
+
+  // BTC to sell so `cash` is left after tax → { btc, tax, short }
+  function saleFor(ledger, cash, price, date) {
+    if (!ledger) return { btc: cash / price, tax: 0, short: false };
+    return ledger.quote(cash, price, date);
+  }
+
+  // Cash left after tax from selling the whole stack
+  function btcCapacity(ledger, stack, price, date) {
+    if (!ledger) return stack * price;
+    const all = ledger.quote(Infinity, price, date);
+    return all.btc * price - all.tax;
+  }
+
+
+  // ── Other Assets ────────────────────────────────────────────
+  // params.portfolio (see portfolio.js) adds stock / bond / cash buckets
+  // that pay spending in their order, rebalance against the stack and
+  // earn their own returns; without it the stack is 100% BTC
+  function openPortfolio(params) {
+    return params.portfolio
+      ? window.Portfolio.createPortfolio(params.portfolio, { scenarioMode: params.scenarioMode, seed: params.seed })
+      : null;
+  }
+
+  // Trade BTC against the buckets when a rebalance is due; BTC is only
+  // sold where the spending order would sell it → { stack, btc (sold +, bought −), tax }
+  function rebalanceStack(portfolio, yearIndex, multiple, ledger, stack, price, date) {
+    const capacity = portfolio.sellsBTC(multiple) ? btcCapacity(ledger, stack, price, date) : 0;
+    const trade = portfolio.rebalance(yearIndex, stack * price, capacity);
+    if (trade < 0) {
+      const sale = saleFor(ledger, -trade, price, date);
+      if (ledger) {
+        ledger.sell(-trade, price, date);
+        return { stack: ledger.holdings(), btc: sale.btc, tax: sale.tax };
+      }
+      return { stack: Math.max(0, stack - sale.btc), btc: sale.btc, tax: 0 };
+    }
+    if (trade > 0) {
+      const btc = trade / price;
+      if (ledger) ledger.buy(btc, price, date);
+      return { stack: stack + btc, btc: -btc, tax: 0 };
+    }
+    return { stack, btc: 0, tax: 0 };
+  }
+
+
+  // ── Spending Policy ─────────────────────────────────────────
+  // params.spending (see spending.js) reshapes the yearly spending;
+  // without it the engines spend annualSpendUSD grown by m2GrowthRate
+  function openSpender(params) {
+    return params.spending ? window.Spending.createSpender(params.spending) : null;
+  }
+
+  // This year's spending → { spend, budget, oneOff, factor, phase, action }
+  function yearSpending(spender, ctx) {
+    if (!spender) return { spend: ctx.fixed, budget: ctx.fixed, oneOff: 0, factor: 1, phase: null, action: null };
+    return spender.year(ctx);
+  }
+
 
   // ── Withdrawal Simulation: Sell-Only Mode ───────────────────
   // Each year: sell enough BTC to cover inflation-adjusted spending
+  // (plus any wealth tax), grossed up for tax on the gains. Other asset
+  // buckets pay first in their order, then rebalance and grow. A spending
+  // policy scales the inflation-adjusted amount (annualSpend in the rows;
+  // fixedSpend is the amount without it).
   function simulateSellOnly(params) {
     const {
       btcHoldings, annualSpendUSD, retirementYear,
       timeHorizonYears, m2GrowthRate, model, sigma, scenarioMode,
-      initialK
+      initialK, seed, currency
     } = params;
 
     let stack = btcHoldings;
     let annualSpend = annualSpendUSD;
     const results = [];
     let ruinYear = null;
+    let ledger = null;
+    let totalTax = 0;
+    const portfolio = openPortfolio(params);
+    const spender = openSpender(params);
 
     for (let i = 0; i < timeHorizonYears; i++) {
       const year = retirementYear + i;
       const date = new Date(year, 6, 1); // mid-year
-      const effectiveK = resolveScenarioK(scenarioMode, i, initialK);
-      const price = scenarioPrice(model, date, sigma, effectiveK);
-      const trend = PL.trendPrice(model, date);
+      const effectiveK = resolveScenarioK(scenarioMode, i, initialK, seed, sigma);
+      const price = scenarioPrice(model, date, sigma, effectiveK, currency);
+      const trend = trendPrice(model, date, currency);
       const multiple = price / trend;
-
-      // BTC needed to cover this year's spending
-      const btcToSell = annualSpend / price;
+      if (i === 0) ledger = openLedger(params, stack, price, date);
+
+      // BTC needed to cover this year's spending and taxes, after
+      // whatever the other buckets pay
+      const otherBefore = portfolio ? portfolio.total() : 0;
+      const spending = yearSpending(spender, {
+        index: i, year, inflation: Math.pow(1 + m2GrowthRate, i), fixed: annualSpend,
+        value: stack * price + otherBefore, k: effectiveK
+      });
+      const wealthTax = ledger ? ledger.wealthTax(price, date, 0, otherBefore) : 0;
+      const cashNeeded = spending.spend + wealthTax;
+      const plan = portfolio
+        ? portfolio.spend(cashNeeded, multiple, btcCapacity(ledger, stack, price, date))
+        : null;
+      const btcCash = plan ? plan.btc + plan.unmet : cashNeeded;
+      const sale = saleFor(ledger, btcCash, price, date);
+      const btcToSell = sale.btc;
       const stackBefore = stack;
 
       // Check ruin
-      if (btcToSell >= stack) {
+      const ruined = plan ? plan.unmet > cashNeeded * 1e-9 : (btcToSell >= stack || sale.short);
+      if (ruined) {
         ruinYear = year;
+        totalTax += sale.tax;
         results.push({
-          year, price, trend, multiple, effectiveK, annualSpend,
+          year, price, trend, multiple, effectiveK,
+          annualSpend: spending.spend, fixedSpend: annualSpend, oneOffSpend: spending.oneOff,
+          spendFactor: spending.factor, spendAction: spending.action,
           btcSold: stack, btcBorrowed: 0, loanBalance: 0,
-          interestPaid: 0, stackAfter: 0,
+          interestPaid: 0, taxPaid: sale.tax, stackAfter: 0,
+          btcRebalanced: 0, buckets: portfolio ? portfolio.balances() : null,
           portfolioValueUSD: 0,
           swrPct: 100,
           status: 'RUIN'
@@ -121,25 +260,46 @@
         // Fill remaining years as ruin
         for (let j = i + 1; j < timeHorizonYears; j++) {
           const ry = retirementYear + j;
+          const fixedSpend = annualSpend * Math.pow(1 + m2GrowthRate, j - i);
           results.push({
             year: ry, price: 0, trend: 0, multiple: 0, effectiveK: 0,
-            annualSpend: annualSpend * Math.pow(1 + m2GrowthRate, j - i),
+            annualSpend: fixedSpend, fixedSpend, oneOffSpend: 0, spendFactor: 1, spendAction: null,
             btcSold: 0, btcBorrowed: 0, loanBalance: 0,
-            interestPaid: 0, stackAfter: 0,
+            interestPaid: 0, taxPaid: 0, stackAfter: 0,
+            btcRebalanced: 0, buckets: null,
             portfolioValueUSD: 0, swrPct: 0, status: 'RUIN'
           });
         }
         break;
       }
 
-      stack -= btcToSell;
-      const portfolioValue = stack * price;
-      const swrPct = (annualSpend / (stackBefore * price)) * 100;
+      if (ledger) {
+        ledger.sell(btcCash, price, date);
+        stack = ledger.holdings();
+      } else {
+        stack = Math.max(0, stack - btcToSell);
+      }
+      let taxPaid = sale.tax + wealthTax;
+      let btcRebalanced = 0;
+      if (portfolio) {
+        const trade = rebalanceStack(portfolio, i, multiple, ledger, stack, price, date);
+        stack = trade.stack;
+        btcRebalanced = trade.btc;
+        taxPaid += trade.tax;
+        portfolio.grow();
+      }
+      totalTax += taxPaid;
+      const otherAfter = portfolio ? portfolio.total() : 0;
+      const portfolioValue = stack * price + otherAfter;
+      const swrPct = (spending.spend / (stackBefore * price + otherBefore)) * 100;
 
       results.push({
-        year, price, trend, multiple, effectiveK, annualSpend,
+        year, price, trend, multiple, effectiveK,
+        annualSpend: spending.spend, fixedSpend: annualSpend, oneOffSpend: spending.oneOff,
+        spendFactor: spending.factor, spendAction: spending.action,
         btcSold: btcToSell, btcBorrowed: 0, loanBalance: 0,
-        interestPaid: 0, stackAfter: stack,
+        interestPaid: 0, taxPaid, stackAfter: stack,
+        btcRebalanced, buckets: portfolio ? portfolio.balances() : null,
         portfolioValueUSD: portfolioValue,
         swrPct,
         status: 'OK'
@@ -149,19 +309,23 @@
       annualSpend *= (1 + m2GrowthRate);
     }
 
-    return { results, ruinYear, mode: 'sell_only' };
+    return { results, ruinYear, mode: 'sell_only', totalTax };
   }
 
 
   // ── Withdrawal Simulation: Loan Mode ────────────────────────
   // Below trend: borrow against BTC instead of selling
   // Above trend: sell BTC + repay outstanding loans
+  // Every sale is grossed up for tax; wealth tax is part of the spending.
+  // Other asset buckets pay first (BTC is not sold for spending below the
+  // loan threshold), then rebalance and grow. A spending policy works as
+  // in sell-only mode, valuing the stack net of the loan.
   function simulateWithLoans(params) {
     const {
       btcHoldings, annualSpendUSD, retirementYear,
       timeHorizonYears, m2GrowthRate, model, sigma, scenarioMode,
       loanLTV, loanInterestRate, loanThreshold,
-      initialK
+      initialK, seed, currency
     } = params;
 
     let stack = btcHoldings;
@@ -170,14 +334,33 @@
     let totalInterestPaid = 0;
     const results = [];
     let ruinYear = null;
+    let ledger = null;
+    let totalTax = 0;
+    let taxThisYear = 0;
+    const portfolio = openPortfolio(params);
+    const spender = openSpender(params);
+    // A sale that needs more than the stack holds
+    const exhausts = sale => sale.short || (sale.btc > 0 && sale.btc >= stack);
+
+    // Commit a quoted sale and keep the stack in step with the lots
+    const sell = (sale, cash, price, date) => {
+      if (ledger) {
+        ledger.sell(cash, price, date);
+        stack = ledger.holdings();
+      } else {
+        stack -= sale.btc;
+      }
+      taxThisYear += sale.tax;
+    };
 
     for (let i = 0; i < timeHorizonYears; i++) {
       const year = retirementYear + i;
       const date = new Date(year, 6, 1);
-      const effectiveK = resolveScenarioK(scenarioMode, i, initialK);
-      const price = scenarioPrice(model, date, sigma, effectiveK);
-      const trend = PL.trendPrice(model, date);
+      const effectiveK = resolveScenarioK(scenarioMode, i, initialK, seed, sigma);
+      const price = scenarioPrice(model, date, sigma, effectiveK, currency);
+      const trend = trendPrice(model, date, currency);
       const multiple = price / trend;
+      if (i === 0) ledger = openLedger(params, stack, price, date);
 
       // Accrue interest on outstanding loan
       const interestThisYear = outstandingLoan * loanInterestRate;
@@ -189,15 +372,31 @@
       let btcBorrowed = 0;
       let yearStatus = 'OK';
 
-      // Total cash needed: spending + any loan repayment strategy
-      const cashNeeded = annualSpend;
+      // Total cash needed: spending + wealth tax on the net position
+      const otherBefore = portfolio ? portfolio.total() : 0;
+      const spending = yearSpending(spender, {
+        index: i, year, inflation: Math.pow(1 + m2GrowthRate, i), fixed: annualSpend,
+        value: stack * price - outstandingLoan + otherBefore, k: effectiveK
+      });
+      const wealthTax = ledger ? ledger.wealthTax(price, date, outstandingLoan, otherBefore) : 0;
+      let cashNeeded = spending.spend + wealthTax;
+      taxThisYear = wealthTax;
+
+      // Buckets pay first; BTC sales and loans cover the rest
+      if (portfolio) {
+        const capacity = multiple < loanThreshold ? 0 : btcCapacity(ledger, stack, price, date);
+        const plan = portfolio.spend(cashNeeded, multiple, capacity);
+        cashNeeded = plan.btc + plan.unmet;
+      }
 
       if (multiple < loanThreshold) {
         // BELOW TREND → borrow against BTC
         // Max borrowable = stack * price * LTV - outstanding loan
         const maxBorrow = (stack * price * loanLTV) - outstandingLoan;
 
-        if (maxBorrow >= cashNeeded) {
+        if (portfolio && cashNeeded <= 0) {
+          // The other buckets paid for the year
+        } else if (maxBorrow >= cashNeeded) {
           // Borrow to cover spending
           outstandingLoan += cashNeeded;
           btcBorrowed = cashNeeded;
@@ -207,70 +406,95 @@
           outstandingLoan += maxBorrow;
           btcBorrowed = maxBorrow;
           const remainder = cashNeeded - maxBorrow;
-          btcSold = remainder / price;
-          if (btcSold >= stack) {
+          const sale = saleFor(ledger, remainder, price, date);
+          btcSold = sale.btc;
+          if (exhausts(sale)) {
             ruinYear = year;
             yearStatus = 'RUIN';
           } else {
-            stack -= btcSold;
+            sell(sale, remainder, price, date);
             yearStatus = 'PARTIAL_BORROW';
           }
         } else {
           // LTV maxed out, must sell
-          btcSold = cashNeeded / price;
-          if (btcSold >= stack) {
+          const sale = saleFor(ledger, cashNeeded, price, date);
+          btcSold = sale.btc;
+          if (exhausts(sale)) {
             ruinYear = year;
             yearStatus = 'RUIN';
           } else {
-            stack -= btcSold;
+            sell(sale, cashNeeded, price, date);
             yearStatus = 'FORCED_SELL';
           }
         }
       } else {
         // ABOVE TREND → sell BTC, repay loans if any
         const totalNeeded = cashNeeded + outstandingLoan;
-        btcSold = totalNeeded / price;
+        const sale = saleFor(ledger, totalNeeded, price, date);
+        btcSold = sale.btc;
 
-        if (btcSold >= stack) {
+        if (exhausts(sale)) {
           // Try just covering spending without full loan repayment
-          btcSold = cashNeeded / price;
-          if (btcSold >= stack) {
+          const spendSale = saleFor(ledger, cashNeeded, price, date);
+          btcSold = spendSale.btc;
+          if (exhausts(spendSale)) {
             ruinYear = year;
             yearStatus = 'RUIN';
           } else {
-            stack -= btcSold;
+            sell(spendSale, cashNeeded, price, date);
             // Partial loan repayment with remaining capacity
             const excessBTC = stack * 0.1; // repay 10% of stack value
             const repayAmount = Math.min(outstandingLoan, excessBTC * price);
             if (repayAmount > 0) {
-              stack -= repayAmount / price;
-              outstandingLoan -= repayAmount;
+              const repaySale = saleFor(ledger, repayAmount, price, date);
+              if (repaySale.btc < stack && !repaySale.short) {
+                sell(repaySale, repayAmount, price, date);
+                outstandingLoan -= repayAmount;
+              }
             }
             yearStatus = 'PARTIAL_REPAY';
           }
         } else {
-          stack -= btcSold;
+          sell(sale, totalNeeded, price, date);
           outstandingLoan = 0;
           yearStatus = 'SELL_AND_REPAY';
         }
       }
+      if (yearStatus === 'RUIN') taxThisYear = 0;
+
+      let btcRebalanced = 0;
+      if (portfolio && yearStatus !== 'RUIN') {
+        const trade = rebalanceStack(portfolio, i, multiple, ledger, stack, price, date);
+        stack = trade.stack;
+        btcRebalanced = trade.btc;
+        taxThisYear += trade.tax;
+        portfolio.grow();
+      }
+      totalTax += taxThisYear;
 
 
       // Liquidation check: if loan exceeds LTV on current stack
       const liquidationPrice = outstandingLoan / (stack * loanLTV);
       const isLiquidationRisk = price < liquidationPrice * 1.2; // within 20%
 
-      const portfolioValue = (stack * price) - outstandingLoan;
-      const swrPct = stackBefore > 0 ? (annualSpend / (stackBefore * price)) * 100 : 0;
+      const otherAfter = portfolio && yearStatus !== 'RUIN' ? portfolio.total() : 0;
+      const portfolioValue = (stack * price) - outstandingLoan + otherAfter;
+      const wealthBefore = stackBefore * price + otherBefore;
+      const swrPct = wealthBefore > 0 ? (spending.spend / wealthBefore) * 100 : 0;
 
       results.push({
-        year, price, trend, multiple, effectiveK, annualSpend,
+        year, price, trend, multiple, effectiveK,
+        annualSpend: spending.spend, fixedSpend: annualSpend, oneOffSpend: spending.oneOff,
+        spendFactor: spending.factor, spendAction: spending.action,
         btcSold, btcBorrowed, loanBalance: outstandingLoan,
         interestPaid: interestThisYear,
         totalInterestPaid,
+        taxPaid: taxThisYear,
         liquidationPrice: outstandingLoan > 0 ? liquidationPrice : 0,
         isLiquidationRisk,
         stackAfter: stack,
+        btcRebalanced,
+        buckets: portfolio ? portfolio.balances() : null,
         portfolioValueUSD: portfolioValue,
         swrPct,
         status: yearStatus
@@ -282,9 +506,11 @@
           results.push({
             year: retirementYear + j, price: 0, trend: 0, multiple: 0,
             effectiveK: 0,
-            annualSpend: 0, btcSold: 0, btcBorrowed: 0, loanBalance: 0,
-            interestPaid: 0, totalInterestPaid, liquidationPrice: 0,
+            annualSpend: 0, fixedSpend: 0, oneOffSpend: 0, spendFactor: 1, spendAction: null,
+            btcSold: 0, btcBorrowed: 0, loanBalance: 0,
+            interestPaid: 0, totalInterestPaid, taxPaid: 0, liquidationPrice: 0,
             isLiquidationRisk: false, stackAfter: 0,
+            btcRebalanced: 0, buckets: null,
             portfolioValueUSD: 0, swrPct: 0, status: 'RUIN'
           });
         }
@@ -294,7 +520,7 @@
       annualSpend *= (1 + m2GrowthRate);
     }
 
-    return { results, ruinYear, mode: 'with_loans', totalInterestPaid };
+    return { results, ruinYear, mode: 'with_loans', totalInterestPaid, totalTax };
   }
 
 
@@ -330,11 +556,12 @@
 
 
   // ── Comparison: Loans vs No Loans ───────────────────────────
-  // Run both modes across all scenarios and compare required stacks
-  function compareStrategies(baseParams) {
+  // Run both modes across all scenarios and compare required stacks.
+  // onProgress(done, total) fires after each scenario.
+  function compareStrategies(baseParams, onProgress) {
     const scenarios = PL.SCENARIO_MODES;
 
-    const comparison = scenarios.map(s => {
+    const comparison = scenarios.map((s, i) => {
       const p = { ...baseParams, scenarioMode: s.id };
 
       const sellMin = findMinimumStack(p, false);
@@ -345,6 +572,7 @@
 
       const savings = sellMin.minStack - loanMin.minStack;
       const savingsPct = sellMin.minStack > 0 ? (savings / sellMin.minStack) * 100 : 0;
+      if (onProgress) onProgress(i + 1, scenarios.length);
 
       return {
         scenario: s.label,
@@ -373,6 +601,7 @@
 
     const totalBTCSold = r.reduce((s, y) => s + y.btcSold, 0);
     const totalSpent = r.reduce((s, y) => s + y.annualSpend, 0);
+    const totalFixedSpend = r.reduce((s, y) => s + y.fixedSpend, 0);
     const avgSWR = r.reduce((s, y) => s + y.swrPct, 0) / r.length;
     const finalStack = r[r.length - 1].stackAfter;
     const finalValue = r[r.length - 1].portfolioValueUSD;
@@ -384,17 +613,22 @@
       yearsBeforeRuin: r.length,
       totalBTCSold,
       totalSpent,
+      totalFixedSpend,
       avgSWR,
       finalStack,
       finalValue,
       borrowYears,
-      totalInterestPaid: simResult.totalInterestPaid || 0
+      totalInterestPaid: simResult.totalInterestPaid || 0,
+      totalTax: r.reduce((s, y) => s + (y.taxPaid || 0), 0),
+      finalBuckets: r[r.length - 1].buckets || null
     };
   }
 
 
-  function currentSigmaK(model, sigma, livePrice) {
-    return PL.currentSigmaK(model, sigma, livePrice);
+  // livePrice is in `currency` (USD when omitted)
+  function currentSigmaK(model, sigma, livePrice, currency) {
+    if (!currency || currency === 'USD') return PL.currentSigmaK(model, sigma, livePrice);
+    return window.Currency.currentSigmaK(model, sigma, livePrice, currency);
   }
 
   // ── Export ───────────────────────────────────────────────────
@@ -403,10 +637,12 @@
     cagrBetween,
     instantaneousCAGR,
     cagrDecayTable,
+    trendPrice,
     scenarioPrice,
     cyclicalSigmaK,
     resolveScenarioK,
     scenarioLabel,
+    calibrateScenarios,
     currentSigmaK,
     simulateSellOnly,
     simulateWithLoans,
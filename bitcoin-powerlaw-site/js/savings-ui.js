@@ -1,5 +1,5 @@
 // ── DCA Calculator — UI Handler ──────────────────────────────────
-// Mirrors retirement-ui.js IIFE pattern.
+// Mirrors retirement-v2-ui.js IIFE pattern.
 // Depends on: window.PowerLaw, window.Retirement, window.DCA
 (function () {
   'use strict';
@@ -8,7 +8,7 @@
   const R  = window.Retirement;
   const D  = window.DCA;
 
-  let currentModel     = 'santostasi';
+  let currentModel     = PL.selectedModel();
   let growthChart       = null;
   let accumulationChart = null;
   let comparisonChart   = null;
@@ -22,18 +22,27 @@
   const STORAGE_KEY = 'btcSavings_settings';
 
   // ── Currency Support ──────────────────────────────────────────
+  // Simulations run natively in `currency` (params.currency): amounts from
+  // the engine are already in it, only the live USD quote is converted
   let currency = 'USD';
-  let eurRate  = null;
 
-  function getCurrencySymbol() { return currency === 'EUR' ? '\u20AC' : '$'; }
-  function getRate()           { return currency === 'EUR' && eurRate ? eurRate : 1; }
-  function toDisplay(usd)      { return usd * getRate(); }
-  function toUSD(displayAmt)   { return displayAmt / getRate(); }
+  function getCurrencySymbol() { return Currency.symbol(currency); }
+  function localLivePrice()    { return livePrice ? Currency.fromUSD(livePrice, currency) : null; }
+
+  // USD (with a notice) while the selected currency has no FX rates;
+  // true when it switched
+  function checkCurrency() {
+    const sel = document.getElementById('dca-currency');
+    if (!sel || Currency.usable(sel.value, sel) === sel.value) return false;
+    sel.value = 'USD';
+    sel.dispatchEvent(new Event('change'));
+    return true;
+  }
 
-  function fmtCurrency(usd) {
-    const val = Math.abs(toDisplay(usd));
+  function fmtCurrency(amount) {
+    const val = Math.abs(amount);
     const sym = getCurrencySymbol();
-    const sign = usd < 0 ? '-' : '';
+    const sign = amount < 0 ? '-' : '';
     if (val >= 1e9) return sign + sym + (val / 1e9).toFixed(2) + 'B';
     if (val >= 1e6) return sign + sym + (val / 1e6).toFixed(2) + 'M';
     if (val >= 1e3) return sign + sym + Math.round(val).toLocaleString('en-US');
@@ -43,15 +52,11 @@
 
   async function fetchLiveData() {
     try {
-      const res  = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd,eur');
-      const data = await res.json();
-      if (data.bitcoin) {
-        if (data.bitcoin.usd) livePrice = data.bitcoin.usd;
-        if (data.bitcoin.usd && data.bitcoin.eur) eurRate = data.bitcoin.eur / data.bitcoin.usd;
-      }
+      const quote = await PriceFeed.fetchQuote();
+      livePrice = quote.usd;
+      Currency.setSpotFromQuote(quote);
     } catch (e) {
       console.warn('Live data fetch failed, using fallback', e);
-      eurRate = 0.92;
     }
   }
 
@@ -67,20 +72,21 @@
 
     let initialK = null;
     if (livePrice && startYear <= new Date().getFullYear() + 1 &&
-        (scenarioMode === 'cyclical' || scenarioMode === 'cyclical_bear')) {
-      initialK = R.currentSigmaK(currentModel, calculatedSigma, livePrice);
+        PL.scenarioUsesInitialK(scenarioMode)) {
+      initialK = R.currentSigmaK(currentModel, calculatedSigma, localLivePrice(), currency);
     }
 
     return {
-      lumpSumUSD:       toUSD(parseFloat($('dca-lump-sum').value) || 0),
-      monthlyDCAUSD:    toUSD(parseFloat($('dca-monthly').value) || 0),
+      lumpSumUSD:       parseFloat($('dca-lump-sum').value) || 0,
+      monthlyDCAUSD:    parseFloat($('dca-monthly').value) || 0,
       startYear,
       startMonth:       parseInt($('dca-start-month').value) || (new Date().getMonth() + 1),
       timeHorizonYears: parseInt($('dca-horizon').value) || 10,
       model:            currentModel,
       sigma:            calculatedSigma,
       scenarioMode,
-      initialK
+      initialK,
+      currency
     };
   }
 
@@ -93,21 +99,42 @@
     setupCurrencyToggle();
     setupStartNow();
     setupButtons();
+    setupMonteCarloControls();
     setupInputListeners();
+    setupModelListener();
     scheduleCalculation();
   }
 
   async function loadHistoricalData() {
     try {
-      const response = await fetch('../datasets/btc_historical.json');
-      historicalData = await response.json();
+      historicalData = await PriceData.load();
       const sigmaData = PL.calculateSigma(historicalData, currentModel);
       calculatedSigma = sigmaData.sigma;
+      R.calibrateScenarios(historicalData, currentModel, calculatedSigma);
     } catch (e) {
       console.warn('Failed to load historical data:', e);
     }
+    try {
+      await Currency.load();
+      Currency.prepare(historicalData);
+    } catch (e) {
+      console.warn('Failed to load FX rates:', e);
+    }
+  }
+  // Follow the shared header model selector
+  function setupModelListener() {
+    PL.onModelChange(e => {
+      if (e.type !== 'selected') return;
+      currentModel = e.model;
+      if (historicalData.length) {
+        calculatedSigma = PL.calculateSigma(historicalData, currentModel).sigma;
+        R.calibrateScenarios(historicalData, currentModel, calculatedSigma);
+      }
+      scheduleCalculation();
+    });
   }
 
+
   function setDefaultMonth() {
     // Default start month to current month if not already set by saved settings
     const sel = $('dca-start-month');
@@ -120,6 +147,7 @@
     const sel = $('dca-currency');
     if (!sel) return;
     sel.addEventListener('change', () => {
+      if (checkCurrency()) return;
       currency = sel.value;
       const labels = ['dca-currency-label', 'dca-currency-label2'];
       labels.forEach(id => {
@@ -250,6 +278,7 @@
 
   // ── Main Calculation ──────────────────────────────────────────
   function runCalculation() {
+    checkCurrency();
     saveSettings();
     const params = getParams();
 
@@ -271,6 +300,7 @@
 
     show('dca-results-section');
     show('dca-growth-section');
+    runMonteCarlo(params);
     show('dca-accumulation-section');
     show('dca-table-section');
     show('dca-insight-section');
@@ -280,6 +310,115 @@
     $('dca-results-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
   }
 
+  // ── Monte Carlo Range ─────────────────────────────────────────
+  // Re-runs the plan over random price paths (monte-carlo.js). Metric pills
+  // only re-render; path pills re-run.
+  let mcChart    = null;
+  let mcResult   = null;
+  let mcMetric   = 'portfolioValue';
+  let mcScenario = 'stochastic';
+  const MC_SIMS  = 1000;        // worker runs; the main-thread fallback uses MonteCarlo.DEFAULT_SIMS
+
+  const MC_METRICS = {
+    portfolioValue: { format: fmtCurrency, axis: compactAxis },
+    costBasis:      { format: fmtCurrency, axis: compactAxis }
+  };
+
+  // Runs in a worker; a newer run (input change, path pill) cancels this one
+  function runMonteCarlo(params) {
+    const sims = WorkerPool.isSupported() ? MC_SIMS : MonteCarlo.DEFAULT_SIMS;
+    WorkerPool.run('DCA.monteCarlo', [params, { scenario: mcScenario, sims }], {
+      key: 'dca-mc',
+      onProgress: (done, total) => {
+        $('dca-mc-note').textContent = 'Running ' + done + ' / ' + total + ' paths\u2026';
+      }
+    }).then(result => {
+      mcResult = result;
+      renderMonteCarlo();
+      show('dca-mc-section');
+    }).catch(e => {
+      if (WorkerPool.isCancelled(e)) return;
+      console.warn('Monte Carlo failed:', e);
+      hide('dca-mc-section');
+    });
+  }
+
+  function renderMonteCarlo() {
+    if (!mcResult) return;
+    const metric = MC_METRICS[mcMetric];
+    const ctx = $('dca-mc-chart');
+    if (mcChart) mcChart.destroy();
+
+    mcChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        datasets: MonteCarlo.fanDatasets(mcResult.fans[mcMetric], mcResult.dates, {
+          color: '0, 200, 83',
+          labels: { outer: '5th\u201395th percentile', inner: '25th\u201375th percentile', median: 'Median' }
+        })
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { intersect: false, mode: 'index' },
+        plugins: {
+          legend: { position: 'top', labels: { usePointStyle: true, padding: 16, filter: MonteCarlo.legendFilter } },
+          tooltip: {
+            itemSort: (a, b) => b.parsed.y - a.parsed.y,
+            callbacks: {
+              title: items => new Date(items[0].parsed.x).toLocaleDateString('en-US', { year: 'numeric', month: 'short' }),
+              label: item => item.dataset.mcPercentile.toUpperCase() + ': ' + metric.format(item.parsed.y)
+            }
+          }
+        },
+        scales: {
+          x: {
+            type: 'time',
+            time: { unit: 'year', displayFormats: { year: 'yyyy' } },
+            grid: { display: false },
+            ticks: { maxTicksLimit: 15 }
+          },
+          y: {
+            beginAtZero: true,
+            ticks: { callback: metric.axis },
+            grid: { color: 'rgba(0,0,0,0.05)' }
+          }
+        }
+      }
+    });
+
+    const final = mcResult.final[mcMetric];
+    $('dca-mc-stats').innerHTML = MonteCarlo.PERCENTILES.map(p =>
+      '<div class="stat-item"><div class="stat-label">' + (p === 50 ? 'Median' : 'P' + p) + '</div>' +
+      '<div class="stat-value">' + metric.format(final['p' + p]) + '</div></div>'
+    ).join('');
+    $('dca-mc-note').textContent = 'End of horizon across ' + mcResult.sims + ' ' + ({ bootstrap: 'historical bootstrap', regime: 'regime-switching' }[mcResult.scenario] || 'mean-reverting') + ' paths (seed ' + mcResult.seed + ').';
+  }
+
+  function compactAxis(v) {
+    const sym = getCurrencySymbol();
+    if (Math.abs(v) >= 1e6) return sym + (v / 1e6).toFixed(1) + 'M';
+    if (Math.abs(v) >= 1e3) return sym + (v / 1e3).toFixed(0) + 'K';
+    return sym + v;
+  }
+
+  function setupMonteCarloControls() {
+    document.querySelectorAll('#dca-mc-section [data-mc-metric]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        mcMetric = btn.dataset.mcMetric;
+        document.querySelectorAll('#dca-mc-section [data-mc-metric]').forEach(b => b.classList.toggle('active', b === btn));
+        renderMonteCarlo();
+      });
+    });
+    document.querySelectorAll('#dca-mc-section [data-mc-scenario]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        mcScenario = btn.dataset.mcScenario;
+        document.querySelectorAll('#dca-mc-section [data-mc-scenario]').forEach(b => b.classList.toggle('active', b === btn));
+        runMonteCarlo(getParams());
+      });
+    });
+  }
+
   // ── Comparison Mode ───────────────────────────────────────────
   function runComparison() {
     saveSettings();
@@ -306,6 +445,7 @@
 
     show('dca-results-section');
     show('dca-growth-section');
+    runMonteCarlo(params);
     show('dca-accumulation-section');
     show('dca-comparison-section');
     hide('dca-table-section');
@@ -359,7 +499,6 @@
     const ctx = $('dca-growth-chart');
     if (growthChart) growthChart.destroy();
 
-    const r = getRate();
     growthChart = new Chart(ctx, {
       type: 'line',
       data: {
@@ -367,7 +506,7 @@
         datasets: [
           {
             label: 'Portfolio Value (' + currency + ')',
-            data: result.months.map(m => m.portfolioValueUSD * r),
+            data: result.months.map(m => m.portfolioValueUSD),
             borderColor: '#00C853',
             backgroundColor: 'rgba(0, 200, 83, 0.1)',
             fill: true,
@@ -377,7 +516,7 @@
           },
           {
             label: 'Total Invested (' + currency + ')',
-            data: result.months.map(m => m.cumulativeInvestedUSD * r),
+            data: result.months.map(m => m.cumulativeInvestedUSD),
             borderColor: '#F7931A',
             backgroundColor: 'rgba(247, 147, 26, 0.1)',
             fill: true,
@@ -678,8 +817,6 @@
     const ctx = $('dca-comparison-chart');
     if (comparisonChart) comparisonChart.destroy();
 
-    const r = getRate();
-
     comparisonChart = new Chart(ctx, {
       type: 'line',
       data: {
@@ -687,7 +824,7 @@
         datasets: [
           {
             label: 'Combined (' + currency + ')',
-            data: comparison.combined.months.map(m => m.portfolioValueUSD * r),
+            data: comparison.combined.months.map(m => m.portfolioValueUSD),
             borderColor: '#00C853',
             borderWidth: 2.5,
             pointRadius: 0,
@@ -695,7 +832,7 @@
           },
           {
             label: 'Lump Sum Only (' + currency + ')',
-            data: comparison.lumpOnly.months.map(m => m.portfolioValueUSD * r),
+            data: comparison.lumpOnly.months.map(m => m.portfolioValueUSD),
             borderColor: '#F7931A',
             borderWidth: 2,
             borderDash: [6, 3],
@@ -704,7 +841,7 @@
           },
           {
             label: 'DCA Only (' + currency + ')',
-            data: comparison.dcaOnly.months.map(m => m.portfolioValueUSD * r),
+            data: comparison.dcaOnly.months.map(m => m.portfolioValueUSD),
             borderColor: '#9C27B0',
             borderWidth: 2,
             borderDash: [3, 3],
@@ -14,10 +14,12 @@
     startYear:        2025,
     startMonth:       1,        // 1-12
     timeHorizonYears: 10,
-    model:            'santostasi',
-    sigma:            PL.MODELS['santostasi'].sigma,
+    get model()       { return PL.selectedModel(); },
+    get sigma()       { return PL.modelSigma(PL.selectedModel()); },
     scenarioMode:     'cyclical',
-    initialK:         null
+    initialK:         null,
+    seed:             PL.DEFAULT_SEED,
+    currency:         'USD'     // amounts and prices (see Retirement.DEFAULTS)
   };
 
   // ── Core DCA Simulation ────────────────────────────────────────
@@ -26,7 +28,7 @@
   function simulateDCA(params) {
     const {
       lumpSumUSD, monthlyDCAUSD, startYear, startMonth,
-      timeHorizonYears, model, sigma, scenarioMode, initialK
+      timeHorizonYears, model, sigma, scenarioMode, initialK, seed, currency
     } = params;
 
     const totalMonths = timeHorizonYears * 12;
@@ -41,9 +43,9 @@
 
       // Fractional years from start for scenario engine
       const yearIndex = i / 12;
-      const effectiveK = R.resolveScenarioK(scenarioMode, yearIndex, initialK);
-      const price      = R.scenarioPrice(model, date, sigma, effectiveK);
-      const trendPrice = PL.trendPrice(model, date);
+      const effectiveK = R.resolveScenarioK(scenarioMode, yearIndex, initialK, seed, sigma);
+      const price      = R.scenarioPrice(model, date, sigma, effectiveK, currency);
+      const trendPrice = R.trendPrice(model, date, currency);
 
       // Fiat spent and BTC bought this month
       let btcBought = 0;
@@ -125,12 +127,26 @@
     };
   }
 
+  // ── Monte Carlo ────────────────────────────────────────────────
+  // Percentile fans over random price paths (see monte-carlo.js).
+  // options: sims, seed, scenario ('stochastic' | 'bootstrap')
+  function monteCarlo(params, options = {}) {
+    return window.MonteCarlo.run(simulateDCA, params, Object.assign({
+      series: {
+        portfolioValue: r => r.months.map(m => m.portfolioValueUSD),
+        costBasis:      r => r.months.map(m => m.avgCostBasis),
+        price:          r => r.months.map(m => m.price)
+      }
+    }, options));
+  }
+
   // ── Export ─────────────────────────────────────────────────────
   window.DCA = {
     DEFAULTS,
     simulateDCA,
     simulateComparison,
-    simulationSummary
+    simulationSummary,
+    monteCarlo
   };
 
 })();
@@ -0,0 +1,394 @@
+// ── Scenario Builder ─────────────────────────────────────────────
+// Dialog for user-defined price scenarios: a drawn or typed k-path, a
+// cyclical scenario with its own parameters, or any built-in scenario,
+// plus one-off shocks ("−60% in year 3, recovering over 2 years").
+// Saved scenarios go through PowerLaw.registerScenario(), so every page
+// and every engine (and the worker pool) sees them.
+//
+// Mounts on every <select data-scenario-select>: custom scenarios are
+// listed in a "My scenarios" group and a "Custom scenario…" button opens
+// the builder (editing the selected scenario if it is a custom one).
+// Built-in base options are copied from the page's select, so labels
+// stay in the page's language.
+//
+// Load before the page's *-ui.js: saved selections are restored at init
+// and need the custom options to exist.
+// Depends on: window.PowerLaw
+(function () {
+  'use strict';
+
+  const PL = window.PowerLaw;
+
+  const STRINGS = {
+    en: {
+      group: 'My scenarios',
+      open: 'Custom scenario…',
+      titleNew: 'New scenario',
+      titleEdit: 'Edit scenario',
+      name: 'Name',
+      namePlaceholder: 'e.g. Crash in 2028',
+      base: 'Base',
+      basePath: 'Drawn k-path',
+      path: 'k-path (year: k)',
+      pathHint: 'k is the distance from trend in σ. Click or drag on the chart to draw; points are held flat past the ends.',
+      cyclical: 'Cycle parameters (empty = default)',
+      lambda: 'λ cycle lengthening',
+      firstTrough: 'First trough (age, yrs)',
+      alpha: 'α peak decay',
+      peakK0: 'First peak (σ)',
+      troughDepth: 'Trough (σ)',
+      bearBias: 'Bear bias (σ)',
+      amplitude: 'Amplitude (×)',
+      shocks: 'Shocks',
+      shockYear: 'Year',
+      shockChange: 'Change %',
+      shockRecovery: 'Recovery (years)',
+      shockRecoveryPlaceholder: 'never',
+      addShock: '+ Add shock',
+      removeShock: 'Remove shock',
+      preview: 'Preview: k over the next 30 years (selected model, today = 0)',
+      save: 'Save',
+      remove: 'Delete',
+      cancel: 'Cancel',
+      confirmRemove: name => `Delete the scenario "${name}"?`
+    },
+    nl: {
+      group: "Mijn scenario's",
+      open: 'Eigen scenario…',
+      titleNew: 'Nieuw scenario',
+      titleEdit: 'Scenario bewerken',
+      name: 'Naam',
+      namePlaceholder: 'bijv. Crash in 2028',
+      base: 'Basis',
+      basePath: 'Getekend k-pad',
+      path: 'k-pad (jaar: k)',
+      pathHint: 'k is de afstand tot de trend in σ. Klik of sleep in de grafiek om te tekenen; voorbij de uiteinden blijft het pad vlak.',
+      cyclical: 'Cyclusparameters (leeg = standaard)',
+      lambda: 'λ cyclusverlenging',
+      firstTrough: 'Eerste dal (leeftijd, jr)',
+      alpha: 'α piekafname',
+      peakK0: 'Eerste piek (σ)',
+      troughDepth: 'Dal (σ)',
+      bearBias: 'Bear bias (σ)',
+      amplitude: 'Amplitude (×)',
+      shocks: 'Schokken',
+      shockYear: 'Jaar',
+      shockChange: 'Verandering %',
+      shockRecovery: 'Herstel (jaren)',
+      shockRecoveryPlaceholder: 'nooit',
+      addShock: '+ Schok toevoegen',
+      removeShock: 'Schok verwijderen',
+      preview: 'Voorbeeld: k over de komende 30 jaar (gekozen model, vandaag = 0)',
+      save: 'Opslaan',
+      remove: 'Verwijderen',
+      cancel: 'Annuleren',
+      confirmRemove: name => `Het scenario "${name}" verwijderen?`
+    }
+  };
+  const T = document.documentElement.lang === 'nl' ? STRINGS.nl : STRINGS.en;
+
+  const CYCLICAL_FIELDS = ['lambda', 'firstTrough', 'alpha', 'peakK0', 'troughDepth', 'bearBias', 'amplitude'];
+  const PREVIEW_YEARS = 30;
+  const PREVIEW_K = 3;              // chart y range ±3σ
+  const DRAW_STEP_K = 0.1;          // drawn points snap to 0.1σ
+  const DEFAULT_PATH = [{ year: 0, k: 0 }, { year: 4, k: -1 }, { year: 8, k: 1 }];
+
+  const mounted = [];               // selects with a builder button
+  let dialog = null;
+  let el = {};                      // dialog controls by role
+  let target = null;                // select that opened the builder
+  let editingId = null;
+  let path = [];                    // drawn/typed points, unvalidated
+  let drawing = false;
+
+  // ── Selects ───────────────────────────────────────────────────
+  // Rebuild the custom group. A selected scenario that no longer exists
+  // falls back to 'cyclical' and fires 'change' so the page recalculates.
+  function renderSelect(select) {
+    const current = select.value;
+    const old = select.querySelector('optgroup[data-custom-scenarios]');
+    if (old) old.remove();
+
+    const custom = PL.scenarioModes().filter(m => m.custom);
+    if (custom.length > 0) {
+      const group = document.createElement('optgroup');
+      group.label = T.group;
+      group.setAttribute('data-custom-scenarios', '');
+      for (const mode of custom) group.appendChild(new Option(mode.label, mode.id));
+      select.appendChild(group);
+    }
+
+    if ([...select.options].some(o => o.value === current)) {
+      select.value = current;
+    } else {
+      select.value = 'cyclical';
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  }
+
+  function mount(root) {
+    (root || document).querySelectorAll('select[data-scenario-select]').forEach(select => {
+      if (mounted.includes(select)) return;
+      mounted.push(select);
+      renderSelect(select);
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'scenario-builder-btn';
+      button.textContent = T.open;
+      button.addEventListener('click', () => open(select));
+      select.insertAdjacentElement('afterend', button);
+    });
+  }
+
+  PL.onScenarioChange(() => mounted.forEach(renderSelect));
+
+  // ── Dialog ────────────────────────────────────────────────────
+  function field(label, control) {
+    return `<label class="sb-field"><span>${label}</span>${control}</label>`;
+  }
+
+  function createDialog() {
+    dialog = document.createElement('dialog');
+    dialog.className = 'scenario-builder';
+    dialog.innerHTML = `
+      <form method="dialog" class="sb-form">
+        <h3 class="sb-title" data-role="title"></h3>
+        <div class="sb-grid">
+          ${field(T.name, `<input type="text" data-role="name" maxlength="60" placeholder="${T.namePlaceholder}">`)}
+          ${field(T.base, '<select data-role="base"></select>')}
+        </div>
+        <div data-role="path-section">
+          ${field(T.path, '<input type="text" data-role="path" spellcheck="false">')}
+          <p class="sb-hint">${T.pathHint}</p>
+        </div>
+        <fieldset data-role="cyclical-section">
+          <legend>${T.cyclical}</legend>
+          <div class="sb-grid">
+            ${CYCLICAL_FIELDS.map(key => field(T[key], `<input type="number" step="any" data-role="cyc-${key}" placeholder="${PL.CYCLICAL_DEFAULTS[key]}">`)).join('')}
+          </div>
+        </fieldset>
+        <fieldset>
+          <legend>${T.shocks}</legend>
+          <div data-role="shocks"></div>
+          <button type="button" class="sb-link-btn" data-role="add-shock">${T.addShock}</button>
+        </fieldset>
+        <p class="sb-hint">${T.preview}</p>
+        <canvas class="sb-canvas" data-role="canvas" width="640" height="220"></canvas>
+        <p class="sb-error" data-role="error" role="alert"></p>
+        <div class="sb-actions">
+          <button type="button" class="sb-btn sb-btn-danger" data-role="remove">${T.remove}</button>
+          <button type="button" class="sb-btn" data-role="cancel">${T.cancel}</button>
+          <button type="submit" class="sb-btn sb-btn-primary" data-role="save">${T.save}</button>
+        </div>
+      </form>`;
+    document.body.appendChild(dialog);
+    dialog.querySelectorAll('[data-role]').forEach(node => { el[node.getAttribute('data-role')] = node; });
+
+    el.base.addEventListener('change', () => { toggleSections(); preview(); });
+    el.path.addEventListener('input', () => { path = parsePath(el.path.value); preview(); });
+    el.name.addEventListener('input', preview);
+    CYCLICAL_FIELDS.forEach(key => el['cyc-' + key].addEventListener('input', preview));
+    el.shocks.addEventListener('input', preview);
+    el['add-shock'].addEventListener('click', () => { addShockRow({}); preview(); });
+    el.cancel.addEventListener('click', () => dialog.close());
+    el.remove.addEventListener('click', remove);
+    el.save.addEventListener('click', e => { e.preventDefault(); save(); });
+
+    el.canvas.addEventListener('pointerdown', e => {
+      if (el.base.value !== 'path') return;
+      drawing = true;
+      el.canvas.setPointerCapture(e.pointerId);
+      drawAt(e);
+    });
+    el.canvas.addEventListener('pointermove', e => { if (drawing) drawAt(e); });
+    el.canvas.addEventListener('pointerup', () => { drawing = false; });
+    el.canvas.addEventListener('pointercancel', () => { drawing = false; });
+  }
+
+  function toggleSections() {
+    const base = el.base.value;
+    el['path-section'].hidden = base !== 'path';
+    el['cyclical-section'].hidden = base !== 'cyclical' && base !== 'cyclical_bear';
+    el.canvas.classList.toggle('sb-drawable', base === 'path');
+  }
+
+  // Base options: drawn path, then the page select's built-in scenarios
+  function fillBaseOptions(select) {
+    el.base.textContent = '';
+    el.base.appendChild(new Option(T.basePath, 'path'));
+    const builtIn = new Set(PL.SCENARIO_MODES.map(m => m.id));
+    for (const option of select.options) {
+      if (builtIn.has(option.value)) el.base.appendChild(new Option(option.text, option.value));
+    }
+  }
+
+  function addShockRow(shock) {
+    const row = document.createElement('div');
+    row.className = 'sb-shock-row';
+    const value = v => (v == null ? '' : v);
+    row.innerHTML = `
+      ${field(T.shockYear, `<input type="number" step="any" min="0" data-shock="year" value="${value(shock.year)}">`)}
+      ${field(T.shockChange, `<input type="number" step="any" data-shock="change" value="${shock.change == null ? '' : +(shock.change * 100).toFixed(2)}">`)}
+      ${field(T.shockRecovery, `<input type="number" step="any" min="0" data-shock="recovery" placeholder="${T.shockRecoveryPlaceholder}" value="${value(shock.recoveryYears)}">`)}
+      <button type="button" class="sb-remove-shock" aria-label="${T.removeShock}" title="${T.removeShock}">&times;</button>`;
+    row.querySelector('.sb-remove-shock').addEventListener('click', () => { row.remove(); preview(); });
+    el.shocks.appendChild(row);
+  }
+
+  function open(select) {
+    if (!dialog) createDialog();
+    target = select;
+    fillBaseOptions(select);
+
+    const specs = PL.customScenarioSpecs();
+    editingId = specs[select.value] ? select.value : null;
+    const spec = editingId ? specs[editingId] : { name: '', base: 'path', path: DEFAULT_PATH, shocks: [] };
+
+    el.title.textContent = editingId ? T.titleEdit : T.titleNew;
+    el.name.value = spec.name;
+    el.base.value = spec.base;
+    path = (spec.path || DEFAULT_PATH).map(p => ({ year: p.year, k: p.k }));
+    el.path.value = formatPath(path);
+    const cyclical = spec.cyclical || {};
+    CYCLICAL_FIELDS.forEach(key => { el['cyc-' + key].value = cyclical[key] != null ? cyclical[key] : ''; });
+    el.shocks.textContent = '';
+    spec.shocks.forEach(addShockRow);
+    el.remove.hidden = !editingId;
+
+    toggleSections();
+    dialog.showModal();
+    preview();
+  }
+
+  // ── Spec ──────────────────────────────────────────────────────
+  function parsePath(text) {
+    return text.split(/[,;\n]+/).map(s => s.trim()).filter(Boolean).map(pair => {
+      const [year, k] = pair.split(':').map(s => s.trim());
+      return { year, k };
+    });
+  }
+
+  function formatPath(points) {
+    return points.map(p => `${p.year}: ${p.k}`).join(', ');
+  }
+
+  // Raw spec from the form; PowerLaw.normalizeScenario validates it
+  function readSpec() {
+    const base = el.base.value;
+    const spec = { name: el.name.value, base, shocks: [] };
+    if (base === 'path') spec.path = path;
+    if (base === 'cyclical' || base === 'cyclical_bear') {
+      spec.cyclical = {};
+      CYCLICAL_FIELDS.forEach(key => { spec.cyclical[key] = el['cyc-' + key].value; });
+    }
+    el.shocks.querySelectorAll('.sb-shock-row').forEach(row => {
+      const input = name => row.querySelector(`[data-shock="${name}"]`).value;
+      spec.shocks.push({
+        year: input('year'),
+        change: input('change') === '' ? '' : Number(input('change')) / 100,
+        recoveryYears: input('recovery')
+      });
+    });
+    return spec;
+  }
+
+  function showError(message) {
+    el.error.textContent = message || '';
+  }
+
+  function save() {
+    try {
+      const id = PL.registerScenario(readSpec());
+      if (editingId && editingId !== id) PL.removeScenario(editingId);
+      dialog.close();
+      target.value = id;
+      target.dispatchEvent(new Event('change', { bubbles: true }));
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  function remove() {
+    const specs = PL.customScenarioSpecs();
+    if (!editingId || !specs[editingId]) return;
+    if (!window.confirm(T.confirmRemove(specs[editingId].name))) return;
+    PL.removeScenario(editingId);
+    dialog.close();
+  }
+
+  // ── Preview ───────────────────────────────────────────────────
+  function drawAt(e) {
+    const rect = el.canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width;
+    const y = (e.clientY - rect.top) / rect.height;
+    const year = Math.round(Math.min(1, Math.max(0, x)) * PREVIEW_YEARS);
+    const k = Math.round((PREVIEW_K - 2 * PREVIEW_K * Math.min(1, Math.max(0, y))) / DRAW_STEP_K) * DRAW_STEP_K;
+    path = path.filter(p => Number(p.year) !== year)
+      .concat({ year, k: +k.toFixed(1) })
+      .sort((a, b) => Number(a.year) - Number(b.year));
+    el.path.value = formatPath(path);
+    preview();
+  }
+
+  // Draw the scenario's k over PREVIEW_YEARS (monthly), or the
+  // validation error if the form is incomplete
+  function preview() {
+    const ctx = el.canvas.getContext('2d');
+    const w = el.canvas.width;
+    const h = el.canvas.height;
+    const px = year => (year / PREVIEW_YEARS) * w;
+    const py = k => h / 2 - (k / PREVIEW_K) * (h / 2);
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.font = '11px sans-serif';
+    ctx.lineWidth = 1;
+    for (let k = -PREVIEW_K + 1; k < PREVIEW_K; k++) {
+      ctx.strokeStyle = k === 0 ? '#BDBDBD' : '#EEEEEE';
+      ctx.beginPath();
+      ctx.moveTo(0, py(k));
+      ctx.lineTo(w, py(k));
+      ctx.stroke();
+      ctx.fillStyle = '#9E9E9E';
+      ctx.fillText(`${k > 0 ? '+' : ''}${k}σ`, 4, py(k) - 3);
+    }
+    for (let year = 5; year < PREVIEW_YEARS; year += 5) {
+      ctx.fillText(`${year}`, px(year) - 6, h - 4);
+    }
+
+    let spec;
+    try {
+      // Unnamed drafts still preview; the name is checked on save
+      spec = PL.normalizeScenario(Object.assign(readSpec(), { name: el.name.value || '-' }));
+      showError('');
+    } catch (e) {
+      showError(e.message);
+      return;
+    }
+
+    const sigma = PL.modelSigma(PL.selectedModel());
+    ctx.strokeStyle = '#F7931A';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let m = 0; m <= PREVIEW_YEARS * 12; m++) {
+      const k = Math.max(-PREVIEW_K, Math.min(PREVIEW_K, PL.customScenarioK(spec, m / 12, null, PL.DEFAULT_SEED, sigma)));
+      if (m === 0) ctx.moveTo(px(m / 12), py(k)); else ctx.lineTo(px(m / 12), py(k));
+    }
+    ctx.stroke();
+
+    if (spec.base === 'path') {
+      ctx.fillStyle = '#000000';
+      for (const p of spec.path) {
+        if (p.year > PREVIEW_YEARS) continue;
+        ctx.beginPath();
+        ctx.arc(px(p.year), py(p.k), 3.5, 0, 2 * Math.PI);
+        ctx.fill();
+      }
+    }
+  }
+
+  mount();
+  document.addEventListener('DOMContentLoaded', () => mount());
+
+  window.ScenarioBuilder = { mount, open };
+})();
@@ -0,0 +1,47 @@
+// ── Simulation Worker ────────────────────────────────────────────
+// Web Worker entry for WorkerPool: loads the engines and runs one task
+// per message.
+//   in:  { id, task, args, state }   state from WorkerPool.captureState()
+//   out: { type: 'ready' } once loaded, then per job
+//        { id, type: 'progress', done, total } (throttled)
+//        { id, type: 'done', result } | { id, type: 'error', message, stack }
+// Cancellation is WorkerPool terminating this worker.
+'use strict';
+
+self.window = self;             // the engines publish themselves on window
+
+importScripts(
+  'powerlaw.js',
+  'currency.js',
+  'tax.js',
+  'portfolio.js',
+  'spending.js',
+  'retirement.js',
+  'retirement-v2.js',
+  'monte-carlo.js',
+  'savings.js',
+  'equity.js',
+  'balance-sheet.js',
+  'worker-pool.js'
+);
+
+self.onmessage = function (e) {
+  const { id, task, args, state } = e.data;
+  let lastProgress = 0;
+  const onProgress = (done, total) => {
+    const now = Date.now();
+    if (done < total && now - lastProgress < WorkerPool.PROGRESS_INTERVAL_MS) return;
+    lastProgress = now;
+    self.postMessage({ id, type: 'progress', done, total });
+  };
+
+  try {
+    WorkerPool.applyState(state);
+    const result = WorkerPool.execute(task, args, onProgress);
+    self.postMessage({ id, type: 'done', result });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message, stack: err.stack });
+  }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,166 @@
+// Bitcoin Power Law Observatory — Spending Policies
+// Turns the engines' fixed real spending (a base amount grown every year)
+// into a policy: guardrails that cut or raise the budget, go-go / slow-go /
+// no-go phases, and dated one-off expenses on top.
+//
+//   const spender = Spending.createSpender(params.spending);   // null = fixed
+//   spender.year({ index, year, age, inflation, fixed, value, k });
+//     → { spend, budget, oneOff, factor, phase, action }
+//
+// params.spending: { policy, options, phases, oneOffs }
+//   policy   id in POLICIES ('fixed' | 'guardrails' | 'phases' | registered)
+//   options  overrides the policy's defaults
+//   phases   [{ label, years, factor }] for 'phases' (the last one lasts)
+//   oneOffs  [{ amount, year | age, years, label }]: amount in the engine's
+//            base money (inflated like the spending), paid `years` years
+//            in a row from `year` (or from `age` where the engine has ages)
+// The engines pass, per simulated year: index (years into retirement),
+// inflation (their growth factor so far), fixed (the fixed real spending,
+// nominal), value (wealth before spending) and k (the scenario's σ-multiple).
+(function() {
+  'use strict';
+
+  const DEFAULT_PHASES = [
+    { label: 'Go-go', years: 10, factor: 1.0 },
+    { label: 'Slow-go', years: 10, factor: 0.8 },
+    { label: 'No-go', factor: 0.7 }
+  ];
+
+  // ── Policies ────────────────────────────────────────────────
+  // A policy has a label, defaults and
+  //   factor(state, ctx, options) → { factor, phase, action }
+  // where factor scales the fixed spending. `state` persists across the
+  // years of one run (guardrails keep their running budget in it).
+  const POLICIES = {
+    fixed: {
+      label: 'Fixed real spending',
+      defaults: {},
+      factor: () => ({ factor: 1, phase: null, action: null })
+    },
+
+    // Guyton-Klinger-style guardrails. key 'value': the withdrawal rate
+    // drifting `upper` above (below) the first year's rate cuts (raises)
+    // the real budget by `cut` (`raise`). key 'k': the price sitting below
+    // kLow (above kHigh) does. The budget stays within floor…ceiling of
+    // the fixed spending.
+    guardrails: {
+      label: 'Guardrails',
+      defaults: { key: 'value', upper: 0.2, lower: 0.2, cut: 0.1, raise: 0.1,
+        kLow: -0.5, kHigh: 0.5, floor: 0.5, ceiling: 2.0 },
+      factor: (state, ctx, o) => {
+        if (state.factor == null) {
+          state.factor = 1;
+          state.initialRate = ctx.value > 0 ? ctx.fixed / ctx.value : null;
+          return { factor: 1, phase: null, action: null };
+        }
+        let action = null;
+        if (o.key === 'k') {
+          if (ctx.k < o.kLow) action = 'cut';
+          else if (ctx.k > o.kHigh) action = 'raise';
+        } else if (state.initialRate && ctx.value > 0) {
+          const rate = ctx.fixed * state.factor / ctx.value;
+          if (rate > state.initialRate * (1 + o.upper)) action = 'cut';
+          else if (rate < state.initialRate * (1 - o.lower)) action = 'raise';
+        }
+        const next = action === 'cut' ? state.factor * (1 - o.cut)
+          : action === 'raise' ? state.factor * (1 + o.raise) : state.factor;
+        const clamped = Math.min(o.ceiling, Math.max(o.floor, next));
+        if (clamped === state.factor) action = null;
+        state.factor = clamped;
+        return { factor: clamped, phase: null, action };
+      }
+    },
+
+    // Real budget per phase of retirement (years from its start)
+    phases: {
+      label: 'Spending phases',
+      defaults: {},
+      factor: (state, ctx, o, spec) => {
+        const phases = spec.phases && spec.phases.length > 0 ? spec.phases : DEFAULT_PHASES;
+        let start = 0;
+        for (const phase of phases) {
+          if (!(phase.years > 0) || ctx.index < start + phase.years) {
+            return { factor: phase.factor, phase: phase.label || null, action: null };
+          }
+          start += phase.years;
+        }
+        const last = phases[phases.length - 1];
+        return { factor: last.factor, phase: last.label || null, action: null };
+      }
+    }
+  };
+
+  // Add or replace a spending policy (see POLICIES)
+  function registerPolicy(id, rule) {
+    if (!rule || typeof rule.factor !== 'function') {
+      throw new Error('A spending policy needs a factor function');
+    }
+    POLICIES[id] = Object.assign({ label: id, defaults: {} }, rule);
+  }
+
+  function policyIds() {
+    return Object.keys(POLICIES);
+  }
+
+  // True when the spec changes anything about fixed real spending
+  function isDynamic(spec) {
+    return !!spec && ((!!spec.policy && spec.policy !== 'fixed') ||
+      (Array.isArray(spec.oneOffs) && spec.oneOffs.some(e => e.amount > 0)));
+  }
+
+
+  // ── One-Off Expenses ────────────────────────────────────────
+  // Real amount of the one-offs due this year (by calendar year, or by age)
+  function oneOffsAt(oneOffs, year, age) {
+    let total = 0;
+    (oneOffs || []).forEach(e => {
+      if (!(e.amount > 0)) return;
+      const span = e.years > 0 ? e.years : 1;
+      const offset = e.year != null ? year - e.year : (age != null && e.age != null ? age - e.age : -1);
+      if (offset >= 0 && offset < span) total += e.amount;
+    });
+    return total;
+  }
+
+
+  // ── Spender ─────────────────────────────────────────────────
+  // null when the spec is fixed real spending without one-offs, so those
+  // runs keep the engines' plain math
+  function createSpender(spec) {
+    if (!isDynamic(spec)) return null;
+    const id = spec.policy || 'fixed';
+    const rule = POLICIES[id];
+    if (!rule) throw new Error(`Unknown spending policy: ${id}`);
+    const options = Object.assign({}, rule.defaults, spec.options);
+    const state = {};
+
+    function year(ctx) {
+      const { factor, phase, action } = rule.factor(state, ctx, options, spec);
+      const budget = ctx.fixed * factor;
+      const oneOff = oneOffsAt(spec.oneOffs, ctx.year, ctx.age) * (ctx.inflation || 1);
+      return { spend: budget + oneOff, budget, oneOff, factor, phase, action };
+    }
+
+    return { policy: id, options, year };
+  }
+
+
+  // ── Comparison ──────────────────────────────────────────────
+  // Run an engine with the policy and with fixed real spending:
+  //   Spending.compare(params, p => Retirement.simulateSellOnly(p))
+  //   → { policy: <result>, fixed: <result> }
+  function compare(params, run) {
+    return { policy: run(params), fixed: run({ ...params, spending: null }) };
+  }
+
+  window.Spending = {
+    DEFAULT_PHASES,
+    POLICIES,
+    registerPolicy,
+    policyIds,
+    isDynamic,
+    oneOffsAt,
+    createSpender,
+    compare
+  };
+})();
@@ -0,0 +1,249 @@
+// Bitcoin Power Law Observatory — Tax Engine
+// Tracks BTC acquisition lots (amount, cost basis, date) and grosses up
+// sales so that the cash left after tax covers what a simulation needs.
+//
+//   const ledger = Tax.createLedger(params.tax, btc, price, date);   // null = no tax
+//   ledger.wealthTax(price, date, debt, other);   // this year's tax on holdings (+ other assets)
+//   ledger.quote(cash, price, date);          // → { btc, tax, gain, short }, lots untouched
+//   ledger.sell(cash, price, date);           // the same, lots consumed
+//
+// params.tax: { jurisdiction, method, lots, lotOrder, costBasis, acquired, options }
+//   jurisdiction  id in JURISDICTIONS ('none' | 'us' | 'flat' | 'nl_box3' | registered)
+//   method        lot selection: 'fifo' | 'hifo' | 'specific' (lotOrder ids first, then FIFO)
+//   lots          [{ id (unique), btc, costBasis (per BTC), acquired (Date | 'YYYY-MM-DD') }]
+//   costBasis, acquired  the stack as one lot when lots is missing
+//   options       overrides the jurisdiction's defaults (rates, exemption)
+// The simulation's BTC amount is authoritative: BTC beyond the lots is
+// bought at the starting price, lots beyond it are trimmed newest first.
+// Amounts are in the calculation currency (params.currency).
+(function() {
+  'use strict';
+
+  const DAY_MS = 86400000;
+
+  const LOT_METHODS = ['fifo', 'hifo', 'specific'];
+
+  // ── Jurisdictions ───────────────────────────────────────────
+  // A rule has a label, defaults and either or both of
+  //   gainRate(holdingDays, options, date)  marginal rate on a realized gain
+  //   wealthTax(wealth, options, date)      tax due on the holdings for the year
+  // Gains and losses net within one sale; a sale never yields a refund.
+  const JURISDICTIONS = {
+    none: { label: 'No tax', defaults: {} },
+    us: {
+      label: 'US capital gains',
+      defaults: { shortTermRate: 0.24, longTermRate: 0.15, longTermDays: 365 },
+      gainRate: (holdingDays, o) => holdingDays > o.longTermDays ? o.longTermRate : o.shortTermRate
+    },
+    flat: {
+      label: 'Flat rate on gains',
+      defaults: { rate: 0.25 },
+      gainRate: (holdingDays, o) => o.rate
+    },
+    // Box 3 (2025): a deemed 5.88% return on wealth above the exemption,
+    // taxed at 36%; sales themselves are untaxed. exemption is in euros —
+    // pass options.exemption in the calculation currency otherwise.
+    nl_box3: {
+      label: 'Box 3 wealth tax (NL)',
+      defaults: { exemption: 57684, deemedReturn: 0.0588, rate: 0.36 },
+      wealthTax: (wealth, o) => Math.max(0, wealth - o.exemption) * o.deemedReturn * o.rate
+    }
+  };
+
+  // Add or replace a jurisdiction rule (see JURISDICTIONS)
+  function registerJurisdiction(id, rule) {
+    if (!rule || (rule.gainRate && typeof rule.gainRate !== 'function') ||
+        (rule.wealthTax && typeof rule.wealthTax !== 'function')) {
+      throw new Error('A tax jurisdiction needs gainRate and/or wealthTax functions');
+    }
+    JURISDICTIONS[id] = Object.assign({ label: id, defaults: {} }, rule);
+  }
+
+  function jurisdictionIds() {
+    return Object.keys(JURISDICTIONS);
+  }
+
+  // True when the spec taxes anything
+  function isTaxed(tax) {
+    return !!tax && !!tax.jurisdiction && tax.jurisdiction !== 'none';
+  }
+
+
+  // ── Lots ────────────────────────────────────────────────────
+  function toDate(d) {
+    return d instanceof Date ? d : new Date(d);
+  }
+
+  // Issues ids of the form `prefix-N` that no lot in `lots` carries and
+  // that were not issued before, so consumed lots never hand theirs on
+  function idIssuer(lots) {
+    const taken = new Set(lots.map(lot => lot.id));
+    let n = 0;
+    return (prefix = 'lot') => {
+      let id;
+      do id = `${prefix}-${++n}`; while (taken.has(id));
+      taken.add(id);
+      return id;
+    };
+  }
+
+  // Copy of the spec's lots sized to `btc`: missing BTC becomes a lot
+  // bought at `price` on `date`, extra BTC is trimmed from the newest lots.
+  // Lot ids must be unique; lots without one get a fresh `lot-N`.
+  function normalizeLots(tax, btc, price, date, nextId) {
+    const source = tax.lots && tax.lots.length > 0
+      ? tax.lots
+      : [{ btc, costBasis: tax.costBasis, acquired: tax.acquired }];
+    const seen = new Set();
+    for (const lot of source) {
+      if (lot.id == null) continue;
+      if (seen.has(lot.id)) throw new Error(`Duplicate lot id: ${lot.id}`);
+      seen.add(lot.id);
+    }
+    nextId = nextId || idIssuer(source);
+    const lots = source
+      .filter(lot => lot.btc > 0)
+      .map(lot => ({
+        id: lot.id != null ? lot.id : nextId(),
+        btc: lot.btc,
+        costBasis: lot.costBasis != null ? lot.costBasis : price,
+        acquired: toDate(lot.acquired != null ? lot.acquired : date)
+      }));
+
+    let total = lots.reduce((sum, lot) => sum + lot.btc, 0);
+    if (total < btc) {
+      lots.push({ id: nextId(), btc: btc - total, costBasis: price, acquired: toDate(date) });
+    } else if (total > btc) {
+      const newestFirst = lots.slice().sort((a, b) => b.acquired - a.acquired);
+      for (const lot of newestFirst) {
+        const cut = Math.min(lot.btc, total - btc);
+        lot.btc -= cut;
+        total -= cut;
+        if (total <= btc) break;
+      }
+    }
+    return lots.filter(lot => lot.btc > 0);
+  }
+
+  // Lots in the order a sale consumes them
+  function orderLots(lots, method, lotOrder) {
+    const fifo = (a, b) => a.acquired - b.acquired;
+    const sorted = lots.slice();
+    if (method === 'hifo') return sorted.sort((a, b) => b.costBasis - a.costBasis || fifo(a, b));
+    if (method === 'specific' && lotOrder) {
+      const rank = id => {
+        const i = lotOrder.indexOf(id);
+        return i >= 0 ? i : lotOrder.length;
+      };
+      return sorted.sort((a, b) => rank(a.id) - rank(b.id) || fifo(a, b));
+    }
+    return sorted.sort(fifo);
+  }
+
+
+  // ── Ledger ──────────────────────────────────────────────────
+  // null when the spec taxes nothing, so untaxed runs keep plain BTC math
+  function createLedger(tax, btc, price, date) {
+    if (!isTaxed(tax)) return null;
+    const rule = JURISDICTIONS[tax.jurisdiction];
+    if (!rule) throw new Error(`Unknown tax jurisdiction: ${tax.jurisdiction}`);
+    const method = tax.method || 'fifo';
+    if (!LOT_METHODS.includes(method)) throw new Error(`Unknown lot method: ${method}`);
+    const options = Object.assign({}, rule.defaults, tax.options);
+    const lotOrder = tax.lotOrder;
+    const nextId = idIssuer(tax.lots || []);
+    let lots = normalizeLots(tax, btc, price, date, nextId);
+
+    function holdings() {
+      return lots.reduce((sum, lot) => sum + lot.btc, 0);
+    }
+
+    // Walk the lots until the cash after tax reaches `cash`.
+    // Tax so far is T = Σ rate × gain over the BTC taken (floored at 0),
+    // so within a lot the net cash is linear on either side of T = 0.
+    function plan(cash, price, date) {
+      const takes = [];
+      let btc = 0, due = 0, gain = 0;
+      if (cash <= 0) return { btc, tax: 0, gain, short: false, takes };
+      const when = toDate(date);
+
+      for (const lot of orderLots(lots, method, lotOrder)) {
+        const rate = rule.gainRate ? rule.gainRate((when - lot.acquired) / DAY_MS, options, when) : 0;
+        const lotGain = price - lot.costBasis;       // per BTC
+        const lotTax = rate * lotGain;               // per BTC, negative for a loss
+        const netAfter = (btc + lot.btc) * price - Math.max(0, due + lot.btc * lotTax);
+        let take = lot.btc;
+        if (netAfter >= cash) {
+          // Taxed side first; fall back to the untaxed side (T + s × lotTax < 0)
+          take = (cash - btc * price + due) / (price - lotTax);
+          if (!(due + take * lotTax >= 0) || take < 0) take = (cash - btc * price) / price;
+          take = Math.min(lot.btc, Math.max(0, take));
+        }
+        takes.push({ lot, btc: take });
+        btc += take;
+        due += take * lotTax;
+        gain += take * lotGain;
+        if (take < lot.btc) break;
+      }
+      const tax = Math.max(0, due);
+      return { btc, tax, gain, short: btc * price - tax < cash * (1 - 1e-12), takes };
+    }
+
+    function quote(cash, price, date) {
+      const { btc, tax, gain, short } = plan(cash, price, date);
+      return { btc, tax, gain, short };
+    }
+
+    function sell(cash, price, date) {
+      const result = plan(cash, price, date);
+      for (const { lot, btc } of result.takes) lot.btc -= btc;
+      lots = lots.filter(lot => lot.btc > 1e-12);
+      return { btc: result.btc, tax: result.tax, gain: result.gain, short: result.short };
+    }
+
+    // Untaxed removal (e.g. BTC handed over outside a sale), oldest first
+    function remove(btc) {
+      for (const lot of orderLots(lots, 'fifo')) {
+        const cut = Math.min(lot.btc, btc);
+        lot.btc -= cut;
+        btc -= cut;
+        if (btc <= 0) break;
+      }
+      lots = lots.filter(lot => lot.btc > 1e-12);
+    }
+
+    function buy(btc, price, date) {
+      if (btc > 0) lots.push({ id: nextId(), btc, costBasis: price, acquired: toDate(date) });
+    }
+
+    // Tax on the holdings plus other assets, net of debt, at this price
+    function wealthTax(price, date, debt = 0, otherWealth = 0) {
+      if (!rule.wealthTax) return 0;
+      return rule.wealthTax(Math.max(0, holdings() * price + otherWealth - debt), options, toDate(date));
+    }
+
+    return {
+      jurisdiction: tax.jurisdiction,
+      method,
+      options,
+      holdings,
+      lots: () => lots.map(lot => Object.assign({}, lot)),
+      quote,
+      sell,
+      remove,
+      buy,
+      wealthTax
+    };
+  }
+
+  window.Tax = {
+    LOT_METHODS,
+    JURISDICTIONS,
+    registerJurisdiction,
+    jurisdictionIds,
+    isTaxed,
+    normalizeLots,
+    orderLots,
+    createLedger
+  };
+})();
@@ -17,7 +17,7 @@
   /* -------------------------------------------------------- state ---------------------------------------------------------- */
   let weeklyData   = [];     // [{date: Date, price: number}]  – loaded from btc_historical.json
   let ttChart      = null;
-  let currentModel = 'santostasi';
+  let currentModel = PowerLaw.selectedModel();
   let sigma        = 0;
   let ageMultiplier = 1.0;
   let playing      = false;
@@ -28,11 +28,10 @@
   let nowDate      = null;
 
   /* -------------------------------------------------------- grab shared data -------------------------------------------- */
-  // Load daily historical data from btc_historical.json (same dataset used by future.js).
+  // Load daily historical data via PriceData (same merged series every page uses).
   // Downsample to weekly for chart performance.
   async function ensureData() {
-    const res  = await fetch('../datasets/btc_historical.json');
-    const data = await res.json();
+    const data = await PriceData.load();
 
     // Downsample daily → weekly (every 7th point) to keep the chart snappy
     for (let i = 0; i < data.length; i += 7) {
@@ -415,6 +414,13 @@
       updateChart();
     });
 
+    // Shared model toggle
+    PowerLaw.onModelChange(e => {
+      if (e.type !== 'selected') return;
+      currentModel = e.model;
+      computeSigma();
+      updateChart();
+    });
   }
 
   /* -------------------------------------------------------- init ---------------------------------------------------------------- */
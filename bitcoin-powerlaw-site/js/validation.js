@@ -0,0 +1,222 @@
+// Bitcoin Power Law Observatory — Out-of-Sample Validation
+// Fits the power law on data up to a cutoff, projects the trend and
+// ±1σ/±2σ bands forward, and scores the realized prices against them.
+// Repeated over many cutoffs (walk-forward). Overlapping forecast windows
+// make the samples dependent, so treat the counts as effective sizes << n.
+// Depends on: window.PowerLaw (from powerlaw.js)
+
+(function() {
+  'use strict';
+
+  var PL = window.PowerLaw;
+  var DAY_MS = 24 * 60 * 60 * 1000;
+
+  var DEFAULTS = {
+    firstCutoff: '2014-01-01',
+    stepMonths: 3,                      // spacing between cutoffs
+    horizons: [0.25, 0.5, 1, 2, 4],     // years after cutoff
+    method: 'ols',
+    quantile: 0.5,
+    sigma: 'fit',                       // 'fit' = in-sample residual σ, or a number (e.g. canonical 0.2)
+    levels: [0.5, 0.68, 0.8, 0.9, 0.95] // nominal band coverages for calibration
+  };
+
+  // Band buckets in σ units, with the share a normal distribution puts there
+  var BANDS = [
+    { id: 'below2', label: 'Below −2σ',   lo: -Infinity, hi: -2 },
+    { id: 'm2m1',   label: '−2σ to −1σ',  lo: -2,        hi: -1 },
+    { id: 'm1t',    label: '−1σ to trend', lo: -1,       hi: 0 },
+    { id: 'tp1',    label: 'Trend to +1σ', lo: 0,        hi: 1 },
+    { id: 'p1p2',   label: '+1σ to +2σ',  lo: 1,         hi: 2 },
+    { id: 'above2', label: 'Above +2σ',   lo: 2,         hi: Infinity }
+  ];
+
+  // ── Internal Helpers ──────────────────────────────────────
+
+  function parseDay(dateStr) {
+    return new Date(dateStr + 'T00:00:00Z');
+  }
+
+  function isoDate(d) {
+    return d.toISOString().split('T')[0];
+  }
+
+  function addMonths(date, months) {
+    var d = new Date(date.getTime());
+    d.setUTCMonth(d.getUTCMonth() + months);
+    return d;
+  }
+
+  // Standard normal CDF (Abramowitz-Stegun 7.1.26 via erf)
+  function normalCdf(z) {
+    var t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    var y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+      t * Math.exp(-z * z / 2);
+    return z >= 0 ? 0.5 * (1 + y) : 0.5 * (1 - y);
+  }
+
+  function bandIndex(k) {
+    for (var i = 0; i < BANDS.length; i++) {
+      if (k < BANDS[i].hi) return i;
+    }
+    return BANDS.length - 1;
+  }
+
+  // First index in sorted data with time >= ms (binary search)
+  function indexAtOrAfter(times, ms) {
+    var lo = 0;
+    var hi = times.length;
+    while (lo < hi) {
+      var mid = (lo + hi) >>> 1;
+      if (times[mid] < ms) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  function emptyHorizon(h) {
+    return { horizon: h, count: 0, sumErr: 0, sumAbsErr: 0, sumSqErr: 0, inside1: 0, inside2: 0 };
+  }
+
+
+  // ── Walk-Forward Run ──────────────────────────────────────
+  // Returns { cutoffs, horizons, bands, calibration, overall }
+  //   cutoffs:     per-cutoff fit summary (beta, logA, sigma)
+  //   horizons:    log10 error stats and band hit rates at each horizon
+  //   bands:       share of all forward days in each σ bucket vs normal
+  //   calibration: nominal vs empirical coverage of ±zσ bands
+  function run(data, options) {
+    var opts = Object.assign({}, DEFAULTS, options || {});
+    if (!data || data.length < 100) throw new Error('Not enough data for validation');
+
+    var times = data.map(function(p) { return parseDay(p.date).getTime(); });
+    var lastTime = times[times.length - 1];
+    var maxHorizon = Math.max.apply(null, opts.horizons);
+
+    var cutoffs = [];
+    var horizonStats = opts.horizons.map(emptyHorizon);
+    var bandCounts = BANDS.map(function() { return 0; });
+    var levelZ = opts.levels.map(function(c) { return PL.normalQuantile((1 + c) / 2); });
+    var levelHits = opts.levels.map(function() { return 0; });
+    var forwardCount = 0;
+
+    for (var cutoff = parseDay(opts.firstCutoff); cutoff.getTime() < lastTime; cutoff = addMonths(cutoff, opts.stepMonths)) {
+      var cutoffMs = cutoff.getTime();
+      var fit;
+      try {
+        fit = PL.fitPowerLaw(data, {
+          to: isoDate(cutoff),
+          method: opts.method,
+          quantile: opts.quantile
+        });
+      } catch (e) {
+        continue;
+      }
+      var sigma = opts.sigma === 'fit' ? fit.sigma : opts.sigma;
+      // Center bands on the fit's in-sample median residual for quantile fits
+      var center = opts.method === 'ols' ? 0 : fit.residualMean;
+
+      var kAt = function(i) {
+        var t = PL.daysSinceGenesis(new Date(times[i]));
+        var logTrend = fit.logA + fit.beta * Math.log10(t) + center;
+        return {
+          err: Math.log10(data[i].price) - logTrend,
+          k: (Math.log10(data[i].price) - logTrend) / sigma
+        };
+      };
+
+      // Every realized day inside the forecast window feeds bands + calibration
+      var endMs = cutoffMs + maxHorizon * 365.25 * DAY_MS;
+      var start = indexAtOrAfter(times, cutoffMs + 1);
+      var used = 0;
+      for (var i = start; i < times.length && times[i] <= endMs; i++) {
+        if (!(data[i].price > 0)) continue;
+        var s = kAt(i);
+        bandCounts[bandIndex(s.k)]++;
+        for (var l = 0; l < levelZ.length; l++) {
+          if (Math.abs(s.k) <= levelZ[l]) levelHits[l]++;
+        }
+        forwardCount++;
+        used++;
+      }
+
+      // Point forecasts at each horizon (first trading day on/after target, within a week)
+      for (var h = 0; h < opts.horizons.length; h++) {
+        var targetMs = cutoffMs + opts.horizons[h] * 365.25 * DAY_MS;
+        var idx = indexAtOrAfter(times, targetMs);
+        if (idx >= times.length || times[idx] - targetMs > 7 * DAY_MS) continue;
+        var p = kAt(idx);
+        var hs = horizonStats[h];
+        hs.count++;
+        hs.sumErr += p.err;
+        hs.sumAbsErr += Math.abs(p.err);
+        hs.sumSqErr += p.err * p.err;
+        if (Math.abs(p.k) <= 1) hs.inside1++;
+        if (Math.abs(p.k) <= 2) hs.inside2++;
+      }
+
+      cutoffs.push({
+        cutoff: isoDate(cutoff),
+        beta: fit.beta,
+        logA: fit.logA,
+        sigma: sigma,
+        forwardDays: used
+      });
+    }
+
+    var horizons = horizonStats.map(function(hs) {
+      var n = hs.count;
+      return {
+        horizon: hs.horizon,
+        count: n,
+        bias: n ? hs.sumErr / n : null,               // mean log10(actual / trend)
+        mae: n ? hs.sumAbsErr / n : null,             // mean |log10 error|
+        rmse: n ? Math.sqrt(hs.sumSqErr / n) : null,
+        hitRate1: n ? hs.inside1 / n : null,          // share inside ±1σ
+        hitRate2: n ? hs.inside2 / n : null           // share inside ±2σ
+      };
+    });
+
+    var bands = BANDS.map(function(b, i) {
+      return {
+        id: b.id,
+        label: b.label,
+        observed: forwardCount ? bandCounts[i] / forwardCount : null,
+        expected: normalCdf(b.hi) - normalCdf(b.lo)
+      };
+    });
+
+    var calibration = opts.levels.map(function(c, i) {
+      return {
+        nominal: c,
+        z: levelZ[i],
+        empirical: forwardCount ? levelHits[i] / forwardCount : null
+      };
+    });
+
+    return {
+      options: opts,
+      cutoffs: cutoffs,
+      horizons: horizons,
+      bands: bands,
+      calibration: calibration,
+      overall: {
+        cutoffCount: cutoffs.length,
+        forwardObservations: forwardCount,
+        coverage1: forwardCount ? (bandCounts[2] + bandCounts[3]) / forwardCount : null,
+        coverage2: forwardCount ? (bandCounts[1] + bandCounts[2] + bandCounts[3] + bandCounts[4]) / forwardCount : null
+      }
+    };
+  }
+
+
+  // ── Export ────────────────────────────────────────────────
+
+  window.Validation = {
+    DEFAULTS: DEFAULTS,
+    BANDS: BANDS,
+    run: run,
+    normalCdf: normalCdf
+  };
+
+})();
@@ -1,6 +1,6 @@
 // Bitcoin Power Law Observatory - Weekly History Table
 // Displays weekly historical data with intuitive log deviation visualization
-// Uses Santostasi/Perrenod power law model
+// Uses the model picked in the shared model toggle
 
 (function() {
   'use strict';
@@ -13,7 +13,7 @@
   };
 
   // Current model selection
-  let currentModel = 'santostasi';
+  let currentModel = PowerLaw.selectedModel();
 
   // Log deviation thresholds and labels
   const LOG_DEV_ZONES = [
@@ -73,12 +73,15 @@
     return date >= weekAgo && date <= now;
   }
 
-  // Get model values (Santostasi/Perrenod pre-calculated from JSON)
+  // Get model values for the selected model (the JSON's *_sp columns are
+  // pre-calculated for one model only, so derive them from the close)
   function getModelValues(item) {
+    const trend = PowerLaw.trendPrice(currentModel, item.date);
+    const multiple = item.close / trend;
     return {
-      trend: item.trend_sp,
-      multiple: item.multiple_sp,
-      logDev: item.log_dev_sp
+      trend,
+      multiple,
+      logDev: Math.log10(multiple)
     };
   }
 
@@ -207,6 +210,13 @@
 
       searchInput.addEventListener('input', updateTable);
 
+      // Redraw when the shared model toggle changes
+      PowerLaw.onModelChange(e => {
+        if (e.type !== 'selected') return;
+        currentModel = e.model;
+        updateTable();
+      });
+
       document.querySelectorAll('.quick-jump-btn').forEach(btn => {
         btn.addEventListener('click', () => {
           document.querySelectorAll('.quick-jump-btn').forEach(b => b.style.borderColor = '');
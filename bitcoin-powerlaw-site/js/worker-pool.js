@@ -0,0 +1,323 @@
+// ── Worker Pool ──────────────────────────────────────────────────
+// Runs heavy engine calls (searches, Monte Carlo) in Web Workers so the
+// sliders stay responsive. Tasks are named 'Module.function' — see TASKS.
+//
+//   const job = WorkerPool.run('DCA.monteCarlo', [params, { sims: 1000 }], {
+//     key: 'dca-mc',                           // a newer job with this key cancels this one
+//     onProgress: (done, total) => { ... }     // throttled to ~10 per second
+//   });
+//   job.then(result => ...).catch(e => { if (!WorkerPool.isCancelled(e)) ... });
+//   job.cancel();
+//
+// Every job carries a snapshot of the page state the engines read from
+// module globals (custom models and scenarios, fitted cycle, residual
+// process and regime model, residual history, FX rates), so workers price exactly like
+// the page. Large data is only re-sent to a worker when it changed.
+//
+// Without Worker support (or on file://) jobs run on the main thread
+// after a timeout, with the same promise API; there a job can only be
+// cancelled while it is still queued.
+//
+// Loaded on pages after the engine scripts, and inside sim-worker.js,
+// which uses TASKS and applyState.
+// Depends on: window.PowerLaw (engines as listed in TASKS, when used)
+(function () {
+  'use strict';
+
+  const IN_WORKER = typeof document === 'undefined';
+  const PROGRESS_INTERVAL_MS = 100;
+
+  // ── Tasks ─────────────────────────────────────────────────────
+  // (args, onProgress) → result. Results must survive structured clone.
+  const TASKS = {
+    'Retirement.findMinimumStack': ([params, useLoans]) =>
+      window.Retirement.findMinimumStack(params, useLoans),
+    'Retirement.compareStrategies': ([params], onProgress) =>
+      window.Retirement.compareStrategies(params, onProgress),
+    'RetirementV2.findOptimalSplit': ([params]) =>
+      window.RetirementV2.findOptimalSplit(params),
+    'RetirementV2.findEarliestRetirement': ([params], onProgress) =>
+      window.RetirementV2.findEarliestRetirement(params, onProgress),
+    'RetirementV2.optimizePlan': ([params]) =>
+      window.RetirementV2.optimizePlan(params),
+    'RetirementV2.monteCarloSurvival': ([params, sims], onProgress) =>
+      window.RetirementV2.monteCarloSurvival(params, sims, onProgress),
+    'RetirementV2.findRetirementAge': ([params, options], onProgress) =>
+      window.RetirementV2.findRetirementAge(params, Object.assign({}, options, { onProgress })),
+    'RetirementV2.findMaxSafeBurn': ([params], onProgress) =>
+      window.RetirementV2.findMaxSafeBurn(params, onProgress),
+    'RetirementV2.compareLifetimeScenarios': ([params], onProgress) =>
+      window.RetirementV2.compareLifetimeScenarios(params, onProgress),
+    'DCA.monteCarlo': ([params, options], onProgress) =>
+      window.DCA.monteCarlo(params, Object.assign({}, options, { onProgress })),
+    'Equity.monteCarlo': ([params, livePrice, options], onProgress) =>
+      window.Equity.monteCarlo(params, livePrice, Object.assign({}, options, { onProgress })),
+    'BalanceSheet.monteCarlo': ([params, livePrice, options], onProgress) =>
+      window.BalanceSheet.monteCarlo(params, livePrice, Object.assign({}, options, { onProgress }))
+  };
+
+  function execute(task, args, onProgress) {
+    const fn = TASKS[task];
+    if (!fn) throw new Error(`Unknown worker task: ${task}`);
+    return fn(args || [], onProgress || null);
+  }
+
+  // ── State ─────────────────────────────────────────────────────
+  // config: small, sent with every job. data: large shared references,
+  // compared by identity against what each worker last received.
+  function captureState() {
+    const PL = window.PowerLaw;
+    const models = {};
+    for (const id of PL.modelIds()) {
+      if (!PL.MODELS[id].builtIn) models[id] = PL.MODELS[id];
+    }
+    const currency = window.Currency ? window.Currency.getState() : null;
+    return {
+      config: {
+        models,
+        selectedModel: PL.selectedModel(),
+        scenarios: PL.customScenarioSpecs(),
+        cyclical: PL.getCyclicalParams(),
+        regimeModel: PL.getRegimeModel(),
+        residualProcess: PL.getResidualProcess(),
+        currency: currency && { spot: currency.spot, method: currency.method, inflation: currency.inflation }
+      },
+      data: {
+        residualHistory: PL.getResidualHistory(),
+        fxTable: currency && currency.table,
+        priceHistory: currency && currency.history
+      }
+    };
+  }
+
+  // Worker side: install a captured state. data holds only the fields
+  // that changed; the rest are kept from earlier jobs.
+  let appliedConfig = null;
+  const appliedData = { residualHistory: null, fxTable: null, priceHistory: null };
+
+  function applyState(state) {
+    const PL = window.PowerLaw;
+    const data = state.data || {};
+    Object.assign(appliedData, data);
+    if ('residualHistory' in data) PL.setResidualHistory(appliedData.residualHistory);
+
+    const configKey = JSON.stringify(state.config);
+    const configChanged = configKey !== appliedConfig;
+    const { models, selectedModel, scenarios, cyclical, regimeModel, residualProcess, currency } = state.config;
+    if (configChanged) {
+      for (const id of PL.modelIds()) {
+        if (!PL.MODELS[id].builtIn && !models[id]) PL.removeModel(id);
+      }
+      for (const id of Object.keys(models)) PL.registerModel(id, models[id], { persist: false });
+      if (PL.MODELS[selectedModel]) PL.setSelectedModel(selectedModel);
+      for (const id of Object.keys(PL.customScenarioSpecs())) {
+        if (!scenarios[id]) PL.removeScenario(id, { persist: false });
+      }
+      for (const id of Object.keys(scenarios)) PL.registerScenario(scenarios[id], { persist: false });
+      PL.setCyclicalParams(cyclical);
+      PL.setRegimeModel(regimeModel);
+      PL.setResidualProcess(residualProcess);
+      appliedConfig = configKey;
+    }
+    if (currency && window.Currency && (configChanged || 'fxTable' in data || 'priceHistory' in data)) {
+      window.Currency.setState(Object.assign({
+        table: appliedData.fxTable,
+        history: appliedData.priceHistory
+      }, currency));
+    }
+  }
+
+  if (IN_WORKER) {
+    window.WorkerPool = { TASKS, PROGRESS_INTERVAL_MS, execute, applyState };
+    return;
+  }
+
+  // ── Pool ──────────────────────────────────────────────────────
+  const scriptSrc = document.currentScript && document.currentScript.src;
+  const WORKER_URL = scriptSrc ? new URL('sim-worker.js', scriptSrc).href : 'sim-worker.js';
+  const SIZE = Math.max(1, Math.min(4, ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2) - 1));
+
+  let supported = typeof Worker !== 'undefined' && location.protocol !== 'file:';
+  const slots = [];             // { worker, ready, job, sent }
+  const queue = [];             // jobs waiting for a free slot
+  const keyed = new Map();      // key → latest job
+  let nextId = 1;
+
+  function cancelledError(task) {
+    const e = new Error(`Cancelled: ${task}`);
+    e.cancelled = true;
+    return e;
+  }
+
+  function isCancelled(e) {
+    return !!(e && e.cancelled);
+  }
+
+  function createSlot() {
+    const slot = { worker: null, ready: false, job: null, sent: {} };
+    slot.worker = new Worker(WORKER_URL);
+    slot.worker.onmessage = e => onMessage(slot, e.data);
+    slot.worker.onerror = e => {
+      e.preventDefault();
+      onWorkerError(slot, e.message || 'Worker failed to load');
+    };
+    return slot;
+  }
+
+  function onMessage(slot, msg) {
+    if (msg.type === 'ready') {
+      slot.ready = true;
+      return;
+    }
+    const job = slot.job;
+    if (!job || msg.id !== job.id) return;      // stale message from a cancelled job
+    if (msg.type === 'progress') {
+      if (job.onProgress) job.onProgress(msg.done, msg.total);
+      return;
+    }
+    slot.job = null;
+    if (msg.type === 'done') {
+      finish(job, null, msg.result);
+    } else {
+      const err = new Error(msg.message);
+      if (msg.stack) err.stack = msg.stack;
+      finish(job, err);
+    }
+    dispatch();
+  }
+
+  // A worker that never became ready can't load its scripts here (CSP,
+  // file://) — switch to the main thread and re-run its job there
+  function onWorkerError(slot, message) {
+    const job = slot.job;
+    retire(slot);
+    if (!slot.ready) {
+      if (supported) console.warn(`WorkerPool: workers unavailable (${message}), running on the main thread`);
+      supported = false;
+      if (job) queue.unshift(job);
+    } else if (job) {
+      finish(job, new Error(message));
+    }
+    dispatch();
+  }
+
+  function retire(slot) {
+    slot.worker.terminate();
+    slot.job = null;
+    const i = slots.indexOf(slot);
+    if (i >= 0) slots.splice(i, 1);
+  }
+
+  function finish(job, err, result) {
+    if (job.done) return;
+    job.done = true;
+    if (job.key && keyed.get(job.key) === job) keyed.delete(job.key);
+    if (err) job.reject(err); else job.resolve(result);
+  }
+
+  function dispatch() {
+    while (queue.length > 0) {
+      if (!supported) {
+        runInline(queue.shift());
+        continue;
+      }
+      let slot = slots.find(s => !s.job);
+      if (!slot && slots.length < SIZE) {
+        try {
+          slot = createSlot();
+        } catch (e) {
+          console.warn('WorkerPool: cannot start a worker, running on the main thread:', e.message);
+          supported = false;
+          continue;
+        }
+        slots.push(slot);
+      }
+      if (!slot) return;
+      post(slot, queue.shift());
+    }
+  }
+
+  function post(slot, job) {
+    const state = captureState();
+    const data = {};
+    for (const key of Object.keys(state.data)) {
+      if (slot.sent[key] !== state.data[key]) data[key] = slot.sent[key] = state.data[key];
+    }
+    slot.job = job;
+    try {
+      slot.worker.postMessage({
+        id: job.id,
+        task: job.task,
+        args: job.args,
+        state: { config: state.config, data }
+      });
+    } catch (e) {
+      slot.job = null;
+      slot.sent = {};
+      finish(job, e);                           // args not cloneable
+    }
+  }
+
+  function runInline(job) {
+    job.timer = setTimeout(() => {
+      job.timer = null;
+      if (job.done) return;
+      try {
+        finish(job, null, execute(job.task, job.args, job.onProgress));
+      } catch (e) {
+        finish(job, e);
+      }
+    }, 0);
+  }
+
+  function cancel(job) {
+    if (job.done) return;
+    const queued = queue.indexOf(job);
+    if (queued >= 0) queue.splice(queued, 1);
+    if (job.timer) clearTimeout(job.timer);
+    const slot = slots.find(s => s.job === job);
+    if (slot) retire(slot);                     // a busy worker can only be stopped by terminating it
+    finish(job, cancelledError(job.task));
+    dispatch();
+  }
+
+  // Queue a task. Returns a promise with .cancel(); cancelled jobs reject
+  // with an error for which isCancelled() is true.
+  // options: key (latest job per key wins), onProgress(done, total)
+  function run(task, args, options = {}) {
+    if (!TASKS[task]) return Promise.reject(new Error(`Unknown worker task: ${task}`));
+    const job = { id: nextId++, task, args, key: options.key || null, onProgress: options.onProgress || null, done: false, timer: null };
+    const promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    if (job.key) {
+      const previous = keyed.get(job.key);
+      if (previous) cancel(previous);
+      keyed.set(job.key, job);
+    }
+    queue.push(job);
+    dispatch();
+    promise.cancel = () => cancel(job);
+    return promise;
+  }
+
+  // Cancel the running or queued job for key, if any
+  function cancelKey(key) {
+    const job = keyed.get(key);
+    if (job) cancel(job);
+  }
+
+  window.WorkerPool = {
+    TASKS,
+    SIZE,
+    WORKER_URL,
+    run,
+    cancelKey,
+    isCancelled,
+    execute,
+    captureState,
+    applyState,
+    isSupported: () => supported
+  };
+})();
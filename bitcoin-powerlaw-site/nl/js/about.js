@@ -0,0 +1,105 @@
+// Bitcoin Machtswet Observatorium - Over Pagina Logica (NL)
+// Draait de walk-forward validatie (validation.js) en vult de tabellen
+// van "Voorspelt het Model?".
+
+(function () {
+  'use strict';
+
+  // Nederlandse labels voor Validation's banden, op id
+  const BAND_LABELS = {
+    below2: 'Onder −2σ',
+    m2m1: '−2σ tot −1σ',
+    m1t: '−1σ tot trend',
+    tp1: 'Trend tot +1σ',
+    p1p2: '+1σ tot +2σ',
+    above2: 'Boven +2σ'
+  };
+
+  function setText(id, txt) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = txt;
+  }
+
+  function pct(x) {
+    return x === null ? '--' : (x * 100).toFixed(0) + '%';
+  }
+
+  function horizonLabel(years) {
+    if (years < 1) return Math.round(years * 12) + ' maanden';
+    return years + ' jaar';
+  }
+
+  function signed(x, digits) {
+    return (x >= 0 ? '+' : '') + x.toFixed(digits);
+  }
+
+  function renderHorizons(result) {
+    const tbody = document.getElementById('val-horizon-table');
+    if (!tbody) return;
+    tbody.innerHTML = result.horizons.map(h => `
+      <tr>
+        <td>${horizonLabel(h.horizon)}</td>
+        <td>${h.count}</td>
+        <td>${h.count ? signed(h.bias, 3) : '--'}</td>
+        <td>${h.count ? h.mae.toFixed(3) : '--'}</td>
+        <td>${pct(h.hitRate1)}</td>
+        <td>${pct(h.hitRate2)}</td>
+      </tr>
+    `).join('');
+  }
+
+  function renderBands(result) {
+    const tbody = document.getElementById('val-band-table');
+    if (!tbody) return;
+    tbody.innerHTML = result.bands.map(b => `
+      <tr>
+        <td>${BAND_LABELS[b.id] || b.label}</td>
+        <td>${(b.observed * 100).toFixed(1)}%</td>
+        <td>${(b.expected * 100).toFixed(1)}%</td>
+      </tr>
+    `).join('');
+  }
+
+  // chartSigma: dezelfde run met de vaste σ die de grafieken van de site tekenen
+  function renderCalibration(fitted, chartSigma) {
+    const tbody = document.getElementById('val-calibration-table');
+    if (!tbody) return;
+    tbody.innerHTML = fitted.calibration.map((c, i) => `
+      <tr>
+        <td>${pct(c.nominal)} (&plusmn;${c.z.toFixed(2)}&sigma;)</td>
+        <td>${pct(c.empirical)}</td>
+        <td>${pct(chartSigma.calibration[i].empirical)}</td>
+      </tr>
+    `).join('');
+  }
+
+  async function init() {
+    try {
+      const data = await PriceData.load();
+
+      const canonicalSigma = PowerLaw.modelSigma(PowerLaw.selectedModel());
+      const fitted = Validation.run(data);
+      const chartSigma = Validation.run(data, { sigma: canonicalSigma });
+
+      setText('val-cutoffs', fitted.overall.cutoffCount.toString());
+      setText('val-cutoff-range', `${fitted.cutoffs[0].cutoff} tot ${fitted.cutoffs[fitted.cutoffs.length - 1].cutoff}`);
+      setText('val-coverage1', pct(fitted.overall.coverage1));
+      setText('val-coverage2', pct(fitted.overall.coverage2));
+      setText('val-canonical-sigma', canonicalSigma.toString());
+
+      renderHorizons(fitted);
+      renderBands(fitted);
+      renderCalibration(fitted, chartSigma);
+    } catch (error) {
+      console.error('Validatie mislukt:', error);
+      const tbody = document.getElementById('val-horizon-table');
+      if (tbody) tbody.innerHTML = '<tr><td colspan="6" style="color: var(--red);">Validatie kon niet worden uitgevoerd.</td></tr>';
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
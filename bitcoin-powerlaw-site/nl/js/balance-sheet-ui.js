@@ -8,7 +8,7 @@
   const R  = window.Retirement;
   const BS = window.BalanceSheet;
 
-  let currentModel    = 'santostasi';
+  let currentModel    = PL.selectedModel();
   let valueChart      = null;
   let historicalData  = [];
   let calculatedSigma = 0.3;
@@ -24,24 +24,39 @@
       'cyclical_bear':     'Bear-cyclus',
       'smooth_trend':      'Stabiele trend',
       'smooth_bear':       'Bear (\u22121\u03C3)',
-      'smooth_deep_bear':  'Diepe bear (\u22122\u03C3)'
+      'smooth_deep_bear':  'Diepe bear (\u22122\u03C3)',
+      'stochastic':        'Stochastisch',
+      'bootstrap':         'Historische bootstrap',
+      'regime':            'Regimewisseling',
+      'replay_2018':       'Herhaling 2018',
+      'replay_2022':       'Herhaling 2022'
     };
-    return labels[mode] || mode;
+    return labels[mode] || PL.scenarioLabel(mode);   // eigen scenario's: hun naam
   }
 
   // ── Currency Support ──────────────────────────────────────────
+  // De berekeningen rekenen direct in `currency` (params.currency):
+  // bedragen uit de engine zijn al in die valuta, alleen de live USD-koers
+  // wordt omgerekend
   let currency = 'EUR';
-  let eurRate  = null;
 
-  function getCurrencySymbol() { return currency === 'EUR' ? '\u20AC' : '$'; }
-  function getRate()           { return currency === 'EUR' && eurRate ? eurRate : 1; }
-  function toDisplay(usd)      { return usd * getRate(); }
-  function toUSD(displayAmt)   { return displayAmt / getRate(); }
+  function getCurrencySymbol() { return Currency.symbol(currency); }
+  function localLivePrice()    { return livePrice ? Currency.fromUSD(livePrice, currency) : null; }
+
+  // USD (met melding) zolang de gekozen valuta geen wisselkoersen heeft;
+  // true als er is overgeschakeld
+  function checkCurrency() {
+    const sel = document.getElementById('bs-currency');
+    if (!sel || Currency.usable(sel.value, sel) === sel.value) return false;
+    sel.value = 'USD';
+    sel.dispatchEvent(new Event('change'));
+    return true;
+  }
 
-  function fmtCurrency(usd) {
-    const val = Math.abs(toDisplay(usd));
+  function fmtCurrency(amount) {
+    const val = Math.abs(amount);
     const sym = getCurrencySymbol();
-    const sign = usd < 0 ? '-' : '';
+    const sign = amount < 0 ? '-' : '';
     if (val >= 1e9) return sign + sym + (val / 1e9).toFixed(2) + 'B';
     if (val >= 1e6) return sign + sym + (val / 1e6).toFixed(2) + 'M';
     if (val >= 1e3) return sign + sym + Math.round(val).toLocaleString('nl-NL');
@@ -53,15 +68,11 @@
 
   async function fetchLiveData() {
     try {
-      const res  = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd,eur');
-      const data = await res.json();
-      if (data.bitcoin) {
-        if (data.bitcoin.usd) livePrice = data.bitcoin.usd;
-        if (data.bitcoin.usd && data.bitcoin.eur) eurRate = data.bitcoin.eur / data.bitcoin.usd;
-      }
+      const quote = await PriceFeed.fetchQuote();
+      livePrice = quote.usd;
+      Currency.setSpotFromQuote(quote);
     } catch (e) {
       console.warn('Live data fetch failed, using fallback', e);
-      eurRate = 0.92;
     }
     updateLivePrice();
   }
@@ -74,7 +85,7 @@
   function updateLivePrice() {
     const el = $('bs-live-price');
     if (!el) return;
-    el.textContent = livePrice ? fmtCurrency(livePrice) : 'Niet beschikbaar';
+    el.textContent = livePrice ? fmtCurrency(localLivePrice()) : 'Niet beschikbaar';
   }
 
   // ── Gather User Inputs ────────────────────────────────────────
@@ -82,22 +93,23 @@
     const scenarioMode = $('bs-scenario').value;
 
     let initialK = null;
-    if (livePrice && (scenarioMode === 'cyclical' || scenarioMode === 'cyclical_bear')) {
-      initialK = R.currentSigmaK(currentModel, calculatedSigma, livePrice);
+    if (livePrice && PL.scenarioUsesInitialK(scenarioMode)) {
+      initialK = R.currentSigmaK(currentModel, calculatedSigma, localLivePrice(), currency);
     }
 
     return {
-      annualRevenue:      toUSD(parseFloat($('bs-annual-revenue').value) || 1000000),
+      annualRevenue:      parseFloat($('bs-annual-revenue').value) || 1000000,
       netMarginPct:       parseFloat($('bs-net-margin').value) / 100,
       allocationStrategy: $('bs-strategy').value,
       allocationPct:      parseFloat($('bs-allocation-pct').value) / 100,
-      initialTreasury:    toUSD(parseFloat($('bs-initial-treasury').value) || 0),
+      initialTreasury:    parseFloat($('bs-initial-treasury').value) || 0,
       revenueGrowthPct:   parseFloat($('bs-revenue-growth').value) / 100,
       timeHorizonYears:   parseInt($('bs-time-horizon').value) || 10,
       model:              currentModel,
       sigma:              calculatedSigma,
       scenarioMode,
-      initialK
+      initialK,
+      currency
     };
   }
 
@@ -109,21 +121,42 @@
     setupSliders();
     setupToggles();
     setupButtons();
+    setupMonteCarloControls();
     setupInputListeners();
+    setupModelListener();
     scheduleCalculation();
   }
 
   async function loadHistoricalData() {
     try {
-      const response = await fetch('../../datasets/btc_historical.json');
-      historicalData = await response.json();
+      historicalData = await PriceData.load();
       const sigmaData = PL.calculateSigma(historicalData, currentModel);
       calculatedSigma = sigmaData.sigma;
+      R.calibrateScenarios(historicalData, currentModel, calculatedSigma);
     } catch (e) {
       console.warn('Failed to load historical data:', e);
     }
+    try {
+      await Currency.load();
+      Currency.prepare(historicalData);
+    } catch (e) {
+      console.warn('Wisselkoersen laden mislukt:', e);
+    }
+  }
+  // Follow the shared header model selector
+  function setupModelListener() {
+    PL.onModelChange(e => {
+      if (e.type !== 'selected') return;
+      currentModel = e.model;
+      if (historicalData.length) {
+        calculatedSigma = PL.calculateSigma(historicalData, currentModel).sigma;
+        R.calibrateScenarios(historicalData, currentModel, calculatedSigma);
+      }
+      scheduleCalculation();
+    });
   }
 
+
   // ── Setup Functions ───────────────────────────────────────────
   function setupSliders() {
     const sliders = [
@@ -147,8 +180,9 @@
     const currSel = $('bs-currency');
     if (currSel) {
       currSel.addEventListener('change', () => {
+        if (checkCurrency()) return;
         currency = currSel.value;
-        const sym = currency === 'EUR' ? '\u20AC' : '$';
+        const sym = getCurrencySymbol().trim();
         ['bs-currency-label', 'bs-currency-label2'].forEach(id => {
           const el = $(id);
           if (el) el.textContent = sym;
@@ -248,7 +282,7 @@
 
       if (inp['bs-currency']) {
         currency = inp['bs-currency'];
-        const sym = currency === 'EUR' ? '\u20AC' : '$';
+        const sym = getCurrencySymbol().trim();
         ['bs-currency-label', 'bs-currency-label2'].forEach(id => {
           const el = $(id);
           if (el) el.textContent = sym;
@@ -296,9 +330,10 @@
 
   // ── Main Calculation ──────────────────────────────────────────
   function runCalculation() {
+    checkCurrency();
     saveSettings();
     const params     = getParams();
-    const result     = BS.simulateTreasury(params, livePrice);
+    const result     = BS.simulateTreasury(params, localLivePrice());
     const summary    = BS.treasurySummary(result);
     const marginImp  = BS.calculateMarginImpact(result);
     const rdBudget   = BS.calculateRDbudget(result);
@@ -313,6 +348,7 @@
 
     show('bs-results-section');
     show('bs-chart-section');
+    runMonteCarlo(params);
     show('bs-insights-section');
     show('bs-table-section');
     show('bs-insight-section');
@@ -322,11 +358,120 @@
     $('bs-results-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
   }
 
+  // ── Monte Carlo-bereik ─────────────────────────────────────────
+  // Draait het plan opnieuw over willekeurige koerspaden (monte-carlo.js).
+  // Maatstaf-knoppen tekenen alleen opnieuw; pad-knoppen rekenen opnieuw.
+  let mcChart    = null;
+  let mcResult   = null;
+  let mcMetric   = 'treasuryValue';
+  let mcScenario = 'stochastic';
+  const MC_SIMS  = 1000;        // in een worker; zonder worker MonteCarlo.DEFAULT_SIMS
+
+  const MC_METRICS = {
+    treasuryValue: { format: fmtCurrency, axis: compactAxis },
+    costBasis:     { format: fmtCurrency, axis: compactAxis }
+  };
+
+  // Draait in een worker; een nieuwere run (invoer, pad-knop) annuleert deze
+  function runMonteCarlo(params) {
+    const sims = WorkerPool.isSupported() ? MC_SIMS : MonteCarlo.DEFAULT_SIMS;
+    WorkerPool.run('BalanceSheet.monteCarlo', [params, localLivePrice(), { scenario: mcScenario, sims }], {
+      key: 'bs-mc',
+      onProgress: (done, total) => {
+        $('bs-mc-note').textContent = 'Bezig: ' + done + ' / ' + total + ' paden\u2026';
+      }
+    }).then(result => {
+      mcResult = result;
+      renderMonteCarlo();
+      show('bs-mc-section');
+    }).catch(e => {
+      if (WorkerPool.isCancelled(e)) return;
+      console.warn('Monte Carlo mislukt:', e);
+      hide('bs-mc-section');
+    });
+  }
+
+  function renderMonteCarlo() {
+    if (!mcResult) return;
+    const metric = MC_METRICS[mcMetric];
+    const ctx = $('bs-mc-chart');
+    if (mcChart) mcChart.destroy();
+
+    mcChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        datasets: MonteCarlo.fanDatasets(mcResult.fans[mcMetric], mcResult.dates, {
+          color: '0, 200, 83',
+          labels: { outer: '5e\u201395e percentiel', inner: '25e\u201375e percentiel', median: 'Mediaan' }
+        })
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { intersect: false, mode: 'index' },
+        plugins: {
+          legend: { position: 'top', labels: { usePointStyle: true, padding: 16, filter: MonteCarlo.legendFilter } },
+          tooltip: {
+            itemSort: (a, b) => b.parsed.y - a.parsed.y,
+            callbacks: {
+              title: items => new Date(items[0].parsed.x).toLocaleDateString('nl-NL', { year: 'numeric', month: 'short' }),
+              label: item => item.dataset.mcPercentile.toUpperCase() + ': ' + metric.format(item.parsed.y)
+            }
+          }
+        },
+        scales: {
+          x: {
+            type: 'time',
+            time: { unit: 'year', displayFormats: { year: 'yyyy' } },
+            grid: { display: false },
+            ticks: { maxTicksLimit: 15 }
+          },
+          y: {
+            beginAtZero: true,
+            ticks: { callback: metric.axis },
+            grid: { color: 'rgba(0,0,0,0.05)' }
+          }
+        }
+      }
+    });
+
+    const final = mcResult.final[mcMetric];
+    $('bs-mc-stats').innerHTML = MonteCarlo.PERCENTILES.map(p =>
+      '<div class="stat-item"><div class="stat-label">' + (p === 50 ? 'Mediaan' : 'P' + p) + '</div>' +
+      '<div class="stat-value">' + metric.format(final['p' + p]) + '</div></div>'
+    ).join('');
+    $('bs-mc-note').textContent = 'Einde van de horizon over ' + mcResult.sims + ' ' + ({ bootstrap: 'historische bootstrap-', regime: 'regimewisselende ' }[mcResult.scenario] || 'terugkerende ') + 'paden (seed ' + mcResult.seed + ').';
+  }
+
+  function compactAxis(v) {
+    const sym = getCurrencySymbol();
+    if (Math.abs(v) >= 1e6) return sym + (v / 1e6).toFixed(1) + 'M';
+    if (Math.abs(v) >= 1e3) return sym + (v / 1e3).toFixed(0) + 'K';
+    return sym + v;
+  }
+
+  function setupMonteCarloControls() {
+    document.querySelectorAll('#bs-mc-section [data-mc-metric]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        mcMetric = btn.dataset.mcMetric;
+        document.querySelectorAll('#bs-mc-section [data-mc-metric]').forEach(b => b.classList.toggle('active', b === btn));
+        renderMonteCarlo();
+      });
+    });
+    document.querySelectorAll('#bs-mc-section [data-mc-scenario]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        mcScenario = btn.dataset.mcScenario;
+        document.querySelectorAll('#bs-mc-section [data-mc-scenario]').forEach(b => b.classList.toggle('active', b === btn));
+        runMonteCarlo(getParams());
+      });
+    });
+  }
+
   function runComparison() {
     saveSettings();
     const params = getParams();
 
-    const result     = BS.simulateTreasury(params, livePrice);
+    const result     = BS.simulateTreasury(params, localLivePrice());
     const summary    = BS.treasurySummary(result);
     const marginImp  = BS.calculateMarginImpact(result);
     const rdBudget   = BS.calculateRDbudget(result);
@@ -338,11 +483,12 @@
     renderInsightCards(marginImp, rdBudget, resilience, params);
     renderYearlyTable(result);
 
-    const scenarios = BS.compareScenarios(params, livePrice);
+    const scenarios = BS.compareScenarios(params, localLivePrice());
     renderComparisonTable(scenarios);
 
     show('bs-results-section');
     show('bs-chart-section');
+    runMonteCarlo(params);
     show('bs-insights-section');
     show('bs-table-section');
     show('bs-comparison-section');
@@ -443,7 +589,6 @@
     const ctx = $('bs-value-chart');
     if (valueChart) valueChart.destroy();
 
-    const r = getRate();
     const months = result.months;
     const step = months.length > 360 ? 3 : 1;
     const sampled = months.filter((_, i) => i % step === 0 || i === months.length - 1);
@@ -455,21 +600,21 @@
         datasets: [
           {
             label: 'BTC-reservewaarde (' + currency + ')',
-            data: sampled.map(m => m.treasuryValueUSD * r),
+            data: sampled.map(m => m.treasuryValueUSD),
             borderColor: '#00C853',
             backgroundColor: 'rgba(0, 200, 83, 0.08)',
             fill: true, borderWidth: 2, pointRadius: 0, tension: 0.2
           },
           {
             label: 'Cumulatieve allocatie (' + currency + ')',
-            data: sampled.map(m => m.cumulativeAllocatedUSD * r),
+            data: sampled.map(m => m.cumulativeAllocatedUSD),
             borderColor: '#F7931A',
             backgroundColor: 'rgba(247, 147, 26, 0.08)',
             fill: true, borderWidth: 2, pointRadius: 0, tension: 0.2
           },
           {
             label: 'Jaaromzet (' + currency + ')',
-            data: sampled.map(m => m.currentAnnualRevenue * r),
+            data: sampled.map(m => m.currentAnnualRevenue),
             borderColor: '#9E9E9E',
             borderWidth: 1.5, borderDash: [5, 5],
             pointRadius: 0, tension: 0.2, fill: false
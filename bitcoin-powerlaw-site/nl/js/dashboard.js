@@ -2,7 +2,8 @@
 
 let historicalData = [];
 let sigmaCache = {};
-let currentModel = 'santostasi';
+let currentModel = PowerLaw.selectedModel();
+let lastQuote = null;
 let sparklineChart = null;
 let chartRangeDays = 180;
 
@@ -27,17 +28,18 @@ const elements = {
   valuationBadge: document.getElementById('valuation-badge'),
   daysCount: document.getElementById('days-count'),
   sigmaValue: document.getElementById('sigma-value'),
-  dataPoints: document.getElementById('data-points')
+  dataPoints: document.getElementById('data-points'),
+  dataAsOf: document.getElementById('data-asof')
 };
 
 // Initialiseren
 async function init() {
   await loadHistoricalData();
-  await fillRecentPriceGap();
   calculateSigmas();
   await fetchLivePrice();
   initSparklineChart();
   setupRangeToggle();
+  setupModelToggle();
 
   // Prijs elke 60 seconden bijwerken
   setInterval(fetchLivePrice, 60000);
@@ -46,9 +48,9 @@ async function init() {
 // Historische data laden
 async function loadHistoricalData() {
   try {
-    const response = await fetch('../datasets/btc_historical.json');
-    historicalData = await response.json();
+    historicalData = await PriceData.load();
     elements.dataPoints.textContent = historicalData.length.toLocaleString('nl-NL');
+    elements.dataAsOf.textContent = PriceData.describe('nl-NL');
   } catch (error) {
     console.error('Kan historische data niet laden:', error);
   }
@@ -56,32 +58,27 @@ async function loadHistoricalData() {
 
 // Sigma berekenen voor het model
 function calculateSigmas() {
-  sigmaCache.santostasi = PowerLaw.calculateSigma(historicalData, 'santostasi');
+  sigmaCache[currentModel] = PowerLaw.calculateSigma(historicalData, currentModel);
 }
 
-// Live prijs ophalen van CoinGecko
+// Live prijs ophalen via PriceFeed (valt terug op laatste slotkoers)
 async function fetchLivePrice() {
   try {
-    const response = await fetch(
-      'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd&include_24hr_change=true'
-    );
-    const data = await response.json();
-    const price = data.bitcoin.usd;
-    const change24h = data.bitcoin.usd_24h_change;
-
-    updateDashboard(price, change24h);
+    const quote = await PriceFeed.fetchQuote();
+    updateDashboard(quote.usd, quote.change24h, quote.source !== 'historical');
   } catch (error) {
     console.error('Kan live prijs niet ophalen:', error);
     // Terugvallen op laatste historische prijs
     if (historicalData.length > 0) {
       const latest = historicalData[historicalData.length - 1];
-      updateDashboard(latest.price, null);
+      updateDashboard(latest.price, null, false);
     }
   }
 }
 
 // Dashboard bijwerken met prijsdata
-function updateDashboard(price, change24h) {
+function updateDashboard(price, change24h, live) {
+  lastQuote = { price, change24h, live };
   const now = new Date();
   const model = currentModel;
   const trend = PowerLaw.trendPrice(model, now);
@@ -98,7 +95,8 @@ function updateDashboard(price, change24h) {
     elements.priceChange.textContent = `${changePrefix}${change24h.toFixed(2)}% (24u)`;
     elements.priceChange.className = 'card-sub ' + (change24h >= 0 ? 'green' : 'red');
   } else {
-    elements.priceChange.textContent = 'Live prijs niet beschikbaar';
+    // Sommige bronnen (Kraken, Coinbase) geven geen 24u-verandering
+    elements.priceChange.textContent = live ? '24u-verandering onbekend' : 'Live prijs niet beschikbaar';
     elements.priceChange.className = 'card-sub';
   }
 
@@ -120,7 +118,16 @@ function updateDashboard(price, change24h) {
   }
 }
 
-// Modelwissel verwijderd — enkel model (Santostasi)
+// Opnieuw tekenen wanneer de gedeelde model-toggle wijzigt
+function setupModelToggle() {
+  PowerLaw.onModelChange(e => {
+    if (e.type !== 'selected') return;
+    currentModel = e.model;
+    calculateSigmas();
+    updateSparklineData();
+    if (lastQuote) updateDashboard(lastQuote.price, lastQuote.change24h, lastQuote.live);
+  });
+}
 
 // Grafiekbereikwisseling instellen
 function setupRangeToggle() {
@@ -296,54 +303,6 @@ function updateSparklineData() {
   sparklineChart.update();
 }
 
-// Recente dagprijzen ophalen van CoinGecko om het gat te vullen
-// tussen de statische btc_historical.json en vandaag
-async function fillRecentPriceGap() {
-  if (historicalData.length === 0) return;
-
-  const lastDate = new Date(historicalData[historicalData.length - 1].date);
-  const now = new Date();
-  const gapDays = Math.floor((now - lastDate) / (1000 * 60 * 60 * 24));
-
-  if (gapDays <= 1) return; // geen gat om te vullen
-
-  try {
-    // CoinGecko market_chart: voldoende dagen ophalen om het gat te dekken + buffer
-    const fetchDays = Math.min(gapDays + 2, 90);
-    const response = await fetch(
-      `https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=${fetchDays}&interval=daily`
-    );
-    const data = await response.json();
-
-    if (!data.prices || data.prices.length === 0) return;
-
-    // Alleen datums na onze laatste historische vermelding toevoegen
-    const lastTimestamp = lastDate.getTime();
-    let added = 0;
-
-    for (const [timestamp, price] of data.prices) {
-      if (timestamp > lastTimestamp + 12 * 60 * 60 * 1000) { // minstens 12u na laatste vermelding
-        const date = new Date(timestamp);
-        const dateStr = date.toISOString().split('T')[0];
-
-        // Dubbele datums voorkomen
-        const alreadyExists = historicalData.some(d => d.date === dateStr);
-        if (!alreadyExists) {
-          historicalData.push({ date: dateStr, price: price });
-          added++;
-        }
-      }
-    }
-
-    if (added > 0) {
-      console.log(`${added} dagen aan prijsdata aangevuld vanuit CoinGecko`);
-      elements.dataPoints.textContent = historicalData.length.toLocaleString('nl-NL');
-    }
-  } catch (error) {
-    console.warn('Kon prijsgat niet aanvullen vanuit CoinGecko:', error);
-  }
-}
-
 // Sparkline bijwerken met huidige live prijs als laatste datapunt
 function updateSparkline(price, trend, mult, sigma) {
   if (!sparklineChart) return;
@@ -8,7 +8,7 @@
   const R  = window.Retirement;
   const E  = window.Equity;
 
-  let currentModel    = 'santostasi';
+  let currentModel    = PL.selectedModel();
   let valueChart      = null;
   let historicalData  = [];
   let calculatedSigma = 0.3;
@@ -24,24 +24,39 @@
       'smooth_bear': 'Bear (\u22121\u03C3)',
       'smooth_deep_bear': 'Diepe Bear (\u22122\u03C3)',
       'cyclical': 'Cyclisch (\u00B11\u03C3)',
-      'cyclical_bear': 'Bear Bias'
+      'cyclical_bear': 'Bear Bias',
+      'stochastic': 'Stochastisch',
+      'bootstrap': 'Historische Bootstrap',
+      'regime': 'Regimewisseling',
+      'replay_2018': 'Herhaling 2018',
+      'replay_2022': 'Herhaling 2022'
     };
-    return labels[mode] || mode;
+    return labels[mode] || PL.scenarioLabel(mode);   // eigen scenario's: hun naam
   }
 
   // ── Valuta Ondersteuning ──────────────────────────────────────
+  // De berekeningen rekenen direct in `currency` (params.currency):
+  // bedragen uit de engine zijn al in die valuta, alleen de live USD-koers
+  // wordt omgerekend
   let currency = 'EUR';
-  let eurRate  = null;
 
-  function getCurrencySymbol() { return currency === 'EUR' ? '\u20AC' : '$'; }
-  function getRate()           { return currency === 'EUR' && eurRate ? eurRate : 1; }
-  function toDisplay(usd)      { return usd * getRate(); }
-  function toUSD(displayAmt)   { return displayAmt / getRate(); }
+  function getCurrencySymbol() { return Currency.symbol(currency); }
+  function localLivePrice()    { return livePrice ? Currency.fromUSD(livePrice, currency) : null; }
+
+  // USD (met melding) zolang de gekozen valuta geen wisselkoersen heeft;
+  // true als er is overgeschakeld
+  function checkCurrency() {
+    const sel = document.getElementById('eq-currency');
+    if (!sel || Currency.usable(sel.value, sel) === sel.value) return false;
+    sel.value = 'USD';
+    sel.dispatchEvent(new Event('change'));
+    return true;
+  }
 
-  function fmtCurrency(usd) {
-    const val = Math.abs(toDisplay(usd));
+  function fmtCurrency(amount) {
+    const val = Math.abs(amount);
     const sym = getCurrencySymbol();
-    const sign = usd < 0 ? '-' : '';
+    const sign = amount < 0 ? '-' : '';
     if (val >= 1e9) return sign + sym + (val / 1e9).toFixed(2) + 'B';
     if (val >= 1e6) return sign + sym + (val / 1e6).toFixed(2) + 'M';
     if (val >= 1e3) return sign + sym + Math.round(val).toLocaleString('nl-NL');
@@ -53,15 +68,11 @@
 
   async function fetchLiveData() {
     try {
-      const res  = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd,eur');
-      const data = await res.json();
-      if (data.bitcoin) {
-        if (data.bitcoin.usd) livePrice = data.bitcoin.usd;
-        if (data.bitcoin.usd && data.bitcoin.eur) eurRate = data.bitcoin.eur / data.bitcoin.usd;
-      }
+      const quote = await PriceFeed.fetchQuote();
+      livePrice = quote.usd;
+      Currency.setSpotFromQuote(quote);
     } catch (e) {
       console.warn('Live data ophalen mislukt, gebruik fallback', e);
-      eurRate = 0.92;
     }
     updateLivePrice();
   }
@@ -76,7 +87,7 @@
     const el = $('eq-live-price');
     if (!el) return;
     if (livePrice) {
-      el.textContent = fmtCurrency(livePrice);
+      el.textContent = fmtCurrency(localLivePrice());
     } else if (!el.querySelector('.price-loading')) {
       el.textContent = 'Niet beschikbaar';
     }
@@ -95,7 +106,7 @@
     const tLTV  = $('eq-total-ltv');
     const warn  = $('eq-ltv-warning');
 
-    if (eqEl)  eqEl.textContent  = fmtCurrency(toUSD(metrics.homeEquity));
+    if (eqEl)  eqEl.textContent  = fmtCurrency(metrics.homeEquity);
     if (eLTV)  eLTV.textContent  = fmtPct(metrics.existingLTV);
     if (tLTV)  tLTV.textContent  = fmtPct(metrics.totalLTV);
 
@@ -120,11 +131,11 @@
     }
     const scenarioMode = $('eq-scenario').value;
     let initialK = null;
-    if (livePrice && (scenarioMode === 'cyclical' || scenarioMode === 'cyclical_bear')) {
-      initialK = R.currentSigmaK(currentModel, calculatedSigma, livePrice);
+    if (livePrice && PL.scenarioUsesInitialK(scenarioMode)) {
+      initialK = R.currentSigmaK(currentModel, calculatedSigma, localLivePrice(), currency);
     }
-    const k = R.resolveScenarioK(scenarioMode, yrsAhead, initialK);
-    const price = R.scenarioPrice(currentModel, futureDate, calculatedSigma, k);
+    const k = R.resolveScenarioK(scenarioMode, yrsAhead, initialK, PL.DEFAULT_SEED, calculatedSigma);
+    const price = R.scenarioPrice(currentModel, futureDate, calculatedSigma, k, currency);
     el.textContent = fmtCurrency(price);
   }
 
@@ -134,7 +145,12 @@
     cyclical_bear: 'Hetzelfde cyclische patroon maar 60% van de tijd onder trend \u2014 een pessimistisch maar plausibel pad.',
     smooth_trend: 'Prijs volgt de machtswettrend exact zonder volatiliteit \u2014 een ge\u00EFdealiseerde basislijn.',
     smooth_bear: 'Prijs blijft vlak op 1 standaarddeviatie onder de trend voor de gehele periode \u2014 een aanhoudende bearmarkt.',
-    smooth_deep_bear: 'Prijs blijft vlak op 2 standaarddeviaties onder trend \u2014 een extreme, langdurige neergang.'
+    smooth_deep_bear: 'Prijs blijft vlak op 2 standaarddeviaties onder trend \u2014 een extreme, langdurige neergang.',
+    stochastic: 'Een willekeurig pad dat steeds terugkeert naar de trend, met snelheid en volatiliteit gefit op de koershistorie \u2014 \u00E9\u00E9n reproduceerbare trekking, geen voorspelling.',
+    bootstrap: 'Rijgt echte stukken Bitcoin-historie van 1\u20134 jaar aan elkaar, elk beginnend waar het vorige eindigde \u2014 echte crashes en bubbels, in willekeurige volgorde.',
+    regime: 'Wisselt tussen accumulatie-, bull-, euforie- en bearregimes met kansen en duur gefit op de koershistorie, vanaf het regime dat vandaag het waarschijnlijkst is.',
+    replay_2018: 'Herhaalt de historie vanaf de top van december 2017: een daling van 80% in 2018 en het trage herstel daarna.',
+    replay_2022: 'Herhaalt de historie vanaf de top van november 2021: de bearmarkt van 2022 en het herstel dat volgde.'
   };
 
   function updateScenarioDescription() {
@@ -187,18 +203,18 @@
     const buyNow       = $('eq-buy-timing').value === 'now';
 
     let initialK = null;
-    if (livePrice && (scenarioMode === 'cyclical' || scenarioMode === 'cyclical_bear')) {
-      initialK = R.currentSigmaK(currentModel, calculatedSigma, livePrice);
+    if (livePrice && PL.scenarioUsesInitialK(scenarioMode)) {
+      initialK = R.currentSigmaK(currentModel, calculatedSigma, localLivePrice(), currency);
     }
 
     return {
-      loanAmount:        toUSD(parseFloat($('eq-loan-amount').value) || 100000),
+      loanAmount:        parseFloat($('eq-loan-amount').value) || 100000,
       loanDurationYears: parseInt($('eq-duration').value) || 15,
       loanInterestRate:  parseFloat($('eq-interest-rate').value) / 100,
       interestOnly:      $('eq-interest-only').checked,
 
-      homeValue:         toUSD(parseFloat($('eq-home-value').value) || 400000),
-      mortgageBalance:   toUSD(parseFloat($('eq-mortgage-balance').value) || 200000),
+      homeValue:         parseFloat($('eq-home-value').value) || 400000,
+      mortgageBalance:   parseFloat($('eq-mortgage-balance').value) || 200000,
       mortgageRate:      parseFloat($('eq-mortgage-rate').value) / 100,
 
       buyNow,
@@ -208,7 +224,8 @@
       model:             currentModel,
       sigma:             calculatedSigma,
       scenarioMode,
-      initialK
+      initialK,
+      currency
     };
   }
 
@@ -220,22 +237,43 @@
     setupSliders();
     setupToggles();
     setupButtons();
+    setupMonteCarloControls();
     setupInputListeners();
+    setupModelListener();
     updateEquityDisplay();
     scheduleCalculation();
   }
 
   async function loadHistoricalData() {
     try {
-      const response = await fetch('../../datasets/btc_historical.json');
-      historicalData = await response.json();
+      historicalData = await PriceData.load();
       const sigmaData = PL.calculateSigma(historicalData, currentModel);
       calculatedSigma = sigmaData.sigma;
+      R.calibrateScenarios(historicalData, currentModel, calculatedSigma);
     } catch (e) {
       console.warn('Historische data laden mislukt:', e);
     }
+    try {
+      await Currency.load();
+      Currency.prepare(historicalData);
+    } catch (e) {
+      console.warn('Wisselkoersen laden mislukt:', e);
+    }
+  }
+  // Follow the shared header model selector
+  function setupModelListener() {
+    PL.onModelChange(e => {
+      if (e.type !== 'selected') return;
+      currentModel = e.model;
+      if (historicalData.length) {
+        calculatedSigma = PL.calculateSigma(historicalData, currentModel).sigma;
+        R.calibrateScenarios(historicalData, currentModel, calculatedSigma);
+      }
+      scheduleCalculation();
+    });
   }
 
+
   // ── Setup Functies ────────────────────────────────────────────
   function setupSliders() {
     const irSlider = $('eq-interest-rate');
@@ -259,8 +297,9 @@
     const currSel = $('eq-currency');
     if (currSel) {
       currSel.addEventListener('change', () => {
+        if (checkCurrency()) return;
         currency = currSel.value;
-        const sym = currency === 'EUR' ? '\u20AC' : '$';
+        const sym = getCurrencySymbol().trim();
         ['eq-currency-label', 'eq-currency-label2', 'eq-currency-label3'].forEach(id => {
           const el = $(id);
           if (el) el.textContent = sym;
@@ -391,7 +430,7 @@
 
       if (inp['eq-currency']) {
         currency = inp['eq-currency'];
-        const sym = currency === 'EUR' ? '\u20AC' : '$';
+        const sym = getCurrencySymbol().trim();
         ['eq-currency-label', 'eq-currency-label2', 'eq-currency-label3'].forEach(id => {
           const el = $(id);
           if (el) el.textContent = sym;
@@ -441,9 +480,10 @@
 
   // ── Hoofdberekening ───────────────────────────────────────────
   function runCalculation() {
+    checkCurrency();
     saveSettings();
     const params = getParams();
-    const result  = E.simulateEquityLoan(params, livePrice);
+    const result  = E.simulateEquityLoan(params, localLivePrice());
     const summary = E.simulationSummary(result);
 
     renderStatusBanner(summary);
@@ -454,6 +494,7 @@
 
     show('eq-results-section');
     show('eq-chart-section');
+    runMonteCarlo(params);
     show('eq-table-section');
     show('eq-insight-section');
     hide('eq-comparison-section');
@@ -462,12 +503,121 @@
     $('eq-results-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
   }
 
+  // ── Monte Carlo-bereik ─────────────────────────────────────────
+  // Draait het plan opnieuw over willekeurige koerspaden (monte-carlo.js).
+  // Maatstaf-knoppen tekenen alleen opnieuw; pad-knoppen rekenen opnieuw.
+  let mcChart    = null;
+  let mcResult   = null;
+  let mcMetric   = 'btcValue';
+  let mcScenario = 'stochastic';
+  const MC_SIMS  = 1000;        // in een worker; zonder worker MonteCarlo.DEFAULT_SIMS
+
+  const MC_METRICS = {
+    btcValue: { format: fmtCurrency, axis: compactAxis },
+    loanLTV:  { format: v => (v * 100).toFixed(0) + '%', axis: v => (v * 100).toFixed(0) + '%' }
+  };
+
+  // Draait in een worker; een nieuwere run (invoer, pad-knop) annuleert deze
+  function runMonteCarlo(params) {
+    const sims = WorkerPool.isSupported() ? MC_SIMS : MonteCarlo.DEFAULT_SIMS;
+    WorkerPool.run('Equity.monteCarlo', [params, localLivePrice(), { scenario: mcScenario, sims }], {
+      key: 'eq-mc',
+      onProgress: (done, total) => {
+        $('eq-mc-note').textContent = 'Bezig: ' + done + ' / ' + total + ' paden\u2026';
+      }
+    }).then(result => {
+      mcResult = result;
+      renderMonteCarlo();
+      show('eq-mc-section');
+    }).catch(e => {
+      if (WorkerPool.isCancelled(e)) return;
+      console.warn('Monte Carlo mislukt:', e);
+      hide('eq-mc-section');
+    });
+  }
+
+  function renderMonteCarlo() {
+    if (!mcResult) return;
+    const metric = MC_METRICS[mcMetric];
+    const ctx = $('eq-mc-chart');
+    if (mcChart) mcChart.destroy();
+
+    mcChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        datasets: MonteCarlo.fanDatasets(mcResult.fans[mcMetric], mcResult.dates, {
+          color: '247, 147, 26',
+          labels: { outer: '5e\u201395e percentiel', inner: '25e\u201375e percentiel', median: 'Mediaan' }
+        })
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { intersect: false, mode: 'index' },
+        plugins: {
+          legend: { position: 'top', labels: { usePointStyle: true, padding: 16, filter: MonteCarlo.legendFilter } },
+          tooltip: {
+            itemSort: (a, b) => b.parsed.y - a.parsed.y,
+            callbacks: {
+              title: items => new Date(items[0].parsed.x).toLocaleDateString('nl-NL', { year: 'numeric', month: 'short' }),
+              label: item => item.dataset.mcPercentile.toUpperCase() + ': ' + metric.format(item.parsed.y)
+            }
+          }
+        },
+        scales: {
+          x: {
+            type: 'time',
+            time: { unit: 'year', displayFormats: { year: 'yyyy' } },
+            grid: { display: false },
+            ticks: { maxTicksLimit: 15 }
+          },
+          y: {
+            beginAtZero: true,
+            ticks: { callback: metric.axis },
+            grid: { color: 'rgba(0,0,0,0.05)' }
+          }
+        }
+      }
+    });
+
+    const final = mcResult.final[mcMetric];
+    $('eq-mc-stats').innerHTML = MonteCarlo.PERCENTILES.map(p =>
+      '<div class="stat-item"><div class="stat-label">' + (p === 50 ? 'Mediaan' : 'P' + p) + '</div>' +
+      '<div class="stat-value">' + metric.format(final['p' + p]) + '</div></div>'
+    ).join('');
+    $('eq-mc-note').textContent = 'Einde van de horizon over ' + mcResult.sims + ' ' + ({ bootstrap: 'historische bootstrap-', regime: 'regimewisselende ' }[mcResult.scenario] || 'terugkerende ') + 'paden (seed ' + mcResult.seed + ').';
+  }
+
+  function compactAxis(v) {
+    const sym = getCurrencySymbol();
+    if (Math.abs(v) >= 1e6) return sym + (v / 1e6).toFixed(1) + 'M';
+    if (Math.abs(v) >= 1e3) return sym + (v / 1e3).toFixed(0) + 'K';
+    return sym + v;
+  }
+
+  function setupMonteCarloControls() {
+    document.querySelectorAll('#eq-mc-section [data-mc-metric]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        mcMetric = btn.dataset.mcMetric;
+        document.querySelectorAll('#eq-mc-section [data-mc-metric]').forEach(b => b.classList.toggle('active', b === btn));
+        renderMonteCarlo();
+      });
+    });
+    document.querySelectorAll('#eq-mc-section [data-mc-scenario]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        mcScenario = btn.dataset.mcScenario;
+        document.querySelectorAll('#eq-mc-section [data-mc-scenario]').forEach(b => b.classList.toggle('active', b === btn));
+        runMonteCarlo(getParams());
+      });
+    });
+  }
+
   // ── Vergelijkingsmodus ────────────────────────────────────────
   function runComparison() {
     saveSettings();
     const params = getParams();
 
-    const result  = E.simulateEquityLoan(params, livePrice);
+    const result  = E.simulateEquityLoan(params, localLivePrice());
     const summary = E.simulationSummary(result);
 
     renderStatusBanner(summary);
@@ -475,11 +625,12 @@
     renderValueChart(result);
     renderYearlyTable(result);
 
-    const scenarios = E.compareScenarios(params, livePrice);
+    const scenarios = E.compareScenarios(params, localLivePrice());
     renderComparisonTable(scenarios);
 
     show('eq-results-section');
     show('eq-chart-section');
+    runMonteCarlo(params);
     show('eq-table-section');
     show('eq-comparison-section');
     show('eq-insight-section');
@@ -595,7 +746,6 @@
     const ctx = $('eq-value-chart');
     if (valueChart) valueChart.destroy();
 
-    const r = getRate();
     const months = result.months;
     const step = months.length > 360 ? 3 : 1;
     const sampled = months.filter((_, i) => i % step === 0 || i === months.length - 1);
@@ -607,7 +757,7 @@
         datasets: [
           {
             label: 'Bitcoin Waarde (' + currency + ')',
-            data: sampled.map(m => m.btcValueUSD * r),
+            data: sampled.map(m => m.btcValueUSD),
             borderColor: '#00C853',
             backgroundColor: 'rgba(0, 200, 83, 0.08)',
             fill: true,
@@ -617,7 +767,7 @@
           },
           {
             label: 'Cumulatieve Kosten (' + currency + ')',
-            data: sampled.map(m => m.cumulativePayments * r),
+            data: sampled.map(m => m.cumulativePayments),
             borderColor: '#F7931A',
             backgroundColor: 'rgba(247, 147, 26, 0.08)',
             fill: true,
@@ -627,7 +777,7 @@
           },
           {
             label: 'Leningsaldo (' + currency + ')',
-            data: sampled.map(m => m.remainingLoanBalance * r),
+            data: sampled.map(m => m.remainingLoanBalance),
             borderColor: '#9E9E9E',
             borderWidth: 1.5,
             borderDash: [5, 5],
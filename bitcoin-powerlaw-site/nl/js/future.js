@@ -21,11 +21,16 @@ PowerLaw.formatPrice = function(price) {
 
 let historicalData = [];
 let sigmaCache = {};
-let currentModel = 'santostasi';
+let currentModel = PowerLaw.selectedModel();
 let projectionChart = null;
 let projectionYears = 20;
 let showCycleOverlay = false;
+let overlayScenario = 'cyclical';
+let cycleConstants = 'published';   // 'published' (Perrenod) | 'fitted'
+let cycleFit = null;
 let livePrice = null;
+let hittingSource = 'history';     // 'history' | id van een willekeurig scenario
+let kAnalysis = null;              // CycleStats-analyse voor currentModel
 
 // Belangrijke datums en mijlpalen
 const PROJECTION_DATES = [
@@ -51,80 +56,33 @@ const MILESTONE_PRICES = [
 // Initialisatie
 async function init() {
   await loadHistoricalData();
-  await fillRecentPriceGap();
   calculateSigmas();
   populateTimeline();
   populateProjectionTable();
   populateMilestoneTable();
   initProjectionChart();
   setupControls();
+  populateHittingTable();
   fetchLivePrice();
 }
 
 // Historische data laden
 async function loadHistoricalData() {
   try {
-    const response = await fetch('../../datasets/btc_historical.json');
-    historicalData = await response.json();
+    historicalData = await PriceData.load();
   } catch (error) {
     console.error('Laden van historische data mislukt:', error);
   }
 }
 
-// Recente dagprijzen ophalen van CoinGecko om het gat te vullen
-// tussen het statische btc_historical.json en vandaag
-async function fillRecentPriceGap() {
-  if (historicalData.length === 0) return;
-
-  const lastDate = new Date(historicalData[historicalData.length - 1].date);
-  const now = new Date();
-  const gapDays = Math.floor((now - lastDate) / (1000 * 60 * 60 * 24));
-
-  if (gapDays <= 1) return;
-
-  try {
-    const fetchDays = Math.min(gapDays + 2, 90);
-    const response = await fetch(
-      `https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=${fetchDays}&interval=daily`
-    );
-    const data = await response.json();
-
-    if (!data.prices || data.prices.length === 0) return;
-
-    const lastTimestamp = lastDate.getTime();
-    let added = 0;
-
-    for (const [timestamp, price] of data.prices) {
-      if (timestamp > lastTimestamp + 12 * 60 * 60 * 1000) {
-        const date = new Date(timestamp);
-        const dateStr = date.toISOString().split('T')[0];
-
-        const alreadyExists = historicalData.some(d => d.date === dateStr);
-        if (!alreadyExists) {
-          historicalData.push({ date: dateStr, price: price });
-          added++;
-        }
-      }
-    }
-
-    if (added > 0) {
-      console.log(`Toekomstpagina: ${added} dagen prijsdata aangevuld via CoinGecko`);
-    }
-  } catch (error) {
-    console.warn('Kon prijsgat niet vullen via CoinGecko:', error);
-  }
-}
-
 // Live BTC prijs ophalen voor initialK berekening en grafiek opnieuw opbouwen
 async function fetchLivePrice() {
   try {
-    const res = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd');
-    const data = await res.json();
-    if (data.bitcoin && data.bitcoin.usd) {
-      livePrice = data.bitcoin.usd;
-      // Grafiek opnieuw opbouwen zodat cyclische overlay juiste startpositie gebruikt
-      if (projectionChart) rebuildChart();
-    }
+    const quote = await PriceFeed.fetchQuote();
+    livePrice = quote.usd;
+    // Grafiek opnieuw opbouwen zodat cyclische overlay juiste startpositie gebruikt
+    if (projectionChart) rebuildChart();
+    populateHittingTable();
   } catch (e) {
     console.warn('Live prijs ophalen mislukt:', e);
   }
@@ -132,7 +90,67 @@ async function fetchLivePrice() {
 
 // Sigma berekenen voor het model
 function calculateSigmas() {
-  sigmaCache.santostasi = PowerLaw.calculateSigma(historicalData, 'santostasi');
+  sigmaCache[currentModel] = PowerLaw.calculateSigma(historicalData, currentModel);
+  kAnalysis = null;
+  // Datagedreven scenario's (stochastisch, bootstrap, herhalingen) voor de overlay
+  if (historicalData.length) {
+    window.Retirement.calibrateScenarios(historicalData, currentModel, PowerLaw.MODELS[currentModel].sigma);
+  }
+  fitCycle();
+}
+
+// Cyclusparameters fitten op de historie van dit model; de 'gefitte'
+// constanten sturen elk cyclisch pad op de pagina
+function fitCycle() {
+  cycleFit = null;
+  if (historicalData.length) {
+    try {
+      // De gedetecteerde cycluscatalogus geeft de fit een extra startpunt
+      const cycles = CycleStats.detectCycles(CycleStats.buildAnalysis(historicalData, currentModel));
+      cycleFit = PowerLaw.fitCyclical(historicalData, currentModel, {
+        sigma: PowerLaw.MODELS[currentModel].sigma,
+        start: CycleStats.cycleCalibration(cycles)
+      });
+    } catch (e) {
+      console.warn('Cyclusfit mislukt:', e.message);
+    }
+  }
+  applyCycleConstants();
+}
+
+function applyCycleConstants() {
+  if (!cycleFit) cycleConstants = 'published';
+  PowerLaw.setCyclicalParams(cycleConstants === 'fitted' ? cycleFit.params : null);
+  document.querySelectorAll('[data-cycle-constants]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.cycleConstants === cycleConstants);
+    if (btn.dataset.cycleConstants === 'fitted') btn.disabled = !cycleFit;
+  });
+  renderCycleFit();
+}
+
+// Kalenderjaar van het volgende dal na vandaag voor een parameterset
+function nextTroughYear(params) {
+  const age = PowerLaw.yearsSinceGenesis(new Date());
+  let trough = params.firstTrough;
+  while (trough <= age) trough *= params.lambda;
+  return new Date(PowerLaw.GENESIS.getTime() + trough * 365.25 * 86400000).getFullYear();
+}
+
+function renderCycleFit() {
+  const el = document.getElementById('cycle-fit-summary');
+  if (!el) return;
+  if (!cycleFit) {
+    const { lambda, alpha } = PowerLaw.PERRENOD_CYCLE;
+    el.textContent = `Gepubliceerde constanten (Perrenod): λ = ${String(lambda).replace('.', ',')}, α = ${String(alpha).replace('.', ',')}.`;
+    return;
+  }
+  const f = cycleFit;
+  const num = x => x.toFixed(2).replace('.', ',');
+  const pm = key => `${num(f.params[key])} ± ${num(f.se[key])}`;
+  el.textContent = `Fit op weekslotkoersen ${f.from.slice(0, 4)}–${f.to.slice(0, 4)}: ` +
+    `λ ${pm('lambda')}, eerste dal op leeftijd ${pm('firstTrough')} jr, α ${pm('alpha')}, dal ${pm('troughDepth')}σ. ` +
+    `R² ${num(f.rSquared)} tegen ${num(f.published.rSquared)} voor de gepubliceerde constanten. ` +
+    `Volgend dal ≈ ${nextTroughYear(f.params)} (gepubliceerd: ${nextTroughYear(PowerLaw.CYCLICAL_DEFAULTS)}).`;
 }
 
 // Mijlpalen-tijdlijn vullen
@@ -190,7 +208,7 @@ function populateProjectionTable() {
   });
 
   for (const row of filteredRows) {
-    const trendPrice = PowerLaw.trendPrice('santostasi', row.date);
+    const trendPrice = PowerLaw.trendPrice(currentModel, row.date);
 
     const tr = document.createElement('tr');
     tr.innerHTML = `
@@ -222,7 +240,7 @@ function populateMilestoneTable() {
     let cells = `<td><strong>${PowerLaw.formatPrice(price)}</strong></td>`;
 
     for (const k of bands) {
-      const date = milestoneDateForBand(price, 'santostasi', k);
+      const date = milestoneDateForBand(price, currentModel, k);
       const now = new Date();
       const isPast = date < now;
       const style = isPast ? ' style="color: var(--gray); font-style: italic;"' : '';
@@ -235,6 +253,84 @@ function populateMilestoneTable() {
   }
 }
 
+// ── Tijd tot Doel ─────────────────────────────────────────────
+// Per mijlpaal: hoe lang vanaf de huidige prijs tot de prijs hem voor het
+// eerst raakt, uit de eigen paden van de historie of runs van een
+// willekeurig scenario
+
+function formatYears(t) {
+  return t < 1 ? `${Math.round(t * 12)} mnd` : `${t.toFixed(1).replace('.', ',')} jr`;
+}
+
+// Een tijd, of "> horizon" als dat aandeel nooit is bereikt
+function formatHitTime(t, result) {
+  return t != null ? formatYears(t) : `&gt; ${formatYears(result.horizonYears)}`;
+}
+
+function formatHitProbability(p, result) {
+  const pct = x => `${Math.round(x * 100)}%`;
+  // null: voorbij de horizon die de historie kon volgen, dus een ondergrens
+  return p != null ? pct(p) : `&ge; ${pct(result.reachedByHorizon)}`;
+}
+
+// Willekeurige eigen scenario's komen bij de ingebouwde keuzes
+function fillHittingSources() {
+  const select = document.getElementById('hitting-source');
+  if (!select) return;
+  select.querySelectorAll('option[data-custom]').forEach(o => o.remove());
+  for (const mode of PowerLaw.scenarioModes()) {
+    if (!mode.custom || !PowerLaw.scenarioIsRandom(mode.id)) continue;
+    const option = document.createElement('option');
+    option.value = mode.id;
+    option.textContent = mode.label;
+    option.dataset.custom = '';
+    select.appendChild(option);
+  }
+  if (![...select.options].some(o => o.value === hittingSource)) hittingSource = 'history';
+  select.value = hittingSource;
+}
+
+function populateHittingTable() {
+  const tbody = document.getElementById('hitting-table');
+  const note = document.getElementById('hitting-note');
+  if (!tbody || historicalData.length === 0) return;
+
+  const sigma = PowerLaw.MODELS[currentModel].sigma;  // canonical σ
+  const price = livePrice || historicalData[historicalData.length - 1].price;
+  const start = new Date();
+  const k = PowerLaw.currentSigmaK(currentModel, sigma, price, start);
+  const targets = MILESTONE_PRICES.map(p => ({ price: p }));
+
+  let results;
+  if (hittingSource === 'history') {
+    if (!kAnalysis) kAnalysis = CycleStats.buildAnalysis(historicalData, currentModel);
+    results = CycleStats.hittingTimes(kAnalysis, k, targets, { start });
+  } else {
+    results = PowerLaw.scenarioHittingTimes(hittingSource, targets, { model: currentModel, sigma, initialK: k, start });
+  }
+
+  tbody.innerHTML = '';
+  results.forEach((r, i) => {
+    const tr = document.createElement('tr');
+    const down = r.direction === 'below' ? ' <span title="Onder de huidige prijs: tijd tot de daling ernaartoe">&darr;</span>' : '';
+    tr.innerHTML = `<td><strong>${PowerLaw.formatPrice(MILESTONE_PRICES[i])}</strong>${down}</td>` +
+      `<td>${formatHitTime(r.median, r)}</td>` +
+      `<td>${formatHitTime(r.p25, r)} &ndash; ${formatHitTime(r.p75, r)}</td>` +
+      [1, 2, 5, 10].map(n => `<td>${formatHitProbability(r.within[n], r)}</td>`).join('');
+    tbody.appendChild(tr);
+  });
+
+  if (note) {
+    const from = `Vanaf ${PowerLaw.formatPrice(price)} (${k >= 0 ? '+' : ''}${k.toFixed(2).replace('.', ',')}σ).`;
+    const r = results[0];
+    const label = document.getElementById('hitting-source').selectedOptions[0].textContent;
+    note.textContent = hittingSource === 'history'
+      ? `${from} ${r.sampleSize.toLocaleString('nl-NL')} vergelijkbare dagen, samen zo'n ${r.effectiveSampleSize.toFixed(0)} onafhankelijke jaren (${r.blocks} jaarblokken) — overlappende paden delen het grootste deel van hun toekomst. ` +
+        'Waar recente starts zonder data komen, geeft "≥" het tot dan toe bereikte aandeel.'
+      : `${from} ${r.sims} paden ${label} (seed ${r.seed}), 10 jaar lang per week gevolgd.`;
+  }
+}
+
 // Projectiegrafiek initialiseren
 function initProjectionChart() {
   const ctx = document.getElementById('projection-chart').getContext('2d');
@@ -365,10 +461,8 @@ function prepareProjectionData(model, sigma, years) {
     // Cyclisch pad: alleen voor toekomstige maanden
     if (R && i >= 0) {
       const yearIndex = i / 12;
-      const effectiveK = R.cyclicalSigmaK(yearIndex, {
-        bearBias: 0,
-        initialK: initialK
-      });
+      const effectiveK = R.resolveScenarioK(overlayScenario, yearIndex,
+        PowerLaw.scenarioUsesInitialK(overlayScenario) ? initialK : null, PowerLaw.DEFAULT_SEED, sigma);
       const cyclicalPrice = R.scenarioPrice(model, date, sigma, effectiveK);
       cyclicalData.push({ x: timestamp, y: cyclicalPrice });
 
@@ -482,6 +576,14 @@ function prepareProjectionData(model, sigma, years) {
 
 // Bediening instellen
 function setupControls() {
+  // Gedeelde model-toggle
+  PowerLaw.onModelChange(e => {
+    if (e.type !== 'selected') return;
+    currentModel = e.model;
+    calculateSigmas();
+    updateAll();
+  });
+
   // Datumschuifregelaar
   const slider = document.getElementById('date-slider');
   slider.addEventListener('input', updateSliderDisplay);
@@ -497,6 +599,18 @@ function setupControls() {
     });
   });
 
+  // Cyclusconstanten: gepubliceerd of gefit
+  document.querySelectorAll('[data-cycle-constants]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      cycleConstants = btn.dataset.cycleConstants;
+      applyCycleConstants();
+      showCycleOverlay = true;
+      const toggle = document.getElementById('cycle-overlay-toggle');
+      if (toggle) toggle.checked = true;
+      rebuildChart();
+    });
+  });
+
   // Cyclus overlay schakelaar
   const cycleToggle = document.getElementById('cycle-overlay-toggle');
   if (cycleToggle) {
@@ -505,6 +619,34 @@ function setupControls() {
       rebuildChart();
     });
   }
+
+  // Scenario voor de overlay; een keuze zet de overlay aan
+  const cycleScenario = document.getElementById('cycle-scenario');
+  if (cycleScenario) {
+    overlayScenario = cycleScenario.value;
+    cycleScenario.addEventListener('change', () => {
+      overlayScenario = cycleScenario.value;
+      showCycleOverlay = true;
+      if (cycleToggle) cycleToggle.checked = true;
+      rebuildChart();
+    });
+  }
+  // Paden achter de tabel met tijd tot doel
+  const hittingSelect = document.getElementById('hitting-source');
+  if (hittingSelect) {
+    fillHittingSources();
+    hittingSelect.addEventListener('change', () => {
+      hittingSource = hittingSelect.value;
+      populateHittingTable();
+    });
+  }
+
+  // Een bewerkt eigen scenario houdt zijn id, dus bij elke wijziging opnieuw tekenen
+  PowerLaw.onScenarioChange(() => {
+    if (showCycleOverlay) rebuildChart();
+    fillHittingSources();
+    if (hittingSource !== 'history') populateHittingTable();
+  });
 }
 
 // Grafiek opnieuw opbouwen met huidige instellingen
@@ -542,6 +684,7 @@ function updateAll() {
   populateTimeline();
   populateProjectionTable();
   populateMilestoneTable();
+  populateHittingTable();
   updateSliderDisplay();
   rebuildChart();
 }
@@ -26,7 +26,7 @@ PowerLaw.formatPrice = function(price) {
 
 let historicalData = [];
 let sigmaCache = {};
-let currentModel = 'santostasi';
+let currentModel = PowerLaw.selectedModel();
 let historyChart = null;
 let bellCurveChart = null;
 let bellCurveTodayResidual = 0;
@@ -35,23 +35,33 @@ let bellCurveLnSigma = 0.7;
 let bellCurveBins = [];
 let bellCurveResiduals = [];
 let livePrice = null;
+let stabilityChart = null;
+let stabilityMetric = 'beta';   // 'beta' | 'trendToday'
 
 // Schaaltoestand (standaard log-log — klassieke machtswet weergave)
 let xScale = 'logarithmic';   // 'linear' | 'logarithmic'
 let yScale = 'logarithmic';
+let priceStyle = 'line';      // 'line' | 'candles'
+let chartRows = [];           // rijen achter de hoofdgrafiek (dagpunten of candles)
 
 // Initialisatie
 async function init() {
   await loadHistoricalData();
-  await fillRecentPriceGap();
   calculateSigmas();
   computeStats();
   initHistoryChart();
   initBellCurve();
   setupControls();
   setupScaleToggles();
+  setupPriceStyleToggle();
   setupZoomButtons();
   updateStatistics();
+  renderRegimes();
+  setupRegimeButtons();
+  renderFitCheck();
+  setupFitWindowButtons();
+  renderStability();
+  setupStabilityButtons();
   setupRubberBandDemo();
   fetchLivePrice();
 }
@@ -59,65 +69,17 @@ async function init() {
 // Historische data laden
 async function loadHistoricalData() {
   try {
-    const response = await fetch('../../datasets/btc_historical.json');
-    historicalData = await response.json();
+    historicalData = await PriceData.load();
   } catch (error) {
     console.error('Historische data laden mislukt:', error);
   }
 }
 
-// Recente dagprijzen ophalen van CoinGecko om het gat te vullen
-// tussen de statische btc_historical.json en vandaag
-async function fillRecentPriceGap() {
-  if (historicalData.length === 0) return;
-
-  const lastDate = new Date(historicalData[historicalData.length - 1].date);
-  const now = new Date();
-  const gapDays = Math.floor((now - lastDate) / (1000 * 60 * 60 * 24));
-
-  if (gapDays <= 1) return; // geen gat om te vullen
-
-  try {
-    const fetchDays = Math.min(gapDays + 2, 90);
-    const response = await fetch(
-      `https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=${fetchDays}&interval=daily`
-    );
-    const data = await response.json();
-
-    if (!data.prices || data.prices.length === 0) return;
-
-    const lastTimestamp = lastDate.getTime();
-    let added = 0;
-
-    for (const [timestamp, price] of data.prices) {
-      if (timestamp > lastTimestamp + 12 * 60 * 60 * 1000) {
-        const date = new Date(timestamp);
-        const dateStr = date.toISOString().split('T')[0];
-
-        const alreadyExists = historicalData.some(d => d.date === dateStr);
-        if (!alreadyExists) {
-          historicalData.push({ date: dateStr, price: price });
-          added++;
-        }
-      }
-    }
-
-    if (added > 0) {
-      console.log(`${added} dagen prijsdata aangevuld via CoinGecko`);
-    }
-  } catch (error) {
-    console.warn('Kon prijsgat niet aanvullen via CoinGecko:', error);
-  }
-}
-
-// Live prijs ophalen van CoinGecko en positie van vandaag bijwerken
+// Live prijs ophalen via PriceFeed en positie van vandaag bijwerken
 async function fetchLivePrice() {
   try {
-    const response = await fetch(
-      'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd'
-    );
-    const data = await response.json();
-    livePrice = data.bitcoin.usd;
+    const quote = await PriceFeed.fetchQuote();
+    livePrice = quote.usd;
     updateTodayPosition();
   } catch (error) {
     console.error('Live prijs ophalen mislukt:', error);
@@ -155,7 +117,7 @@ function updateTodayPosition() {
 
 // Sigma berekenen voor het model
 function calculateSigmas() {
-  sigmaCache.santostasi = PowerLaw.calculateSigma(historicalData, 'santostasi');
+  sigmaCache[currentModel] = PowerLaw.calculateSigma(historicalData, currentModel);
 }
 
 /* -------------------------------------------------- opmaak ------------------------------------------------- */
@@ -192,6 +154,7 @@ function computeStats() {
   setText('stat-atl',     formatUSD(atl));
   setText('stat-atl-date', fmtDate(atlDate));
   setText('stat-points',  historicalData.length.toLocaleString('nl-NL'));
+  setText('stat-asof',    PriceData.describe('nl-NL'));
 }
 
 function setText(id, txt) {
@@ -264,20 +227,26 @@ function buildOptions() {
         position: 'top',
         labels: {
           usePointStyle: true,
-          padding: 20
+          padding: 20,
+          filter: (item, data) => !data.datasets[item.datasetIndex].candleWick
         }
       },
       tooltip: {
+        filter: item => !item.dataset.candleWick,
         callbacks: {
           title: function(context) {
             const dataIndex = context[0].dataIndex;
             const point = getDataPoint(dataIndex);
             if (point) {
-              return fmtDate(point.date);
+              return point.days > 1 ? 'Vanaf ' + fmtDate(point.date) : fmtDate(point.date);
             }
             return '';
           },
           label: function(context) {
+            if (context.dataset.candleBody) {
+              const c = getDataPoint(context.dataIndex);
+              return `O ${formatUSD(c.open)}  H ${formatUSD(c.high)}  L ${formatUSD(c.low)}  S ${formatUSD(c.close)}`;
+            }
             const value = context.raw.y;
             return context.dataset.label + ': ' + formatUSD(value);
           },
@@ -285,7 +254,7 @@ function buildOptions() {
             const dataIndex = context[0].dataIndex;
             const point = getDataPoint(dataIndex);
             if (point) {
-              const mult = PowerLaw.multiplier(point.price, currentModel, new Date(point.date));
+              const mult = PowerLaw.multiplier(rowClose(point), currentModel, new Date(point.date));
               return ['Vermenigvuldiger: ' + PowerLaw.formatMultiplier(mult)];
             }
             return [];
@@ -310,36 +279,86 @@ function initHistoryChart() {
   });
 }
 
-// Datapunt ophalen op index (rekening houdend met gefilterde data)
+// Rij achter een grafiekindex ophalen (dagpunt of candle)
 function getDataPoint(index) {
-  const filteredData = filterDataByRange(historicalData, currentRange);
-  return filteredData[index];
+  return chartRows[index];
+}
+
+// Slot van een dagpunt ({price}) of candle ({close})
+function rowClose(row) {
+  return row.close !== undefined ? row.close : row.price;
+}
+
+// Candlegrootte per zoombereik: dagbalken zijn over 15 jaar kleiner dan een pixel
+function candlePeriod(range) {
+  if (range === 'all') return 'month';
+  if (range === '5y') return 'week';
+  return 'day';
+}
+
+// Lont- (laag–hoog) en body-datasets (open–slot) voor de candleweergave.
+// De lont neemt de plek van de prijslijn in, zodat de bandvullingen blijven werken.
+function candleDatasets(candles) {
+  const canvas = document.getElementById('history-chart');
+  const width = canvas ? canvas.clientWidth : 800;
+  const bodyWidth = Math.max(1, Math.min(12, Math.floor(0.6 * width / Math.max(candles.length, 1))));
+  const colors = candles.map(c => (c.close >= c.open ? '#00C853' : '#FF1744'));
+
+  const wick = {
+    type: 'bar',
+    label: 'Hoog–Laag',
+    candleWick: true,
+    data: candles.map(c => ({ x: xVal(c.date), y: [c.low, c.high] })),
+    backgroundColor: colors,
+    barThickness: 1,
+    grouped: false
+  };
+  const body = {
+    type: 'bar',
+    label: 'BTC Candles',
+    candleBody: true,
+    data: candles.map(c => ({
+      x: xVal(c.date),
+      // Doji: vlakke bodies een haarlijn geven zodat ze op logschaal zichtbaar blijven
+      y: c.open === c.close ? [c.close * 0.999, c.close * 1.001] : [Math.min(c.open, c.close), Math.max(c.open, c.close)]
+    })),
+    backgroundColor: colors,
+    borderColor: colors,
+    barThickness: bodyWidth,
+    grouped: false
+  };
+  return { wick, body };
 }
 
 // Grafiekdata voorbereiden
 function prepareChartData(data, model, sigma) {
   const filteredData = filterDataByRange(data, currentRange);
+  const candles = priceStyle === 'candles'
+    ? PowerLaw.aggregateCandles(filteredData, candlePeriod(currentRange))
+    : null;
+  const rows = candles || filteredData;
+  chartRows = rows;
 
   const showTrend  = document.getElementById('show-trend')?.checked ?? true;
   const show1Sigma = document.getElementById('show-1sigma')?.checked ?? true;
   const show2Sigma = document.getElementById('show-2sigma')?.checked ?? true;
 
   // Converteren naar {x, y} formaat — x hangt af van huidige schaal
-  const priceData = filteredData.map(d => ({
+  const priceData = rows.map(d => ({
     x: xVal(d.date),
-    y: d.price
+    y: rowClose(d)
   }));
 
-  const trendData = filteredData.map(d => ({
+  const trendData = rows.map(d => ({
     x: xVal(d.date),
     y: PowerLaw.trendPrice(model, new Date(d.date))
   }));
 
   // Datasets in vaste volgorde opbouwen: [+2σ, +1σ, trend, prijs, -1σ, -2σ]
-  const upper2Data = filteredData.map(d => ({ x: xVal(d.date), y: PowerLaw.bandPrice(model, sigma, 2, new Date(d.date)) }));
-  const upper1Data = filteredData.map(d => ({ x: xVal(d.date), y: PowerLaw.bandPrice(model, sigma, 1, new Date(d.date)) }));
-  const lower1Data = filteredData.map(d => ({ x: xVal(d.date), y: PowerLaw.bandPrice(model, sigma, -1, new Date(d.date)) }));
-  const lower2Data = filteredData.map(d => ({ x: xVal(d.date), y: PowerLaw.bandPrice(model, sigma, -2, new Date(d.date)) }));
+  const upper2Data = rows.map(d => ({ x: xVal(d.date), y: PowerLaw.bandPrice(model, sigma, 2, new Date(d.date)) }));
+  const upper1Data = rows.map(d => ({ x: xVal(d.date), y: PowerLaw.bandPrice(model, sigma, 1, new Date(d.date)) }));
+  const lower1Data = rows.map(d => ({ x: xVal(d.date), y: PowerLaw.bandPrice(model, sigma, -1, new Date(d.date)) }));
+  const lower2Data = rows.map(d => ({ x: xVal(d.date), y: PowerLaw.bandPrice(model, sigma, -2, new Date(d.date)) }));
 
   const datasets = [
     {
@@ -414,6 +433,12 @@ function prepareChartData(data, model, sigma) {
     }
   ];
 
+  if (candles) {
+    const { wick, body } = candleDatasets(candles);
+    datasets[3] = wick;
+    datasets.push(body);
+  }
+
   return { datasets };
 }
 
@@ -458,15 +483,29 @@ function setupControls() {
     if (el) el.addEventListener('change', updateChart);
   });
 
+  // Gedeelde model-toggle: alles opnieuw tekenen voor het nieuwe model
+  PowerLaw.onModelChange(e => {
+    if (e.type !== 'selected') return;
+    currentModel = e.model;
+    calculateSigmas();
+    updateChart();
+    updateStatistics();
+    renderRegimes();
+    renderFitCheck();
+    renderStability();
+    updateBellCurve();
+    updateTodayPosition();
+  });
+
   // CSV exporteren
   document.getElementById('export-csv').addEventListener('click', exportCSV);
 }
 
 // Zoomknoppen instellen
 function setupZoomButtons() {
-  document.querySelectorAll('.zoom-btn').forEach(btn => {
+  document.querySelectorAll('.zoom-btn[data-range]').forEach(btn => {
     btn.addEventListener('click', () => {
-      document.querySelectorAll('.zoom-btn').forEach(b => b.classList.remove('active'));
+      document.querySelectorAll('.zoom-btn[data-range]').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
       currentRange = btn.dataset.range;
       updateChart();
@@ -476,7 +515,7 @@ function setupZoomButtons() {
 
 // Schaalknoppen instellen
 function setupScaleToggles() {
-  document.querySelectorAll('.pill-btn').forEach(btn => {
+  document.querySelectorAll('.pill-btn[data-axis]').forEach(btn => {
     btn.addEventListener('click', () => {
       const axis  = btn.dataset.axis;
       const scale = btn.dataset.scale;
@@ -493,6 +532,19 @@ function setupScaleToggles() {
   });
 }
 
+// Lijn- / candleknoppen instellen
+function setupPriceStyleToggle() {
+  document.querySelectorAll('.pill-btn[data-style]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const group = btn.closest('.pill-group');
+      group.querySelectorAll('.pill-btn').forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      priceStyle = btn.dataset.style;
+      updateChart();
+    });
+  });
+}
+
 // Grafiek bijwerken
 function updateChart() {
   const sigma = PowerLaw.MODELS[currentModel].sigma;  // canonical σ for band lines
@@ -507,26 +559,372 @@ function updateStatistics() {
   const modelSigma = PowerLaw.MODELS[currentModel].sigma;
   document.getElementById('current-sigma').textContent = modelSigma.toFixed(3);
 
-  // Max en min vermenigvuldigers vinden
-  let maxMult = 0, minMult = Infinity;
-  let maxDate = '', minDate = '';
+  // Extremen op slotkoersen; intraday hoog/laag vermeld waar die verder gaan
+  const ext = CycleStats.multiplierExtremes(historicalData, currentModel);
+  const closeMax = ext.close.max;
+  const closeMin = ext.close.min;
+  const dayMax = ext.intraday.max;
+  const dayMin = ext.intraday.min;
+
+  document.getElementById('max-mult').textContent = PowerLaw.formatMultiplier(closeMax.value);
+  document.getElementById('max-mult-date').textContent = PowerLaw.formatDate(closeMax.date) +
+    (dayMax.value > closeMax.value ? ` · intraday ${PowerLaw.formatMultiplier(dayMax.value)} (${PowerLaw.formatDate(dayMax.date)})` : '');
+  document.getElementById('min-mult').textContent = PowerLaw.formatMultiplier(closeMin.value);
+  document.getElementById('min-mult-date').textContent = PowerLaw.formatDate(closeMin.date) +
+    (dayMin.value < closeMin.value ? ` · intraday ${PowerLaw.formatMultiplier(dayMin.value)} (${PowerLaw.formatDate(dayMin.date)})` : '');
+
+  renderBandDays();
+}
 
-  for (const point of historicalData) {
-    const mult = PowerLaw.multiplier(point.price, currentModel, new Date(point.date));
-    if (mult > maxMult) {
-      maxMult = mult;
-      maxDate = point.date;
+// ── Time in Band ───────────────────────────────────────────
+// Nederlandse labels voor CycleStats' banden
+const BAND_LABELS = {
+  deep_bear: 'Onder -2σ',
+  bear: '-2σ tot -1σ',
+  below: '-1σ tot 0',
+  above: '0 tot +1σ',
+  bull: '+1σ tot +2σ',
+  euphoria: 'Boven +2σ'
+};
+
+function renderBandDays() {
+  const tbody = document.getElementById('band-days-table');
+  if (!tbody || historicalData.length === 0) return;
+
+  const analysis = CycleStats.buildAnalysis(historicalData, currentModel);
+  tbody.innerHTML = analysis.bandDays.map(b => `
+    <tr>
+      <td>${BAND_LABELS[b.band] || b.label}</td>
+      <td>${b.pct.toFixed(1)}%</td>
+      <td>${b.touchPct.toFixed(1)}%</td>
+    </tr>
+  `).join('');
+
+  const note = document.getElementById('band-days-note');
+  if (note) {
+    note.textContent = analysis.extremes.intradayFrom
+      ? `${analysis.count.toLocaleString('nl-NL')} dagen. Intraday ranges beschikbaar vanaf ${PowerLaw.formatDate(analysis.extremes.intradayFrom)} (${analysis.intradayDays.toLocaleString('nl-NL')} dagen); eerdere dagen tellen alleen hun slotkoers.`
+      : `${analysis.count.toLocaleString('nl-NL')} dagen, alleen slotkoersen.`;
+  }
+}
+
+// ── Market Regimes ─────────────────────────────────────────
+let regimeChart = null;
+let regimeMethod = 'hmm';       // 'hmm' | 'threshold'
+
+const REGIME_STYLE = {
+  accumulation: { label: 'Accumulatie', color: '#2962FF' },
+  bull: { label: 'Bull', color: '#00C853' },
+  euphoria: { label: 'Euforie', color: '#F7931A' },
+  bear: { label: 'Bear', color: '#FF1744' }
+};
+
+function formatSpell(days) {
+  if (days < 60) return `${Math.round(days)} dagen`;
+  if (days < 730) return `${(days / 30.44).toFixed(1)} maanden`;
+  return `${(days / 365.25).toFixed(1)} jaar`;
+}
+
+function renderRegimes() {
+  const canvas = document.getElementById('regime-chart');
+  if (!canvas || historicalData.length === 0) return;
+
+  let fit;
+  try {
+    fit = CycleStats.fitRegimes(CycleStats.buildAnalysis(historicalData, currentModel), { method: regimeMethod });
+  } catch (e) {
+    console.warn('Regimefit mislukt:', e);
+    return;
+  }
+  const current = fit.current;
+  const currentIndex = fit.regimes.indexOf(current.regime);
+  document.getElementById('regime-current').textContent = REGIME_STYLE[current.regime].label;
+  document.getElementById('regime-current').style.color = REGIME_STYLE[current.regime].color;
+  document.getElementById('regime-current-prob').textContent =
+    `${(current.probabilities[currentIndex] * 100).toFixed(0)}% waarschijnlijk (week van ${PowerLaw.formatDate(current.date)})`;
+  document.getElementById('regime-days-in').textContent = formatSpell(current.daysIn);
+  document.getElementById('regime-since').textContent = `Sinds de week van ${PowerLaw.formatDate(current.since)}`;
+  document.getElementById('regime-remaining').textContent = formatSpell(current.expectedRemainingDays);
+
+  document.getElementById('regime-table').innerHTML = fit.states.map((s, i) => `
+    <tr>
+      <td><strong style="color: ${REGIME_STYLE[s.id].color};">${REGIME_STYLE[s.id].label}</strong></td>
+      <td>${(current.probabilities[i] * 100).toFixed(1)}%</td>
+      <td>${(s.share * 100).toFixed(1)}%</td>
+      <td>${s.meanK >= 0 ? '+' : ''}${s.meanK.toFixed(2)}σ</td>
+      <td>${formatSpell(s.expectedDays)}</td>
+    </tr>
+  `).join('');
+
+  document.getElementById('regime-transition-head').innerHTML =
+    `<tr><th>Van \\ Naar</th>${fit.states.map(s => `<th>${REGIME_STYLE[s.id].label}</th>`).join('')}</tr>`;
+  document.getElementById('regime-transition-table').innerHTML = fit.transition.map((row, i) => `
+    <tr>
+      <td><strong>${REGIME_STYLE[fit.regimes[i]].label}</strong></td>
+      ${row.map((p, j) => `<td${i === j ? ' style="font-weight: 600;"' : ''}>${(p * 100).toFixed(1)}%</td>`).join('')}
+    </tr>
+  `).join('');
+
+  const note = document.getElementById('regime-note');
+  if (note) {
+    note.textContent = fit.method === 'hmm'
+      ? `${fit.count.toLocaleString('nl-NL')} weekwaarnemingen vanaf ${PowerLaw.formatDate(fit.dates[0])}. Baum-Welch ${fit.converged ? 'convergeerde' : 'stopte'} na ${fit.iterations} iteraties. De resterende duur gaat uit van elke week dezelfde wisselkans en negeert dus hoe lang het regime al loopt. Het scenario "Regimewisseling" in de calculators simuleert dit model.`
+      : `${fit.count.toLocaleString('nl-NL')} weekwaarnemingen vanaf ${PowerLaw.formatDate(fit.dates[0])}, gelabeld volgens de regel. De overgangskansen tellen hoe vaak het ene label op het andere volgde.`;
+  }
+
+  // Wekelijkse k, één dataset per regime
+  const datasets = fit.regimes.map((id, r) => ({
+    label: REGIME_STYLE[id].label,
+    data: fit.dates
+      .map((d, i) => (fit.path[i] === r ? { x: new Date(d), y: fit.kValues[i] } : null))
+      .filter(Boolean),
+    backgroundColor: REGIME_STYLE[id].color,
+    borderColor: REGIME_STYLE[id].color,
+    pointRadius: 2,
+    showLine: false
+  }));
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    scales: {
+      x: {
+        type: 'time',
+        time: { unit: 'year' },
+        grid: { color: 'rgba(0,0,0,0.05)' }
+      },
+      y: {
+        title: { display: true, text: 'Afstand tot trend (σ)', font: { weight: 'bold' } },
+        grid: { color: 'rgba(0,0,0,0.05)' }
+      }
+    },
+    plugins: {
+      tooltip: {
+        callbacks: {
+          title: ctx => PowerLaw.formatDate(ctx[0].parsed.x),
+          label: ctx => `${ctx.dataset.label}: k = ${ctx.parsed.y.toFixed(2)}σ`
+        }
+      }
     }
-    if (mult < minMult) {
-      minMult = mult;
-      minDate = point.date;
+  };
+
+  if (regimeChart) regimeChart.destroy();
+  regimeChart = new Chart(canvas.getContext('2d'), { type: 'scatter', data: { datasets }, options });
+}
+
+function setupRegimeButtons() {
+  const buttons = document.querySelectorAll('#regime-method-btns .zoom-btn');
+  buttons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      buttons.forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      regimeMethod = btn.dataset.method;
+      renderRegimes();
+    });
+  });
+}
+
+// ── Fit Check ──────────────────────────────────────────────
+// De functievorm van het gekozen model (dagen of jaren) opnieuw passen met
+// OLS, LAD en 5%/95% kwantielregressie en vergelijken met de constanten.
+// Elke fit gebruikt Newey-West-intervallen, zodat de rijen vergelijkbaar zijn.
+let fitWindowFrom = '';
+
+function formatCI(value, ci, digits) {
+  return `${value.toFixed(digits)} <span style="color: var(--gray);">[${ci[0].toFixed(digits)}, ${ci[1].toFixed(digits)}]</span>`;
+}
+
+function renderFitCheck() {
+  const tbody = document.getElementById('fit-check-table');
+  if (!tbody || historicalData.length === 0) return;
+
+  const params = PowerLaw.MODELS[currentModel];
+  const base = { useYears: params.useYears, from: fitWindowFrom || null, hacLags: 365 };
+  const fits = [
+    { label: 'OLS (gemiddelde)', options: { method: 'ols' } },
+    { label: 'LAD (mediaan)', options: { method: 'lad' } },
+    { label: '5%-kwantiel (steun)', options: { method: 'quantile', quantile: 0.05 } },
+    { label: '95%-kwantiel (weerstand)', options: { method: 'quantile', quantile: 0.95 } }
+  ];
+  const intervalLabels = { hac: 'Newey-West', iid: 'iid' };
+  const tNow = params.useYears ? PowerLaw.yearsSinceGenesis(new Date()) : PowerLaw.daysSinceGenesis(new Date());
+
+  let rows = `
+    <tr>
+      <td><strong>${params.name} (canoniek)</strong></td>
+      <td>${params.beta.toFixed(3)}</td>
+      <td>${params.logA.toFixed(3)}</td>
+      <td>${params.sigma.toFixed(3)}</td>
+      <td>${PowerLaw.rSquaredLogLog(historicalData, currentModel).toFixed(4)}</td>
+      <td>${PowerLaw.formatPrice(PowerLaw.trendPrice(currentModel, new Date()))}</td>
+    </tr>`;
+
+  let olsFit = null;
+  for (const f of fits) {
+    let fit;
+    try {
+      fit = PowerLaw.fitPowerLaw(historicalData, Object.assign({}, base, f.options));
+    } catch (e) {
+      console.warn('Fit mislukt:', f.label, e);
+      continue;
     }
+    if (f.options.method === 'ols') olsFit = fit;
+    const trendNow = Math.pow(10, fit.logA) * Math.pow(tNow, fit.beta);
+    rows += `
+    <tr>
+      <td>${f.label} <span style="color: var(--gray);">(${intervalLabels[fit.interval]})</span></td>
+      <td>${formatCI(fit.beta, fit.ci.beta, 3)}</td>
+      <td>${formatCI(fit.logA, fit.ci.logA, 3)}</td>
+      <td>${fit.sigma.toFixed(3)}</td>
+      <td>${fit.rSquared.toFixed(4)}</td>
+      <td>${PowerLaw.formatPrice(trendNow)}</td>
+    </tr>`;
   }
+  tbody.innerHTML = rows;
+
+  const verdict = document.getElementById('fit-check-verdict');
+  if (verdict && olsFit) {
+    const inside = params.beta >= olsFit.ci.beta[0] && params.beta <= olsFit.ci.beta[1];
+    verdict.textContent = inside
+      ? `Canonieke β = ${params.beta} ligt binnen het 95%-interval van OLS — de constanten passen bij ${olsFit.count.toLocaleString('nl-NL')} datapunten.`
+      : `Canonieke β = ${params.beta} ligt buiten het 95%-interval van OLS (${olsFit.ci.beta[0].toFixed(3)}–${olsFit.ci.beta[1].toFixed(3)}) — de constanten moeten mogelijk opnieuw gepast worden.`;
+    verdict.style.color = inside ? 'var(--gray)' : 'var(--red)';
+  }
+}
+
+function setupFitWindowButtons() {
+  const buttons = document.querySelectorAll('#fit-window-btns .zoom-btn');
+  buttons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      buttons.forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      fitWindowFrom = btn.dataset.from;
+      renderFitCheck();
+    });
+  });
+}
+
+// ── Parameter Stability ────────────────────────────────────
+// Groeiende (t/m elk jaareinde) en rollende (8 jaar) fits van de
+// functievorm van het gekozen model, uit FitStability
+function stabilityDatasets(series, label, color, metric) {
+  const value = s => metric === 'beta' ? s.beta : s.trendToday;
+  const bound = (s, i) => metric === 'beta' ? s.ci.beta[i] : s.trendTodayCI[i];
+  const point = (s, y) => ({ x: new Date(s.asOf).getTime(), y });
 
-  document.getElementById('max-mult').textContent = PowerLaw.formatMultiplier(maxMult);
-  document.getElementById('max-mult-date').textContent = PowerLaw.formatDate(maxDate);
-  document.getElementById('min-mult').textContent = PowerLaw.formatMultiplier(minMult);
-  document.getElementById('min-mult-date').textContent = PowerLaw.formatDate(minDate);
+  return [
+    {
+      label: label + ' boven',
+      data: series.map(s => point(s, bound(s, 1))),
+      borderColor: 'transparent',
+      backgroundColor: color + '22',
+      fill: '+1',
+      pointRadius: 0
+    },
+    {
+      label: label + ' onder',
+      data: series.map(s => point(s, bound(s, 0))),
+      borderColor: 'transparent',
+      backgroundColor: color + '22',
+      fill: false,
+      pointRadius: 0
+    },
+    {
+      label: label,
+      data: series.map(s => point(s, value(s))),
+      borderColor: color,
+      backgroundColor: color,
+      borderWidth: 2,
+      pointRadius: 3,
+      fill: false,
+      tension: 0
+    }
+  ];
+}
+
+function renderStability() {
+  const canvas = document.getElementById('stability-chart');
+  if (!canvas || !window.FitStability || historicalData.length === 0) return;
+
+  const expandingFits = FitStability.expanding(historicalData, { model: currentModel });
+  const rollingFits = FitStability.rolling(historicalData, { model: currentModel });
+  const params = PowerLaw.MODELS[currentModel];
+  const metric = stabilityMetric;
+
+  const datasets = [
+    ...stabilityDatasets(expandingFits, 'Groeiend venster', '#F7931A', metric),
+    ...stabilityDatasets(rollingFits, 'Rollend 8-jaarsvenster', '#2962FF', metric)
+  ];
+  // Referentielijn: de canonieke waarde van het gekozen model
+  const canonical = metric === 'beta' ? params.beta : PowerLaw.trendPrice(currentModel, new Date());
+  const xs = datasets.flatMap(d => d.data.map(p => p.x));
+  datasets.push({
+    label: params.name + ' (canoniek)',
+    data: [{ x: Math.min(...xs), y: canonical }, { x: Math.max(...xs), y: canonical }],
+    borderColor: '#000000',
+    borderDash: [6, 4],
+    borderWidth: 1,
+    pointRadius: 0,
+    fill: false
+  });
+
+  const yIsPrice = metric === 'trendToday';
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { intersect: false, mode: 'nearest' },
+    scales: {
+      x: {
+        type: 'time',
+        time: { unit: 'year' },
+        title: { display: true, text: 'Data beschikbaar t/m', font: { weight: 'bold' } },
+        grid: { color: 'rgba(0,0,0,0.05)' }
+      },
+      y: {
+        type: yIsPrice ? 'logarithmic' : 'linear',
+        title: { display: true, text: yIsPrice ? 'Impliciete trendprijs vandaag (USD)' : 'β (helling)', font: { weight: 'bold' } },
+        grid: { color: 'rgba(0,0,0,0.05)' },
+        ticks: { callback: v => yIsPrice ? PowerLaw.formatPrice(v) : Number(v).toFixed(1) }
+      }
+    },
+    plugins: {
+      legend: {
+        labels: { filter: item => !/ (boven|onder)$/.test(item.text) }
+      },
+      tooltip: {
+        filter: item => !/ (boven|onder)$/.test(item.dataset.label),
+        callbacks: {
+          title: ctx => PowerLaw.formatDate(ctx[0].parsed.x),
+          label: ctx => ctx.dataset.label + ': ' + (yIsPrice ? PowerLaw.formatPrice(ctx.parsed.y) : ctx.parsed.y.toFixed(3))
+        }
+      }
+    }
+  };
+
+  if (stabilityChart) stabilityChart.destroy();
+  stabilityChart = new Chart(canvas.getContext('2d'), { type: 'line', data: { datasets }, options });
+
+  const summary = FitStability.summarize(expandingFits);
+  const summaryEl = document.getElementById('stability-summary');
+  if (summary && summaryEl) {
+    summaryEl.textContent =
+      `β uit het groeiende venster lag sinds ${summary.first.asOf.substring(0, 4)} tussen ${summary.betaRange[0].toFixed(2)} en ${summary.betaRange[1].toFixed(2)}. ` +
+      `Een fit t/m ${PowerLaw.formatDate(summary.first.asOf)} gaf voor vandaag een trend van ${PowerLaw.formatPrice(summary.first.trendToday)}; ` +
+      `de laatste fit geeft ${PowerLaw.formatPrice(summary.latest.trendToday)} ` +
+      `(${summary.trendTodayChange >= 0 ? '+' : ''}${(summary.trendTodayChange * 100).toFixed(0)}%).`;
+  }
+}
+
+function setupStabilityButtons() {
+  const buttons = document.querySelectorAll('#stability-metric-btns .zoom-btn');
+  buttons.forEach(btn => {
+    btn.addEventListener('click', () => {
+      buttons.forEach(b => b.classList.remove('active'));
+      btn.classList.add('active');
+      stabilityMetric = btn.dataset.metric;
+      renderStability();
+    });
+  });
 }
 
 // CSV exporteren
@@ -1,5 +1,5 @@
 // ── DCA Rekentool — UI Handler (NL) ──────────────────────────────────
-// Spiegelt retirement-ui.js IIFE-patroon.
+// Spiegelt retirement-v2-ui.js IIFE-patroon.
 // Afhankelijk van: window.PowerLaw, window.Retirement, window.DCA
 (function () {
   'use strict';
@@ -8,7 +8,7 @@
   const R  = window.Retirement;
   const D  = window.DCA;
 
-  let currentModel     = 'santostasi';
+  let currentModel     = PL.selectedModel();
   let growthChart       = null;
   let accumulationChart = null;
   let comparisonChart   = null;
@@ -28,24 +28,39 @@
       'smooth_bear': 'Bear (\u22121\u03C3)',
       'smooth_deep_bear': 'Diepe Bear (\u22122\u03C3)',
       'cyclical': 'Cyclisch (\u00B11\u03C3)',
-      'cyclical_bear': 'Bear Bias'
+      'cyclical_bear': 'Bear Bias',
+      'stochastic': 'Stochastisch',
+      'bootstrap': 'Historische Bootstrap',
+      'regime': 'Regimewisseling',
+      'replay_2018': 'Herhaling 2018',
+      'replay_2022': 'Herhaling 2022'
     };
-    return labels[mode] || mode;
+    return labels[mode] || PL.scenarioLabel(mode);   // eigen scenario's: hun naam
   }
 
   // ── Valuta Ondersteuning ────────────────────────────────────────
+  // De berekeningen rekenen direct in `currency` (params.currency):
+  // bedragen uit de engine zijn al in die valuta, alleen de live USD-koers
+  // wordt omgerekend
   let currency = 'USD';
-  let eurRate  = null;
 
-  function getCurrencySymbol() { return currency === 'EUR' ? '\u20AC' : '$'; }
-  function getRate()           { return currency === 'EUR' && eurRate ? eurRate : 1; }
-  function toDisplay(usd)      { return usd * getRate(); }
-  function toUSD(displayAmt)   { return displayAmt / getRate(); }
+  function getCurrencySymbol() { return Currency.symbol(currency); }
+  function localLivePrice()    { return livePrice ? Currency.fromUSD(livePrice, currency) : null; }
+
+  // USD (met melding) zolang de gekozen valuta geen wisselkoersen heeft;
+  // true als er is overgeschakeld
+  function checkCurrency() {
+    const sel = document.getElementById('dca-currency');
+    if (!sel || Currency.usable(sel.value, sel) === sel.value) return false;
+    sel.value = 'USD';
+    sel.dispatchEvent(new Event('change'));
+    return true;
+  }
 
-  function fmtCurrency(usd) {
-    const val = Math.abs(toDisplay(usd));
+  function fmtCurrency(amount) {
+    const val = Math.abs(amount);
     const sym = getCurrencySymbol();
-    const sign = usd < 0 ? '-' : '';
+    const sign = amount < 0 ? '-' : '';
     if (val >= 1e9) return sign + sym + (val / 1e9).toFixed(2) + 'B';
     if (val >= 1e6) return sign + sym + (val / 1e6).toFixed(2) + 'M';
     if (val >= 1e3) return sign + sym + Math.round(val).toLocaleString('nl-NL');
@@ -55,15 +70,11 @@
 
   async function fetchLiveData() {
     try {
-      const res  = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd,eur');
-      const data = await res.json();
-      if (data.bitcoin) {
-        if (data.bitcoin.usd) livePrice = data.bitcoin.usd;
-        if (data.bitcoin.usd && data.bitcoin.eur) eurRate = data.bitcoin.eur / data.bitcoin.usd;
-      }
+      const quote = await PriceFeed.fetchQuote();
+      livePrice = quote.usd;
+      Currency.setSpotFromQuote(quote);
     } catch (e) {
       console.warn('Live data ophalen mislukt, fallback gebruikt', e);
-      eurRate = 0.92;
     }
   }
 
@@ -79,20 +90,21 @@
 
     let initialK = null;
     if (livePrice && startYear <= new Date().getFullYear() + 1 &&
-        (scenarioMode === 'cyclical' || scenarioMode === 'cyclical_bear')) {
-      initialK = R.currentSigmaK(currentModel, calculatedSigma, livePrice);
+        PL.scenarioUsesInitialK(scenarioMode)) {
+      initialK = R.currentSigmaK(currentModel, calculatedSigma, localLivePrice(), currency);
     }
 
     return {
-      lumpSumUSD:       toUSD(parseFloat($('dca-lump-sum').value) || 0),
-      monthlyDCAUSD:    toUSD(parseFloat($('dca-monthly').value) || 0),
+      lumpSumUSD:       parseFloat($('dca-lump-sum').value) || 0,
+      monthlyDCAUSD:    parseFloat($('dca-monthly').value) || 0,
       startYear,
       startMonth:       parseInt($('dca-start-month').value) || (new Date().getMonth() + 1),
       timeHorizonYears: parseInt($('dca-horizon').value) || 10,
       model:            currentModel,
       sigma:            calculatedSigma,
       scenarioMode,
-      initialK
+      initialK,
+      currency
     };
   }
 
@@ -105,21 +117,42 @@
     setupCurrencyToggle();
     setupStartNow();
     setupButtons();
+    setupMonteCarloControls();
     setupInputListeners();
+    setupModelListener();
     scheduleCalculation();
   }
 
   async function loadHistoricalData() {
     try {
-      const response = await fetch('../../datasets/btc_historical.json');
-      historicalData = await response.json();
+      historicalData = await PriceData.load();
       const sigmaData = PL.calculateSigma(historicalData, currentModel);
       calculatedSigma = sigmaData.sigma;
+      R.calibrateScenarios(historicalData, currentModel, calculatedSigma);
     } catch (e) {
       console.warn('Historische data laden mislukt:', e);
     }
+    try {
+      await Currency.load();
+      Currency.prepare(historicalData);
+    } catch (e) {
+      console.warn('Wisselkoersen laden mislukt:', e);
+    }
+  }
+  // Follow the shared header model selector
+  function setupModelListener() {
+    PL.onModelChange(e => {
+      if (e.type !== 'selected') return;
+      currentModel = e.model;
+      if (historicalData.length) {
+        calculatedSigma = PL.calculateSigma(historicalData, currentModel).sigma;
+        R.calibrateScenarios(historicalData, currentModel, calculatedSigma);
+      }
+      scheduleCalculation();
+    });
   }
 
+
   function setDefaultMonth() {
     // Standaard startmaand op huidige maand als niet al ingesteld door opgeslagen instellingen
     const sel = $('dca-start-month');
@@ -132,6 +165,7 @@
     const sel = $('dca-currency');
     if (!sel) return;
     sel.addEventListener('change', () => {
+      if (checkCurrency()) return;
       currency = sel.value;
       const labels = ['dca-currency-label', 'dca-currency-label2'];
       labels.forEach(id => {
@@ -262,6 +296,7 @@
 
   // ── Hoofdberekening ─────────────────────────────────────────────
   function runCalculation() {
+    checkCurrency();
     saveSettings();
     const params = getParams();
 
@@ -283,6 +318,7 @@
 
     show('dca-results-section');
     show('dca-growth-section');
+    runMonteCarlo(params);
     show('dca-accumulation-section');
     show('dca-table-section');
     show('dca-insight-section');
@@ -292,6 +328,115 @@
     $('dca-results-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
   }
 
+  // ── Monte Carlo-bereik ─────────────────────────────────────────
+  // Draait het plan opnieuw over willekeurige koerspaden (monte-carlo.js).
+  // Maatstaf-knoppen tekenen alleen opnieuw; pad-knoppen rekenen opnieuw.
+  let mcChart    = null;
+  let mcResult   = null;
+  let mcMetric   = 'portfolioValue';
+  let mcScenario = 'stochastic';
+  const MC_SIMS  = 1000;        // in een worker; zonder worker MonteCarlo.DEFAULT_SIMS
+
+  const MC_METRICS = {
+    portfolioValue: { format: fmtCurrency, axis: compactAxis },
+    costBasis:      { format: fmtCurrency, axis: compactAxis }
+  };
+
+  // Draait in een worker; een nieuwere run (invoer, pad-knop) annuleert deze
+  function runMonteCarlo(params) {
+    const sims = WorkerPool.isSupported() ? MC_SIMS : MonteCarlo.DEFAULT_SIMS;
+    WorkerPool.run('DCA.monteCarlo', [params, { scenario: mcScenario, sims }], {
+      key: 'dca-mc',
+      onProgress: (done, total) => {
+        $('dca-mc-note').textContent = 'Bezig: ' + done + ' / ' + total + ' paden\u2026';
+      }
+    }).then(result => {
+      mcResult = result;
+      renderMonteCarlo();
+      show('dca-mc-section');
+    }).catch(e => {
+      if (WorkerPool.isCancelled(e)) return;
+      console.warn('Monte Carlo mislukt:', e);
+      hide('dca-mc-section');
+    });
+  }
+
+  function renderMonteCarlo() {
+    if (!mcResult) return;
+    const metric = MC_METRICS[mcMetric];
+    const ctx = $('dca-mc-chart');
+    if (mcChart) mcChart.destroy();
+
+    mcChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        datasets: MonteCarlo.fanDatasets(mcResult.fans[mcMetric], mcResult.dates, {
+          color: '0, 200, 83',
+          labels: { outer: '5e\u201395e percentiel', inner: '25e\u201375e percentiel', median: 'Mediaan' }
+        })
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { intersect: false, mode: 'index' },
+        plugins: {
+          legend: { position: 'top', labels: { usePointStyle: true, padding: 16, filter: MonteCarlo.legendFilter } },
+          tooltip: {
+            itemSort: (a, b) => b.parsed.y - a.parsed.y,
+            callbacks: {
+              title: items => new Date(items[0].parsed.x).toLocaleDateString('nl-NL', { year: 'numeric', month: 'short' }),
+              label: item => item.dataset.mcPercentile.toUpperCase() + ': ' + metric.format(item.parsed.y)
+            }
+          }
+        },
+        scales: {
+          x: {
+            type: 'time',
+            time: { unit: 'year', displayFormats: { year: 'yyyy' } },
+            grid: { display: false },
+            ticks: { maxTicksLimit: 15 }
+          },
+          y: {
+            beginAtZero: true,
+            ticks: { callback: metric.axis },
+            grid: { color: 'rgba(0,0,0,0.05)' }
+          }
+        }
+      }
+    });
+
+    const final = mcResult.final[mcMetric];
+    $('dca-mc-stats').innerHTML = MonteCarlo.PERCENTILES.map(p =>
+      '<div class="stat-item"><div class="stat-label">' + (p === 50 ? 'Mediaan' : 'P' + p) + '</div>' +
+      '<div class="stat-value">' + metric.format(final['p' + p]) + '</div></div>'
+    ).join('');
+    $('dca-mc-note').textContent = 'Einde van de horizon over ' + mcResult.sims + ' ' + ({ bootstrap: 'historische bootstrap-', regime: 'regimewisselende ' }[mcResult.scenario] || 'terugkerende ') + 'paden (seed ' + mcResult.seed + ').';
+  }
+
+  function compactAxis(v) {
+    const sym = getCurrencySymbol();
+    if (Math.abs(v) >= 1e6) return sym + (v / 1e6).toFixed(1) + 'M';
+    if (Math.abs(v) >= 1e3) return sym + (v / 1e3).toFixed(0) + 'K';
+    return sym + v;
+  }
+
+  function setupMonteCarloControls() {
+    document.querySelectorAll('#dca-mc-section [data-mc-metric]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        mcMetric = btn.dataset.mcMetric;
+        document.querySelectorAll('#dca-mc-section [data-mc-metric]').forEach(b => b.classList.toggle('active', b === btn));
+        renderMonteCarlo();
+      });
+    });
+    document.querySelectorAll('#dca-mc-section [data-mc-scenario]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        mcScenario = btn.dataset.mcScenario;
+        document.querySelectorAll('#dca-mc-section [data-mc-scenario]').forEach(b => b.classList.toggle('active', b === btn));
+        runMonteCarlo(getParams());
+      });
+    });
+  }
+
   // ── Vergelijkingsmodus ──────────────────────────────────────────
   function runComparison() {
     saveSettings();
@@ -318,6 +463,7 @@
 
     show('dca-results-section');
     show('dca-growth-section');
+    runMonteCarlo(params);
     show('dca-accumulation-section');
     show('dca-comparison-section');
     hide('dca-table-section');
@@ -371,7 +517,6 @@
     const ctx = $('dca-growth-chart');
     if (growthChart) growthChart.destroy();
 
-    const r = getRate();
     growthChart = new Chart(ctx, {
       type: 'line',
       data: {
@@ -379,7 +524,7 @@
         datasets: [
           {
             label: 'Portfoliowaarde (' + currency + ')',
-            data: result.months.map(m => m.portfolioValueUSD * r),
+            data: result.months.map(m => m.portfolioValueUSD),
             borderColor: '#00C853',
             backgroundColor: 'rgba(0, 200, 83, 0.1)',
             fill: true,
@@ -389,7 +534,7 @@
           },
           {
             label: 'Totaal Ge\u00EFnvesteerd (' + currency + ')',
-            data: result.months.map(m => m.cumulativeInvestedUSD * r),
+            data: result.months.map(m => m.cumulativeInvestedUSD),
             borderColor: '#F7931A',
             backgroundColor: 'rgba(247, 147, 26, 0.1)',
             fill: true,
@@ -690,8 +835,6 @@
     const ctx = $('dca-comparison-chart');
     if (comparisonChart) comparisonChart.destroy();
 
-    const r = getRate();
-
     comparisonChart = new Chart(ctx, {
       type: 'line',
       data: {
@@ -699,7 +842,7 @@
         datasets: [
           {
             label: 'Gecombineerd (' + currency + ')',
-            data: comparison.combined.months.map(m => m.portfolioValueUSD * r),
+            data: comparison.combined.months.map(m => m.portfolioValueUSD),
             borderColor: '#00C853',
             borderWidth: 2.5,
             pointRadius: 0,
@@ -707,7 +850,7 @@
           },
           {
             label: 'Alleen Eenmalig (' + currency + ')',
-            data: comparison.lumpOnly.months.map(m => m.portfolioValueUSD * r),
+            data: comparison.lumpOnly.months.map(m => m.portfolioValueUSD),
             borderColor: '#F7931A',
             borderWidth: 2,
             borderDash: [6, 3],
@@ -716,7 +859,7 @@
           },
           {
             label: 'Alleen DCA (' + currency + ')',
-            data: comparison.dcaOnly.months.map(m => m.portfolioValueUSD * r),
+            data: comparison.dcaOnly.months.map(m => m.portfolioValueUSD),
             borderColor: '#9C27B0',
             borderWidth: 2,
             borderDash: [3, 3],
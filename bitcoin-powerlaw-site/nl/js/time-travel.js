@@ -17,7 +17,7 @@
   /* -------------------------------------------------------- status ------------------------------------------------------- */
   let weeklyData   = [];     // [{date: Date, price: number}]  – geladen uit btc_historical.json
   let ttChart      = null;
-  let currentModel = 'santostasi';
+  let currentModel = PowerLaw.selectedModel();
   let sigma        = 0;
   let ageMultiplier = 1.0;
   let playing      = false;
@@ -28,11 +28,10 @@
   let nowDate      = null;
 
   /* -------------------------------------------------------- gedeelde data ophalen ---------------------------------------- */
-  // Dagelijkse historische data laden uit btc_historical.json (zelfde dataset als future.js).
+  // Dagelijkse historische data laden via PriceData (dezelfde reeks als elke pagina).
   // Downsamplen naar wekelijks voor grafiekprestaties.
   async function ensureData() {
-    const res  = await fetch('../../datasets/btc_historical.json');
-    const data = await res.json();
+    const data = await PriceData.load();
 
     // Downsample dagelijks → wekelijks (elk 7e punt) om de grafiek snel te houden
     for (let i = 0; i < data.length; i += 7) {
@@ -415,6 +414,13 @@
       updateChart();
     });
 
+    // Gedeelde model-toggle
+    PowerLaw.onModelChange(e => {
+      if (e.type !== 'selected') return;
+      currentModel = e.model;
+      computeSigma();
+      updateChart();
+    });
   }
 
   /* -------------------------------------------------------- initialisatie ------------------------------------------------ */
@@ -1,6 +1,6 @@
 // Bitcoin Machtswet Observatorium - Wekelijkse Geschiedenistabel (NL)
 // Toont wekelijkse historische data met intuitieve log-afwijking visualisatie
-// Gebruikt Santostasi/Perrenod machtswetmodel
+// Gebruikt het model uit de gedeelde model-toggle
 
 (function() {
   'use strict';
@@ -13,7 +13,7 @@
   };
 
   // Huidig model selectie
-  let currentModel = 'santostasi';
+  let currentModel = PowerLaw.selectedModel();
 
   // Log afwijking drempels en labels
   const LOG_DEV_ZONES = [
@@ -73,12 +73,15 @@
     return date >= weekAgo && date <= now;
   }
 
-  // Modelwaarden ophalen (Santostasi/Perrenod voorberekend uit JSON)
+  // Modelwaarden voor het gekozen model (de *_sp kolommen in de JSON zijn
+  // voor één model voorberekend, dus afleiden uit de slotkoers)
   function getModelValues(item) {
+    const trend = PowerLaw.trendPrice(currentModel, item.date);
+    const multiple = item.close / trend;
     return {
-      trend: item.trend_sp,
-      multiple: item.multiple_sp,
-      logDev: item.log_dev_sp
+      trend,
+      multiple,
+      logDev: Math.log10(multiple)
     };
   }
 
@@ -207,6 +210,13 @@
 
       searchInput.addEventListener('input', updateTable);
 
+      // Opnieuw tekenen wanneer de gedeelde model-toggle wijzigt
+      PowerLaw.onModelChange(e => {
+        if (e.type !== 'selected') return;
+        currentModel = e.model;
+        updateTable();
+      });
+
       document.querySelectorAll('.quick-jump-btn').forEach(btn => {
         btn.addEventListener('click', () => {
           document.querySelectorAll('.quick-jump-btn').forEach(b => b.style.borderColor = '');
@@ -1,21 +1,26 @@
 // Bitcoin Pensioen — UI Bridge
 // Wires mockup inputs to the real PowerLaw + RetirementV2 engines
+// (searches run through WorkerPool)
 (function() {
   'use strict';
 
   var PL = window.PowerLaw;
   var R  = window.Retirement;
-  var V2 = window.RetirementV2;
 
-  var currentModel = 'santostasi';
-  var calculatedSigma = 0.2;
+  var currentModel = PL.selectedModel();   // shared with the main site's model selector
+  var calculatedSigma = PL.modelSigma(currentModel);
+
+  // The engines run natively in EUR (params.currency), so every amount
+  // on this page — burn, DCA, investment, prices — stays in euros. Only
+  // without euro rates (no fx_rates.json and no live quote) does it fall
+  // back to USD, with a notice (Currency.usable).
+  var CURRENCY = 'EUR';
 
   // Live price state
-  var livePrice = null;      // USD
-  var livePriceEUR = null;    // EUR (direct from CoinGecko)
-  var eurRate = null;         // EUR per 1 USD
+  var livePrice = null;      // EUR
 
   var AOW_AGE = 67;
+  var AOW_EUR = 18000;       // net AOW per year for a single person (2025, rounded)
 
   // ── DOM Helpers ─────────────────────────────────────────────
   var $ = function(id) { return document.getElementById(id); };
@@ -27,9 +32,10 @@
     return parseFloat(v) || 0;
   }
 
-  function fmtEUR(val) {
-    if (val >= 1e6) return '\u20AC' + (val / 1e6).toFixed(1) + 'M';
-    return '\u20AC' + Math.round(val).toLocaleString('nl-NL');
+  function fmtMoney(val) {
+    var sym = Currency.symbol(CURRENCY);
+    if (val >= 1e6) return sym + (val / 1e6).toFixed(1) + 'M';
+    return sym + Math.round(val).toLocaleString('nl-NL');
   }
 
   function fmtBTC(btc) {
@@ -63,26 +69,44 @@
   }
 
   // ── Data Fetching ───────────────────────────────────────────
+  // Default spending growth: 6% is a EUR figure, restated with the
+  // inflation assumption of the calculation currency
+  var DEFAULT_GROWTH = 0.06;
+
+  function defaultGrowth(code) {
+    return Math.round(Currency.adjustGrowth(DEFAULT_GROWTH, 'EUR', code) * 1000) / 10;
+  }
+
+  function growthInput() {
+    return parseFloat(($('pen-growth').value || '').replace(',', '.'));
+  }
+
+  // Switch to USD when EUR has no rates; an unedited growth follows
+  function useUsableCurrency() {
+    var code = Currency.usable(CURRENCY, $('pen-nav-price'));
+    if (code !== CURRENCY && growthInput() === defaultGrowth(CURRENCY)) {
+      $('pen-growth').value = String(defaultGrowth(code)).replace('.', ',');
+    }
+    CURRENCY = code;
+  }
+
   function fetchLiveData() {
-    fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd,eur')
-      .then(function(res) { return res.json(); })
-      .then(function(data) {
-        if (data.bitcoin) {
-          livePrice = data.bitcoin.usd;
-          livePriceEUR = data.bitcoin.eur;
-          if (data.bitcoin.usd && data.bitcoin.eur) {
-            eurRate = data.bitcoin.eur / data.bitcoin.usd;
-          }
-          renderNavPrice();
-          renderTrendIndicator();
-          runCalculation();
-        }
+    Currency.load()
+      .catch(function(e) { console.warn('Wisselkoersen laden mislukt:', e); })
+      .then(function() { return PriceFeed.fetchQuote(); })
+      .then(function(quote) {
+        Currency.setSpotFromQuote(quote);
+        // Not every source quotes EUR; convert the USD price then
+        useUsableCurrency();
+        livePrice = CURRENCY === 'EUR' ? quote.eur || Currency.fromUSD(quote.usd, CURRENCY) : quote.usd;
+        renderNavPrice();
+        renderTrendIndicator();
+        runCalculation();
       })
       .catch(function() {
-        // Fallback: use trend price and estimated EUR rate
-        livePrice = PL.trendPrice(currentModel, new Date());
-        eurRate = 0.92;
-        livePriceEUR = livePrice * eurRate;
+        // Fallback: use the trend price in EUR (in USD without euro rates)
+        useUsableCurrency();
+        livePrice = R.trendPrice(currentModel, new Date(), CURRENCY);
         renderNavPrice();
         runCalculation();
       });
@@ -90,8 +114,8 @@
 
   function renderNavPrice() {
     var el = $('pen-nav-price-text');
-    if (!el || !livePriceEUR) return;
-    el.textContent = 'BTC ' + fmtEUR(livePriceEUR);
+    if (!el || !livePrice) return;
+    el.textContent = 'BTC ' + fmtMoney(livePrice);
   }
 
   // ── Trend Indicator ─────────────────────────────────────────
@@ -101,7 +125,7 @@
     var dotEl = container ? container.querySelector('.trend-dot') : null;
     if (!container || !textEl || !dotEl || !livePrice) return;
 
-    var sigmaK = R.currentSigmaK(currentModel, calculatedSigma, livePrice);
+    var sigmaK = R.currentSigmaK(currentModel, calculatedSigma, livePrice, CURRENCY);
     var pctOff = Math.abs(Math.round((Math.pow(10, sigmaK * calculatedSigma) - 1) * 100));
 
     if (sigmaK < 0) {
@@ -124,34 +148,50 @@
   }
 
   // ── Gather Parameters ───────────────────────────────────────
+  // Euro amounts (box 3 exemption, AOW) in the calculation currency; at
+  // par when no euro rate loaded at all (the USD fallback)
+  function fromEUR(amount) {
+    if (CURRENCY === 'EUR' || !Currency.available('EUR')) return amount;
+    return Currency.fromUSD(Currency.toUSD(amount, 'EUR'), CURRENCY);
+  }
+
   function getParams(retirementAge, stackOverride) {
     var age = parseInt($('pen-age').value) || 38;
     var burnEUR = parseNum('pen-burn');
     var reduce = parseInt($('pen-reduce').value) || 0;
-    var growth = (parseFloat(($('pen-growth').value || '6').replace(',', '.')) || 6) / 100;
+    var growth = (growthInput() || defaultGrowth(CURRENCY)) / 100;
     var life = parseInt($('pen-life').value) || 100;
 
-    // Convert EUR burn to USD
-    var rate = eurRate || 0.92;
-    var burnUSD = burnEUR / rate;
-    var adjustedBurn = burnUSD * (1 - reduce / 100);
+    var adjustedBurn = burnEUR * (1 - reduce / 100);
 
     // Build BTC stack: existing + lump sum investment
     var existingBtc = parseNum('pen-stack');
     var investEUR = parseInt($('pen-invest').value) || 0;
-    var investBtc = (livePriceEUR && livePriceEUR > 0) ? investEUR / livePriceEUR : 0;
+    var investBtc = livePrice > 0 ? investEUR / livePrice : 0;
     var totalStack = stackOverride !== undefined ? stackOverride : (existingBtc + investBtc);
 
     // Scenario: cyclical with live price calibration
     var scenarioMode = 'cyclical';
     var initialK = null;
     if (livePrice) {
-      initialK = R.currentSigmaK(currentModel, calculatedSigma, livePrice);
+      initialK = R.currentSigmaK(currentModel, calculatedSigma, livePrice, CURRENCY);
     }
 
     // Loan toggle
     var loansOn = $('pen-loans') && $('pen-loans').checked;
 
+    // Box 3 toggle: wealth tax on the stack from retirement on (tax.js)
+    var box3On = $('pen-box3') && $('pen-box3').checked;
+
+    // AOW toggle: income from AOW_AGE on, the stack covers the shortfall
+    var aowOn = $('pen-aow') && $('pen-aow').checked;
+
+    // Spending pattern (spending.js): phases, or guardrails on the price's k
+    var pattern = $('pen-spending') ? $('pen-spending').value : 'fixed';
+    var spending = null;
+    if (pattern === 'phases') spending = { policy: 'phases' };
+    if (pattern === 'guardrails') spending = { policy: 'guardrails', options: { key: 'k' } };
+
     return {
       currentAge: age,
       retirementAge: retirementAge || age,
@@ -166,67 +206,17 @@
       loanEnabled: loansOn,
       loanBorrowBelow: 0.9,
       loanRepayAbove: 1.0,
-      loanRate: 0.10
+      loanRate: 0.10,
+      tax: box3On ? {
+        jurisdiction: 'nl_box3',
+        options: { exemption: fromEUR(Tax.JURISDICTIONS.nl_box3.defaults.exemption) }
+      } : null,
+      income: aowOn ? [{ kind: 'pension', amount: fromEUR(AOW_EUR), startAge: AOW_AGE }] : null,
+      spending: spending,
+      currency: CURRENCY
     };
   }
 
-  // ── DCA Projection ──────────────────────────────────────────
-  function estimateDCABtc(params, targetAge, dcaEUR) {
-    if (dcaEUR <= 0) return 0;
-    var rate = eurRate || 0.92;
-    var monthlyUSD = dcaEUR / rate;
-    var yearsToTarget = targetAge - params.currentAge;
-    if (yearsToTarget <= 0) return 0;
-    var totalMonths = yearsToTarget * 12;
-    var currentYear = new Date().getFullYear();
-    var currentMonth = new Date().getMonth();
-
-    var extraBTC = 0;
-    for (var m = 0; m < totalMonths; m++) {
-      var date = new Date(currentYear, currentMonth + m, 15);
-      var yearOffset = m / 12;
-      var effectiveK = R.resolveScenarioK(params.scenarioMode, yearOffset, params.initialK);
-      var price = R.scenarioPrice(params.model, date, params.sigma, effectiveK);
-      if (price > 0) extraBTC += monthlyUSD / price;
-    }
-    return extraBTC;
-  }
-
-  // ── Find Earliest Retirement Age ────────────────────────────
-  function findRetirementAge() {
-    var baseParams = getParams();
-    var dcaEUR = parseNum('pen-dca');
-    var existingBtc = parseNum('pen-stack');
-    var investEUR = parseInt($('pen-invest').value) || 0;
-    var investBtc = (livePriceEUR && livePriceEUR > 0) ? investEUR / livePriceEUR : 0;
-    var baseStack = existingBtc + investBtc;
-
-    // Always compute "now" result for surplus/shortfall display
-    var nowParams = getParams(baseParams.currentAge, baseStack);
-    var nowResult = V2.computeLifetimeBTC(nowParams);
-
-    var bestAge = null;
-    var bestResult = null;
-
-    for (var candidateAge = baseParams.currentAge; candidateAge <= 80; candidateAge++) {
-      var dcaBtc = estimateDCABtc(baseParams, candidateAge, dcaEUR);
-      var totalStack = baseStack + dcaBtc;
-
-      var params = getParams(candidateAge, totalStack);
-      var result = V2.computeLifetimeBTC(params);
-
-      if (!result) continue;
-
-      if (result.canRetireNow) {
-        bestAge = candidateAge;
-        bestResult = result;
-        break;
-      }
-    }
-
-    return { retireAge: bestAge, result: bestResult, nowResult: nowResult };
-  }
-
   // ── Main Calculation ────────────────────────────────────────
   var debounceTimer = null;
 
@@ -235,29 +225,48 @@
     debounceTimer = setTimeout(runCalculation, 150);
   }
 
+  // The age search (RetirementV2.findRetirementAge) runs in a worker;
+  // a newer input cancels the search still running. With a spending
+  // pattern a second search with fixed spending gives the comparison.
   function runCalculation() {
-    if (!livePrice && !eurRate) return;
-
-    var found = findRetirementAge();
-    var retireAge = found.retireAge;
-    var result = found.result;
+    if (!livePrice) return;
 
     updateInvestDisplay();
     updateReduceDisplay();
 
-    renderVerdict(retireAge, result);
-    renderBars(result);
-    renderStormForever(retireAge, result);
-    renderInsight(result);
-    renderSurplus(result, found.nowResult);
+    var params = getParams();
+    var options = { monthlyDCA: parseNum('pen-dca'), maxAge: 80 };
+    var fixedParams = null;
+    if (params.spending) {
+      fixedParams = {};
+      Object.keys(params).forEach(function(k) { fixedParams[k] = params[k]; });
+      fixedParams.spending = null;
+    }
+    Promise.all([
+      WorkerPool.run('RetirementV2.findRetirementAge', [params, options], { key: 'pensioen' }),
+      fixedParams
+        ? WorkerPool.run('RetirementV2.findRetirementAge', [fixedParams, options], { key: 'pensioen-fixed' })
+        : null
+    ])
+      .then(function(results) {
+        var found = results[0];
+        renderVerdict(found.retireAge, found.result);
+        renderBars(found.result);
+        renderStormForever(found.retireAge, found.result);
+        renderInsight(found.result, results[1]);
+        renderSurplus(found.result, found.nowResult);
+      })
+      .catch(function(e) {
+        if (!WorkerPool.isCancelled(e)) console.error('Pensioenberekening mislukt:', e);
+      });
   }
 
   // ── Display Updates ─────────────────────────────────────────
   function updateInvestDisplay() {
     var investEUR = parseInt($('pen-invest').value) || 0;
-    $('pen-invest-val').textContent = fmtEUR(investEUR);
+    $('pen-invest-val').textContent = fmtMoney(investEUR);
 
-    var investBtc = (livePriceEUR && livePriceEUR > 0) ? investEUR / livePriceEUR : 0;
+    var investBtc = livePrice > 0 ? investEUR / livePrice : 0;
     $('pen-invest-btc').textContent = '\u2248 ' + investBtc.toFixed(2) + ' BTC tegen huidige koers';
   }
 
@@ -382,7 +391,8 @@
   }
 
   // ── Insight Text ────────────────────────────────────────────
-  function renderInsight(result) {
+  // fixed: the search with fixed spending, when a spending pattern is on
+  function renderInsight(result, fixed) {
     var el = $('pen-insight-text');
     if (!el) return;
 
@@ -395,12 +405,26 @@
       ? Math.round((result.stormBTC / result.totalBTC) * 100)
       : 0;
 
-    buildSegments(el, [
+    var segments = [
       { bold: stormPct + '%' },
       { text: ' van al je Bitcoin wordt in de eerste ' },
       { bold: result.stormYears + ' jaar' },
       { text: ' uitgegeven. Daarna maakt de power law je stack praktisch onuitputtelijk.' }
-    ]);
+    ];
+    if (result.totalTax > 0) {
+      segments.push({ text: ' Box 3 kost je onderweg ' }, { bold: fmtMoney(result.totalTax) }, { text: '.' });
+    }
+    if (result.totalIncome > 0) {
+      segments.push({ text: ' Je AOW betaalt ' }, { bold: fmtMoney(result.totalIncome) }, { text: ' van je uitgaven.' });
+    }
+    if (fixed) {
+      segments.push(fixed.retireAge
+        ? { text: ' Met vaste uitgaven stop je op je ' }
+        : { text: ' Met vaste uitgaven lukt stoppen voor je 80e niet' });
+      if (fixed.retireAge) segments.push({ bold: fixed.retireAge + 'e' });
+      segments.push({ text: '.' });
+    }
+    buildSegments(el, segments);
   }
 
   // ── Surplus / Shortfall ────────────────────────────────────
@@ -412,7 +436,7 @@
 
     if (!nowResult) { el.textContent = '\u00A0'; return; }
 
-    var surplus = nowResult.surplus; // myStack - totalBTC at current age
+    var surplus = nowResult.surplus; // stack - requiredBTC (bequest and peak running need included)
 
     if (surplus >= 0) {
       el.className = 'verdict-surplus surplus-positive';
@@ -437,9 +461,20 @@
       if (el) el.addEventListener('input', scheduleCalculation);
     });
 
-    // Loan toggle
-    var loanToggle = $('pen-loans');
-    if (loanToggle) loanToggle.addEventListener('change', scheduleCalculation);
+    // Loan, box 3 and AOW toggles, spending pattern
+    ['pen-loans', 'pen-box3', 'pen-aow', 'pen-spending'].forEach(function(id) {
+      var el = $(id);
+      if (el) el.addEventListener('change', scheduleCalculation);
+    });
+
+    // Model chosen elsewhere on the site (same localStorage registry)
+    PL.onModelChange(function(e) {
+      if (e.type !== 'selected') return;
+      currentModel = e.model;
+      calculatedSigma = PL.modelSigma(currentModel);
+      renderTrendIndicator();
+      scheduleCalculation();
+    });
 
     // More options toggle
     var moreBtn = $('pen-more-btn');
@@ -0,0 +1,77 @@
+// Currency without fx_rates.json: calculators must degrade, not throw.
+// Also: spending growth follows each currency's inflation assumption.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sandbox } = require('./sandbox');
+
+const FILES = ['powerlaw.js', 'currency.js', 'retirement.js'];
+const DATE = new Date(Date.UTC(2026, 0, 1));
+
+// Minimal DOM: a currency select inside its input group
+function page(lang) {
+  const group = {
+    children: [],
+    appendChild(node) { node.parentNode = this; this.children.push(node); },
+    querySelector(sel) { return this.children.find(c => '.' + c.className === sel) || null; }
+  };
+  const select = { parentNode: group };
+  const document = {
+    documentElement: { lang },
+    createElement: () => ({ remove() { group.children.splice(group.children.indexOf(this), 1); } })
+  };
+  return { document, group, select };
+}
+
+test('load() rejects when fx_rates.json is unreachable', async () => {
+  const ctx = sandbox(FILES);
+  await assert.rejects(ctx.Currency.load());
+  assert.strictEqual(ctx.Currency.isLoaded(), false);
+});
+
+test('without rates or a spot, EUR falls back to USD', async () => {
+  const ctx = sandbox(FILES);
+  await ctx.Currency.load().catch(() => {});
+  assert.strictEqual(ctx.Currency.available('EUR'), false);
+  assert.strictEqual(ctx.Currency.usable('EUR'), 'USD');
+  assert.ok(ctx.Retirement.trendPrice('santostasi', DATE, ctx.Currency.usable('EUR')) > 0);
+});
+
+test('the fallback puts up a notice next to the select', async () => {
+  const { document, group, select } = page('nl');
+  const ctx = sandbox(FILES, { document });
+  await ctx.Currency.load().catch(() => {});
+  assert.strictEqual(ctx.Currency.usable('EUR', select), 'USD');
+  assert.strictEqual(group.children.length, 1);
+  assert.match(group.children[0].textContent, /EUR.*USD/);
+  // Still up while running in USD; gone once EUR can be priced
+  ctx.Currency.usable('USD', select);
+  assert.strictEqual(group.children.length, 1);
+  ctx.Currency.setSpot('EUR', 0.9, DATE);
+  assert.strictEqual(ctx.Currency.usable('EUR', select), 'EUR');
+  assert.strictEqual(group.children.length, 0);
+});
+
+test('a live spot prices EUR without fx_rates.json', async () => {
+  const ctx = sandbox(FILES);
+  await ctx.Currency.load().catch(() => {});
+  ctx.Currency.setSpot('EUR', 0.9, DATE);
+  assert.ok(Math.abs(ctx.Currency.rate('EUR', DATE) - 0.9) < 1e-12);
+  const usd = ctx.Retirement.trendPrice('santostasi', DATE, 'USD');
+  const eur = ctx.Retirement.trendPrice('santostasi', DATE, 'EUR');
+  assert.ok(Math.abs(eur / usd - 0.9) < 1e-9);
+  // Later dates drift with the inflation gap instead of throwing
+  assert.ok(ctx.Currency.rate('EUR', new Date(Date.UTC(2040, 0, 1))) > 0);
+});
+
+test('adjustGrowth restates a growth rate with the inflation gap', () => {
+  const ctx = sandbox(FILES);
+  const C = ctx.Currency;
+  assert.ok(Math.abs(C.adjustGrowth(0.06, 'USD', 'USD') - 0.06) < 1e-12);
+  // Same real growth: (1 + g) / (1 + inflation) matches across currencies
+  const jpy = C.adjustGrowth(0.06, 'USD', 'JPY');
+  assert.ok(Math.abs((1 + jpy) / (1 + C.inflation('JPY')) - 1.06 / (1 + C.inflation('USD'))) < 1e-12);
+  assert.ok(jpy < 0.06);
+  C.setInflation('GBP', 0.05);
+  assert.ok(C.adjustGrowth(0.06, 'USD', 'GBP') > 0.08);
+  assert.ok(Math.abs(C.adjustGrowth(C.adjustGrowth(0.06, 'EUR', 'CHF'), 'CHF', 'EUR') - 0.06) < 1e-12);
+});
@@ -0,0 +1,99 @@
+// fitPowerLaw intervals: iid vs Newey-West, for every method
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sandbox } = require('./sandbox');
+
+const PL = sandbox(['powerlaw.js']).PowerLaw;
+
+// Daily prices on an exact power law with AR(1) residuals (φ = 0.99),
+// from a seeded generator so the test is deterministic
+function autocorrelatedSeries() {
+  let seed = 42;
+  const uniform = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const normal = () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+  const data = [];
+  let residual = 0;
+  for (let day = 1500; day < 6000; day++) {
+    residual = 0.99 * residual + 0.03 * normal();
+    const date = new Date(Date.UTC(2009, 0, 3) + day * 86400000);
+    data.push({ date: date.toISOString().slice(0, 10), price: Math.pow(10, -17 + 5.8 * Math.log10(day) + residual) });
+  }
+  return data;
+}
+
+const data = autocorrelatedSeries();
+const width = fit => fit.ci.beta[1] - fit.ci.beta[0];
+const FITS = [
+  { method: 'ols' },
+  { method: 'lad' },
+  { method: 'quantile', quantile: 0.05 },
+  { method: 'quantile', quantile: 0.95 }
+];
+
+for (const options of FITS) {
+  const name = options.method + (options.quantile ? ` ${options.quantile}` : '');
+
+  test(`${name}: reports the interval method`, () => {
+    const iid = PL.fitPowerLaw(data, options);
+    const hac = PL.fitPowerLaw(data, Object.assign({ hacLags: 365 }, options));
+    assert.strictEqual(iid.interval, 'iid');
+    assert.strictEqual(iid.hacLags, 0);
+    assert.strictEqual(hac.interval, 'hac');
+    assert.strictEqual(hac.hacLags, 365);
+  });
+
+  test(`${name}: Newey-West widens the interval on autocorrelated residuals`, () => {
+    const iid = PL.fitPowerLaw(data, options);
+    const hac = PL.fitPowerLaw(data, Object.assign({ hacLags: 365 }, options));
+    assert.ok(width(hac) > 3 * width(iid), `${width(hac)} vs ${width(iid)}`);
+  });
+}
+
+test('LAD and OLS Newey-West intervals are of comparable width', () => {
+  const ols = PL.fitPowerLaw(data, { method: 'ols', hacLags: 365 });
+  const lad = PL.fitPowerLaw(data, { method: 'lad', hacLags: 365 });
+  const ratio = width(lad) / width(ols);
+  assert.ok(ratio > 0.33 && ratio < 3, `ratio ${ratio}`);
+});
+
+// Six points, one lag: the Newey-West sandwich written out in the
+// uncentred (logA, β) form, (X'X)⁻¹ S (X'X)⁻¹
+test('Newey-West (logA, β) covariance matches a hand-computed sandwich', () => {
+  const small = [
+    { date: '2012-01-01', price: 5 }, { date: '2013-06-01', price: 120 },
+    { date: '2015-01-01', price: 300 }, { date: '2017-12-01', price: 15000 },
+    { date: '2020-03-01', price: 6000 }, { date: '2024-01-01', price: 45000 }
+  ];
+  const lags = 1;
+  const fit = PL.fitPowerLaw(small, { method: 'ols', hacLags: lags });
+
+  const xs = small.map(p => Math.log10(PL.daysSinceGenesis(new Date(p.date))));
+  const rs = small.map((p, i) => Math.log10(p.price) - fit.logA - fit.beta * xs[i]);
+  const g = xs.map((x, i) => [rs[i], rs[i] * x]);
+  const S = [[0, 0], [0, 0]];
+  const add = (w, a, b) => {
+    for (let j = 0; j < 2; j++) for (let k = 0; k < 2; k++) S[j][k] += w * (a[j] * b[k] + b[j] * a[k]);
+  };
+  g.forEach(gi => add(0.5, gi, gi));
+  for (let i = 1; i < g.length; i++) add(1 - 1 / (lags + 1), g[i], g[i - 1]);
+
+  const n = xs.length;
+  const sx = xs.reduce((a, b) => a + b, 0);
+  const sxx = xs.reduce((a, b) => a + b * b, 0);
+  const det = n * sxx - sx * sx;
+  const inv = [[sxx / det, -sx / det], [-sx / det, n / det]];
+  const mul = (A, B) => A.map(row => [0, 1].map(k => row[0] * B[0][k] + row[1] * B[1][k]));
+  const V = mul(mul(inv, S), inv);
+
+  const close = (a, b) => Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(b));
+  assert.ok(close(fit.se.logA, Math.sqrt(V[0][0])), `se(logA) ${fit.se.logA} vs ${Math.sqrt(V[0][0])}`);
+  assert.ok(close(fit.se.beta, Math.sqrt(V[1][1])), `se(β) ${fit.se.beta} vs ${Math.sqrt(V[1][1])}`);
+  assert.ok(close(fit.covLogABeta, V[0][1]), `cov ${fit.covLogABeta} vs ${V[0][1]}`);
+});
+
+test('iid fits keep the textbook (logA, β) covariance', () => {
+  const fit = PL.fitPowerLaw(data, { method: 'ols' });
+  const xs = data.map(p => Math.log10(PL.daysSinceGenesis(new Date(p.date))));
+  const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+  assert.ok(Math.abs(fit.covLogABeta + meanX * fit.se.beta ** 2) < 1e-12);
+});
@@ -0,0 +1,25 @@
+// RetirementV2's scenario comparison covers the user's saved scenarios
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sandbox } = require('./sandbox');
+
+const ctx = sandbox(['powerlaw.js', 'currency.js', 'spending.js', 'tax.js', 'portfolio.js', 'retirement.js', 'retirement-v2.js']);
+const PARAMS = {
+  currentAge: 40, retirementAge: 40, lifeExpectancy: 80,
+  annualBurn: 60000, burnGrowth: 0.06, myStack: 2,
+  model: 'santostasi', sigma: 0.2, scenarioMode: 'cyclical'
+};
+
+test('compareLifetimeScenarios includes saved custom scenarios', () => {
+  const id = ctx.PowerLaw.registerScenario({
+    name: 'Flat below trend',
+    path: [{ year: 0, k: -1 }, { year: 10, k: -1 }]
+  }, { persist: false });
+  const rows = ctx.RetirementV2.compareLifetimeScenarios(PARAMS);
+  const modes = rows.map(r => r.mode);
+  assert.ok(modes.includes('cyclical'));
+  const custom = rows.find(r => r.mode === id);
+  assert.ok(custom, `no row for ${id} in ${modes}`);
+  assert.strictEqual(custom.scenario, 'Flat below trend');
+  assert.ok(custom.requiredBTC > 0);
+});
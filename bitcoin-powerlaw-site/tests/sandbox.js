@@ -0,0 +1,28 @@
+// Loads the site's browser scripts into a fresh context, the way the
+// pages' <script> tags do, so the tests run them without a browser.
+//
+//   const ctx = sandbox(['powerlaw.js', 'currency.js'], { fetch: ... });
+//   ctx.Currency.rate('EUR');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS = path.join(__dirname, '..', 'js');
+
+function sandbox(files, globals = {}) {
+  const ctx = Object.assign({
+    console,
+    URL,
+    fetch: () => Promise.reject(new Error('offline')),
+    localStorage: { getItem: () => null, setItem() {} }
+  }, globals);
+  ctx.window = ctx;
+  ctx.globalThis = ctx;
+  vm.createContext(ctx);
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(JS, file), 'utf8'), ctx, { filename: file });
+  }
+  return ctx;
+}
+
+module.exports = { sandbox };
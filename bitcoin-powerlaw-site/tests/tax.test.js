@@ -0,0 +1,49 @@
+// Tax ledger lot ids: unique across buys, consumed lots and passed-in lots
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sandbox } = require('./sandbox');
+
+const Tax = sandbox(['tax.js']).Tax;
+const FLAT = { jurisdiction: 'flat', method: 'fifo' };
+
+test('buys never reuse the id of a lot that was sold off', () => {
+  const ledger = Tax.createLedger(Object.assign({}, FLAT, {
+    lots: [{ btc: 1, costBasis: 10000, acquired: '2018-01-01' },
+           { btc: 1, costBasis: 20000, acquired: '2019-01-01' }]
+  }), 2, 50000, '2025-01-01');
+  ledger.sell(40000, 50000, '2025-06-01');      // consumes the oldest lot
+  ledger.buy(0.5, 60000, '2025-07-01');
+  ledger.buy(0.5, 70000, '2025-08-01');
+  const ids = ledger.lots().map(lot => lot.id);
+  assert.strictEqual(new Set(ids).size, ids.length, `duplicate ids: ${ids}`);
+});
+
+test('generated ids skip ids already passed in', () => {
+  const ledger = Tax.createLedger(Object.assign({}, FLAT, {
+    lots: [{ id: 'lot-2', btc: 1, costBasis: 10000, acquired: '2018-01-01' },
+           { btc: 1, costBasis: 20000, acquired: '2019-01-01' }]
+  }), 3, 50000, '2025-01-01');                  // 1 BTC short → a top-up lot
+  ledger.buy(0.5, 60000, '2025-07-01');
+  const ids = ledger.lots().map(lot => lot.id);
+  assert.deepStrictEqual(ids, ['lot-2', 'lot-1', 'lot-3', 'lot-4']);
+});
+
+test('duplicate lot ids are rejected', () => {
+  assert.throws(() => Tax.createLedger(Object.assign({}, FLAT, {
+    lots: [{ id: 'cold', btc: 1, costBasis: 10000, acquired: '2018-01-01' },
+           { id: 'cold', btc: 1, costBasis: 20000, acquired: '2019-01-01' }]
+  }), 2, 50000, '2025-01-01'), /Duplicate lot id: cold/);
+});
+
+test('specific sells take the named lot', () => {
+  const ledger = Tax.createLedger(Object.assign({}, FLAT, {
+    method: 'specific',
+    lotOrder: ['late'],
+    lots: [{ id: 'early', btc: 1, costBasis: 10000, acquired: '2018-01-01' },
+           { id: 'late', btc: 1, costBasis: 40000, acquired: '2019-01-01' }]
+  }), 2, 50000, '2025-01-01');
+  ledger.sell(10000, 50000, '2025-06-01');
+  const left = Object.fromEntries(ledger.lots().map(lot => [lot.id, lot.btc]));
+  assert.strictEqual(left.early, 1);
+  assert.ok(left.late < 1);
+});